@@ -5,19 +5,96 @@ module.exports = {
     name: 'HypeFollow',
     version: '1.0.0',
     env: process.env.NODE_ENV || 'development',
-    emergencyStop: false // Global switch to stop all trading
+    // Kill switch level used until one is set (API, dashboard or `npm run kill-switch`):
+    // true pauses new entries. The level set at runtime is kept in Redis and wins over this.
+    emergencyStop: process.env.EMERGENCY_STOP === 'true',
+    // How often a running bot picks up a level set by another process
+    killSwitchRefreshMs: 5000
   },
   binance: {
     apiKey: process.env.BINANCE_API_KEY,
     apiSecret: process.env.BINANCE_API_SECRET,
     useTestnet: process.env.BINANCE_TESTNET === 'true',
+    // Optional follower accounts. When empty, the single account above is used.
+    // Each entry: { id, venue?, apiKey, apiSecret, useTestnet?, masters?: [...], trading?: {...}, riskControl?: {...} }
+    // `venue` selects the execution venue adapter (src/venues), default 'binance'.
+    // `masters` limits the account to some of the followed users (default: all of them).
+    // `trading` / `riskControl` override the global sections below for that account only
+    // (e.g. mode, fixedRatio, supportedCoins whitelist, maxSymbolNotional).
+    // Every account keeps its own order mappings in Redis under the `<id>:` key prefix.
+    accounts: [],
+    // How often symbol rules (tick size, lot size, min notional) are reloaded from exchangeInfo
+    exchangeInfoRefreshMs: parseInt(process.env.EXCHANGE_INFO_REFRESH_MS) || 3600000,
+    // Hyperliquid coin -> Binance symbol overrides. Mappings such as kPEPE -> 1000PEPEUSDT are
+    // derived from exchangeInfo; list a coin here only when that guess is wrong.
+    // Value: a symbol ('1000PEPEUSDT') or { symbol, multiplier } where multiplier is
+    // Hyperliquid units per Binance contract unit.
+    symbolMap: {},
   },
   hyperliquid: {
     wsUrl: process.env.HYPERLIQUID_WS_URL || 'wss://api.hyperliquid.xyz/ws',
     // List of "Smart Money" UIDs to follow
+    // Entries are an address string or { address, allocation } where allocation is the
+    // percentage of follower capital given to that master. Masters without an allocation
+    // split the remaining percentage equally.
+    // `source` picks where the master's signals come from (default 'hyperliquid', which also
+    // covers vault addresses):
+    //   { address: 'tv-btc', source: 'webhook', secret: '...', equity: 10000 }
+    //     TradingView / webhook alerts POSTed to /api/signals/tv-btc (needs monitoring enabled)
+    //   { address: 'lead', source: 'binance', apiKey: '...', apiSecret: '...' }
+    //     mirror another Binance Futures account (read-only keys)
+    //   { address: '0x...', source: 'replay', path: './recordings', speed: 10, equity: 100000 }
+    //     replay recorded WebSocket traffic of that master (see `recording`), best with TRADING_EXECUTION=paper
     followedUsers: [
       '0xdae4df7207feb3b350e4284c8efe5f7dac37f637'
-    ]
+    ],
+    // Second connection subscribing to the same channels (to backupWsUrl, or wsUrl again);
+    // order updates and fills arriving on both are emitted once
+    redundancy: {
+      enabled: process.env.HL_REDUNDANT_FEED === 'true',
+      backupWsUrl: process.env.HL_BACKUP_WS_URL || null
+    },
+    // A connection without any message (pongs included) for silenceMs is considered dead and reopened
+    watchdog: {
+      silenceMs: parseInt(process.env.HL_SILENCE_TIMEOUT_MS) || 60000,
+      checkIntervalMs: 5000
+    },
+    // Taker fills missed while the WebSocket was down (or the bot stopped) are fetched after
+    // every reconnect and followed. Older than maxFillAgeMs, they are added to the pending
+    // delta instead and caught up with the master's next trade on the coin
+    resync: {
+      enabled: process.env.HL_RESYNC_ENABLED !== 'false',
+      maxFillAgeMs: parseInt(process.env.HL_RESYNC_MAX_FILL_AGE_MS) || 60000
+    },
+    // Raw WebSocket traffic capture for offline reproduction (gzip JSONL, rotated)
+    recording: {
+      enabled: process.env.HL_RECORDING === 'true',
+      dir: process.env.HL_RECORDING_DIR || './recordings',
+      rotateIntervalMs: 3600000, // New file every hour
+      maxFileBytes: 100 * 1024 * 1024, // ... or after 100 MB of uncompressed traffic
+      flushIntervalMs: 5000
+    }
+  },
+  // Screening of master entries against each master's rolling profile (order notional,
+  // entry frequency, leverage, coins traded, direction flips). Flagged entries are followed
+  // anyway ('alert'), held until approved on the dashboard / API ('hold') or dropped ('skip').
+  anomalyDetection: {
+    enabled: process.env.ANOMALY_DETECTION === 'true',
+    policy: process.env.ANOMALY_POLICY || 'hold',
+    // Entries kept per master, and how many are needed before profile checks apply
+    maxSamples: 500,
+    minSamples: 20,
+    // Flag an entry this many times the median notional / leverage of the profile (null disables)
+    sizeMultiplier: parseFloat(process.env.ANOMALY_SIZE_MULTIPLIER) || 5,
+    leverageMultiplier: 3,
+    // Flag more than frequencyMultiplier times the usual number of entries within the window
+    frequencyWindowMs: 60000,
+    frequencyMultiplier: 5,
+    // Flag entries on a coin whose position changed direction maxFlips times within the window
+    flipWindowMs: 600000,
+    maxFlips: 3,
+    // Held signals not approved in time are dropped
+    holdTimeoutMs: parseInt(process.env.ANOMALY_HOLD_TIMEOUT_MS) || 300000
   },
   redis: {
     host: process.env.REDIS_HOST || 'localhost',
@@ -27,11 +104,27 @@ module.exports = {
   riskControl: {
     // Whitelist of supported coins
     supportedCoins: ['BTC', 'ETH', 'SOL'],
-    // Max position size limits (not implemented in MVP but placeholder)
-    maxPositionSize: {
-      BTC: 0.1,
-      ETH: 2.0,
-      SOL: 20.0
+    // Exposure limits in USDT, checked at mark prices before every order that grows a
+    // position (null disables a limit, as does an empty or 0 env value). maxSymbolNotional caps
+    // each coin's position: one number for every coin, or { default, BTC: ..., ... } for per-coin limits.
+    maxSymbolNotional: parseFloat(process.env.RISK_MAX_SYMBOL_NOTIONAL) || null,
+    // Sum of all position notionals, and |longs - shorts|
+    maxGrossNotional: parseFloat(process.env.RISK_MAX_GROSS_NOTIONAL) || null,
+    maxNetNotional: parseFloat(process.env.RISK_MAX_NET_NOTIONAL) || null,
+    // Gross notional / account equity
+    maxLeverage: parseFloat(process.env.RISK_MAX_LEVERAGE) || null,
+    // How long positions and equity read for these checks are reused
+    exposureCacheMs: 1000,
+    // Halts new entries of an account once its equity is maxDailyLossPct below the period's
+    // starting equity or maxDrawdownPct below its peak (null disables a limit), and with
+    // `flatten` also closes its positions. Periods start every day at resetTimeUtc (HH:MM),
+    // the peak is kept until a manual reset.
+    circuitBreaker: {
+      maxDailyLossPct: parseFloat(process.env.MAX_DAILY_LOSS_PCT) || null,
+      maxDrawdownPct: parseFloat(process.env.MAX_DRAWDOWN_PCT) || null,
+      flatten: process.env.CIRCUIT_BREAKER_FLATTEN === 'true',
+      resetTimeUtc: process.env.CIRCUIT_BREAKER_RESET_UTC || '00:00',
+      checkIntervalMs: 30000
     },
     // Threshold for aggressive risk reduction (reduce half)
     reductionThreshold: {
@@ -41,6 +134,10 @@ module.exports = {
     }
   },
   trading: {
+    // Order execution: 'live' sends orders to the account's venue, 'paper' to a simulated
+    // account filled against Hyperliquid prices (see `paper` below)
+    execution: process.env.TRADING_EXECUTION || 'live',
+
     // Follow mode: 'equal' or 'fixed'
     mode: process.env.TRADING_MODE || 'equal',
     
@@ -50,22 +147,51 @@ module.exports = {
     // Fixed ratio multiplier (only for fixed mode)
     fixedRatio: parseFloat(process.env.FIXED_RATIO) || 0.1,
 
+    // Window (ms) in which taker fills from different masters on the same coin are netted
+    // into one Binance order. 0 disables netting.
+    nettingWindowMs: process.env.NETTING_WINDOW_MS !== undefined ? parseInt(process.env.NETTING_WINDOW_MS) : 300,
+
+    // Master ALO (post-only) orders are sent as GTX, which Binance rejects when they would cross.
+    // 'reprice' retries one tick further from the market (up to postOnlyRepriceAttempts times),
+    // 'gtc' resends as a plain limit order, 'skip' leaves the order unmirrored.
+    postOnlyRejectPolicy: process.env.POST_ONLY_REJECT_POLICY || 'reprice',
+    postOnlyRepriceAttempts: parseInt(process.env.POST_ONLY_REPRICE_ATTEMPTS) || 3,
+
     // Account info cache TTL in seconds
     accountCacheTTL: parseInt(process.env.ACCOUNT_CACHE_TTL) || 60,
     
     // Default scale factor (only for scaled mode)
     defaultScale: 1.0,
 
-    // Min order sizes (static config - to be enhanced with API data if needed)
+    // Optional per-coin minimum follower order sizes, a number or { open, close }.
+    // Exchange minimums (LOT_SIZE minQty, MIN_NOTIONAL) always apply; these only raise them.
     minOrderSize: {
       BTC: 0.002,
       ETH: 0.007,
       SOL: 0.04
     }
   },
+  // Simulated futures account used when trading.execution is 'paper'
+  // (can be overridden per follower account with a `paper` entry)
+  paper: {
+    initialBalance: parseFloat(process.env.PAPER_INITIAL_BALANCE) || 10000,
+    makerFee: 0.0002,
+    takerFee: 0.0005,
+    leverage: 10,
+    maintenanceMarginRate: 0.005,
+    // How often funding is charged, using Hyperliquid's current hourly rates
+    fundingIntervalMs: 3600000,
+    // Price impact applied to simulated market orders, in basis points
+    marketSlippageBps: 0,
+    // Apply Binance exchangeInfo precision and min notional to simulated orders
+    exchangeRules: true
+  },
   monitoring: {
     enabled: true,
     port: parseInt(process.env.MONITORING_PORT) || 49618,
-    refreshInterval: 5000
+    refreshInterval: 5000,
+    // Required (x-admin-token header) by actions such as setting the kill switch. Without it
+    // those actions are refused, since the API listens on every interface.
+    adminToken: process.env.MONITORING_ADMIN_TOKEN || null
   }
 };
@@ -13,6 +13,36 @@ import FollowedUsers from './components/FollowedUsers';
 import LogsPanel from './components/LogsPanel';
 import EquityChart from './components/EquityChart';
 import TradeHistory from './components/TradeHistory';
+import RiskRejections from './components/RiskRejections';
+import CircuitBreakers from './components/CircuitBreakers';
+import AnomalySignals from './components/AnomalySignals';
+
+/**
+ * POST an admin action; asks for the admin token when the server requires one
+ */
+async function postAdmin(url, body, failure) {
+  const send = () => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-admin-token': localStorage.getItem('adminToken') || '' },
+    body: JSON.stringify(body || {})
+  });
+
+  let res = await send();
+  if (res.status === 401) {
+    const token = window.prompt('请输入管理员令牌 (MONITORING_ADMIN_TOKEN)');
+    if (!token) return;
+    localStorage.setItem('adminToken', token);
+    res = await send();
+  }
+  if (!res.ok) {
+    const { error } = await res.json().catch(() => ({}));
+    window.alert(`${failure}: ${error || res.status}`);
+  }
+}
+
+const setKillSwitch = level => postAdmin('/api/kill-switch', { level }, '紧急停止设置失败');
+
+const resolveAnomaly = (id, action) => postAdmin(`/api/anomalies/${encodeURIComponent(id)}/${action}`, null, '异常信号处理失败');
 
 function App() {
   const { snapshot, logs, connected, lastUpdate } = useWebSocket();
@@ -29,7 +59,7 @@ function App() {
     );
   }
 
-  const { stats, accounts, mappings, config, history } = snapshot;
+  const { stats, accounts, mappings, config, history, subBooks, userStreams, risk, anomalies } = snapshot;
 
   return (
     <ThemeProvider theme={theme}>
@@ -38,7 +68,10 @@ function App() {
         <Header 
             connected={connected} 
             lastUpdate={lastUpdate} 
-            emergencyStop={config.emergencyStop} 
+            killSwitch={config.killSwitch} 
+            onKillSwitch={setKillSwitch}
+            paper={(config.followerAccounts || []).some(a => a.execution === 'paper')}
+            userStreams={userStreams || {}}
         />
 
         <Container maxWidth="xl" sx={{ mt: 3 }}>
@@ -83,7 +116,10 @@ function App() {
             {/* Sidebar Area */}
             <Grid item xs={12} lg={4}>
               <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
-                <FollowedUsers accounts={accounts} mode={config.mode} />
+                <FollowedUsers accounts={accounts} mode={config.mode} masters={config.followedUsers} subBooks={subBooks} />
+                <AnomalySignals anomalies={anomalies} onResolve={resolveAnomaly} />
+                <CircuitBreakers risk={risk || {}} />
+                <RiskRejections risk={risk || {}} />
                 <LogsPanel logs={logs} />
               </Box>
             </Grid>
@@ -0,0 +1,88 @@
+import React from 'react';
+import { Paper, Typography, Box, Chip, Button, Tooltip } from '@mui/material';
+
+const REASON_LABELS = {
+  SIZE: '仓位异常放大',
+  COIN: '不常交易的币种',
+  FREQUENCY: '下单过于频繁',
+  LEVERAGE: '杠杆异常',
+  FLIP: '频繁反手'
+};
+
+const ACTION_LABELS = {
+  followed: '已跟随',
+  held: '待审批',
+  skipped: '已跳过',
+  approved: '已批准',
+  rejected: '已拒绝',
+  expired: '已超时',
+  canceled: '主账户已撤单',
+  filled: '主账户已成交'
+};
+
+const shortAddress = address => (address && address.length > 12 ? `${address.slice(0, 6)}...${address.slice(-4)}` : address);
+
+const Reasons = ({ reasons }) => (
+  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+    {reasons.map(reason => (
+      <Tooltip key={reason.code} title={reason.message}>
+        <Chip label={REASON_LABELS[reason.code] || reason.code} color="warning" size="small" sx={{ height: 20, fontSize: '0.65rem' }} />
+      </Tooltip>
+    ))}
+  </Box>
+);
+
+const AnomalySignals = ({ anomalies, onResolve }) => {
+  if (!anomalies || !anomalies.enabled) return null;
+  const held = anomalies.held || [];
+  const history = (anomalies.flagged || []).filter(flag => flag.action !== 'held').slice(0, 10);
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6">异常信号</Typography>
+        <Chip label={held.length > 0 ? `${held.length} 条待审批` : '无待审批'} size="small" color={held.length > 0 ? 'warning' : 'default'} variant="outlined" />
+      </Box>
+
+      {held.map(flag => (
+        <Box key={flag.id} sx={{ p: 1.5, mb: 1, borderRadius: 1, bgcolor: 'background.default', border: '1px solid', borderColor: 'warning.main' }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <Typography variant="body2" sx={{ fontWeight: 'bold' }}>
+              {flag.coin} {flag.side === 'B' ? '买入' : '卖出'} ${flag.notional.toFixed(0)}
+            </Typography>
+            <Typography variant="caption" color="text.secondary">
+              {shortAddress(flag.master)} · {new Date(flag.at).toLocaleTimeString()}
+            </Typography>
+          </Box>
+          <Reasons reasons={flag.reasons} />
+          <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+            <Button size="small" variant="contained" color="success" onClick={() => onResolve(flag.id, 'approve')}>批准跟单</Button>
+            <Button size="small" variant="outlined" color="error" onClick={() => onResolve(flag.id, 'reject')}>拒绝</Button>
+          </Box>
+        </Box>
+      ))}
+
+      {history.map(flag => (
+        <Box key={`${flag.id}-${flag.at}`} sx={{ py: 0.75, borderTop: '1px solid', borderColor: 'divider' }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+            <Typography variant="caption" sx={{ fontWeight: 'bold' }}>
+              {flag.coin} ${flag.notional.toFixed(0)} · {shortAddress(flag.master)}
+            </Typography>
+            <Typography variant="caption" color="text.secondary">
+              {ACTION_LABELS[flag.action] || flag.action} · {new Date(flag.at).toLocaleTimeString()}
+            </Typography>
+          </Box>
+          <Reasons reasons={flag.reasons} />
+        </Box>
+      ))}
+
+      {held.length === 0 && history.length === 0 && (
+        <Typography variant="caption" color="text.secondary">
+          策略: {anomalies.policy === 'hold' ? '人工审批' : anomalies.policy === 'skip' ? '自动跳过' : '仅告警'} · 暂无异常信号
+        </Typography>
+      )}
+    </Paper>
+  );
+};
+
+export default AnomalySignals;
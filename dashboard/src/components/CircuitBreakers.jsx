@@ -0,0 +1,64 @@
+import React from 'react';
+import { Paper, Typography, Box, Chip, LinearProgress } from '@mui/material';
+
+const LossBar = ({ label, value, limit }) => {
+  if (limit == null) return null;
+  const pct = Math.max(0, value || 0);
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+        <Typography variant="caption" color="text.secondary">{label}</Typography>
+        <Typography variant="caption">{pct.toFixed(2)}% / {limit}%</Typography>
+      </Box>
+      <LinearProgress
+        variant="determinate"
+        value={Math.min(100, pct / limit * 100)}
+        color={pct >= limit ? 'error' : pct >= limit * 0.7 ? 'warning' : 'success'}
+        sx={{ height: 4, borderRadius: 2 }}
+      />
+    </Box>
+  );
+};
+
+const CircuitBreakers = ({ risk = {} }) => {
+  const breakers = Object.entries(risk)
+    .map(([id, account]) => [id, account.circuitBreaker])
+    .filter(([, breaker]) => breaker && breaker.enabled);
+
+  if (breakers.length === 0) return null;
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Typography variant="h6" gutterBottom>熔断保护</Typography>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+        {breakers.map(([id, breaker]) => (
+          <Box key={id} sx={{ p: 1.5, borderRadius: 1, bgcolor: 'background.default', border: '1px solid', borderColor: breaker.tripped ? 'error.main' : 'divider' }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <Typography variant="body2" sx={{ fontWeight: 'bold' }}>{id}</Typography>
+              <Chip
+                label={breaker.tripped ? '已熔断' : '正常'}
+                color={breaker.tripped ? 'error' : 'success'}
+                size="small"
+                sx={{ height: 20, fontSize: '0.65rem' }}
+              />
+            </Box>
+            {breaker.tripped && (
+              <Typography variant="caption" color="error.main" sx={{ display: 'block', mt: 0.5 }}>
+                {breaker.reason}{breaker.flatten ? ' (已平仓)' : ''}
+              </Typography>
+            )}
+            <LossBar label="当日亏损" value={breaker.dailyLossPct} limit={breaker.maxDailyLossPct} />
+            <LossBar label="峰值回撤" value={breaker.drawdownPct} limit={breaker.maxDrawdownPct} />
+            {breaker.nextResetAt && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                权益 ${(breaker.equity || 0).toFixed(2)} · 下次重置 {new Date(breaker.nextResetAt).toLocaleString()}
+              </Typography>
+            )}
+          </Box>
+        ))}
+      </Box>
+    </Paper>
+  );
+};
+
+export default CircuitBreakers;
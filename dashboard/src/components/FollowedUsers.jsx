@@ -2,7 +2,12 @@ import React from 'react';
 import { Paper, Typography, Box, Divider, Avatar } from '@mui/material';
 import { Person as PersonIcon } from '@mui/icons-material';
 
-const FollowedUsers = ({ accounts, mode }) => {
+const FollowedUsers = ({ accounts, mode, masters = [], subBooks = {} }) => {
+  const allocationOf = (address) => {
+    const master = masters.find(m => m.address === address);
+    return master ? `${(master.allocation * 100).toFixed(0)}%` : '--';
+  };
+
   return (
     <Paper sx={{ p: 2, mb: 3 }}>
       <Typography variant="h6" gutterBottom>跟随用户</Typography>
@@ -30,6 +35,14 @@ const FollowedUsers = ({ accounts, mode }) => {
                 <Typography variant="body2" sx={{ fontWeight: 'bold' }}>
                   Equity: ${equity.toFixed(2)}
                 </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  分配比例: {allocationOf(address)}
+                </Typography>
+                {subBooks[address] && (
+                  <Typography variant="caption" sx={{ display: 'block', color: (subBooks[address].realizedPnl + subBooks[address].unrealizedPnl) >= 0 ? 'success.main' : 'error.main' }}>
+                    虚拟盈亏: {subBooks[address].realizedPnl.toFixed(2)} / 未实现 {subBooks[address].unrealizedPnl.toFixed(2)}
+                  </Typography>
+                )}
             </Box>
           </Box>
         ))}
@@ -1,5 +1,5 @@
-import React from 'react';
-import { AppBar, Toolbar, Typography, Box, Chip, Button, IconButton, useTheme, useMediaQuery } from '@mui/material';
+import React, { useState } from 'react';
+import { AppBar, Toolbar, Typography, Box, Chip, Button, IconButton, Tooltip, Menu, MenuItem, ListItemText, useTheme, useMediaQuery } from '@mui/material';
 import { 
   FiberManualRecord as StatusIcon, 
   Error as ErrorIcon, 
@@ -7,9 +7,37 @@ import {
   Menu as MenuIcon 
 } from '@mui/icons-material';
 
-const Header = ({ connected, lastUpdate, emergencyStop, onEmergencyToggle }) => {
+const STREAM_STATES = { connected: '已连接', connecting: '连接中', reconnecting: '重连中', stopped: '已停止' };
+
+const KILL_SWITCH_LEVELS = [
+  { level: 'off', label: '运行中', detail: '恢复正常跟单' },
+  { level: 'pause', label: '暂停开仓', detail: '只允许减仓订单' },
+  { level: 'cancel', label: '撤销全部挂单', detail: '停止下单并撤销所有跟单账户挂单' },
+  { level: 'flatten', label: '全部平仓', detail: '撤单并以只减仓市价单平掉所有仓位' }
+];
+
+const Header = ({ connected, lastUpdate, killSwitch = { level: 'off' }, paper, userStreams = {}, onKillSwitch }) => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const current = KILL_SWITCH_LEVELS.find(l => l.level === killSwitch.level) || KILL_SWITCH_LEVELS[0];
+  const stopped = current.level !== 'off';
+
+  const selectLevel = (level) => {
+    setMenuAnchor(null);
+    if (level === current.level) return;
+    const { label, detail } = KILL_SWITCH_LEVELS.find(l => l.level === level);
+    if (level !== 'off' && !window.confirm(`确认切换到「${label}」？\n${detail}`)) return;
+    onKillSwitch(level);
+  };
+  const streams = Object.entries(userStreams);
+  const streamsUp = streams.filter(([, s]) => s.connected).length;
+  const streamDetails = streams.map(([id, s]) => {
+    const state = STREAM_STATES[s.state] || (s.connected ? '已连接' : '断开');
+    const reconnects = s.reconnects ? `, 重连 ${s.reconnects} 次` : '';
+    const error = !s.connected && s.lastError ? ` (${s.lastError})` : '';
+    return `${id}: ${state}${reconnects}${error}`;
+  }).join('\n');
 
   return (
     <AppBar position="sticky" color="default" elevation={0}>
@@ -24,6 +52,25 @@ const Header = ({ connected, lastUpdate, emergencyStop, onEmergencyToggle }) =>
             variant="outlined"
             sx={{ ml: 2, height: 20, fontSize: '0.7rem', borderColor: connected ? 'success.main' : 'error.main' }} 
           />
+          {streams.length > 0 && (
+            <Tooltip title={<span style={{ whiteSpace: 'pre-line' }}>{streamDetails}</span>}>
+              <Chip 
+                label={`用户数据流 ${streamsUp}/${streams.length}`} 
+                color={streamsUp === streams.length ? "success" : "error"} 
+                size="small" 
+                variant="outlined"
+                sx={{ ml: 1, height: 20, fontSize: '0.7rem' }} 
+              />
+            </Tooltip>
+          )}
+          {paper && (
+            <Chip 
+              label="模拟盘" 
+              color="warning" 
+              size="small" 
+              sx={{ ml: 1, height: 20, fontSize: '0.7rem' }} 
+            />
+          )}
         </Typography>
 
         {!isMobile && (
@@ -32,16 +79,26 @@ const Header = ({ connected, lastUpdate, emergencyStop, onEmergencyToggle }) =>
           </Typography>
         )}
 
-        <Button 
-          color={emergencyStop ? "error" : "success"} 
-          variant="contained" 
-          size="small"
-          startIcon={<ErrorIcon />}
-          sx={{ fontWeight: 'bold' }}
-          disabled // For now, read-only as per request logic usually, but user asked for deep customization. Assuming the logic for toggling isn't passed yet, I'll keep it static or accept a prop.
-        >
-          {emergencyStop ? "已停止" : "运行中"}
-        </Button>
+        <Tooltip title={stopped && killSwitch.reason ? `紧急停止: ${killSwitch.reason}` : '紧急停止'}>
+          <Button 
+            color={stopped ? "error" : "success"} 
+            variant="contained" 
+            size="small"
+            startIcon={<ErrorIcon />}
+            sx={{ fontWeight: 'bold' }}
+            disabled={!onKillSwitch}
+            onClick={(e) => setMenuAnchor(e.currentTarget)}
+          >
+            {current.label}
+          </Button>
+        </Tooltip>
+        <Menu anchorEl={menuAnchor} open={!!menuAnchor} onClose={() => setMenuAnchor(null)}>
+          {KILL_SWITCH_LEVELS.map(({ level, label, detail }) => (
+            <MenuItem key={level} selected={level === current.level} onClick={() => selectLevel(level)}>
+              <ListItemText primary={label} secondary={detail} />
+            </MenuItem>
+          ))}
+        </Menu>
       </Toolbar>
     </AppBar>
   );
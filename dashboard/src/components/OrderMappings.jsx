@@ -14,12 +14,13 @@ const OrderMappings = ({ mappings }) => {
               <TableCell>币种</TableCell>
               <TableCell>HL 订单ID</TableCell>
               <TableCell>币安订单ID</TableCell>
+              <TableCell>状态</TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
             {mappings.length === 0 ? (
               <TableRow>
-                <TableCell colSpan={3} align="center" sx={{ py: 3, color: 'text.secondary' }}>
+                <TableCell colSpan={4} align="center" sx={{ py: 3, color: 'text.secondary' }}>
                   无活跃映射
                 </TableCell>
               </TableRow>
@@ -29,6 +30,7 @@ const OrderMappings = ({ mappings }) => {
                   <TableCell sx={{ fontWeight: 'bold', fontSize: '0.75rem' }}>{m.symbol}</TableCell>
                   <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.75rem', color: 'text.secondary' }}>{m.hyperOid}</TableCell>
                   <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.75rem', color: 'text.secondary' }}>{m.binanceOrderId}</TableCell>
+                  <TableCell sx={{ fontSize: '0.75rem' }}>{m.state}</TableCell>
                 </TableRow>
               ))
             )}
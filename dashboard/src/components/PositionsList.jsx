@@ -70,7 +70,7 @@ const PositionCard = ({ position }) => {
               </Typography>
            </Box>
           {positions.map((p) => (
-            <PositionCard key={p.symbol} position={p} />
+            <PositionCard key={`${p.account}:${p.symbol}`} position={p} />
           ))}
         </Box>
       );
@@ -98,8 +98,13 @@ const PositionCard = ({ position }) => {
                  const pnl = parseFloat(p.unrealizedProfit);
                  const liqPrice = parseFloat(p.liquidationPrice);
                  return (
-                  <TableRow key={p.symbol} hover>
-                      <TableCell component="th" scope="row" sx={{ fontWeight: 'bold' }}>{p.symbol}</TableCell>
+                  <TableRow key={`${p.account}:${p.symbol}`} hover>
+                      <TableCell component="th" scope="row" sx={{ fontWeight: 'bold' }}>
+                        {p.symbol}
+                        {p.account && p.account !== 'default' && (
+                          <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>{p.account}</Typography>
+                        )}
+                      </TableCell>
                       <TableCell align="right" sx={{ fontFamily: 'monospace' }}>{parseFloat(p.amount).toFixed(3)}</TableCell>
                       <TableCell align="right" sx={{ fontFamily: 'monospace' }}>{parseFloat(p.entryPrice).toFixed(2)}</TableCell>
                       <TableCell align="right" sx={{ fontFamily: 'monospace' }}>{parseFloat(p.markPrice).toFixed(2)}</TableCell>
@@ -0,0 +1,74 @@
+import React from 'react';
+import { Paper, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Typography, Box, Chip } from '@mui/material';
+
+const REASON_LABELS = {
+  EMERGENCY_STOP: '紧急停止',
+  CIRCUIT_BREAKER: '熔断',
+  COIN_NOT_SUPPORTED: '币种不在白名单',
+  SYMBOL_NOTIONAL: '超出单币种名义价值上限',
+  GROSS_NOTIONAL: '超出总名义价值上限',
+  NET_EXPOSURE: '超出净敞口上限',
+  LEVERAGE: '超出杠杆上限',
+  EXPOSURE_UNAVAILABLE: '无法获取仓位'
+};
+
+const RiskRejections = ({ risk = {} }) => {
+  const rejections = Object.values(risk)
+    .flatMap(account => account.recentRejections || [])
+    .sort((a, b) => b.at - a.at)
+    .slice(0, 50);
+  const total = Object.values(risk)
+    .reduce((sum, account) => sum + Object.values(account.rejectionCounts || {}).reduce((a, b) => a + b, 0), 0);
+
+  return (
+    <Paper sx={{ display: 'flex', flexDirection: 'column', height: 300 }}>
+      <Box sx={{ p: 2, borderBottom: '1px solid', borderColor: 'divider', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6">风控拦截</Typography>
+        <Chip label={`共 ${total} 次`} size="small" color={total > 0 ? 'warning' : 'default'} variant="outlined" />
+      </Box>
+      <TableContainer sx={{ flexGrow: 1 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>时间</TableCell>
+              <TableCell>账户</TableCell>
+              <TableCell>币种</TableCell>
+              <TableCell>来源</TableCell>
+              <TableCell>原因</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rejections.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={5} align="center" sx={{ py: 3, color: 'text.secondary' }}>
+                  无风控拦截记录
+                </TableCell>
+              </TableRow>
+            ) : (
+              rejections.map((rejection, index) => (
+                <TableRow key={index} hover>
+                  <TableCell sx={{ fontSize: '0.75rem', color: 'text.secondary' }}>
+                    {new Date(rejection.at).toLocaleTimeString()}
+                  </TableCell>
+                  <TableCell sx={{ fontSize: '0.75rem' }}>{rejection.account}</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold', fontSize: '0.75rem' }}>{rejection.coin}</TableCell>
+                  <TableCell sx={{ fontSize: '0.75rem', color: 'text.secondary' }}>{rejection.source}</TableCell>
+                  <TableCell>
+                    <Chip
+                      label={REASON_LABELS[rejection.reason] || rejection.reason}
+                      color={rejection.reason === 'EMERGENCY_STOP' ? 'error' : 'warning'}
+                      size="small"
+                      sx={{ height: 20, fontSize: '0.65rem' }}
+                    />
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+};
+
+export default RiskRejections;
@@ -0,0 +1,225 @@
+const PaperVenue = require('../venues/paper-venue');
+const OrderStore = require('../core/order-store');
+const PositionCalculator = require('../core/position-calculator');
+const PositionTracker = require('../core/position-tracker');
+const OrderLifecycle = require('../core/order-lifecycle');
+const SubBook = require('../core/sub-book');
+const RiskControl = require('../core/risk-control');
+const ConsistencyEngine = require('../core/consistency-engine');
+const OrderSync = require('../core/order-sync');
+const OrderExecutor = require('../core/order-executor');
+const { handleOrderEvent } = require('../core/order-router');
+const MemoryStore = require('./memory-store');
+
+const NAMESPACE = 'backtest:';
+
+/**
+ * Live sizing, counting the orders the min size had to round up
+ */
+class CountingCalculator extends PositionCalculator {
+  constructor(account, counts) {
+    super(account);
+    this.counts = counts;
+  }
+
+  async calculateQuantity(coin, originalQuantity, hlAddress, actionType = 'open', order = {}) {
+    const raw = await this.calculateRawQuantity(coin, originalQuantity, hlAddress);
+    if (raw < this.getMinOrderSize(coin, actionType, order.price, order.market)) {
+      this.counts.minSizeForced++;
+    }
+    return super.calculateQuantity(coin, originalQuantity, hlAddress, actionType, order);
+  }
+}
+
+/**
+ * Replays master events through the live execution pipeline on a simulated account.
+ * Fills go to OrderExecutor and order updates to the live order router, backed by an
+ * in-memory store and a PaperVenue whose clock follows the event times and whose prices
+ * come from the master's own fills. Master and follower both start flat.
+ *
+ * Fills are executed one by one (no netting window) and exposure rebalancing is left out,
+ * it needs the masters' live positions. With `syntheticOrders` (fill history without order
+ * updates) each maker fill is mirrored as a limit order at the fill price that fills right away.
+ */
+class BacktestRunner {
+  /**
+   * @param {object} options
+   * @param {object} options.settings Follower account settings ({ trading, riskControl })
+   * @param {object} options.paper Simulated account settings (config `paper`)
+   * @param {number} [options.masterEquity] Master capital for equal-ratio sizing
+   * @param {boolean} [options.syntheticOrders]
+   */
+  constructor({ settings, paper, masterEquity, syntheticOrders = false }) {
+    this.settings = settings;
+    this.syntheticOrders = syntheticOrders;
+
+    this.clock = 0;
+    this.venue = new PaperVenue({ ...paper, fundingIntervalMs: 0 }, 'backtest');
+    this.venue.now = () => this.clock;
+    this.counts = { events: 0, fills: 0, orders: 0, minSizeForced: 0 };
+
+    // The services of a FollowerAccount, on the simulated venue and an in-memory store
+    const store = new MemoryStore();
+    const account = { id: 'backtest', namespace: NAMESPACE, settings, venue: this.venue };
+    account.accountManager = {
+      getMasterTotalEquity: async () => {
+        if (!(masterEquity > 0)) {
+          throw new Error('Equal mode backtests need the master equity');
+        }
+        return masterEquity;
+      },
+      getBinanceTotalEquity: async () => this.venue.getEquity()
+    };
+    account.orderStore = new OrderStore(NAMESPACE, store);
+    account.positionTracker = new PositionTracker(NAMESPACE, store);
+    account.orderLifecycle = new OrderLifecycle(account, store);
+    account.subBook = new SubBook(NAMESPACE, store);
+    // Simulated time moves faster than the exposure cache expires
+    account.riskControl = new RiskControl({ ...settings.riskControl, exposureCacheMs: 0 }, {
+      accountId: account.id, namespace: NAMESPACE, venue: this.venue, store
+    });
+    account.positionCalculator = new CountingCalculator(account, this.counts);
+    account.consistencyEngine = new ConsistencyEngine(account);
+    account.orderSync = new OrderSync(account);
+    account.exposureManager = { checkAndRebalance: async () => {} };
+    account.orderExecutor = new OrderExecutor(account);
+    account.orderSync.start();
+
+    this.account = account;
+    this.positionCalculator = account.positionCalculator;
+    this.riskControl = account.riskControl;
+
+    this.masterPositions = {}; // { [master]: { [coin]: signed size } }
+    this.master = { realizedPnl: 0, fees: 0 };
+    this.tracking = { samples: 0, sumUsd: 0, maxUsd: 0, sumPct: 0, maxPct: 0 };
+    this.startTime = null;
+    this.endTime = null;
+    this.initialBalance = paper.initialBalance;
+  }
+
+  /**
+   * @param {Array<object>} events From event-loader
+   * @returns {Promise<object>} Report
+   */
+  async run(events) {
+    for (const event of events) {
+      await this.handleEvent(event);
+    }
+    this.account.orderSync.stop();
+    return this.getReport();
+  }
+
+  async handleEvent(event) {
+    this.counts.events++;
+    if (event.time) {
+      this.clock = event.time;
+      this.startTime = this.startTime || event.time;
+      this.endTime = event.time;
+    }
+
+    if (event.kind === 'fill') {
+      this.counts.fills++;
+      this.applyMasterFill(event);
+      const fill = { ...event, type: 'fill', timestamp: event.time };
+
+      if (event.crossed) {
+        // The follower's market order trades at the master's fill price
+        this.venue.setPrice(event.coin, event.px);
+        await this.account.orderExecutor.executeMarketOrder(fill);
+      } else if (this.syntheticOrders) {
+        const order = { ...fill, status: 'open', oid: `maker:${event.tid}`, limitPx: event.px };
+        await handleOrderEvent(this.account, order);
+        this.venue.setPrice(event.coin, event.px);
+        await handleOrderEvent(this.account, { ...order, status: 'filled' });
+      } else {
+        // Resting follower orders at this price fill with the master's
+        this.venue.setPrice(event.coin, event.px);
+      }
+    } else if (event.kind === 'order') {
+      this.counts.orders++;
+      if (event.status === 'filled') {
+        // The master's order traded at its limit price, so does the mirrored one
+        this.venue.setPrice(event.coin, parseFloat(event.limitPx));
+      }
+      await handleOrderEvent(this.account, event);
+    }
+
+    // Venue updates of this event are booked before the next one
+    await this.account.orderSync.queue;
+    await this.sampleTracking(event.coin);
+  }
+
+  applyMasterFill(fill) {
+    const book = this.masterPositions[fill.userAddress] || (this.masterPositions[fill.userAddress] = {});
+    book[fill.coin] = (book[fill.coin] || 0) + (fill.side === 'B' ? fill.sz : -fill.sz);
+    this.master.realizedPnl += fill.closedPnl || 0;
+    this.master.fees += fill.fee || 0;
+  }
+
+  /**
+   * Follower vs. target position for a coin, in USDT and as a share of follower equity
+   * Coins outside the whitelist are left out, they are reported as skipped instead.
+   */
+  async sampleTracking(coin) {
+    const mark = coin && this.venue.getMark(coin);
+    if (!mark || !this.riskControl.isCoinSupported(coin)) return;
+
+    let target = 0;
+    for (const [master, coins] of Object.entries(this.masterPositions)) {
+      if (!coins[coin]) continue;
+      // Follower units per master unit at the current equity
+      const ratio = await this.positionCalculator.calculateRawQuantity(coin, 1, master);
+      target += coins[coin] * ratio;
+    }
+
+    const followerPos = await this.venue.getPosition(coin);
+    const errorUsd = Math.abs(followerPos - target) * mark;
+    const equity = this.venue.getEquity();
+    const errorPct = equity > 0 ? errorUsd / equity * 100 : 0;
+
+    this.tracking.samples++;
+    this.tracking.sumUsd += errorUsd;
+    this.tracking.sumPct += errorPct;
+    this.tracking.maxUsd = Math.max(this.tracking.maxUsd, errorUsd);
+    this.tracking.maxPct = Math.max(this.tracking.maxPct, errorPct);
+  }
+
+  async getReport() {
+    const stats = this.venue.getStats();
+    const equity = this.venue.getEquity();
+    const { samples } = this.tracking;
+
+    return {
+      mode: this.settings.trading.mode,
+      ratio: this.settings.trading.mode === 'fixed' ? this.settings.trading.fixedRatio : this.settings.trading.equalRatio,
+      period: {
+        start: this.startTime ? new Date(this.startTime).toISOString() : null,
+        end: this.endTime ? new Date(this.endTime).toISOString() : null
+      },
+      events: { ...this.counts },
+      follower: {
+        initialBalance: this.initialBalance,
+        finalEquity: equity,
+        pnl: equity - this.initialBalance,
+        returnPct: (equity - this.initialBalance) / this.initialBalance * 100,
+        realizedPnl: stats.realizedPnl,
+        unrealizedPnl: this.venue.getUnrealizedPnl(),
+        fees: stats.fees,
+        trades: stats.trades,
+        liquidations: stats.liquidations,
+        positions: await this.venue.getPositions()
+      },
+      master: { ...this.master },
+      trackingError: {
+        samples,
+        meanUsd: samples ? this.tracking.sumUsd / samples : 0,
+        maxUsd: this.tracking.maxUsd,
+        meanPct: samples ? this.tracking.sumPct / samples : 0,
+        maxPct: this.tracking.maxPct
+      },
+      skipped: { ...this.riskControl.getStatus().rejectionCounts }
+    };
+  }
+}
+
+module.exports = BacktestRunner;
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Backtest a master before following it live.
+ *
+ * Usage:
+ *   npm run backtest -- --address <0x...> [--from 2025-01-01] [--to 2025-02-01] [options]
+ *   npm run backtest -- --file <recording.jsonl> [options]
+ *
+ * Options:
+ *   --mode equal|fixed     Sizing mode (default: the follower account's trading.mode)
+ *   --ratio 0.1[,0.2,...]  FIXED_RATIO / EQUAL_RATIO for the mode; several values are compared side by side
+ *   --master-equity <usd>  Master capital for equal mode (default with --address: its current account value)
+ *   --balance <usd>        Starting balance of the simulated follower (default: paper.initialBalance)
+ *   --account <id>         Follower account whose trading / riskControl settings are used (default: the first)
+ *   --json                 Print the full reports as JSON
+ *   --verbose              Keep info logs
+ */
+const args = parseArgs(process.argv.slice(2));
+if (!args.verbose) {
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL === 'debug' ? 'debug' : 'warn';
+}
+
+const config = require('config');
+const hyperApiClient = require('../hyperliquid/api-client');
+const followerRegistry = require('../core/follower-registry');
+const BacktestRunner = require('./backtest-runner');
+const SymbolRules = require('../binance/symbol-rules');
+const { loadRecording, loadMasterFills } = require('./event-loader');
+
+const DAY_MS = 86400000;
+
+function parseArgs(argv) {
+  const parsed = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const name = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      parsed[name] = true;
+    } else {
+      parsed[name] = next;
+      i++;
+    }
+  }
+  return parsed;
+}
+
+function parseTime(value, fallback) {
+  if (!value) return fallback;
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return time;
+}
+
+async function loadEvents() {
+  if (args.file) {
+    return { events: await loadRecording(args.file), syntheticOrders: false };
+  }
+  if (args.address) {
+    const to = parseTime(args.to, Date.now());
+    const from = parseTime(args.from, to - 30 * DAY_MS);
+    return { events: await loadMasterFills(args.address, from, to), syntheticOrders: true };
+  }
+  throw new Error('Pass --address <master> or --file <recording.jsonl>');
+}
+
+async function resolveMasterEquity(mode) {
+  if (args['master-equity']) return parseFloat(args['master-equity']);
+  if (mode !== 'equal') return null;
+  if (!args.address) {
+    throw new Error('Equal mode needs --master-equity when replaying a recording');
+  }
+
+  const state = await hyperApiClient.getClearinghouseState(args.address);
+  const equity = parseFloat(state && state.marginSummary && state.marginSummary.accountValue);
+  console.warn(`Using the master's current account value (${equity}) as its equity for the whole period`);
+  return equity;
+}
+
+function formatUsd(value) {
+  return value.toFixed(2);
+}
+
+function printTable(reports) {
+  const rows = reports.map(r => ({
+    ratio: r.ratio,
+    equity: formatUsd(r.follower.finalEquity),
+    pnl: formatUsd(r.follower.pnl),
+    'return %': r.follower.returnPct.toFixed(2),
+    fees: formatUsd(r.follower.fees),
+    trades: r.follower.trades,
+    'min size forced': r.events.minSizeForced,
+    skipped: Object.values(r.skipped).reduce((a, b) => a + b, 0),
+    'track err avg': formatUsd(r.trackingError.meanUsd),
+    'track err max': formatUsd(r.trackingError.maxUsd),
+    'track err avg %': r.trackingError.meanPct.toFixed(2)
+  }));
+
+  const [first] = reports;
+  console.log(`\nBacktest ${first.period.start} -> ${first.period.end} (${first.mode} mode, ${first.events.fills} fills, ${first.events.orders} order updates)`);
+  console.log(`Master realized PnL ${formatUsd(first.master.realizedPnl)}, fees ${formatUsd(first.master.fees)}`);
+  console.table(rows);
+  reports.forEach(r => {
+    const reasons = Object.entries(r.skipped).filter(([, n]) => n > 0).map(([k, n]) => `${k}=${n}`).join(', ');
+    if (reasons) console.log(`ratio ${r.ratio} skipped: ${reasons}`);
+  });
+}
+
+async function main() {
+  const accountSettings = args.account
+    ? followerRegistry.getSettings().find(s => s.id === args.account)
+    : followerRegistry.getSettings()[0];
+  if (!accountSettings) {
+    throw new Error(`Unknown follower account: ${args.account}`);
+  }
+
+  const mode = args.mode || accountSettings.trading.mode;
+  const ratioKey = mode === 'fixed' ? 'fixedRatio' : 'equalRatio';
+  const ratios = args.ratio
+    ? String(args.ratio).split(',').map(parseFloat)
+    : [accountSettings.trading[ratioKey]];
+
+  const { events, syntheticOrders } = await loadEvents();
+  if (events.length === 0) {
+    throw new Error('No master events to replay');
+  }
+  const masterEquity = await resolveMasterEquity(mode);
+
+  const paper = { ...config.get('paper') };
+  if (args.balance) paper.initialBalance = parseFloat(args.balance);
+  if (paper.exchangeRules) {
+    // Current Binance precision and min notional, without touching the live Redis cache
+    await SymbolRules.forNetwork(false).fetch().catch(error => {
+      console.warn(`Could not load Binance exchangeInfo (${error.message}), using fallback precision`);
+    });
+  }
+
+  const reports = [];
+  for (const ratio of ratios) {
+    const settings = {
+      ...accountSettings,
+      trading: { ...accountSettings.trading, mode, [ratioKey]: ratio }
+    };
+    const runner = new BacktestRunner({ settings, paper, masterEquity, syntheticOrders });
+    reports.push(await runner.run(events));
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    printTable(reports);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`Backtest failed: ${error.message}`);
+    process.exit(1);
+  });
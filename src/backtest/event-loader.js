@@ -0,0 +1,97 @@
+const hyperApiClient = require('../hyperliquid/api-client');
+const { parseOrderUpdate } = require('../hyperliquid/parsers');
+const { readRecording } = require('../hyperliquid/recording-reader');
+
+/**
+ * Replay events consumed by BacktestRunner:
+ * - { kind: 'order', time, status, coin, side, limitPx, sz, oid, reduceOnly, userAddress }
+ * - { kind: 'fill', time, coin, side, px, sz, crossed, closedPnl, fee, tid, oid, userAddress }
+ */
+
+/**
+ * Convert one Hyperliquid WebSocket message into replay events
+ * @param {object} message { channel, data }
+ * @param {string} [user] Master the message was received for (orderUpdates carry no user)
+ * @returns {Array<object>}
+ */
+function eventsFromMessage(message, user = null) {
+  if (!message || !message.data) return [];
+
+  if (message.channel === 'orderUpdates') {
+    const raw = Array.isArray(message.data) ? message.data : [];
+    return parseOrderUpdate(raw).map(order => {
+      // order.timestamp is the placement time, statusTimestamp is when this update happened
+      const update = raw.find(u => u.order && u.order.oid === order.oid);
+      return {
+        kind: 'order',
+        ...order,
+        userAddress: (order.userAddress || user || '').toLowerCase() || null,
+        time: (update && update.statusTimestamp) || order.timestamp
+      };
+    });
+  }
+
+  if (message.channel === 'userFills') {
+    // The snapshot sent on subscribe is history from before the recording started
+    if (message.data.isSnapshot || !Array.isArray(message.data.fills)) return [];
+    return message.data.fills.map(fill => fromRawFill(fill, message.data.user || user));
+  }
+
+  return [];
+}
+
+/**
+ * @param {object} fill Raw Hyperliquid fill
+ * @param {string} userAddress
+ */
+function fromRawFill(fill, userAddress) {
+  return {
+    kind: 'fill',
+    time: fill.time,
+    coin: fill.coin,
+    side: fill.side,
+    px: parseFloat(fill.px),
+    sz: parseFloat(fill.sz),
+    crossed: fill.crossed === true,
+    closedPnl: parseFloat(fill.closedPnl) || 0,
+    fee: parseFloat(fill.fee) || 0,
+    tid: fill.tid,
+    oid: fill.oid, // Fills of a mirrored trigger order are left to the follower's copy
+    userAddress: userAddress ? userAddress.toLowerCase() : null
+  };
+}
+
+/**
+ * Load a recording (ws-recorder files, a directory of them, or plain JSONL of
+ * orderUpdates / userFills messages), in recorded order
+ * @param {string} target File or directory
+ * @returns {Promise<Array<object>>}
+ */
+async function loadRecording(target) {
+  const events = [];
+  for await (const entry of readRecording(target)) {
+    if (entry.message) {
+      events.push(...eventsFromMessage(entry.message, entry.user));
+    }
+  }
+  return events;
+}
+
+/**
+ * Load a master's fill history from the Hyperliquid API, oldest first
+ * Only fills are available historically, so maker fills stand in for the master's limit orders.
+ * @param {string} address
+ * @param {number} startTime ms
+ * @param {number} [endTime] ms
+ * @returns {Promise<Array<object>>}
+ */
+async function loadMasterFills(address, startTime, endTime) {
+  const fills = await hyperApiClient.getUserFillsByTime(address, startTime, endTime);
+  return fills.map(fill => fromRawFill(fill, address));
+}
+
+module.exports = {
+  eventsFromMessage,
+  loadRecording,
+  loadMasterFills
+};
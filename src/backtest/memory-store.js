@@ -0,0 +1,120 @@
+/**
+ * In-memory stand-in for the Redis commands PositionTracker, OrderStore, OrderLifecycle and RiskControl use,
+ * so replays keep their pending deltas out of the live database.
+ */
+class MemoryStore {
+  constructor() {
+    this.values = new Map();
+  }
+
+  async get(key) {
+    return this.values.has(key) ? String(this.values.get(key)) : null;
+  }
+
+  async set(key, value, ...options) {
+    if (options.includes('NX') && this.values.has(key)) return null;
+    this.values.set(key, value);
+    return 'OK';
+  }
+
+  async incrbyfloat(key, amount) {
+    const next = (parseFloat(this.values.get(key)) || 0) + parseFloat(amount);
+    this.values.set(key, next);
+    return String(next);
+  }
+
+  async hset(key, fields) {
+    this.values.set(key, { ...(this.values.get(key) || {}), ...fields });
+    return 1;
+  }
+
+  async hsetnx(key, field, value) {
+    const hash = this.values.get(key) || {};
+    if (field in hash) return 0;
+    this.values.set(key, { ...hash, [field]: value });
+    return 1;
+  }
+
+  async hgetall(key) {
+    const value = this.values.get(key);
+    if (!value || typeof value !== 'object') return {};
+    return Object.fromEntries(Object.entries(value).map(([field, v]) => [field, String(v)]));
+  }
+
+  async hdel(key, field) {
+    const hash = this.values.get(key);
+    if (!hash || !(field in hash)) return 0;
+    const { [field]: removed, ...rest } = hash;
+    this.values.set(key, rest);
+    return 1;
+  }
+
+  async sadd(key, member) {
+    const set = this.values.get(key) || new Set();
+    this.values.set(key, set);
+    return set.has(member) ? 0 : (set.add(member), 1);
+  }
+
+  async srem(key, member) {
+    const set = this.values.get(key);
+    return set && set.delete(member) ? 1 : 0;
+  }
+
+  async smembers(key) {
+    return [...(this.values.get(key) || [])];
+  }
+
+  async rpush(key, value) {
+    const list = this.values.get(key) || [];
+    list.push(value);
+    this.values.set(key, list);
+    return list.length;
+  }
+
+  async lpush(key, value) {
+    const list = this.values.get(key) || [];
+    list.unshift(value);
+    this.values.set(key, list);
+    return list.length;
+  }
+
+  async ltrim(key, start, stop) {
+    const list = this.values.get(key) || [];
+    this.values.set(key, list.slice(start, stop === -1 ? undefined : stop + 1));
+    return 'OK';
+  }
+
+  async lrange(key, start, stop) {
+    const list = this.values.get(key) || [];
+    return list.slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  async scan(cursor, match, pattern) {
+    const prefix = pattern.replace(/\*$/, '');
+    return ['0', [...this.values.keys()].filter(key => key.startsWith(prefix))];
+  }
+
+  async del(key) {
+    return this.values.delete(key) ? 1 : 0;
+  }
+
+  async expire() {
+    return 1; // Replays are short-lived, nothing expires
+  }
+
+  pipeline() {
+    const commands = [];
+    const pipeline = {
+      exec: () => Promise.all(commands.map(run => run()))
+    };
+    ['get', 'set', 'incrbyfloat', 'hset', 'hdel', 'hgetall', 'rpush', 'lpush', 'ltrim', 'srem', 'del', 'expire'].forEach(name => {
+      pipeline[name] = (...args) => {
+        commands.push(() => this[name](...args).then(result => [null, result]));
+        return pipeline;
+      };
+    });
+    return pipeline;
+  }
+}
+
+module.exports = MemoryStore;
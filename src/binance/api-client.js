@@ -1,16 +1,30 @@
 const Binance = require('binance-api-node').default;
-const config = require('config');
 const logger = require('../utils/logger');
+const ExecutionVenue = require('../venues/execution-venue');
+const SymbolRules = require('./symbol-rules');
+const SymbolMap = require('./symbol-map');
+const BinanceUserStream = require('./user-stream');
 
-class BinanceClient {
-  constructor() {
-    const binanceConfig = config.get('binance');
+/**
+ * Binance USDT-M Futures execution venue adapter
+ */
+class BinanceClient extends ExecutionVenue {
+  /**
+   * @param {object} binanceConfig { apiKey, apiSecret, useTestnet }
+   * @param {string} accountId Follower account this client trades for (log context)
+   */
+  constructor(binanceConfig, accountId = 'default') {
+    super('binance', accountId);
     this.client = Binance({
       apiKey: binanceConfig.apiKey,
       apiSecret: binanceConfig.apiSecret,
       httpBase: binanceConfig.useTestnet ? 'https://testnet.binancefuture.com' : undefined,
     });
     this.isTestnet = binanceConfig.useTestnet;
+    this.symbolRules = SymbolRules.forNetwork(!!binanceConfig.useTestnet);
+    // Quantities and prices on this interface are in Hyperliquid coin units, see SymbolMap
+    this.symbolMap = SymbolMap.forRules(this.symbolRules);
+    this.userStream = new BinanceUserStream(this.client, { useTestnet: !!binanceConfig.useTestnet, accountId });
   }
 
   /**
@@ -44,43 +58,72 @@ class BinanceClient {
 
   /**
    * Convert Hyperliquid coin symbol to Binance Futures symbol
-   * @param {string} coin e.g., "BTC"
-   * @returns {string} e.g., "BTCUSDT"
+   * @param {string} coin e.g., "BTC", "kPEPE"
+   * @returns {string} e.g., "BTCUSDT", "1000PEPEUSDT"
+   */
+  getSymbol(coin) {
+    return this.symbolMap.getSymbol(coin);
+  }
+
+  /**
+   * @param {string} symbol e.g., "1000PEPEUSDT"
+   * @returns {string} e.g., "kPEPE"
+   */
+  getCoin(symbol) {
+    return this.symbolMap.getCoin(symbol);
+  }
+
+  /**
+   * Load symbol rules (shared by every account on the same network)
    */
-  getBinanceSymbol(coin) {
-    // MVP assumption: All pairs are USDT perpetuals
-    return `${coin}USDT`;
+  async start() {
+    await this.symbolRules.start();
+  }
+
+  stop() {
+    this.symbolRules.stop();
+    this.userStream.stop();
   }
 
   /**
-   * Round price to tick size
+   * Round price to the symbol's PRICE_FILTER tick size
    * @param {string} coin 
    * @param {number|string} price 
+   * @returns {string}
    */
   roundPrice(coin, price) {
-    // Basic tick size implementation
-    // Ideally this should come from exchangeInfo
-    const tickSizes = {
-      BTC: 1, // 0.1 for BTCUSDT usually? No, it's 0.1. Let's verify. 
-              // Actually for BTCUSDT on Futures, tick size is usually 0.1
-              // BUT, HL prices might be 94352.0.
-              // Let's use 1 decimal place for BTC/ETH to be safe, or 2.
-              // BTC: 0.1, ETH: 0.01, SOL: 0.01
-      BTC: 0.1,
-      ETH: 0.01,
-      SOL: 0.01,
-      DEFAULT: 0.0001
-    };
-    
-    const tickSize = tickSizes[coin] || tickSizes.DEFAULT;
-    // Round to nearest tick
-    const p = parseFloat(price);
-    const rounded = Math.round(p / tickSize) * tickSize;
-    
-    // Convert to fixed string to avoid 94352.00000001
-    // Count decimals in tickSize
-    const decimals = (tickSize.toString().split('.')[1] || '').length;
-    return rounded.toFixed(decimals);
+    return this.symbolMap.roundPrice(coin, price);
+  }
+
+  /**
+   * Round quantity to the symbol's LOT_SIZE (or MARKET_LOT_SIZE) step
+   * @param {string} coin
+   * @param {number} quantity
+   * @param {object} [options] { market, floor }
+   * @returns {number}
+   */
+  roundQuantity(coin, quantity, options = {}) {
+    return this.symbolMap.roundQuantity(coin, quantity, options);
+  }
+
+  /**
+   * Smallest accepted order quantity (min qty and min notional at `price`)
+   * @param {string} coin
+   * @param {number} [price]
+   * @param {boolean} [market]
+   * @returns {number}
+   */
+  getMinQuantity(coin, price, market = false) {
+    return this.symbolMap.getMinQuantity(coin, price, market);
+  }
+
+  /**
+   * Price tick in coin units
+   * @param {string} coin
+   * @returns {number}
+   */
+  getTickSize(coin) {
+    return this.symbolMap.getTickSize(coin);
   }
 
   /**
@@ -90,23 +133,24 @@ class BinanceClient {
    * @param {number|string} price 
    * @param {number|string} quantity 
    * @param {boolean} reduceOnly
+   * @param {string} timeInForce 'GTC', 'GTX' (post-only) or 'IOC'
    */
-  async createLimitOrder(coin, side, price, quantity, reduceOnly = false) {
-    const symbol = this.getBinanceSymbol(coin);
+  async createLimitOrder(coin, side, price, quantity, reduceOnly = false, timeInForce = 'GTC') {
+    const symbol = this.getSymbol(coin);
     const binanceSide = side === 'B' ? 'BUY' : 'SELL';
     
     // Ensure Price Precision
-    const formattedPrice = this.roundPrice(coin, price);
+    const formattedPrice = this.symbolMap.formatPrice(coin, price);
     
-    logger.info(`Placing LIMIT order on Binance: ${symbol} ${binanceSide} ${quantity} @ ${formattedPrice} (Orig: ${price}) ${reduceOnly ? '[REDUCE-ONLY]' : ''}`);
+    logger.info(`Placing LIMIT ${timeInForce} order on Binance: ${symbol} ${binanceSide} ${quantity} @ ${formattedPrice} (Orig: ${price}) ${reduceOnly ? '[REDUCE-ONLY]' : ''}`);
 
     try {
       const params = {
         symbol: symbol,
         side: binanceSide,
         type: 'LIMIT',
-        timeInForce: 'GTC', // Good Till Cancelled
-        quantity: quantity.toString(),
+        timeInForce,
+        quantity: this.symbolMap.formatQuantity(coin, quantity),
         price: formattedPrice,
       };
 
@@ -115,9 +159,10 @@ class BinanceClient {
       }
 
       const order = await this.client.futuresOrder(params);
+      this.checkPostOnly(order, timeInForce);
       
       logger.info(`Binance LIMIT Order Placed: ${order.orderId}`);
-      return order;
+      return this.normalizeOrder(order);
     } catch (error) {
       const errorMsg = `Binance Limit Order Failed: ${error.message} (Code: ${error.code})`;
       logger.error(errorMsg, {
@@ -138,7 +183,7 @@ class BinanceClient {
    * @param {boolean} reduceOnly
    */
   async createMarketOrder(coin, side, quantity, reduceOnly = false) {
-    const symbol = this.getBinanceSymbol(coin);
+    const symbol = this.getSymbol(coin);
     const binanceSide = side === 'B' ? 'BUY' : 'SELL';
 
     logger.info(`Placing MARKET order on Binance: ${symbol} ${binanceSide} ${quantity} ${reduceOnly ? '[REDUCE-ONLY]' : ''}`);
@@ -148,7 +193,7 @@ class BinanceClient {
         symbol: symbol,
         side: binanceSide,
         type: 'MARKET',
-        quantity: quantity.toString(),
+        quantity: this.symbolMap.formatQuantity(coin, quantity, true),
       };
 
       if (reduceOnly) {
@@ -158,7 +203,7 @@ class BinanceClient {
       const order = await this.client.futuresOrder(params);
 
       logger.info(`Binance MARKET Order Placed: ${order.orderId}`);
-      return order;
+      return this.normalizeOrder(order);
     } catch (error) {
       const errorMsg = `Binance Market Order Failed: ${error.message} (Code: ${error.code})`;
       logger.error(errorMsg, {
@@ -171,6 +216,88 @@ class BinanceClient {
     }
   }
 
+  /**
+   * Create a conditional (trigger) order
+   * Triggers on the mark price, like Hyperliquid trigger orders.
+   * @param {string} coin 
+   * @param {string} side 'B' or 'A'
+   * @param {object} trigger { type, stopPrice, price?, quantity?, reduceOnly?, closePosition? }
+   *   type is STOP_MARKET, TAKE_PROFIT_MARKET, STOP or TAKE_PROFIT (the last two need a price);
+   *   closePosition orders carry no quantity and close whatever position is open when triggered
+   */
+  async createTriggerOrder(coin, side, { type, stopPrice, price, quantity, reduceOnly = false, closePosition = false }) {
+    const symbol = this.getSymbol(coin);
+    const binanceSide = side === 'B' ? 'BUY' : 'SELL';
+    const params = {
+      symbol,
+      side: binanceSide,
+      type,
+      stopPrice: this.symbolMap.formatPrice(coin, stopPrice),
+      workingType: 'MARK_PRICE'
+    };
+
+    if (type === 'STOP' || type === 'TAKE_PROFIT') {
+      params.price = this.symbolMap.formatPrice(coin, price);
+      params.timeInForce = 'GTC';
+    }
+    if (closePosition) {
+      params.closePosition = 'true';
+    } else {
+      params.quantity = this.symbolMap.formatQuantity(coin, quantity, !params.price);
+      if (reduceOnly) {
+        params.reduceOnly = true;
+      }
+    }
+
+    logger.info(`Placing ${type} order on Binance: ${symbol} ${binanceSide} ${closePosition ? 'CLOSE-POSITION' : quantity} trigger ${params.stopPrice}${params.price ? ` @ ${params.price}` : ''} ${reduceOnly ? '[REDUCE-ONLY]' : ''}`);
+
+    try {
+      const order = await this.client.futuresOrder(params);
+      logger.info(`Binance ${type} Order Placed: ${order.orderId}`);
+      return this.normalizeOrder(order);
+    } catch (error) {
+      logger.error(`Binance ${type} Order Failed: ${error.message} (Code: ${error.code})`, {
+        message: error.message,
+        code: error.code,
+        response: error.response?.data,
+        params
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Modify a LIMIT order in place (PUT /fapi/v1/order)
+   * @param {string} coin 
+   * @param {string|number} orderId 
+   * @param {string} side 'B' or 'A'
+   * @param {number|string} price 
+   * @param {number|string} quantity New total quantity, including the executed part
+   */
+  async amendOrder(coin, orderId, side, price, quantity) {
+    const symbol = this.getSymbol(coin);
+    const params = {
+      symbol,
+      orderId,
+      side: side === 'B' ? 'BUY' : 'SELL',
+      quantity: this.symbolMap.formatQuantity(coin, quantity),
+      price: this.symbolMap.formatPrice(coin, price)
+    };
+
+    logger.info(`Amending Binance order ${orderId}: ${symbol} ${params.side} ${params.quantity} @ ${params.price}`);
+
+    try {
+      const order = await this.client.futuresUpdateOrder(params);
+      return this.normalizeOrder(order);
+    } catch (error) {
+      logger.error(`Binance Order Amend Failed: ${error.message} (Code: ${error.code})`, {
+        code: error.code,
+        params
+      });
+      throw error;
+    }
+  }
+
   /**
    * Cancel an order
    * @param {string} symbol 
@@ -194,93 +321,132 @@ class BinanceClient {
   }
 
   /**
-   * Subscribe to User Data Stream (Fills, Order Updates)
-   * @param {function} callback 
+   * Subscribe to User Data Stream (Order Updates)
+   * The stream is shared by all subscribers, it runs while at least one is subscribed.
+   * @param {function} callback Receives normalized order updates
+   * @param {function} [onStatus] Receives { connected, reason? } when the stream opens or drops
    * @returns {function} Unsubscribe function
    */
-  subscribeUserStream(callback) {
-    try {
-      // client.ws.user returns a clean callback
-      return this.client.ws.futuresUser(callback); 
-      // Note: For Futures it is usually futuresUser, or user with specific config. 
-      // binance-api-node distinguishes user() for spot and futuresUser() for futures?
-      // Checking standard library usage: usually client.ws.futuresUser(callback) for futures.
-    } catch (error) {
-      logger.error('Failed to subscribe to Binance User Stream', error);
-      throw error;
+  subscribeUserStream(callback, onStatus) {
+    const onUpdate = event => callback(this.normalizeOrderUpdate(event));
+    this.userStream.on('update', onUpdate);
+    if (onStatus) {
+      this.userStream.on('status', onStatus);
+      // Late subscribers of a running stream get its current state
+      if (this.userStream.getStatus().connected) onStatus({ connected: true });
     }
+    this.userStream.start();
+
+    return () => {
+      this.userStream.off('update', onUpdate);
+      if (onStatus) this.userStream.off('status', onStatus);
+      if (this.userStream.listenerCount('update') === 0) this.userStream.stop();
+    };
+  }
+
+  /**
+   * @returns {object} User stream health, see BinanceUserStream.getStatus
+   */
+  getUserStreamStatus() {
+    return this.userStream.getStatus();
   }
 
   /**
-   * Get Order Status
+   * Get a single order
    * @param {string} symbol 
    * @param {string} orderId 
-   * @returns {Promise<string>} Order status
+   * @returns {Promise<object>} Normalized order
    */
-  async getOrderStatus(symbol, orderId) {
-    try {
-      const order = await this.client.futuresGetOrder({
-        symbol: symbol,
-        orderId: orderId.toString()
-      });
-      return order.status;
-    } catch (error) {
-      // If order not found (e.g. -2013), throw or return null
-      throw error;
-    }
+  async getOrder(symbol, orderId) {
+    const order = await this.client.futuresGetOrder({
+      symbol: symbol,
+      orderId: orderId.toString()
+    });
+    return this.normalizeOrder(order);
   }
 
   /**
-   * Get Futures Account Info (V2)
-   * @returns {Promise<object>} Account information including balances
+   * -2011: Unknown order sent, -2013: Order does not exist
+   * @param {Error} error 
    */
-  async futuresAccountInfo() {
-    try {
-      // Use V2 endpoint typically
-      return await this.client.futuresAccountInfo();
-    } catch (error) {
-      logger.error('Binance Account Info Failed', error);
+  isUnknownOrderError(error) {
+    return !!error && (error.code === -2011 || error.code === -2013);
+  }
+
+  /**
+   * Check if error means a GTX (post-only) order would have crossed the book
+   * -5022: Post Only order will be rejected
+   * @param {Error} error 
+   */
+  isPostOnlyRejectedError(error) {
+    return !!error && error.code === -5022;
+  }
+
+  /**
+   * Older API versions accept a crossing GTX order and expire it right away instead of
+   * rejecting it; report both the same way
+   * @param {object} order futuresOrder response
+   * @param {string} timeInForce
+   */
+  checkPostOnly(order, timeInForce) {
+    if (timeInForce === 'GTX' && order && order.status === 'EXPIRED') {
+      const error = new Error('Due to the order could not be executed as maker, the Post Only order will be rejected.');
+      error.code = -5022;
       throw error;
     }
   }
 
   /**
-   * Get Futures Position Risk (V2)
-   * @returns {Promise<Array>} Position risk information
+   * Get open orders
+   * @param {string} [symbol] All symbols when omitted
+   * @returns {Promise<Array>} Normalized orders
+   */
+  async getOpenOrders(symbol) {
+    const openOrders = await this.client.futuresOpenOrders(symbol ? { symbol } : {});
+    return openOrders.map(o => this.normalizeOrder(o));
+  }
+
+  /**
+   * Get account balances (futuresAccountInfo V2)
+   * 'totalMarginBalance' includes unrealized PnL and is used as equity,
+   * 'totalWalletBalance' includes realized PnL only.
+   * @returns {Promise<object>} { totalEquity, walletBalance, availableBalance }
    */
-  async futuresPositionRisk() {
+  async getAccountSummary() {
     try {
-      return await this.client.futuresPositionRisk();
+      const account = await this.client.futuresAccountInfo();
+      return {
+        totalEquity: parseFloat(account.totalMarginBalance),
+        walletBalance: parseFloat(account.totalWalletBalance),
+        availableBalance: parseFloat(account.availableBalance)
+      };
     } catch (error) {
-      logger.error('Binance Position Risk Failed', error);
+      logger.error('Binance Account Info Failed', error);
       throw error;
     }
   }
 
-
   /**
-   * Get detailed position info (amount, entry price, unrealized profit)
-   * @param {string} coin 
-   * @returns {Promise<object|null>} Position details or null
+   * Get open positions (futuresPositionRisk V2)
+   * @returns {Promise<Array>} Normalized non-zero positions
    */
-  async getPositionDetails(coin) {
+  async getPositions() {
     try {
-      const symbol = this.getBinanceSymbol(coin);
-      const positions = await this.futuresPositionRisk();
-      const position = positions.find(p => p.symbol === symbol);
-      
-      if (!position) return null;
-      
-      return {
-        amount: parseFloat(position.positionAmt),
-        entryPrice: parseFloat(position.entryPrice),
-        unRealizedProfit: parseFloat(position.unRealizedProfit),
-        leverage: parseInt(position.leverage),
-        liquidationPrice: parseFloat(position.liquidationPrice)
-      };
+      const positions = await this.client.futuresPositionRisk();
+      return positions
+        .filter(p => parseFloat(p.positionAmt) !== 0)
+        .map(p => ({
+          symbol: p.symbol,
+          amount: this.symbolMap.toCoinQuantity(p.symbol, p.positionAmt),
+          entryPrice: this.symbolMap.toCoinPrice(p.symbol, p.entryPrice),
+          markPrice: this.symbolMap.toCoinPrice(p.symbol, p.markPrice),
+          unrealizedProfit: parseFloat(p.unRealizedProfit),
+          leverage: parseInt(p.leverage),
+          liquidationPrice: this.symbolMap.toCoinPrice(p.symbol, p.liquidationPrice)
+        }));
     } catch (error) {
-      logger.error(`Failed to get position details for ${coin}`, error);
-      return null;
+      logger.error('Binance Position Risk Failed', error);
+      throw error;
     }
   }
 
@@ -292,11 +458,11 @@ class BinanceClient {
    * @param {number|string} quantity 
    */
   async createReduceOnlyOrder(coin, side, price, quantity) {
-    const symbol = this.getBinanceSymbol(coin);
+    const symbol = this.getSymbol(coin);
     const binanceSide = side === 'B' ? 'BUY' : 'SELL';
     
     // Ensure Price Precision
-    const formattedPrice = this.roundPrice(coin, price);
+    const formattedPrice = this.symbolMap.formatPrice(coin, price);
     
     logger.info(`Placing REDUCE-ONLY order on Binance: ${symbol} ${binanceSide} ${quantity} @ ${formattedPrice}`);
 
@@ -306,13 +472,13 @@ class BinanceClient {
         side: binanceSide,
         type: 'LIMIT',
         timeInForce: 'GTC', 
-        quantity: quantity.toString(),
+        quantity: this.symbolMap.formatQuantity(coin, quantity),
         price: formattedPrice,
         reduceOnly: true // Vital for TP
       });
       
       logger.info(`Binance REDUCE-ONLY Order Placed: ${order.orderId}`);
-      return order;
+      return this.normalizeOrder(order);
     } catch (error) {
       const errorMsg = `Binance Reduce-Only Order Failed: ${error.message} (Code: ${error.code})`;
       logger.error(errorMsg, {
@@ -333,11 +499,12 @@ class BinanceClient {
    * @param {number|string} price 
    * @param {number|string} quantity 
    * @param {boolean} reduceOnly 
+   * @param {string} timeInForce
    */
-  async cancelReplaceOrder(coin, cancelOrderId, side, price, quantity, reduceOnly = false) {
-    const symbol = this.getBinanceSymbol(coin);
+  async cancelReplaceOrder(coin, cancelOrderId, side, price, quantity, reduceOnly = false, timeInForce = 'GTC') {
+    const symbol = this.getSymbol(coin);
     const binanceSide = side === 'B' ? 'BUY' : 'SELL';
-    const formattedPrice = this.roundPrice(coin, price);
+    const formattedPrice = this.symbolMap.formatPrice(coin, price);
 
     logger.info(`Atomic Cancel/Replace for ${coin}: Cancel ${cancelOrderId}, Place ${binanceSide} ${quantity} @ ${formattedPrice}`);
 
@@ -345,8 +512,8 @@ class BinanceClient {
       symbol: symbol,
       side: binanceSide,
       type: 'LIMIT',
-      timeInForce: 'GTC',
-      quantity: quantity.toString(),
+      timeInForce,
+      quantity: this.symbolMap.formatQuantity(coin, quantity),
       price: formattedPrice,
       cancelOrderId: cancelOrderId.toString(),
       cancelReplaceMode: 'ALLOW_FAILURE' // If cancel fails, still try to place? Or STOP_ON_FAILURE? usually STOP_ON_FAILURE is safer to avoid over-position
@@ -360,13 +527,14 @@ class BinanceClient {
       // Check if library supports it
       if (typeof this.client.futuresCancelReplace === 'function') {
         const result = await this.client.futuresCancelReplace(params);
+        this.checkPostOnly(result.newOrderResponse, timeInForce);
         logger.info(`Binance Cancel/Replace Success. New Order: ${result.newOrderResponse.orderId}`);
-        return result.newOrderResponse; // Return the new order structure
+        return this.normalizeOrder(result.newOrderResponse); // Return the new order structure
       } else {
         // Fallback for older library versions: Manual sequence
         logger.warn('Library does not support futuresCancelReplace. Using sequential fallback.');
         await this.cancelOrder(symbol, cancelOrderId);
-        return await this.createLimitOrder(coin, side, price, quantity, reduceOnly);
+        return await this.createLimitOrder(coin, side, price, quantity, reduceOnly, timeInForce);
       }
     } catch (error) {
        // If standard error, log it
@@ -379,40 +547,52 @@ class BinanceClient {
   }
 
   /**
-   * Get current signed position amount for a coin
-   * @param {string} coin 
-   * @returns {Promise<number>} Signed position amount (Positive=Long, Negative=Short)
+   * Convert a Binance order response to the venue order shape
+   * @param {object} order 
    */
-  async getPosition(coin) {
-    try {
-      const symbol = this.getBinanceSymbol(coin);
-      const positions = await this.futuresPositionRisk();
-      const position = positions.find(p => p.symbol === symbol);
-      return position ? parseFloat(position.positionAmt) : 0;
-    } catch (error) {
-      logger.error(`Failed to get position for ${coin}`, error);
-      return 0; // Default to 0 (no position) on error to be safe
-    }
+  normalizeOrder(order) {
+    const map = this.symbolMap;
+    return {
+      orderId: order.orderId,
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      status: order.status,
+      price: map.toCoinPrice(order.symbol, order.price) || 0,
+      origQty: map.toCoinQuantity(order.symbol, order.origQty) || 0,
+      executedQty: map.toCoinQuantity(order.symbol, order.executedQty) || 0,
+      avgPrice: map.toCoinPrice(order.symbol, order.avgPrice) || 0,
+      timeInForce: order.timeInForce,
+      stopPrice: map.toCoinPrice(order.symbol, order.stopPrice) || 0,
+      closePosition: order.closePosition === true || order.closePosition === 'true',
+      reduceOnly: order.reduceOnly === true || order.reduceOnly === 'true'
+    };
   }
 
   /**
-   * Get total quantity of open orders on a specific side
-   * @param {string} coin 
-   * @param {string} side 'BUY' or 'SELL'
-   * @returns {Promise<number>}
+   * Convert a (flattened) ORDER_TRADE_UPDATE event to the venue order update shape
+   * @param {object} event 
    */
-  async getOpenOrderQuantity(coin, side) {
-    try {
-      const symbol = this.getBinanceSymbol(coin);
-      const openOrders = await this.client.futuresOpenOrders({ symbol });
-      return openOrders
-        .filter(o => o.side === side)
-        .reduce((sum, o) => sum + parseFloat(o.origQty), 0);
-    } catch (error) {
-      logger.error(`Failed to get open order quantity for ${coin}`, error);
-      return 0;
-    }
+  normalizeOrderUpdate(event) {
+    const map = this.symbolMap;
+    return {
+      symbol: event.symbol,
+      orderId: event.orderId,
+      side: event.side,
+      orderType: event.orderType,
+      price: map.toCoinPrice(event.symbol, event.price) || 0,
+      quantity: map.toCoinQuantity(event.symbol, event.quantity) || 0,
+      reduceOnly: event.isReduceOnly === true,
+      isMaker: event.isMaker === true,
+      status: event.orderStatus,
+      executionType: event.executionType,
+      lastFilledQty: map.toCoinQuantity(event.symbol, event.lastTradeQuantity) || 0,
+      lastFilledPrice: map.toCoinPrice(event.symbol, event.priceLastTrade) || 0,
+      cumulativeFilledQty: map.toCoinQuantity(event.symbol, event.totalTradeQuantity) || 0,
+      tradeId: event.tradeId,
+      eventTime: event.eventTime
+    };
   }
 }
 
-module.exports = new BinanceClient();
+module.exports = BinanceClient;
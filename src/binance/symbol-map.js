@@ -0,0 +1,232 @@
+const config = require('config');
+const logger = require('../utils/logger');
+
+// Binance prefixes for contracts quoted per bundle of base units, with the bundle size
+const VENUE_PREFIXES = [['', 1], ['1000', 1000], ['1000000', 1000000], ['1M', 1000000]];
+
+/**
+ * Hyperliquid coin <-> Binance symbol registry.
+ * Hyperliquid quotes some coins per 1000 units ("kPEPE") and Binance lists some per 1000 or
+ * 1,000,000 units ("1000PEPEUSDT", "1MBABYDOGEUSDT"). Each mapping has a `multiplier`:
+ * Hyperliquid units per Binance contract unit, so
+ *   venue quantity = coin quantity / multiplier, venue price = coin price * multiplier.
+ * Mappings are derived from the symbols in exchangeInfo (a contract with the same unit size
+ * is preferred), `binance.symbolMap` overrides them:
+ *   { kPEPE: '1000PEPEUSDT' } or { MOG: { symbol: '1000000MOGUSDT', multiplier: 1000000 } }
+ * Everything outside the venue adapters works in Hyperliquid coin units.
+ */
+class SymbolMap {
+  /**
+   * @param {SymbolRules} symbolRules Source of listed symbols
+   * @param {object} [overrides] config binance.symbolMap
+   */
+  constructor(symbolRules, overrides = {}) {
+    this.symbolRules = symbolRules;
+    this.overrides = {};
+    for (const [coin, entry] of Object.entries(overrides || {})) {
+      const mapping = typeof entry === 'string' ? { symbol: entry } : { ...entry };
+      if (!mapping.multiplier) {
+        mapping.multiplier = unitsOf(mapping.symbol.replace(/USDT$/, ''), VENUE_PREFIXES).factor / hlUnits(coin).factor;
+      }
+      this.overrides[coin] = { coin, ...mapping };
+    }
+    this.byCoin = new Map();
+    this.bySymbol = new Map();
+    this.rulesVersion = null;
+  }
+
+  /**
+   * @param {string} coin Hyperliquid coin, e.g. "kPEPE"
+   * @returns {{coin: string, symbol: string, multiplier: number}}
+   */
+  resolve(coin) {
+    this.checkRulesVersion();
+    let mapping = this.byCoin.get(coin);
+    if (!mapping) {
+      mapping = this.overrides[coin] || this.derive(coin);
+      this.byCoin.set(coin, mapping);
+      this.bySymbol.set(mapping.symbol, mapping);
+      if (mapping.symbol !== `${coin}USDT` || mapping.multiplier !== 1) {
+        logger.info(`[SymbolMap] ${coin} -> ${mapping.symbol} (x${mapping.multiplier})`);
+      }
+    }
+    return mapping;
+  }
+
+  /**
+   * Reverse lookup for venue symbols (user stream, positions)
+   * @param {string} symbol e.g. "1000PEPEUSDT"
+   * @returns {{coin: string, symbol: string, multiplier: number}}
+   */
+  lookup(symbol) {
+    this.checkRulesVersion();
+    const known = this.bySymbol.get(symbol) || Object.values(this.overrides).find(m => m.symbol === symbol);
+    if (known) return known;
+
+    // Never traded through resolve(): assume Hyperliquid's 'k' convention for bundled contracts
+    const { base, factor } = unitsOf(symbol.replace(/USDT$/, ''), VENUE_PREFIXES);
+    if (factor === 1) {
+      return { coin: base, symbol, multiplier: 1 };
+    }
+    return { coin: `k${base}`, symbol, multiplier: factor / 1000 };
+  }
+
+  getSymbol(coin) {
+    return this.resolve(coin).symbol;
+  }
+
+  getCoin(symbol) {
+    return this.lookup(symbol).coin;
+  }
+
+  /**
+   * Pick the listed contract for a coin, same unit size first
+   */
+  derive(coin) {
+    const { base, factor } = hlUnits(coin);
+    const candidates = VENUE_PREFIXES
+      .map(([prefix, venueFactor]) => ({ coin, symbol: `${prefix}${base}USDT`, multiplier: venueFactor / factor }))
+      .filter(c => this.symbolRules.rules.has(c.symbol));
+
+    return candidates.find(c => c.multiplier === 1)
+      || candidates[0]
+      || { coin, symbol: `${coin}USDT`, multiplier: 1 };
+  }
+
+  /**
+   * Derived mappings are redone when exchangeInfo changes (listings, first load)
+   */
+  checkRulesVersion() {
+    if (this.rulesVersion !== this.symbolRules.updatedAt) {
+      this.rulesVersion = this.symbolRules.updatedAt;
+      this.byCoin.clear();
+      this.bySymbol.clear();
+    }
+  }
+
+  // --- Unit conversion ---
+
+  toVenueQuantity(coin, quantity) {
+    return parseFloat(quantity) / this.resolve(coin).multiplier;
+  }
+
+  toVenuePrice(coin, price) {
+    return parseFloat(price) * this.resolve(coin).multiplier;
+  }
+
+  /**
+   * @param {string} symbol
+   * @param {number|string} quantity Venue quantity
+   * @returns {number} Coin quantity
+   */
+  toCoinQuantity(symbol, quantity) {
+    return clean(parseFloat(quantity) * this.lookup(symbol).multiplier);
+  }
+
+  /**
+   * @param {string} symbol
+   * @param {number|string} price Venue price
+   * @returns {number} Coin price
+   */
+  toCoinPrice(symbol, price) {
+    return clean(parseFloat(price) / this.lookup(symbol).multiplier);
+  }
+
+  // --- Symbol rules in coin units ---
+
+  /**
+   * Order price parameter: converted to venue units and rounded to the tick
+   * @returns {string}
+   */
+  formatPrice(coin, price) {
+    const { symbol } = this.resolve(coin);
+    return this.symbolRules.roundPrice(symbol, coin, this.toVenuePrice(coin, price));
+  }
+
+  /**
+   * Order quantity parameter in venue units
+   * @returns {string}
+   */
+  formatQuantity(coin, quantity, market = false) {
+    const { symbol } = this.resolve(coin);
+    return this.symbolRules.formatQuantity(symbol, coin, this.toVenueQuantity(coin, quantity), market);
+  }
+
+  /**
+   * Price rounded to the venue tick, in coin units
+   * @returns {string}
+   */
+  roundPrice(coin, price) {
+    const { symbol, multiplier } = this.resolve(coin);
+    const venuePrice = this.formatPrice(coin, price);
+    if (multiplier === 1) return venuePrice;
+    return String(this.toCoinPrice(symbol, venuePrice));
+  }
+
+  /**
+   * Quantity rounded to the venue step, in coin units
+   * @returns {number}
+   */
+  roundQuantity(coin, quantity, options = {}) {
+    const { symbol } = this.resolve(coin);
+    const venueQuantity = this.symbolRules.roundQuantity(symbol, coin, this.toVenueQuantity(coin, quantity), options);
+    return this.toCoinQuantity(symbol, venueQuantity);
+  }
+
+  /**
+   * Venue tick size, in coin units
+   * @returns {number}
+   */
+  getTickSize(coin) {
+    const { symbol, multiplier } = this.resolve(coin);
+    return clean(parseFloat(this.symbolRules.get(symbol, coin).tickSize) / multiplier);
+  }
+
+  /**
+   * Venue minimum order, in coin units
+   * @returns {number}
+   */
+  getMinQuantity(coin, price, market = false) {
+    const { symbol } = this.resolve(coin);
+    const venuePrice = price ? this.toVenuePrice(coin, price) : price;
+    return this.toCoinQuantity(symbol, this.symbolRules.getMinQuantity(symbol, coin, venuePrice, market));
+  }
+
+  /**
+   * Shared map for a network's rules, with the configured overrides
+   * @param {SymbolRules} symbolRules
+   * @returns {SymbolMap}
+   */
+  static forRules(symbolRules) {
+    if (!symbolRules.symbolMap) {
+      symbolRules.symbolMap = new SymbolMap(symbolRules, config.get('binance.symbolMap'));
+    }
+    return symbolRules.symbolMap;
+  }
+}
+
+/**
+ * Split a leading unit prefix: "1000PEPE" -> { base: "PEPE", factor: 1000 }
+ */
+function unitsOf(name, prefixes) {
+  for (const [prefix, factor] of prefixes.slice().reverse()) {
+    if (prefix && name.startsWith(prefix) && name.length > prefix.length) {
+      return { base: name.slice(prefix.length), factor };
+    }
+  }
+  return { base: name, factor: 1 };
+}
+
+/**
+ * Hyperliquid quotes bundled coins with a lowercase 'k': "kPEPE" = 1000 PEPE
+ */
+function hlUnits(coin) {
+  return unitsOf(coin, [['k', 1000]]);
+}
+
+// Strip float noise from unit conversions
+function clean(value) {
+  return parseFloat(value.toPrecision(12));
+}
+
+module.exports = SymbolMap;
@@ -0,0 +1,270 @@
+const Binance = require('binance-api-node').default;
+const config = require('config');
+const logger = require('../utils/logger');
+const redis = require('../utils/redis');
+
+// Used for symbols missing from exchangeInfo (or before it was ever loaded)
+const FALLBACK_TICK_SIZES = { BTC: '0.1', ETH: '0.01', SOL: '0.01', DEFAULT: '0.0001' };
+const FALLBACK_STEP_SIZES = { BTC: '0.001', ETH: '0.001', SOL: '0.1', DEFAULT: '0.001' };
+
+/**
+ * Decimal places of a filter value as Binance sends it ("0.00100000" -> 3)
+ * @param {string|number} value
+ * @returns {number}
+ */
+function decimalsOf(value) {
+  const text = typeof value === 'number' ? value.toFixed(12) : String(value);
+  const fraction = (text.split('.')[1] || '').replace(/0+$/, '');
+  return fraction.length;
+}
+
+/**
+ * Round to a multiple of step
+ * @param {number} value
+ * @param {number} step
+ * @param {number} decimals Decimals of step, to strip float noise
+ * @param {string} mode 'round', 'floor' or 'ceil'
+ * @returns {number}
+ */
+function toStep(value, step, decimals, mode = 'round') {
+  const units = value / step;
+  let whole;
+  if (mode === 'floor') {
+    whole = Math.floor(units + 1e-9);
+  } else if (mode === 'ceil') {
+    whole = Math.ceil(units - 1e-9);
+  } else {
+    whole = Math.round(units);
+  }
+  return parseFloat((whole * step).toFixed(decimals));
+}
+
+/**
+ * Parse one exchangeInfo symbol into its trading rules
+ * @param {object} info Entry of futuresExchangeInfo().symbols
+ * @returns {object}
+ */
+function parseSymbol(info) {
+  const filters = {};
+  for (const filter of info.filters || []) {
+    filters[filter.filterType] = filter;
+  }
+  const price = filters.PRICE_FILTER || {};
+  const lot = filters.LOT_SIZE || {};
+  const marketLot = filters.MARKET_LOT_SIZE || lot;
+  const notional = filters.MIN_NOTIONAL || {};
+
+  return {
+    symbol: info.symbol,
+    status: info.status,
+    tickSize: price.tickSize,
+    minPrice: parseFloat(price.minPrice) || 0,
+    maxPrice: parseFloat(price.maxPrice) || 0,
+    stepSize: lot.stepSize,
+    minQty: parseFloat(lot.minQty) || 0,
+    maxQty: parseFloat(lot.maxQty) || 0,
+    marketStepSize: marketLot.stepSize,
+    marketMinQty: parseFloat(marketLot.minQty) || 0,
+    marketMaxQty: parseFloat(marketLot.maxQty) || 0,
+    minNotional: parseFloat(notional.notional || notional.minNotional) || 0
+  };
+}
+
+/**
+ * Binance USDT-M symbol trading rules (PRICE_FILTER, LOT_SIZE, MARKET_LOT_SIZE, MIN_NOTIONAL)
+ * from futuresExchangeInfo.
+ * Rules are loaded on start (Redis cache first, so a restart during a Binance outage still
+ * has them), refreshed every `binance.exchangeInfoRefreshMs` and read synchronously by the
+ * venue adapters. Symbols without rules fall back to conservative static tick/step sizes.
+ * One instance per network, shared by every account on it (see SymbolRules.forNetwork).
+ */
+class SymbolRules {
+  /**
+   * @param {boolean} useTestnet
+   * @param {object} [client] binance-api-node client (exchangeInfo is public, no keys needed)
+   */
+  constructor(useTestnet = false, client = null) {
+    this.network = useTestnet ? 'testnet' : 'mainnet';
+    this.client = client || Binance({
+      httpBase: useTestnet ? 'https://testnet.binancefuture.com' : undefined
+    });
+    this.redisKey = `binance:symbolRules:${this.network}`;
+    this.rules = new Map(); // symbol -> rules
+    this.updatedAt = null;
+    this.refreshTimer = null;
+    this.starting = null;
+    this.warnedSymbols = new Set();
+  }
+
+  /**
+   * Load rules and keep them fresh. Safe to call once per account, the work runs once.
+   */
+  start() {
+    if (!this.starting) {
+      this.starting = this.load();
+      const interval = config.get('binance.exchangeInfoRefreshMs');
+      if (interval > 0) {
+        this.refreshTimer = setInterval(() => {
+          this.refresh().catch(err => logger.error(`[SymbolRules] Refresh failed (${this.network})`, err));
+        }, interval);
+      }
+    }
+    return this.starting;
+  }
+
+  stop() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    this.starting = null;
+  }
+
+  /**
+   * Cached rules first, then exchangeInfo. Failing both leaves the static fallbacks in use.
+   */
+  async load() {
+    try {
+      const cached = await redis.get(this.redisKey);
+      if (cached) {
+        const { updatedAt, symbols } = JSON.parse(cached);
+        this.setRules(symbols, updatedAt);
+        logger.info(`[SymbolRules] Loaded ${symbols.length} cached ${this.network} symbols`);
+      }
+    } catch (error) {
+      logger.warn(`[SymbolRules] Could not read cached rules: ${error.message}`);
+    }
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      logger.error(`[SymbolRules] Failed to load exchangeInfo (${this.network}), using ${this.rules.size ? 'cached' : 'fallback'} rules`, error);
+    }
+  }
+
+  /**
+   * Fetch exchangeInfo and update the Redis cache
+   */
+  async refresh() {
+    const symbols = await this.fetch();
+    await redis.set(this.redisKey, JSON.stringify({ updatedAt: this.updatedAt, symbols }));
+    logger.info(`[SymbolRules] Refreshed ${symbols.length} ${this.network} symbols`);
+  }
+
+  /**
+   * Fetch exchangeInfo into memory only
+   * @returns {Promise<Array<object>>} Parsed rules
+   */
+  async fetch() {
+    const info = await this.client.futuresExchangeInfo();
+    const symbols = (info.symbols || []).map(parseSymbol);
+    this.setRules(symbols, Date.now());
+    return symbols;
+  }
+
+  setRules(symbols, updatedAt) {
+    this.rules = new Map(symbols.map(rules => [rules.symbol, rules]));
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * @param {string} symbol e.g. "BTCUSDT"
+   * @param {string} coin Used for the fallback when the symbol has no rules
+   * @returns {object}
+   */
+  get(symbol, coin) {
+    const rules = this.rules.get(symbol);
+    if (rules) return rules;
+
+    if (this.updatedAt && !this.warnedSymbols.has(symbol)) {
+      this.warnedSymbols.add(symbol);
+      logger.warn(`[SymbolRules] ${symbol} is not in ${this.network} exchangeInfo, using fallback precision`);
+    }
+    const step = FALLBACK_STEP_SIZES[coin] || FALLBACK_STEP_SIZES.DEFAULT;
+    return {
+      symbol,
+      status: null,
+      tickSize: FALLBACK_TICK_SIZES[coin] || FALLBACK_TICK_SIZES.DEFAULT,
+      minPrice: 0,
+      maxPrice: 0,
+      stepSize: step,
+      minQty: parseFloat(step),
+      maxQty: 0,
+      marketStepSize: step,
+      marketMinQty: parseFloat(step),
+      marketMaxQty: 0,
+      minNotional: 0
+    };
+  }
+
+  /**
+   * Price rounded to the nearest tick, as a string with the tick's decimals
+   * @param {string} symbol
+   * @param {string} coin
+   * @param {number|string} price
+   * @returns {string}
+   */
+  roundPrice(symbol, coin, price) {
+    const { tickSize } = this.get(symbol, coin);
+    const decimals = decimalsOf(tickSize);
+    return toStep(parseFloat(price), parseFloat(tickSize), decimals).toFixed(decimals);
+  }
+
+  /**
+   * Quantity rounded to the lot step
+   * @param {string} symbol
+   * @param {string} coin
+   * @param {number} quantity
+   * @param {object} [options] { market: MARKET_LOT_SIZE step, floor: round down instead of nearest }
+   * @returns {number}
+   */
+  roundQuantity(symbol, coin, quantity, { market = false, floor = false } = {}) {
+    const rules = this.get(symbol, coin);
+    const step = market ? rules.marketStepSize : rules.stepSize;
+    return toStep(quantity, parseFloat(step), decimalsOf(step), floor ? 'floor' : 'round');
+  }
+
+  /**
+   * Quantity as the order parameter string (no float noise, no exponent notation)
+   */
+  formatQuantity(symbol, coin, quantity, market = false) {
+    const rules = this.get(symbol, coin);
+    return parseFloat(quantity).toFixed(decimalsOf(market ? rules.marketStepSize : rules.stepSize));
+  }
+
+  /**
+   * Smallest order the exchange accepts: LOT_SIZE minQty, and MIN_NOTIONAL at `price`
+   * rounded up to the step
+   * @param {string} symbol
+   * @param {string} coin
+   * @param {number} [price] Min notional is skipped when unknown
+   * @param {boolean} [market]
+   * @returns {number}
+   */
+  getMinQuantity(symbol, coin, price, market = false) {
+    const rules = this.get(symbol, coin);
+    const step = market ? rules.marketStepSize : rules.stepSize;
+    const minQty = market ? rules.marketMinQty : rules.minQty;
+    const p = parseFloat(price);
+    if (!(p > 0) || !rules.minNotional) {
+      return minQty;
+    }
+    const notionalQty = toStep(rules.minNotional / p, parseFloat(step), decimalsOf(step), 'ceil');
+    return Math.max(minQty, notionalQty);
+  }
+
+  /**
+   * Shared instance for a network
+   * @param {boolean} useTestnet
+   * @returns {SymbolRules}
+   */
+  static forNetwork(useTestnet = false) {
+    const network = useTestnet ? 'testnet' : 'mainnet';
+    if (!instances[network]) {
+      instances[network] = new SymbolRules(useTestnet);
+    }
+    return instances[network];
+  }
+}
+
+const instances = {};
+
+module.exports = SymbolRules;
@@ -0,0 +1,300 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+
+const WS_BASE = 'wss://fstream.binance.com/ws';
+const TESTNET_WS_BASE = 'wss://fstream.binancefuture.com/ws';
+
+// -1125: This listenKey does not exist (expired or closed)
+const LISTEN_KEY_MISSING = -1125;
+
+/**
+ * Managed Binance USDT-M Futures user data stream of one account.
+ * - Listen key: created on connect, kept alive every 30 minutes (it expires after 60
+ *   without keepalive) and renewed when Binance reports it expired or unknown.
+ * - Heartbeat: the socket is pinged every 30s; without any frame (message, ping or pong)
+ *   for 90s it is considered dead and reopened.
+ * - Reconnect: exponential backoff from 1s up to 30s, reset once connected.
+ *
+ * Emits 'update' with ORDER_TRADE_UPDATE events (flattened like binance-api-node) and
+ * 'status' with { connected, reason? } on every open and drop.
+ */
+class BinanceUserStream extends EventEmitter {
+  /**
+   * @param {object} client binance-api-node client (listen key endpoints)
+   * @param {object} options { useTestnet, accountId }
+   */
+  constructor(client, { useTestnet = false, accountId = 'default' } = {}) {
+    super();
+    this.client = client;
+    this.accountId = accountId;
+    this.wsBase = useTestnet ? TESTNET_WS_BASE : WS_BASE;
+    this.WebSocket = WebSocket;
+
+    this.ws = null;
+    this.listenKey = null;
+    this.state = 'stopped'; // stopped, connecting, connected, reconnecting
+    this.stateSince = Date.now();
+    this.lastMessageAt = null;
+    this.lastError = null;
+    this.reconnects = 0;
+    this.listenKeyRenewals = 0;
+
+    // Timers
+    this.heartbeatInterval = 30000;
+    this.heartbeatTimeout = 90000;
+    this.keepAliveInterval = 30 * 60 * 1000;
+    this.heartbeatTimer = null;
+    this.keepAliveTimer = null;
+
+    // Reconnection settings
+    this.reconnectAttempts = 0;
+    this.baseReconnectDelay = 1000; // 1 second
+    this.maxReconnectDelay = 30000; // 30 seconds
+    this.reconnectTimer = null;
+  }
+
+  start() {
+    if (this.state !== 'stopped') return;
+    this.setState('connecting');
+    this.connect();
+  }
+
+  async connect() {
+    this.closeSocket();
+    try {
+      if (!this.listenKey) {
+        const { listenKey } = await this.client.futuresGetDataStream();
+        this.listenKey = listenKey;
+      }
+    } catch (error) {
+      logger.error(`[${this.accountId}] Failed to create Binance listen key`, error);
+      this.lastError = error.message;
+      this.scheduleReconnect();
+      return;
+    }
+    if (this.state === 'stopped') return;
+
+    const ws = new this.WebSocket(`${this.wsBase}/${this.listenKey}`);
+    this.ws = ws;
+    let opened = false;
+
+    ws.on('open', () => {
+      opened = true;
+      logger.info(`[${this.accountId}] Binance user stream connected`);
+      this.reconnectAttempts = 0;
+      this.lastMessageAt = Date.now();
+      this.setState('connected');
+      this.startTimers();
+      this.emit('status', { connected: true });
+    });
+
+    ws.on('message', data => {
+      this.lastMessageAt = Date.now();
+      try {
+        this.handleMessage(JSON.parse(data));
+      } catch (error) {
+        logger.error(`[${this.accountId}] Error parsing Binance user stream message`, error);
+      }
+    });
+
+    // The server pings every few minutes (ws answers), our own pings are answered with pongs
+    ws.on('ping', () => { this.lastMessageAt = Date.now(); });
+    ws.on('pong', () => { this.lastMessageAt = Date.now(); });
+
+    ws.on('close', (code) => {
+      if (ws !== this.ws) return; // Replaced socket
+      // A socket refused right away usually means the listen key is no longer valid
+      if (!opened) this.listenKey = null;
+      this.drop(`socket closed (${code})`);
+    });
+
+    ws.on('error', (error) => {
+      logger.error(`[${this.accountId}] Binance user stream error`, error);
+      this.lastError = error.message;
+      // 'close' follows 'error', reconnect is handled there
+    });
+  }
+
+  handleMessage(message) {
+    if (message.e === 'ORDER_TRADE_UPDATE') {
+      this.emit('update', flattenOrderUpdate(message));
+    } else if (message.e === 'listenKeyExpired') {
+      logger.warn(`[${this.accountId}] Binance listen key expired, renewing`);
+      this.renewListenKey('listen key expired');
+    }
+  }
+
+  /**
+   * Drop the current listen key and reconnect with a new one right away
+   * @param {string} reason
+   */
+  renewListenKey(reason) {
+    this.listenKey = null;
+    this.listenKeyRenewals++;
+    this.reconnectAttempts = 0;
+    this.drop(reason);
+  }
+
+  /**
+   * The socket is gone (or must go): report it and reconnect
+   * @param {string} reason
+   */
+  drop(reason) {
+    this.stopTimers();
+    this.closeSocket();
+    if (this.state === 'stopped') return;
+
+    const wasConnected = this.state === 'connected';
+    this.lastError = reason;
+    if (wasConnected) {
+      logger.warn(`[${this.accountId}] Binance user stream down: ${reason}`);
+      this.emit('status', { connected: false, reason });
+    }
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.state === 'stopped') return;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+    }
+    this.setState('reconnecting');
+
+    // Exponential backoff: base * 2^attempts
+    const delay = Math.min(
+      this.baseReconnectDelay * Math.pow(2, this.reconnectAttempts),
+      this.maxReconnectDelay
+    );
+
+    logger.info(`[${this.accountId}] Reconnecting Binance user stream in ${delay}ms (Attempt ${this.reconnectAttempts + 1})...`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnectAttempts++;
+      this.reconnects++;
+      this.connect();
+    }, delay);
+  }
+
+  startTimers() {
+    this.stopTimers();
+
+    this.heartbeatTimer = setInterval(() => {
+      if (Date.now() - this.lastMessageAt > this.heartbeatTimeout) {
+        this.drop(`no heartbeat for ${Math.round((Date.now() - this.lastMessageAt) / 1000)}s`);
+      } else if (this.ws && this.ws.readyState === this.WebSocket.OPEN) {
+        this.ws.ping();
+      }
+    }, this.heartbeatInterval);
+
+    this.keepAliveTimer = setInterval(() => this.keepAlive(), this.keepAliveInterval);
+  }
+
+  stopTimers() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    if (this.keepAliveTimer) {
+      clearInterval(this.keepAliveTimer);
+      this.keepAliveTimer = null;
+    }
+  }
+
+  async keepAlive() {
+    if (!this.listenKey) return;
+    try {
+      await this.client.futuresKeepDataStream({ listenKey: this.listenKey });
+    } catch (error) {
+      if (error.code === LISTEN_KEY_MISSING) {
+        logger.warn(`[${this.accountId}] Binance listen key no longer exists, renewing`);
+        this.renewListenKey('listen key missing');
+        return;
+      }
+      // Other failures (network) are retried on the next keepalive, well within the 60 minutes
+      logger.warn(`[${this.accountId}] Failed to keep Binance listen key alive`, { error: error.message });
+      this.lastError = error.message;
+    }
+  }
+
+  closeSocket() {
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.removeAllListeners();
+      ws.on('error', () => {}); // A socket still connecting errors when terminated
+      ws.terminate();
+    }
+  }
+
+  stop() {
+    if (this.state === 'stopped') return;
+    this.setState('stopped');
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.stopTimers();
+    this.closeSocket();
+
+    if (this.listenKey) {
+      const listenKey = this.listenKey;
+      this.listenKey = null;
+      this.client.futuresCloseDataStream({ listenKey }).catch(error => {
+        logger.debug(`[${this.accountId}] Failed to close Binance listen key`, { error: error.message });
+      });
+    }
+    logger.info(`[${this.accountId}] Binance user stream stopped`);
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.stateSince = Date.now();
+  }
+
+  /**
+   * @returns {object} { state, connected, since, lastMessageAt, reconnects, listenKeyRenewals, lastError }
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      connected: this.state === 'connected',
+      since: this.stateSince,
+      lastMessageAt: this.lastMessageAt,
+      reconnects: this.reconnects,
+      listenKeyRenewals: this.listenKeyRenewals,
+      lastError: this.lastError
+    };
+  }
+}
+
+/**
+ * Raw ORDER_TRADE_UPDATE -> the flattened names of binance-api-node's futuresUser
+ * @param {object} message
+ * @returns {object}
+ */
+function flattenOrderUpdate(message) {
+  const o = message.o;
+  return {
+    eventType: 'ORDER_TRADE_UPDATE',
+    eventTime: message.E,
+    symbol: o.s,
+    orderId: o.i,
+    side: o.S,
+    orderType: o.o,
+    price: o.p,
+    quantity: o.q,
+    isReduceOnly: o.R,
+    isMaker: o.m,
+    orderStatus: o.X,
+    executionType: o.x,
+    lastTradeQuantity: o.l,
+    priceLastTrade: o.L,
+    totalTradeQuantity: o.z,
+    tradeId: o.t
+  };
+}
+
+module.exports = BinanceUserStream;
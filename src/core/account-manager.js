@@ -1,25 +1,29 @@
 const config = require('config');
 const redis = require('../utils/redis');
-const hyperApiClient = require('../hyperliquid/api-client');
-const binanceClient = require('../binance/api-client');
+const signalHub = require('../signals');
 const logger = require('../utils/logger');
 
 class AccountManager {
-  constructor() {
+  /**
+   * @param {object} account FollowerAccount (uses id and venue)
+   */
+  constructor(account) {
+    this.accountId = account.id;
+    this.venue = account.venue;
     this.cacheKey = {
-      hlAccount: 'account:hl:',
-      binanceAccount: 'account:binance:'
+      masterAccount: 'account:master:',
+      binanceAccount: `account:binance:${account.id}`
     };
     this.cacheTTL = config.get('trading.accountCacheTTL');
   }
 
   /**
-   * Get Hyperliquid Total Equity (Account Value)
+   * Get a master's Total Equity (Account Value) from its signal source
    * @param {string} address 
    * @returns {Promise<number>}
    */
-  async getHyperliquidTotalEquity(address) {
-    const cacheKey = this.cacheKey.hlAccount + address;
+  async getMasterTotalEquity(address) {
+    const cacheKey = this.cacheKey.masterAccount + address;
     
     // Check cache first
     try {
@@ -28,31 +32,24 @@ class AccountManager {
         return parseFloat(cached);
       }
     } catch (err) {
-      logger.warn('Redis get failed in getHyperliquidTotalEquity', err);
+      logger.warn('Redis get failed in getMasterTotalEquity', err);
     }
 
     // Call API
     try {
-      const accountData = await hyperApiClient.getClearinghouseState(address);
-      
-      // accountValue is usually in marginSummary
-      if (!accountData || !accountData.marginSummary) {
-        throw new Error(`Invalid Hyperliquid account data for ${address}`);
-      }
-
-      const totalEquity = parseFloat(accountData.marginSummary.accountValue);
+      const totalEquity = await signalHub.getEquity(address);
 
       // Cache result
       try {
         await redis.set(cacheKey, totalEquity, 'EX', this.cacheTTL);
       } catch (err) {
-        logger.warn('Redis set failed in getHyperliquidTotalEquity', err);
+        logger.warn('Redis set failed in getMasterTotalEquity', err);
       }
 
-      logger.info(`Hyperliquid account value: ${totalEquity} for ${address}`);
+      logger.info(`Master account value: ${totalEquity} for ${address}`);
       return totalEquity;
     } catch (error) {
-      logger.error(`Failed to get Hyperliquid equity for ${address}`, error);
+      logger.error(`Failed to get master equity for ${address}`, error);
       throw error;
     }
   }
@@ -75,12 +72,9 @@ class AccountManager {
     }
 
     try {
-      // 1. Get Wallet Balance
-      // Note: futuresAccountInfo returns 'totalWalletBalance' which includes realized pnl but excludes unrealized pnl usually, 
-      // or 'totalMarginBalance' which includes unrealized pnl.
-      // 'totalMarginBalance' is equivalent to Equity.
-      const account = await binanceClient.futuresAccountInfo();
-      const totalEquity = parseFloat(account.totalMarginBalance);
+      // Equity = wallet balance + unrealized PnL, as reported by the venue
+      const summary = await this.venue.getAccountSummary();
+      const totalEquity = summary.totalEquity;
 
       // Cache result
       try {
@@ -89,13 +83,13 @@ class AccountManager {
         logger.warn('Redis set failed in getBinanceTotalEquity', err);
       }
 
-      logger.info(`Binance total equity: ${totalEquity}`);
+      logger.info(`Binance total equity (${this.accountId}): ${totalEquity}`);
       return totalEquity;
     } catch (error) {
-      logger.error('Failed to get Binance equity', error);
+      logger.error(`Failed to get Binance equity (${this.accountId})`, error);
       throw error;
     }
   }
 }
 
-module.exports = new AccountManager();
+module.exports = AccountManager;
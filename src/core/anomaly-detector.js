@@ -0,0 +1,457 @@
+const EventEmitter = require('events');
+const config = require('config');
+const logger = require('../utils/logger');
+const redis = require('../utils/redis');
+
+const POLICIES = ['alert', 'hold', 'skip'];
+
+const REASONS = {
+  SIZE: 'SIZE',
+  COIN: 'COIN',
+  FREQUENCY: 'FREQUENCY',
+  LEVERAGE: 'LEVERAGE',
+  FLIP: 'FLIP'
+};
+
+// Entry signals of each master, newest first (+ master address)
+const PROFILE = 'anomaly:profile:';
+// Held signals (id -> { flag, event }), the fate of flagged orders (oid -> 'held' | 'skipped')
+// and the screened order ids, so a restart neither forgets nor re-screens them
+const HELD = 'anomaly:held';
+const BLOCKED = 'anomaly:blocked';
+const SEEN = 'anomaly:seen';
+const MAX_FLAGGED = 100;
+const MAX_SEEN = 5000;
+const EQUITY_TTL_MS = 60000;
+
+/**
+ * Screens the entries of each master (new orders and taker fills that do not reduce a
+ * position) against a rolling profile of that master's previous entries:
+ * - SIZE: notional many times the median notional
+ * - COIN: a coin missing from the profile
+ * - FREQUENCY: far more entries within frequencyWindowMs than usual
+ * - LEVERAGE: resulting position notional / master equity many times the usual one
+ * - FLIP: the position on the coin changed direction maxFlips times within flipWindowMs
+ * Profile checks start once a master has minSamples entries. A flagged signal is handled by
+ * the policy: 'alert' follows it anyway, 'hold' keeps it until approved or rejected on the
+ * dashboard / API (or holdTimeoutMs passes), 'skip' drops it. Later updates of a held or
+ * skipped order share its fate. Profiles, held signals and blocked orders are kept in Redis.
+ *
+ * Emits 'release' with { kind, event } when a held signal is approved, to be followed.
+ */
+class AnomalyDetector extends EventEmitter {
+  /**
+   * @param {object} [settings] anomalyDetection config section
+   * @param {object} [store] Redis client (or MemoryStore)
+   * @param {Function} [getEquity] async (master) => equity, defaults to the signal hub
+   */
+  constructor(settings = config.get('anomalyDetection'), store = redis, getEquity = null) {
+    super();
+    if (!POLICIES.includes(settings.policy)) {
+      throw new Error(`Invalid anomaly policy: ${settings.policy} (expected ${POLICIES.join(', ')})`);
+    }
+    this.settings = settings;
+    this.enabled = !!settings.enabled;
+    this.policy = settings.policy;
+    this.store = store;
+    // Required lazily: the hub's sources load the follower accounts
+    this.getEquity = getEquity || (master => require('../signals').getEquity(master));
+
+    this.profiles = new Map(); // master -> [{ at, coin, notional, leverage }], newest first
+    this.positions = new Map(); // `${master}:${coin}` -> signed master position, from fills
+    this.directions = new Map(); // `${master}:${coin}` -> sign of the last open position
+    this.flips = new Map(); // `${master}:${coin}` -> [flip times]
+    this.equity = new Map(); // master -> { value, at }
+    this.held = new Map(); // id -> { flag, event, timer }
+    this.blocked = new Map(); // String(oid) -> 'held' | 'skipped'
+    this.seen = new Set(); // Screened order ids, as strings
+    this.flagged = []; // Newest first
+  }
+
+  /**
+   * Load the stored profiles, held signals and blocked orders
+   * @param {Array<string>} masters Master addresses
+   */
+  async start(masters) {
+    if (!this.enabled) return;
+    for (const master of masters) {
+      const entries = await this.store.lrange(`${PROFILE}${master}`, 0, this.settings.maxSamples - 1);
+      this.profiles.set(master, entries.map(entry => JSON.parse(entry)));
+    }
+
+    const [held, blocked, seen] = await Promise.all([
+      this.store.hgetall(HELD),
+      this.store.hgetall(BLOCKED),
+      this.store.lrange(SEEN, 0, MAX_SEEN - 1)
+    ]);
+    // Oldest first, so the oldest ids are the first ones forgotten
+    seen.reverse().forEach(oid => this.seen.add(oid));
+    Object.entries(blocked || {}).forEach(([oid, state]) => this.blocked.set(oid, state));
+    Object.values(held || {}).forEach(value => {
+      const { flag, event } = JSON.parse(value);
+      this.hold(flag, event);
+    });
+
+    logger.info(`Anomaly detection started (policy: ${this.policy}) for ${masters.length} master(s)${this.held.size ? `, ${this.held.size} signal(s) held` : ''}`);
+  }
+
+  stop() {
+    for (const entry of this.held.values()) clearTimeout(entry.timer);
+  }
+
+  /**
+   * Decide whether a master signal is followed now
+   * @param {string} kind 'order' or 'fill' (taker fill)
+   * @param {object} event Normalized signal event
+   * @param {number} [now]
+   * @returns {boolean} false when the signal is held or skipped
+   */
+  screen(kind, event, now = Date.now()) {
+    if (!this.enabled) return true;
+    const master = (event.userAddress || '').toLowerCase();
+
+    if (kind === 'order') {
+      const oid = String(event.oid);
+      const blocked = this.blocked.get(oid);
+      if (blocked) {
+        if (blocked === 'held') {
+          this.updateHeld(event);
+        } else if (event.status === 'canceled' || event.status === 'filled') {
+          this.blocked.delete(oid);
+          this.save(this.store.pipeline().hdel(BLOCKED, oid), 'blocked order');
+        }
+        return false;
+      }
+      if (event.status !== 'open' || event.reduceOnly || this.seen.has(oid)) return true;
+      this.remember(oid);
+
+      const size = parseFloat(event.origSz || event.sz);
+      const price = parseFloat(event.limitPx || event.triggerPx);
+      const position = this.positions.get(`${master}:${event.coin}`) || 0;
+      return this.evaluate(kind, master, event, { size, price, position }, now);
+    }
+
+    // Taker fill of a held or skipped trigger order
+    if (event.oid != null && this.blocked.has(String(event.oid))) return false;
+
+    const size = parseFloat(event.sz);
+    const price = parseFloat(event.px);
+    if (event.startPosition == null) {
+      return this.evaluate(kind, master, event, { size, price, position: 0 }, now);
+    }
+
+    const before = parseFloat(event.startPosition);
+    const after = before + (event.side === 'B' ? size : -size);
+    this.trackPosition(master, event.coin, before, after, now);
+    if (before !== 0 && before * after >= 0 && Math.abs(after) < Math.abs(before)) return true;
+    return this.evaluate(kind, master, event, { size, price, position: before }, now);
+  }
+
+  /**
+   * Check an entry against the master's profile, add it to the profile and apply the policy
+   * @param {string} kind
+   * @param {string} master
+   * @param {object} event
+   * @param {object} entry { size, price, position } position is the master's before the entry
+   * @param {number} now
+   * @returns {boolean} Whether the entry is followed now
+   */
+  evaluate(kind, master, event, { size, price, position }, now) {
+    if (!(size > 0) || !(price > 0)) return true;
+
+    const notional = size * price;
+    const equity = this.getCachedEquity(master, now);
+    const sample = {
+      at: now,
+      coin: event.coin,
+      notional,
+      leverage: equity > 0 ? (Math.abs(position) + size) * price / equity : null
+    };
+
+    const reasons = this.check(master, sample);
+    this.record(master, sample);
+    if (reasons.length === 0) return true;
+
+    const action = this.policy === 'alert' ? 'followed' : this.policy === 'hold' ? 'held' : 'skipped';
+    const flag = {
+      id: kind === 'order' ? `order-${event.oid}` : `fill-${event.tid || event.hash || event.timestamp}`,
+      at: now,
+      kind,
+      master,
+      coin: event.coin,
+      side: event.side,
+      size,
+      price,
+      notional,
+      reasons,
+      action
+    };
+    this.flagged.unshift(flag);
+    if (this.flagged.length > MAX_FLAGGED) this.flagged.pop();
+    logger.warn(`Anomalous ${kind} from ${master} on ${event.coin} ${action}: ${reasons.map(r => r.message).join('; ')}`, {
+      id: flag.id, oid: event.oid
+    });
+
+    if (action === 'followed') return true;
+    const pipeline = this.store.pipeline();
+    if (action === 'held') {
+      this.hold(flag, event);
+      pipeline.hset(HELD, { [flag.id]: JSON.stringify({ flag, event }) });
+    }
+    if (kind === 'order') {
+      this.blocked.set(String(event.oid), action);
+      pipeline.hset(BLOCKED, { [event.oid]: action });
+    }
+    this.save(pipeline, 'flagged signal');
+    return false;
+  }
+
+  /**
+   * Keep a signal until it is approved, rejected or holdTimeoutMs after it was flagged
+   * @param {object} flag
+   * @param {object} event
+   */
+  hold(flag, event) {
+    const timeout = Math.max(0, flag.at + this.settings.holdTimeoutMs - Date.now());
+    this.held.set(flag.id, {
+      flag,
+      event,
+      timer: setTimeout(() => this.resolve(flag.id, 'expired'), timeout)
+    });
+  }
+
+  /**
+   * @param {string} master
+   * @param {object} sample { at, coin, notional, leverage }
+   * @returns {Array<{code: string, message: string}>} Why the entry is unusual
+   */
+  check(master, sample) {
+    const s = this.settings;
+    const reasons = [];
+
+    const flips = (this.flips.get(`${master}:${sample.coin}`) || []).filter(at => at > sample.at - s.flipWindowMs);
+    if (s.maxFlips && flips.length >= s.maxFlips) {
+      reasons.push({ code: REASONS.FLIP, message: `${flips.length} direction flips on ${sample.coin} within ${Math.round(s.flipWindowMs / 60000)} min` });
+    }
+
+    const profile = this.profiles.get(master) || [];
+    if (profile.length < s.minSamples) return reasons;
+
+    const usualNotional = median(profile.map(p => p.notional));
+    if (s.sizeMultiplier && sample.notional > usualNotional * s.sizeMultiplier) {
+      reasons.push({ code: REASONS.SIZE, message: `Notional $${sample.notional.toFixed(0)} is ${(sample.notional / usualNotional).toFixed(1)}x the usual $${usualNotional.toFixed(0)}` });
+    }
+
+    if (!profile.some(p => p.coin === sample.coin)) {
+      reasons.push({ code: REASONS.COIN, message: `No ${sample.coin} entry in the last ${profile.length}` });
+    }
+
+    const span = sample.at - profile[profile.length - 1].at;
+    if (s.frequencyMultiplier && span > s.frequencyWindowMs) {
+      const usualCount = profile.length * s.frequencyWindowMs / span;
+      const count = profile.filter(p => p.at > sample.at - s.frequencyWindowMs).length + 1;
+      if (count > Math.max(usualCount, 1) * s.frequencyMultiplier) {
+        reasons.push({ code: REASONS.FREQUENCY, message: `${count} entries within ${Math.round(s.frequencyWindowMs / 1000)}s, usually ${usualCount.toFixed(1)}` });
+      }
+    }
+
+    const leverages = profile.map(p => p.leverage).filter(l => l != null);
+    if (s.leverageMultiplier && sample.leverage != null && leverages.length >= s.minSamples) {
+      const usualLeverage = median(leverages);
+      if (sample.leverage > usualLeverage * s.leverageMultiplier) {
+        reasons.push({ code: REASONS.LEVERAGE, message: `Leverage ${sample.leverage.toFixed(1)}x against the usual ${usualLeverage.toFixed(1)}x` });
+      }
+    }
+
+    return reasons;
+  }
+
+  /**
+   * @param {string} master
+   * @param {object} sample
+   */
+  record(master, sample) {
+    const profile = this.profiles.get(master) || [];
+    profile.unshift(sample);
+    if (profile.length > this.settings.maxSamples) profile.pop();
+    this.profiles.set(master, profile);
+
+    const key = `${PROFILE}${master}`;
+    this.save(this.store.pipeline()
+      .lpush(key, JSON.stringify(sample))
+      .ltrim(key, 0, this.settings.maxSamples - 1), `profile of ${master}`);
+  }
+
+  /**
+   * Run a pipeline of writes in the background, screening never waits on Redis
+   * @param {object} pipeline
+   * @param {string} what For the log
+   */
+  save(pipeline, what) {
+    pipeline.exec().catch(err => logger.warn(`Failed to save anomaly ${what}`, { error: err.message }));
+  }
+
+  /**
+   * Follow the master position through its fills and count direction changes
+   * @param {string} master
+   * @param {string} coin
+   * @param {number} before
+   * @param {number} after
+   * @param {number} now
+   */
+  trackPosition(master, coin, before, after, now) {
+    const key = `${master}:${coin}`;
+    this.positions.set(key, after);
+    if (after === 0) return;
+
+    // Direction before a close is kept, so close-and-reverse counts as a flip
+    const direction = this.directions.get(key) || Math.sign(before);
+    if (direction !== 0 && direction !== Math.sign(after)) {
+      const flips = (this.flips.get(key) || []).filter(at => at > now - this.settings.flipWindowMs);
+      flips.push(now);
+      this.flips.set(key, flips);
+    }
+    this.directions.set(key, Math.sign(after));
+  }
+
+  /**
+   * Master equity for leverage, refreshed in the background so screening never waits on it
+   * @param {string} master
+   * @param {number} now
+   * @returns {number|null}
+   */
+  getCachedEquity(master, now) {
+    if (!this.settings.leverageMultiplier) return null;
+    const cached = this.equity.get(master);
+    if (!cached || (now - cached.at > EQUITY_TTL_MS && !cached.loading)) {
+      const entry = { value: cached ? cached.value : null, at: now, loading: true };
+      this.equity.set(master, entry);
+      Promise.resolve()
+        .then(() => this.getEquity(master))
+        .then(value => { entry.value = value; })
+        .catch(err => logger.debug(`Anomaly detection could not read equity of ${master}`, { error: err.message }))
+        .finally(() => { entry.loading = false; });
+    }
+    return this.equity.get(master).value;
+  }
+
+  /**
+   * A held order changed on the master: keep its latest state, or drop it once it is gone
+   * @param {object} event
+   */
+  updateHeld(event) {
+    const id = `order-${event.oid}`;
+    const entry = this.held.get(id);
+    if (!entry) return;
+    if (event.status === 'canceled' || event.status === 'filled') {
+      this.resolve(id, event.status);
+    } else {
+      entry.event = event;
+      this.save(this.store.pipeline().hset(HELD, { [id]: JSON.stringify({ flag: entry.flag, event }) }), 'held signal');
+    }
+  }
+
+  /**
+   * Follow a held signal
+   * @param {string} id
+   * @returns {object} The flag
+   */
+  approve(id) {
+    return this.resolve(id, 'approved');
+  }
+
+  /**
+   * Drop a held signal
+   * @param {string} id
+   * @returns {object} The flag
+   */
+  reject(id) {
+    return this.resolve(id, 'rejected');
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} action approved, rejected, expired, canceled or filled (on the master)
+   * @returns {object} The flag
+   */
+  resolve(id, action) {
+    const entry = this.held.get(id);
+    if (!entry) {
+      const error = new Error(`No held signal ${id}`);
+      error.status = 404;
+      throw error;
+    }
+    clearTimeout(entry.timer);
+    this.held.delete(id);
+    entry.flag.action = action;
+
+    const { kind } = entry.flag;
+    const event = entry.event;
+    const pipeline = this.store.pipeline().hdel(HELD, id);
+    if (kind === 'order') {
+      const oid = String(event.oid);
+      if (action === 'approved') {
+        this.blocked.delete(oid);
+        pipeline.hdel(BLOCKED, oid);
+      } else if (action === 'canceled' || action === 'filled') {
+        // Gone on the master, no later update will come
+        this.blocked.delete(oid);
+        pipeline.hdel(BLOCKED, oid);
+      } else {
+        this.blocked.set(oid, 'skipped');
+        pipeline.hset(BLOCKED, { [oid]: 'skipped' });
+      }
+    }
+    this.save(pipeline, 'held signal');
+    logger.warn(`Held ${kind} ${id} from ${entry.flag.master} ${action}`);
+    if (action === 'approved') this.emit('release', { kind, event });
+    return entry.flag;
+  }
+
+  /**
+   * @param {string} oid
+   */
+  remember(oid) {
+    this.seen.add(oid);
+    if (this.seen.size > MAX_SEEN) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+    this.save(this.store.pipeline().lpush(SEEN, oid).ltrim(SEEN, 0, MAX_SEEN - 1), 'screened order');
+  }
+
+  /**
+   * Detector state for monitoring
+   * @returns {object} { enabled, policy, held, flagged, profiles }
+   */
+  getStatus() {
+    const profiles = {};
+    for (const [master, profile] of this.profiles) {
+      profiles[master] = {
+        samples: profile.length,
+        medianNotional: profile.length ? median(profile.map(p => p.notional)) : null,
+        coins: [...new Set(profile.map(p => p.coin))]
+      };
+    }
+    return {
+      enabled: this.enabled,
+      policy: this.policy,
+      held: [...this.held.values()].map(entry => entry.flag),
+      flagged: this.flagged.slice(0, 20),
+      profiles
+    };
+  }
+}
+
+/**
+ * @param {Array<number>} values
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+module.exports = new AnomalyDetector();
+module.exports.AnomalyDetector = AnomalyDetector;
+module.exports.REASONS = REASONS;
@@ -0,0 +1,211 @@
+const logger = require('../utils/logger');
+const redis = require('../utils/redis');
+const killSwitch = require('./kill-switch');
+
+const CIRCUIT_BREAKER = 'risk:circuitBreaker';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Daily loss and drawdown circuit breaker of one follower account.
+ * Follower equity is sampled every checkIntervalMs and compared with the equity at the start
+ * of the current period and the peak since start. When the loss from either one reaches its
+ * limit the breaker trips: the pre-trade gate refuses new entries of this account (reducing
+ * orders still go out) and, with `flatten`, its orders are canceled and positions closed.
+ * A new period starts every day at resetTimeUtc: the trip is cleared and the starting equity
+ * is taken from the current equity. The peak carries over, so a drawdown spread over several
+ * days still trips; only a manual reset restarts it. State is kept in Redis, so a trip
+ * survives restarts.
+ */
+class CircuitBreaker {
+  /**
+   * @param {object} account FollowerAccount (id, namespace, venue, accountManager, settings.riskControl.circuitBreaker)
+   * @param {object} [store] Redis client (or MemoryStore)
+   */
+  constructor(account, store = redis) {
+    const settings = account.settings.riskControl.circuitBreaker || {};
+    this.account = account;
+    this.accountId = account.id;
+    this.accountManager = account.accountManager;
+    this.key = `${account.namespace}${CIRCUIT_BREAKER}`;
+    this.store = store;
+
+    this.maxDailyLossPct = settings.maxDailyLossPct;
+    this.maxDrawdownPct = settings.maxDrawdownPct;
+    this.flatten = !!settings.flatten;
+    this.resetOffset = parseResetTime(settings.resetTimeUtc || '00:00');
+    this.checkInterval = settings.checkIntervalMs || 30000;
+
+    this.enabled = this.maxDailyLossPct != null || this.maxDrawdownPct != null;
+    this.state = null; // { periodStart, startEquity, peakEquity, equity, checkedAt, tripped, reason, trippedAt }
+    this.timer = null;
+    this.isChecking = false;
+  }
+
+  async start() {
+    if (!this.enabled || this.timer) return;
+    const stored = await this.store.get(this.key);
+    if (stored) this.state = JSON.parse(stored);
+    await this.check();
+    this.timer = setInterval(() => this.check(), this.checkInterval);
+    logger.info(`Circuit breaker started (${this.accountId}): daily loss ${this.maxDailyLossPct}%, drawdown ${this.maxDrawdownPct}%`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether new entries of the account are halted
+   */
+  isTripped() {
+    return !!(this.state && this.state.tripped);
+  }
+
+  /**
+   * Sample the equity, start a new period when one is due and trip on a breach
+   * @param {number} [now]
+   */
+  async check(now = Date.now()) {
+    if (this.isChecking) return;
+    this.isChecking = true;
+
+    try {
+      const equity = await this.accountManager.getBinanceTotalEquity();
+      if (!(equity > 0)) return;
+
+      const periodStart = this.getPeriodStart(now);
+      if (!this.state || this.state.periodStart < periodStart) {
+        this.reset(equity, periodStart, 'new period');
+      }
+
+      const state = this.state;
+      state.equity = equity;
+      state.checkedAt = now;
+      state.peakEquity = Math.max(state.peakEquity, equity);
+
+      if (!state.tripped) {
+        const { dailyLossPct, drawdownPct } = this.getLosses();
+        if (this.maxDailyLossPct != null && dailyLossPct >= this.maxDailyLossPct) {
+          await this.trip(`Daily loss ${dailyLossPct.toFixed(2)}% reached the ${this.maxDailyLossPct}% limit`, now);
+        } else if (this.maxDrawdownPct != null && drawdownPct >= this.maxDrawdownPct) {
+          await this.trip(`Drawdown ${drawdownPct.toFixed(2)}% from peak reached the ${this.maxDrawdownPct}% limit`, now);
+        }
+      }
+
+      await this.save();
+    } catch (error) {
+      logger.error(`[${this.accountId}] Circuit breaker check failed`, error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Start a new period from the given equity, clearing a trip
+   * @param {number} equity
+   * @param {number} periodStart
+   * @param {string} why For the log
+   * @param {boolean} [resetPeak] Measure drawdown from the current equity again (manual reset)
+   */
+  reset(equity, periodStart, why, resetPeak = false) {
+    if (this.isTripped()) {
+      logger.warn(`[${this.accountId}] Circuit breaker reset (${why}), new entries resume`);
+    }
+    const peakEquity = resetPeak || !this.state ? equity : Math.max(this.state.peakEquity, equity);
+    this.state = {
+      periodStart,
+      startEquity: equity,
+      peakEquity,
+      equity,
+      checkedAt: null,
+      tripped: false,
+      reason: null,
+      trippedAt: null
+    };
+  }
+
+  /**
+   * Clear a trip by hand, the current period and the peak restart from the current equity
+   * @returns {Promise<object>} Status
+   */
+  async manualReset() {
+    const equity = await this.accountManager.getBinanceTotalEquity();
+    this.reset(equity, this.getPeriodStart(Date.now()), 'manual', true);
+    await this.save();
+    return this.getStatus();
+  }
+
+  /**
+   * @param {string} reason
+   * @param {number} now
+   */
+  async trip(reason, now) {
+    Object.assign(this.state, { tripped: true, reason, trippedAt: now });
+    logger.error(`[${this.accountId}] Circuit breaker tripped: ${reason}. New entries are halted${this.flatten ? ', closing positions' : ''}`);
+    await this.save();
+    if (this.flatten) {
+      await killSwitch.apply(this.account, true);
+    }
+  }
+
+  async save() {
+    await this.store.set(this.key, JSON.stringify(this.state));
+  }
+
+  /**
+   * @returns {object} { dailyLossPct, drawdownPct }, losses as positive percentages
+   */
+  getLosses() {
+    const { startEquity, peakEquity, equity } = this.state;
+    return {
+      dailyLossPct: startEquity > 0 ? (startEquity - equity) / startEquity * 100 : 0,
+      drawdownPct: peakEquity > 0 ? (peakEquity - equity) / peakEquity * 100 : 0
+    };
+  }
+
+  /**
+   * @param {number} now
+   * @returns {number} Last reset time at or before now
+   */
+  getPeriodStart(now) {
+    const dayStart = Math.floor(now / DAY_MS) * DAY_MS + this.resetOffset;
+    return dayStart <= now ? dayStart : dayStart - DAY_MS;
+  }
+
+  /**
+   * Breaker state for monitoring
+   * @returns {object}
+   */
+  getStatus() {
+    const status = {
+      enabled: this.enabled,
+      maxDailyLossPct: this.maxDailyLossPct,
+      maxDrawdownPct: this.maxDrawdownPct,
+      flatten: this.flatten
+    };
+    if (!this.state) return status;
+    return {
+      ...status,
+      ...this.state,
+      ...this.getLosses(),
+      nextResetAt: this.state.periodStart + DAY_MS
+    };
+  }
+}
+
+/**
+ * @param {string} time 'HH:MM' (UTC)
+ * @returns {number} Milliseconds after midnight UTC
+ */
+function parseResetTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+    throw new Error(`Invalid circuit breaker resetTimeUtc: ${time} (expected HH:MM)`);
+  }
+  return (parseInt(match[1]) * 60 + parseInt(match[2])) * 60000;
+}
+
+module.exports = CircuitBreaker;
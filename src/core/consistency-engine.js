@@ -1,94 +1,27 @@
-const redis = require('../utils/redis');
 const logger = require('../utils/logger');
-const config = require('config');
-const orderMapper = require('./order-mapper');
-const binanceClient = require('../binance/api-client');
-const positionTracker = require('./position-tracker');
-const positionCalculator = require('./position-calculator');
+const { STATES } = require('./order-store');
 
 class ConsistencyEngine {
-  constructor() {
-    // MVP assumes single user tracking for address-dependent logic
-    const followedUsers = config.get('hyperliquid.followedUsers');
-    this.primaryTargetAddress = followedUsers && followedUsers.length > 0 ? followedUsers[0] : null;
-  }
-  /**
-   * Check if Hyperliquid order has already been processed
-   * @param {string} oid 
-   */
-  async isOrderProcessed(oid) {
-    const processed = await redis.hget(`orderHistory:${oid}`, 'processed');
-    return processed === 'true';
-  }
-
   /**
-   * Mark Hyperliquid order as processed
-   * @param {string} oid 
-   * @param {object} details 
+   * @param {object} account FollowerAccount
    */
-  async markOrderProcessed(oid, details) {
-    try {
-      const pipeline = redis.pipeline();
-      pipeline.hset(`orderHistory:${oid}`, {
-        ...details,
-        processed: 'true',
-        processedAt: Date.now()
-      });
-      pipeline.expire(`orderHistory:${oid}`, 604800); // 7 days
-      await pipeline.exec();
-    } catch (error) {
-      logger.error(`Failed to mark order ${oid} as processed`, error);
-    }
+  constructor(account) {
+    this.namespace = account.namespace;
+    this.venue = account.venue;
+    this.orderStore = account.orderStore;
+    this.positionTracker = account.positionTracker;
+    this.positionCalculator = account.positionCalculator;
   }
 
   /**
    * Check if we should process this Hyperliquid order
-   * Checks for duplicates and existing active Binance orders
+   * Claims the order (PENDING_SUBMIT) so duplicate events and restarts never mirror it twice.
+   * Callers settle the claim with a transition, or release it if nothing was sent.
    * @param {string} oid 
+   * @param {object} details Initial order record fields
    */
-  async shouldProcessHyperOrder(oid) {
-    // 1. Atomic check-and-set to prevent race conditions (Duplicate Orders)
-    // We use a temporary "processing" flag in Redis
-    const lockKey = `orderLock:${oid}`;
-    const acquired = await redis.set(lockKey, 'true', 'NX', 'EX', 30); // 30s lock
-    
-    if (!acquired) {
-      logger.debug(`Order ${oid} is already being processed or locked, skipping`);
-      return false;
-    }
-
-    if (await this.isOrderProcessed(oid)) {
-      logger.debug(`Order ${oid} already processed, skipping`);
-      // Keep lock for a bit to be safe, or delete if we are sure
-      return false;
-    }
-
-    const mapping = await orderMapper.getBinanceOrder(oid);
-    if (mapping) {
-      try {
-        const status = await binanceClient.getOrderStatus(mapping.symbol, mapping.orderId);
-        if (['NEW', 'PARTIALLY_FILLED'].includes(status)) {
-          logger.info(`Active Binance order exists for ${oid} (${mapping.orderId}), skipping`);
-          return false;
-        }
-        // If it's not active, we might want to allow re-processing if it's a sync
-        // But usually, we don't want to double-process.
-        return false;
-      } catch (error) {
-        logger.warn(`Mapping exists for ${oid} but Binance check failed, skipping safety`, error);
-        return false;
-      }
-    }
-
-    return true;
-  }
-
-  /**
-   * Release the processing lock for an order
-   * @param {string} oid 
-   */
-  async releaseOrderLock(oid) {
-    await redis.del(`orderLock:${oid}`);
+  async shouldProcessHyperOrder(oid, details = {}) {
+    return this.orderStore.create(oid, details);
   }
 
   /**
@@ -96,79 +29,65 @@ class ConsistencyEngine {
    * This updates the Pending Delta to reflect that we are "Ahead" of the target.
    * 
    * @param {string} hyperOid 
-   * @param {object} fillDetails { coin, side: 'B'/'A', size: string/number, ... }
+   * @param {object} fillDetails { coin, side: 'B'/'A', size: string/number, masterAddress, ... }
    */
   async recordOrphanFill(hyperOid, fillDetails) {
-    const key = `orphanFill:${hyperOid}`;
-    
-    // Check if already recorded to avoid double-counting
-    const exists = await redis.exists(key);
-    if (exists) return;
+    const order = await this.orderStore.get(hyperOid);
+    if (!order) return;
+
+    // The master already filled: both sides moved, nothing is ahead
+    if (order.masterStatus === 'filled') return;
 
-    // Calculate Master Equivalent Size
+    // Calculate Master Equivalent Size (in the owning master's units)
+    const masterAddress = fillDetails.masterAddress;
     const followerSize = parseFloat(fillDetails.size);
-    const masterSize = await positionCalculator.getReversedMasterSize(
+    const masterSize = await this.positionCalculator.getReversedMasterSize(
       followerSize, 
-      this.primaryTargetAddress
+      masterAddress
     );
 
-    const pipeline = redis.pipeline();
-    pipeline.hset(key, {
+    // Kept on the order record so the master fill can reverse it later
+    await this.orderStore.update(hyperOid, {
       coin: fillDetails.coin,
       side: fillDetails.side,
-      size: fillDetails.size,
-      price: fillDetails.price,
-      binanceOrderId: fillDetails.binanceOrderId,
-      occurredAt: Date.now()
-    });
-    
-    // Save master equivalent size in orphan record for later reference (e.g. if resolved later)
-    pipeline.hset(key, 'masterSize', masterSize);
-    pipeline.expire(key, 604800); // 7 days TTL
-
-    await pipeline.exec();
+      master: masterAddress,
+      orphanMasterSize: (parseFloat(order.orphanMasterSize) || 0) + masterSize
+    }, { type: 'orphan_fill', size: fillDetails.size, price: fillDetails.price, masterSize });
 
     // Calculate Signed Size based on Master Size
     const signedChange = fillDetails.side === 'B' ? -masterSize : masterSize;
 
-    await positionTracker.addPendingDelta(fillDetails.coin, signedChange);
+    await this.positionTracker.addPendingDelta(masterAddress, fillDetails.coin, signedChange);
     
-    logger.warn(`Orphan fill recorded: Hype OID ${hyperOid}, Delta adjusted by ${signedChange} (Master Units)`);
+    logger.warn(`Orphan fill recorded: Hype OID ${hyperOid} (${masterAddress}), Delta adjusted by ${signedChange} (Master Units)`);
   }
 
   /**
    * Handle Hyperliquid Fill Event
-   * Checks if this fill resolves a previous orphan state
+   * Marks the master side filled and resolves a previous orphan state
    * @param {string} oid 
    */
   async handleHyperliquidFill(oid) {
-    const orphanKey = `orphanFill:${oid}`;
-    const orphan = await redis.hgetall(orphanKey);
-    
-    if (orphan && orphan.coin) {
+    const order = await this.orderStore.update(oid, { masterStatus: 'filled' }, { type: 'master_filled' });
+    if (!order) return;
+
+    const masterSize = parseFloat(order.orphanMasterSize) || 0;
+    if (masterSize > 0) {
       // HL finally filled. 
       // We previously adjusted delta by (-SignedMasterSize).
       // Now we need to Reverse this adjustment because the Target has now moved.
       // (Target increase = +MasterSize. Actual unchanged now. Net Delta increase = +MasterSize).
-      
-      // Use the stored masterSize if available, otherwise reverse calc again (might have ratio drift but ok)
-      let masterSize = orphan.masterSize ? parseFloat(orphan.masterSize) : 0;
-      
-      if (!masterSize) {
-         masterSize = await positionCalculator.getReversedMasterSize(
-           parseFloat(orphan.size),
-           this.primaryTargetAddress
-         );
-      }
+      const signedChange = order.side === 'B' ? masterSize : -masterSize;
 
-      const signedChange = orphan.side === 'B' ? masterSize : -masterSize;
-
-      await positionTracker.addPendingDelta(orphan.coin, signedChange);
-      
-      await redis.del(orphanKey);
+      await this.positionTracker.addPendingDelta(order.master, order.coin, signedChange);
+      await this.orderStore.update(oid, { orphanMasterSize: 0 });
       logger.info(`Orphan fill resolved (Hype Caught Up): Hype OID ${oid}, Delta adjusted by ${signedChange}`);
     }
+
+    if (order.state === STATES.ORPHANED) {
+      await this.orderStore.transition(oid, STATES.FILLED, { type: 'master_filled' });
+    }
   }
 }
 
-module.exports = new ConsistencyEngine();
+module.exports = ConsistencyEngine;
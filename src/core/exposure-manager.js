@@ -1,53 +1,75 @@
-const config = require('config');
 const logger = require('../utils/logger');
 const redis = require('../utils/redis');
-const binanceClient = require('../binance/api-client');
-const hyperApiClient = require('../hyperliquid/api-client');
+const signalHub = require('../signals');
+const masterRegistry = require('./master-registry');
 
 class ExposureManager {
-  constructor() {
+  /**
+   * @param {object} account FollowerAccount
+   */
+  constructor(account) {
+    this.namespace = account.namespace;
+    this.venue = account.venue;
+    this.riskControl = account.riskControl;
+    this.reductionThresholds = account.settings.riskControl.reductionThreshold || {};
+
     // Mode configs
-    this.tradingMode = config.get('trading.mode');
-    this.fixedRatio = config.get('trading.fixedRatio');
-    this.equalRatio = config.get('trading.equalRatio');
+    this.tradingMode = account.settings.trading.mode;
+    this.fixedRatio = account.settings.trading.fixedRatio;
+    this.equalRatio = account.settings.trading.equalRatio;
     
     // Profit target percent (e.g. 0.0001 for 0.01%)
     this.profitTarget = 0.0001;
   }
 
+  /**
+   * Sum each master's position scaled by its capital allocation (fixed mode)
+   * @param {string} coin 
+   * @returns {Promise<{masterSize: number, targetSize: number}>}
+   */
+  async getAggregateTarget(coin) {
+    let masterSize = 0;
+    let targetSize = 0;
+
+    for (const { address, allocation } of masterRegistry.getMasters()) {
+      const masterPositions = await signalHub.getPositions(address);
+      const masterPosObj = masterPositions.find(p => p.coin === coin);
+      const size = masterPosObj ? parseFloat(masterPosObj.szi) : 0;
+
+      masterSize += size;
+      targetSize += size * this.fixedRatio * allocation;
+    }
+
+    return { masterSize, targetSize };
+  }
+
   /**
    * Check and rebalance exposure for a specific coin
+   * The follower position is compared against the sum of every master's scaled contribution.
    * @param {string} coin 
-   * @param {string} masterAddress 
    */
-  async checkAndRebalance(coin, masterAddress) {
+  async checkAndRebalance(coin) {
     logger.info(`[ExposureManager] Checking exposure for ${coin}...`);
     
     try {
-      // 1. Get Master Position
-      const masterPositions = await hyperApiClient.getUserPositions(masterAddress);
-      const masterPosObj = masterPositions.find(p => p.coin === coin);
-      const masterSize = masterPosObj ? parseFloat(masterPosObj.szi) : 0;
+      // 1. Equal mode has no target model yet, skip before any lookups
+      if (this.tradingMode === 'equal') {
+        logger.debug('[ExposureManager] Equal mode rebalancing not fully implemented yet. Skipping.');
+        return;
+      }
 
       // 2. Get Follower Position (Binance)
-      const followerPos = await binanceClient.getPositionDetails(coin);
+      const followerPos = await this.venue.getPositionDetails(coin);
       if (!followerPos) {
         logger.warn(`[ExposureManager] Could not fetch follower position for ${coin}`);
         return;
       }
       const followerSize = followerPos.amount;
 
-      // 3. Calculate Target Size
-      let targetSize = 0;
-      if (this.tradingMode === 'fixed') {
-        targetSize = masterSize * this.fixedRatio;
-      } else if (this.tradingMode === 'equal') {
-        logger.debug('[ExposureManager] Equal mode rebalancing not fully implemented yet. Skipping.');
-        return;
-      }
+      // 3. Calculate Target Size (sum of masters)
+      const { masterSize, targetSize } = await this.getAggregateTarget(coin);
 
       // 4. Calculate Excess (Over-exposure)
-      const absMaster = Math.abs(masterSize);
       const absFollower = Math.abs(followerSize);
       const absTarget = Math.abs(targetSize);
       
@@ -55,28 +77,24 @@ class ExposureManager {
 
       // 4.2 Calculate Uncovered Position (to avoid fighting with HL synced orders)
       const binanceSide = followerSize > 0 ? 'SELL' : 'BUY';
-      const openReduceOnlyQty = await binanceClient.getOpenOrderQuantity(coin, binanceSide);
+      const openReduceOnlyQty = await this.venue.getOpenOrderQuantity(coin, binanceSide);
       const uncoveredPosition = Math.max(0, absFollower - openReduceOnlyQty);
 
       logger.info(`[ExposureManager] ${coin}: Master=${masterSize}, Target=${targetSize}, Follower=${followerSize}, Uncovered=${uncoveredPosition}, Excess=${excess}`);
 
       // 4.5 Determine Reduction Quantity
       let quantityToReduce = 0;
-      const threshold = config.get('riskControl.reductionThreshold')[coin] || 999999;
+      const threshold = this.reductionThresholds[coin] || 999999;
 
       if (absFollower >= threshold) {
         // Aggressive Risk Reduction: Reduce Half of TOTAL position
         // We ignore uncoveredPosition here because we want this to be a priority safety net
-        const decimals = { BTC: 3, ETH: 3, SOL: 1, DEFAULT: 3 };
-        const precision = decimals[coin] || decimals.DEFAULT;
-        const factor = Math.pow(10, precision);
-        
-        quantityToReduce = Math.floor((absFollower / 2) * factor) / factor;
+        quantityToReduce = this.venue.roundQuantity(coin, absFollower / 2, { floor: true });
         logger.info(`[ExposureManager] ${coin} total position ${absFollower} >= threshold ${threshold}. Reducing HALF: ${quantityToReduce}`);
       } else if (excess > 0.00001 && uncoveredPosition > 0.00001) {
         // Normal Excess Reduction (only if there's uncovered position)
         const potentialReduction = Math.min(excess, uncoveredPosition);
-        quantityToReduce = this.roundQuantity(potentialReduction, coin);
+        quantityToReduce = this.venue.roundQuantity(coin, potentialReduction);
         logger.info(`[ExposureManager] ${coin} reducing excess: ${quantityToReduce}`);
       }
 
@@ -99,14 +117,18 @@ class ExposureManager {
       const priceMultiplier = tpSide === 'A' ? (1 + this.profitTarget) : (1 - this.profitTarget);
       const tpPrice = entryPrice * priceMultiplier;
 
+      // A rejected TP keeps the previous one in place
+      const risk = await this.riskControl.checkOrder({ source: 'exposure', coin, side: tpSide, quantity: quantityToReduce, reduceOnly: true });
+      if (!risk.allowed) return;
+
       // 7. Manage TP Order
-      const redisKey = `exposure:tp:${coin}`;
+      const redisKey = `${this.namespace}exposure:tp:${coin}`;
       const oldTpOrderId = await redis.get(redisKey);
       
       if (oldTpOrderId) {
         logger.info(`[ExposureManager] Cancelling old TP order ${oldTpOrderId}`);
         try {
-          await binanceClient.cancelOrder(binanceClient.getBinanceSymbol(coin), oldTpOrderId);
+          await this.venue.cancelOrder(this.venue.getSymbol(coin), oldTpOrderId);
         } catch (e) {
           logger.warn(`[ExposureManager] Failed to cancel old TP order (might be filled): ${e.message}`);
         }
@@ -117,7 +139,7 @@ class ExposureManager {
       logger.info(`[ExposureManager] Placing Reduce-Only TP: ${coin} ${tpSide} ${quantityToReduce} @ ${tpPrice}`);
       
       try {
-        const order = await binanceClient.createReduceOnlyOrder(coin, tpSide, tpPrice, quantityToReduce);
+        const order = await this.venue.createReduceOnlyOrder(coin, tpSide, tpPrice, quantityToReduce);
         if (order && order.orderId) {
           await redis.set(redisKey, order.orderId);
           logger.info(`[ExposureManager] TP Order placed: ${order.orderId}`);
@@ -130,19 +152,6 @@ class ExposureManager {
       logger.error(`[ExposureManager] Error in checkAndRebalance for ${coin}`, error);
     }
   }
-
-  // Helper from position-calculator logic (simplified)
-  roundQuantity(quantity, coin) {
-    const decimals = {
-      BTC: 3,
-      ETH: 3,
-      SOL: 1,
-      DEFAULT: 3
-    };
-    const precision = decimals[coin] || decimals.DEFAULT;
-    const factor = Math.pow(10, precision);
-    return Math.round(quantity * factor) / factor;
-  }
 }
 
-module.exports = new ExposureManager();
+module.exports = ExposureManager;
@@ -0,0 +1,64 @@
+const { createVenue } = require('../venues');
+const AccountManager = require('./account-manager');
+const OrderStore = require('./order-store');
+const PositionTracker = require('./position-tracker');
+const OrderLifecycle = require('./order-lifecycle');
+const SubBook = require('./sub-book');
+const CircuitBreaker = require('./circuit-breaker');
+const RiskControl = require('./risk-control');
+const PositionCalculator = require('./position-calculator');
+const ConsistencyEngine = require('./consistency-engine');
+const OrderSync = require('./order-sync');
+const ExposureManager = require('./exposure-manager');
+const OrderExecutor = require('./order-executor');
+const NettingEngine = require('./netting-engine');
+const OrderValidator = require('./order-validator');
+
+/**
+ * One follower account and its own set of core services.
+ * Every account mirrors the followed masters (or the subset in its `masters` list) on its own
+ * execution venue with its own API key, sizing, risk limits and Redis namespace, so accounts
+ * never share orders, deltas or locks.
+ */
+class FollowerAccount {
+  /**
+   * @param {object} settings Normalized account settings from FollowerRegistry
+   * { id, namespace, masters, venue, trading, riskControl }
+   */
+  constructor(settings) {
+    this.id = settings.id;
+    this.namespace = settings.namespace;
+    this.settings = settings;
+    this.masters = settings.masters ? new Set(settings.masters) : null; // null: every master
+
+    // Construction order matters: services pick up their dependencies from the account
+    this.venue = createVenue(settings.venue, this.id);
+    this.accountManager = new AccountManager(this);
+    this.orderStore = new OrderStore(this.namespace);
+    this.positionTracker = new PositionTracker(this.namespace);
+    this.orderLifecycle = new OrderLifecycle(this);
+    this.subBook = new SubBook(this.namespace);
+    this.circuitBreaker = new CircuitBreaker(this);
+    this.riskControl = new RiskControl(settings.riskControl, {
+      accountId: this.id, namespace: this.namespace, venue: this.venue, circuitBreaker: this.circuitBreaker
+    });
+    this.positionCalculator = new PositionCalculator(this);
+    this.consistencyEngine = new ConsistencyEngine(this);
+    this.orderSync = new OrderSync(this);
+    this.exposureManager = new ExposureManager(this);
+    this.orderExecutor = new OrderExecutor(this);
+    this.nettingEngine = new NettingEngine(this);
+    this.orderValidator = new OrderValidator(this);
+  }
+
+  /**
+   * Whether this account mirrors a master's signals
+   * @param {string} address Master address
+   * @returns {boolean}
+   */
+  follows(address) {
+    return !this.masters || (!!address && this.masters.has(address.toLowerCase()));
+  }
+}
+
+module.exports = FollowerAccount;
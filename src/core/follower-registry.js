@@ -0,0 +1,84 @@
+const config = require('config');
+const logger = require('../utils/logger');
+
+const DEFAULT_ACCOUNT_ID = 'default';
+const DEFAULT_VENUE = 'binance';
+
+class FollowerRegistry {
+  constructor() {
+    this.accounts = null; // Built lazily so requiring modules never creates exchange clients
+  }
+
+  /**
+   * Build account settings from config
+   * `binance.accounts` lists follower accounts; each entry selects its execution `venue`
+   * (default 'binance') and can override `trading`, `riskControl` and `paper` on top of the
+   * global sections. `masters` limits an account to some of the followed masters (default:
+   * all of them). Without it, the legacy single account is built from `binance`, `trading`
+   * and `riskControl`.
+   * With `trading.execution = 'paper'` an account trades on the simulated venue instead.
+   * @returns {Array<object>}
+   */
+  getSettings() {
+    const binanceConfig = config.get('binance');
+    const entries = binanceConfig.accounts && binanceConfig.accounts.length > 0
+      ? binanceConfig.accounts
+      : [{ id: DEFAULT_ACCOUNT_ID, apiKey: binanceConfig.apiKey, apiSecret: binanceConfig.apiSecret, useTestnet: binanceConfig.useTestnet }];
+
+    return entries.map(entry => {
+      const trading = { ...config.get('trading'), ...(entry.trading || {}) };
+
+      // Paper execution swaps the account's venue for the simulated one
+      const venue = trading.execution === 'paper'
+        ? { type: 'paper', ...config.get('paper'), ...(entry.paper || {}) }
+        : {
+          type: entry.venue || DEFAULT_VENUE,
+          apiKey: entry.apiKey,
+          apiSecret: entry.apiSecret,
+          useTestnet: entry.useTestnet !== undefined ? entry.useTestnet : binanceConfig.useTestnet
+        };
+
+      return {
+        id: entry.id,
+        // The default account keeps the legacy (unprefixed) Redis keys
+        namespace: entry.id === DEFAULT_ACCOUNT_ID ? '' : `${entry.id}:`,
+        masters: Array.isArray(entry.masters) ? entry.masters.map(address => address.toLowerCase()) : null,
+        venue,
+        trading,
+        riskControl: { ...config.get('riskControl'), ...(entry.riskControl || {}) }
+      };
+    });
+  }
+
+  /**
+   * @returns {Array<FollowerAccount>}
+   */
+  getAll() {
+    if (!this.accounts) {
+      // Required here to avoid a circular dependency (executor -> data-collector -> registry)
+      const FollowerAccount = require('./follower-account');
+      const settings = this.getSettings();
+      const ids = new Set();
+
+      this.accounts = settings.map(s => {
+        if (!s.id || ids.has(s.id)) {
+          throw new Error(`Follower account id missing or duplicated: ${s.id}`);
+        }
+        ids.add(s.id);
+        logger.info(`Follower account ${s.id}: venue=${s.venue.type}, mode=${s.trading.mode}, testnet=${!!s.venue.useTestnet}`);
+        return new FollowerAccount(s);
+      });
+    }
+    return this.accounts;
+  }
+
+  /**
+   * @param {string} id 
+   * @returns {FollowerAccount|undefined}
+   */
+  get(id) {
+    return this.getAll().find(account => account.id === id);
+  }
+}
+
+module.exports = new FollowerRegistry();
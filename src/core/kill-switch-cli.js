@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Show or set the kill switch of all follower accounts.
+ * The level is stored in Redis: a running bot applies it within app.killSwitchRefreshMs,
+ * a stopped one when it starts.
+ *
+ * Usage:
+ *   npm run kill-switch                            Show the current level
+ *   npm run kill-switch -- pause [--reason "..."]  No new entries, reducing orders still go out
+ *   npm run kill-switch -- cancel [--reason "..."] Also cancel every open follower order
+ *   npm run kill-switch -- flatten [--reason "..."] Also close every follower position (reduce-only market orders)
+ *   npm run kill-switch -- off                     Resume following
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const redis = require('../utils/redis');
+const killSwitch = require('./kill-switch');
+
+function parseArgs(argv) {
+  const parsed = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      parsed._.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      parsed[name] = true;
+    } else {
+      parsed[name] = next;
+      i++;
+    }
+  }
+  return parsed;
+}
+
+function describe(state) {
+  const since = state.updatedAt ? ` since ${new Date(state.updatedAt).toISOString()}` : '';
+  const by = state.source ? ` (set by ${state.source}${state.reason ? `: ${state.reason}` : ''})` : '';
+  return `Kill switch: ${state.level}${since}${by}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [level] = args._;
+
+  const state = level
+    ? await killSwitch.set(level, { reason: typeof args.reason === 'string' ? args.reason : null, source: 'cli' })
+    : await killSwitch.load();
+  console.log(describe(state));
+}
+
+main()
+  .then(() => {
+    redis.disconnect();
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error.message);
+    redis.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,178 @@
+const EventEmitter = require('events');
+const config = require('config');
+const logger = require('../utils/logger');
+const redis = require('../utils/redis');
+
+// Escalating levels, each one includes the ones before it
+const LEVELS = ['off', 'pause', 'cancel', 'flatten'];
+
+// Shared by every follower account (and the CLI), so it carries no account namespace
+const KILL_SWITCH = 'risk:killSwitch';
+
+/**
+ * Persisted emergency stop of all follower accounts:
+ * - pause: no new entries, orders that only reduce a follower position still go out
+ * - cancel: no orders at all, and every open follower order is canceled
+ * - flatten: as cancel, then every follower position is closed with reduce-only market orders
+ * The level is kept in Redis, so it survives restarts and can be set from another process:
+ * the running bot re-reads it every few seconds and applies cancel / flatten on every change.
+ *
+ * Emits 'change' with the new state { level, reason, source, updatedAt }.
+ */
+class KillSwitch extends EventEmitter {
+  /**
+   * @param {object} [store] Redis client (or MemoryStore)
+   */
+  constructor(store = redis) {
+    super();
+    this.store = store;
+    this.refreshInterval = config.get('app.killSwitchRefreshMs');
+    this.timer = null;
+    this.accounts = [];
+    this.applying = Promise.resolve();
+    // Until a level is stored, app.emergencyStop pauses new entries
+    this.state = {
+      level: config.get('app.emergencyStop') ? 'pause' : 'off',
+      reason: null,
+      source: 'config',
+      updatedAt: null
+    };
+  }
+
+  /**
+   * @returns {string} One of LEVELS
+   */
+  getLevel() {
+    return this.state.level;
+  }
+
+  /**
+   * @returns {object} { level, reason, source, updatedAt }
+   */
+  getState() {
+    return { ...this.state };
+  }
+
+  /**
+   * @param {string} level
+   * @returns {boolean} Whether the switch is at least at that level
+   */
+  isAtLeast(level) {
+    return LEVELS.indexOf(this.state.level) >= LEVELS.indexOf(level);
+  }
+
+  /**
+   * Load the stored level, apply it to the follower accounts and follow changes made elsewhere
+   * @param {Array<FollowerAccount>} accounts
+   */
+  async start(accounts) {
+    this.accounts = accounts;
+    await this.load();
+    if (this.getLevel() !== 'off') {
+      logger.warn(`Kill switch is at ${this.getLevel()}${this.state.reason ? ` (${this.state.reason})` : ''}`);
+    }
+    if (!this.timer) {
+      this.timer = setInterval(() => this.load().catch(err => {
+        logger.warn('Failed to refresh kill switch', { error: err.message });
+      }), this.refreshInterval);
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Read the stored level
+   * @returns {Promise<object>} State
+   */
+  async load() {
+    const stored = await this.store.get(KILL_SWITCH);
+    if (stored) this.update(JSON.parse(stored));
+    return this.getState();
+  }
+
+  /**
+   * Store a new level and apply it
+   * @param {string} level One of LEVELS
+   * @param {object} [options] { reason, source } source names who set it ('api', 'cli', ...)
+   * @returns {Promise<object>} State
+   */
+  async set(level, { reason = null, source = 'api' } = {}) {
+    if (!LEVELS.includes(level)) {
+      const error = new Error(`Unknown kill switch level: ${level} (expected ${LEVELS.join(', ')})`);
+      error.status = 400;
+      throw error;
+    }
+
+    const state = { level, reason, source, updatedAt: Date.now() };
+    await this.store.set(KILL_SWITCH, JSON.stringify(state));
+    this.update(state);
+    return this.getState();
+  }
+
+  /**
+   * @param {object} state Stored state, ignored when already applied
+   */
+  update(state) {
+    if (state.updatedAt === this.state.updatedAt && state.level === this.state.level) return;
+    const previous = this.state.level;
+    this.state = state;
+
+    if (state.level !== previous) {
+      logger.warn(`Kill switch ${previous} -> ${state.level} (by ${state.source}${state.reason ? `: ${state.reason}` : ''})`);
+    }
+    this.emit('change', this.getState());
+    this.enforce();
+  }
+
+  /**
+   * Cancel (and flatten) on every follower account when the level asks for it
+   * @returns {Promise<void>}
+   */
+  enforce() {
+    if (!this.isAtLeast('cancel')) return this.applying;
+    const flatten = this.isAtLeast('flatten');
+    this.applying = this.applying.then(() => Promise.all(this.accounts.map(account => this.apply(account, flatten))));
+    return this.applying;
+  }
+
+  /**
+   * Cancel every open order of the account, then close its positions when flattening.
+   * Goes straight to the venue: the pre-trade gate refuses every order at these levels.
+   * @param {FollowerAccount} account
+   * @param {boolean} flatten
+   */
+  async apply(account, flatten) {
+    const venue = account.venue;
+    try {
+      const orders = await venue.getOpenOrders();
+      for (const order of orders) {
+        await venue.cancelOrder(order.symbol, order.orderId).catch(error => {
+          logger.error(`[${account.id}] Kill switch failed to cancel order ${order.orderId}`, error);
+        });
+      }
+      logger.warn(`[${account.id}] Kill switch canceled ${orders.length} open order(s)`);
+      if (!flatten) return;
+
+      const positions = await venue.getPositions();
+      for (const position of positions) {
+        const coin = venue.getCoin(position.symbol);
+        const side = position.amount > 0 ? 'A' : 'B';
+        await venue.createMarketOrder(coin, side, Math.abs(position.amount), true).catch(error => {
+          logger.error(`[${account.id}] Kill switch failed to close ${coin} position`, error);
+        });
+      }
+      logger.warn(`[${account.id}] Kill switch closed ${positions.length} position(s)`);
+    } catch (error) {
+      logger.error(`[${account.id}] Kill switch failed to apply`, error);
+    }
+  }
+}
+
+module.exports = new KillSwitch();
+module.exports.KillSwitch = KillSwitch;
+module.exports.LEVELS = LEVELS;
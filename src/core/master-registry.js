@@ -0,0 +1,89 @@
+const config = require('config');
+const logger = require('../utils/logger');
+
+const DEFAULT_SOURCE = 'hyperliquid';
+
+class MasterRegistry {
+  constructor() {
+    this.masters = this.normalize(config.get('hyperliquid.followedUsers') || []);
+  }
+
+  /**
+   * Normalize followedUsers config entries into { address, allocation, source, options }
+   * Entries can be a plain address string or { address, allocation, source, ... } where
+   * allocation is a percentage of follower capital. Masters without an explicit
+   * allocation share whatever percentage is left over equally.
+   * `source` selects the signal source (default 'hyperliquid'); any other keys are passed
+   * to the source as options. For non-Hyperliquid sources `address` is just an identifier.
+   * @param {Array<string|object>} entries
+   * @returns {Array<{address: string, allocation: number, source: string, options: object}>} allocation as a fraction (0-1)
+   */
+  normalize(entries) {
+    const parsed = entries.map(entry => {
+      if (typeof entry === 'string') {
+        return { address: entry, allocation: null, source: DEFAULT_SOURCE, options: {} };
+      }
+      const { address, allocation: rawAllocation, source, ...options } = entry;
+      const allocation = rawAllocation !== undefined ? parseFloat(rawAllocation) : null;
+      return {
+        address,
+        allocation: Number.isFinite(allocation) ? allocation : null,
+        source: source || DEFAULT_SOURCE,
+        options
+      };
+    }).filter(m => m.address);
+
+    const explicitTotal = parsed
+      .filter(m => m.allocation !== null)
+      .reduce((sum, m) => sum + m.allocation, 0);
+    const unassigned = parsed.filter(m => m.allocation === null);
+    const share = unassigned.length > 0 ? Math.max(0, 100 - explicitTotal) / unassigned.length : 0;
+
+    if (explicitTotal > 100) {
+      logger.warn(`Followed users allocations add up to ${explicitTotal}% (over 100%). Follower exposure will exceed its capital share.`);
+    }
+
+    return parsed.map(m => ({
+      address: m.address.toLowerCase(),
+      allocation: (m.allocation !== null ? m.allocation : share) / 100,
+      source: m.source,
+      options: m.options
+    }));
+  }
+
+  /**
+   * @returns {Array<{address: string, allocation: number, source: string, options: object}>}
+   */
+  getMasters() {
+    return this.masters;
+  }
+
+  /**
+   * @returns {Array<string>} Followed master addresses
+   */
+  getAddresses() {
+    return this.masters.map(m => m.address);
+  }
+
+  /**
+   * Check if an address is a followed master
+   * @param {string} address
+   */
+  has(address) {
+    return !!address && this.masters.some(m => m.address === address.toLowerCase());
+  }
+
+  /**
+   * Get capital allocation for a master as a fraction (0-1)
+   * Addresses outside the registry (ad-hoc callers) follow at full weight.
+   * @param {string} address
+   * @returns {number}
+   */
+  getAllocation(address) {
+    if (!address) return 1;
+    const master = this.masters.find(m => m.address === address.toLowerCase());
+    return master ? master.allocation : 1;
+  }
+}
+
+module.exports = new MasterRegistry();
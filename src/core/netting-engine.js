@@ -0,0 +1,97 @@
+const logger = require('../utils/logger');
+const masterRegistry = require('./master-registry');
+
+/**
+ * Netting layer in front of OrderExecutor for master taker fills.
+ * Fills on the same coin that arrive within the netting window are collected; when
+ * they come from more than one master, each master's follower quantity (its change in
+ * the aggregate target position) is planned separately and only the net difference is
+ * sent to Binance. Each master's leg is still booked to its own sub-book.
+ */
+class NettingEngine {
+  /**
+   * @param {object} account FollowerAccount
+   */
+  constructor(account) {
+    this.orderExecutor = account.orderExecutor;
+    this.windowMs = account.settings.trading.nettingWindowMs;
+    this.pending = new Map(); // coin -> [fillData]
+    this.timers = new Map(); // coin -> timeout
+  }
+
+  /**
+   * Queue a master taker fill for netting
+   * @param {object} fillData
+   */
+  async submitFill(fillData) {
+    // With a single master there is nothing to net against, skip the window latency
+    if (!this.windowMs || masterRegistry.getAddresses().length < 2) {
+      return this.orderExecutor.executeMarketOrder(fillData);
+    }
+
+    const { coin } = fillData;
+    if (!this.pending.has(coin)) {
+      this.pending.set(coin, []);
+    }
+    this.pending.get(coin).push(fillData);
+
+    if (!this.timers.has(coin)) {
+      this.timers.set(coin, setTimeout(() => {
+        this.flush(coin).catch(err => logger.error(`[Netting] Failed to flush ${coin}`, err));
+      }, this.windowMs));
+    }
+  }
+
+  /**
+   * Execute everything collected for a coin
+   * @param {string} coin
+   */
+  async flush(coin) {
+    const fills = this.pending.get(coin) || [];
+    this.pending.delete(coin);
+    if (this.timers.has(coin)) {
+      clearTimeout(this.timers.get(coin));
+      this.timers.delete(coin);
+    }
+
+    if (fills.length === 0) return;
+
+    const masters = new Set(fills.map(fill => fill.userAddress));
+    if (masters.size < 2) {
+      // Nothing to net against, keep the sequential single-master path
+      for (const fill of fills) {
+        await this.orderExecutor.executeMarketOrder(fill);
+      }
+      return;
+    }
+
+    // Plans are built before anything is consumed, so track the delta each master already claimed
+    const reserved = new Map();
+    const plans = [];
+
+    for (const fill of fills) {
+      const plan = await this.orderExecutor.planMarketOrder(fill, reserved.get(fill.userAddress) || 0);
+      if (!plan) continue;
+
+      const deltaClaimed = plan.signedTotalSize - plan.signedMasterOrderSize;
+      reserved.set(fill.userAddress, (reserved.get(fill.userAddress) || 0) + deltaClaimed);
+      plans.push(plan);
+    }
+
+    if (plans.length === 0) return;
+
+    await this.orderExecutor.executeNettedMarketOrders(coin, plans);
+  }
+
+  /**
+   * Flush all coins immediately (e.g. on shutdown)
+   */
+  async flushAll() {
+    const coins = Array.from(this.pending.keys());
+    for (const coin of coins) {
+      await this.flush(coin);
+    }
+  }
+}
+
+module.exports = NettingEngine;
@@ -1,37 +1,49 @@
 const logger = require('../utils/logger');
-const config = require('config');
-const binanceClient = require('../binance/api-client');
-const orderMapper = require('./order-mapper');
-const positionTracker = require('./position-tracker');
-const consistencyEngine = require('./consistency-engine');
-const riskControl = require('./risk-control');
-const positionCalculator = require('./position-calculator');
 const dataCollector = require('../monitoring/data-collector'); // Import DataCollector
-const exposureManager = require('./exposure-manager');
+const { triggerOrderType, triggerDetails } = require('../hyperliquid/parsers');
+const { STATES, isActive } = require('./order-store');
+const { snapshotUpdate } = require('./order-sync');
+
+// Hyperliquid time in force -> venue time in force (ALO is post-only, GTX on Binance)
+const TIME_IN_FORCE = { Gtc: 'GTC', Alo: 'GTX', Ioc: 'IOC' };
 
 class OrderExecutor {
+  /**
+   * @param {object} account FollowerAccount whose Binance account receives the orders
+   */
+  constructor(account) {
+    this.accountId = account.id;
+    this.namespace = account.namespace;
+    this.venue = account.venue;
+    this.orderStore = account.orderStore;
+    this.orderLifecycle = account.orderLifecycle;
+    this.positionTracker = account.positionTracker;
+    this.consistencyEngine = account.consistencyEngine;
+    this.riskControl = account.riskControl;
+    this.positionCalculator = account.positionCalculator;
+    this.exposureManager = account.exposureManager;
+    this.subBook = account.subBook;
+    this.orderSync = account.orderSync;
+    this.trading = account.settings.trading;
+  }
+
   
   /**
    * Calculate enforced minimum quantity if pending delta exists
+   * @param {string} masterAddress 
    * @param {string} coin 
    * @param {number|null} calculatedQuantity 
    * @param {string} actionType 'open' or 'close'
+   * @param {object} [order] { price, market } passed to the min size check
    */
-  async getEnforcedQuantity(coin, calculatedQuantity, actionType) {
+  async getEnforcedQuantity(masterAddress, coin, calculatedQuantity, actionType, { price, market = false } = {}) {
     // Only check if calculated quantity is too small (skipped)
     if (calculatedQuantity && calculatedQuantity > 0) return null;
 
-    const pendingDelta = await positionTracker.getPendingDelta(coin);
+    const pendingDelta = await this.positionTracker.getPendingDelta(masterAddress, coin);
     
     if (Math.abs(pendingDelta) > 0) {
-      const configSize = config.get('trading.minOrderSize')[coin];
-      let minSize = 0;
-      
-      if (typeof configSize === 'object') {
-        minSize = configSize[actionType] || 0;
-      } else {
-        minSize = configSize || 0;
-      }
+      const minSize = this.positionCalculator.getMinOrderSize(coin, actionType, price, market);
 
       logger.info(`Enforcing min size ${minSize} for ${coin} due to pending delta ${pendingDelta}`);
       return minSize;
@@ -50,7 +62,7 @@ class OrderExecutor {
     
     try {
       // 1. Consistency Check
-      if (!await consistencyEngine.shouldProcessHyperOrder(oid)) {
+      if (!await this.consistencyEngine.shouldProcessHyperOrder(oid, { type: 'limit', coin, side, master: userAddress, masterStatus: 'open' })) {
         return;
       }
 
@@ -59,33 +71,34 @@ class OrderExecutor {
       const signedMasterOrderSize = side === 'B' ? masterOrderSize : -masterOrderSize;
       
       // Get Total Signed Execution Size (Master Order + Pending Delta)
-      const signedTotalSize = await positionTracker.getTotalExecutionSize(coin, signedMasterOrderSize);
+      const signedTotalSize = await this.positionTracker.getTotalExecutionSize(userAddress, coin, signedMasterOrderSize);
       const absTotalSize = Math.abs(signedTotalSize);
 
       // 3. Get Current Position & Calculate Follower Quantity
-      const currentPos = await binanceClient.getPosition(coin);
+      const currentPos = await this.venue.getPosition(coin);
       
       // Determine Action Type (for ratio calculation)
       const isClosing = (currentPos > 0 && side === 'A') || (currentPos < 0 && side === 'B');
       const actionType = isClosing ? 'close' : 'open';
 
-      let quantity = await positionCalculator.calculateQuantity(
+      let quantity = await this.positionCalculator.calculateQuantity(
         coin,
         Math.abs(signedMasterOrderSize), 
         userAddress,
-        actionType
+        actionType,
+        { price: limitPx }
       );
 
       // 3.5 Cap Quantity ONLY for Reduce-Only orders to avoid Binance -2022 error
       // If HL order is NOT reduceOnly, we allow it to exceed position (flipping)
       if (orderData.reduceOnly && quantity > 0) {
         const binanceSide = side === 'B' ? 'BUY' : 'SELL';
-        const openQty = await binanceClient.getOpenOrderQuantity(coin, binanceSide);
+        const openQty = await this.venue.getOpenOrderQuantity(coin, binanceSide);
         const absPos = Math.abs(currentPos);
         const availableToClose = Math.max(0, absPos - openQty);
         
         if (quantity > availableToClose) {
-          if (availableToClose < (config.get('trading.minOrderSize')[coin] || 0)) {
+          if (availableToClose < this.positionCalculator.getMinOrderSize(coin, 'close')) {
              logger.warn(`[OrderExecutor] Skipping Reduce-Only order for ${coin} as position is already fully covered by open orders. (Available: ${availableToClose}, Needed: ${quantity})`);
              return;
           }
@@ -98,14 +111,14 @@ class OrderExecutor {
       if (!quantity || quantity <= 0) {
         
         // Try Enforced Execution (Scheme: Force Min Size if Lagging)
-        const enforcedQuantity = await this.getEnforcedQuantity(coin, quantity, actionType);
+        const enforcedQuantity = await this.getEnforcedQuantity(userAddress, coin, quantity, actionType, { price: limitPx });
         
         if (enforcedQuantity && enforcedQuantity > 0) {
           // Cap enforced quantity too if HL order is reduceOnly
           let finalEnforcedQty = enforcedQuantity;
           if (orderData.reduceOnly) {
             const binanceSide = side === 'B' ? 'BUY' : 'SELL';
-            const openQty = await binanceClient.getOpenOrderQuantity(coin, binanceSide);
+            const openQty = await this.venue.getOpenOrderQuantity(coin, binanceSide);
             const absPos = Math.abs(currentPos);
             const availableToClose = Math.max(0, absPos - openQty);
             if (finalEnforcedQty > availableToClose) {
@@ -115,16 +128,19 @@ class OrderExecutor {
 
           if (finalEnforcedQty <= 0) {
             logger.warn(`[OrderExecutor] Cannot enforce min size for ${coin} (reduceOnly) as position is exhausted.`);
-          } else if (riskControl.checkPositionLimit(coin, currentPos, finalEnforcedQty)) {
+          } else if ((await this.riskControl.checkOrder({
+            source: 'limit', oid, master: userAddress, coin, side,
+            quantity: finalEnforcedQty, price: limitPx, currentPos, reduceOnly: orderData.reduceOnly
+          })).allowed) {
             logger.info(`Force executing min size ${finalEnforcedQty} for ${coin} to clear delta`);
             
-            const binanceOrder = await binanceClient.createLimitOrder(
-              coin, side, limitPx, finalEnforcedQty, orderData.reduceOnly
+            const binanceOrder = await this.placeLimitOrder(
+              coin, side, limitPx, finalEnforcedQty, orderData.reduceOnly || false, this.getTimeInForce(orderData)
             );
             
             if (binanceOrder && binanceOrder.orderId) {
-               const symbol = binanceClient.getBinanceSymbol(coin);
-               await orderMapper.saveMapping(oid, binanceOrder.orderId, symbol);
+               const symbol = this.venue.getSymbol(coin);
+               await this.orderLifecycle.open(oid, { coin, side, master: userAddress, price: limitPx, sz, origSz: orderData.origSz, followerQty: finalEnforcedQty });
                
                // Record Trade Stats
                dataCollector.recordTrade({
@@ -136,23 +152,23 @@ class OrderExecutor {
                  type: 'limit-enforced'
                });
 
-               await consistencyEngine.markOrderProcessed(oid, {
+               await this.orderStore.submitted(oid, binanceOrder, {
                 type: 'limit-enforced',
-                coin, side,
+                symbol,
                 masterSize: masterOrderSize,
                 totalMasterSize: absTotalSize,
                 followerSize: finalEnforcedQty,
-                price: limitPx,
-                binanceOrderId: binanceOrder.orderId
+                price: limitPx
               });
+              await this.orderSync.handleUpdate(snapshotUpdate(binanceOrder));
 
               // Update Delta
               const deltaCleared = signedTotalSize - signedMasterOrderSize;
-              await positionTracker.consumePendingDelta(coin, deltaCleared);
+              await this.positionTracker.consumePendingDelta(userAddress, coin, deltaCleared);
 
               // Exposure Check & Rebalance
               if (!skipRebalance) {
-                exposureManager.checkAndRebalance(coin, userAddress).catch(err => {
+                this.exposureManager.checkAndRebalance(coin).catch(err => {
                     logger.error(`Failed to run exposure rebalance for ${coin} (Enforced)`, err);
                 });
               }
@@ -163,27 +179,30 @@ class OrderExecutor {
         }
 
         // Skipped and not enforced. Accumulate delta for next execution
-        await positionTracker.addPendingDelta(coin, signedMasterOrderSize);
+        await this.positionTracker.addPendingDelta(userAddress, coin, signedMasterOrderSize);
         return;
       }
 
       // 4. Check Risk
-      if (!riskControl.checkPositionLimit(coin, currentPos, quantity)) {
+      const risk = await this.riskControl.checkOrder({
+        source: 'limit', oid, master: userAddress, coin, side, quantity, price: limitPx, currentPos, reduceOnly: orderData.reduceOnly
+      });
+      if (!risk.allowed) {
         // Blocked by Risk. Target moved, we didn't. Add to Delta.
-        await positionTracker.addPendingDelta(coin, signedMasterOrderSize);
+        await this.positionTracker.addPendingDelta(userAddress, coin, signedMasterOrderSize);
         return;
       }
 
       // 5. Execute Order
-      const binanceOrder = await binanceClient.createLimitOrder(
-        coin, side, limitPx, quantity, orderData.reduceOnly || false
+      const binanceOrder = await this.placeLimitOrder(
+        coin, side, limitPx, quantity, orderData.reduceOnly || false, this.getTimeInForce(orderData)
       );
 
       // 6. Post-Process
       if (binanceOrder && binanceOrder.orderId) {
-        const symbol = binanceClient.getBinanceSymbol(coin);
-        await orderMapper.saveMapping(oid, binanceOrder.orderId, symbol);
-      
+        const symbol = this.venue.getSymbol(coin);
+        await this.orderLifecycle.open(oid, { coin, side, master: userAddress, price: limitPx, sz, origSz: orderData.origSz, followerQty: quantity });
+
         // Record Trade Stats
         dataCollector.recordTrade({
           symbol,
@@ -194,23 +213,23 @@ class OrderExecutor {
           type: 'limit'
         });
 
-        await consistencyEngine.markOrderProcessed(oid, {
-          type: 'limit',
-          coin, side,
+        await this.orderStore.submitted(oid, binanceOrder, {
+          symbol,
           masterSize: masterOrderSize,
           totalMasterSize: absTotalSize,
           followerSize: quantity,
-          price: limitPx,
-          binanceOrderId: binanceOrder.orderId
+          price: limitPx
         });
+        // Fills at placement can reach the user stream before the order is recorded
+        await this.orderSync.handleUpdate(snapshotUpdate(binanceOrder));
 
         // 7. Update Delta
         const deltaCleared = signedTotalSize - signedMasterOrderSize;
-        await positionTracker.consumePendingDelta(coin, deltaCleared);
+        await this.positionTracker.consumePendingDelta(userAddress, coin, deltaCleared);
 
         // 8. Exposure Check & Rebalance
         if (!skipRebalance) {
-          exposureManager.checkAndRebalance(coin, userAddress).catch(err => {
+          this.exposureManager.checkAndRebalance(coin).catch(err => {
               logger.error(`Failed to run exposure rebalance for ${coin}`, err);
           });
         }
@@ -218,145 +237,445 @@ class OrderExecutor {
 
     } catch (error) {
       logger.error(`Failed to execute limit order ${oid}`, error);
+      await this.orderStore.fail(oid, error);
     } finally {
-      // Always release the lock
-      await consistencyEngine.releaseOrderLock(oid);
+      // Always release the claim (no-op once the order was submitted or failed)
+      await this.orderStore.release(oid);
     }
   }
 
   /**
-   * Execute Market Order (from Fills)
-   * @param {object} fillData 
+   * Venue time in force for a master limit order
+   * @param {object} orderData 
+   * @returns {string} 'GTX' for ALO, 'IOC' for IOC, 'GTC' otherwise
    */
-  async executeMarketOrder(fillData) {
-    const { coin, side, sz, userAddress, px, timestamp } = fillData;
-    const fillId = `fill:${coin}:${timestamp}:${sz}`;
+  getTimeInForce(orderData) {
+    return TIME_IN_FORCE[orderData.tif] || 'GTC';
+  }
+
+  /**
+   * Place a limit order, applying trading.postOnlyRejectPolicy when a GTX order is rejected
+   * because it would cross: 'reprice' retries one tick further from the market per attempt
+   * (up to postOnlyRepriceAttempts), 'gtc' resends it without post-only, 'skip' gives up.
+   * @param {function} [firstAttempt] Sends the order at its own price (e.g. cancel/replace), createLimitOrder by default
+   * @returns {Promise<object|null>} Venue order, null when the policy gave up
+   */
+  async placeLimitOrder(coin, side, price, quantity, reduceOnly, timeInForce, firstAttempt = null) {
+    const place = (px, tif) => this.venue.createLimitOrder(coin, side, px, quantity, reduceOnly, tif);
 
     try {
-      if (await consistencyEngine.isOrderProcessed(fillId)) {
-        return;
+      return await (firstAttempt ? firstAttempt() : place(price, timeInForce));
+    } catch (error) {
+      if (timeInForce !== 'GTX' || !this.venue.isPostOnlyRejectedError(error)) throw error;
+    }
+
+    const policy = this.trading.postOnlyRejectPolicy;
+    if (policy === 'gtc') {
+      logger.info(`[OrderExecutor] Post-only ${coin} order @ ${price} would cross, resending as GTC`);
+      return place(price, 'GTC');
+    }
+
+    if (policy === 'reprice') {
+      const tick = this.venue.getTickSize(coin);
+      const direction = side === 'B' ? -1 : 1; // Away from the market: bids down, asks up
+      for (let attempt = 1; attempt <= this.trading.postOnlyRepriceAttempts; attempt++) {
+        const repriced = this.venue.roundPrice(coin, parseFloat(price) + direction * tick * attempt);
+        try {
+          const order = await place(repriced, 'GTX');
+          logger.info(`[OrderExecutor] Post-only ${coin} order repriced ${price} -> ${repriced}`);
+          return order;
+        } catch (error) {
+          if (!this.venue.isPostOnlyRejectedError(error)) throw error;
+        }
       }
+    }
 
-      const masterOrderSize = parseFloat(sz);
-      const signedMasterOrderSize = side === 'B' ? masterOrderSize : -masterOrderSize;
-      const signedTotalSize = await positionTracker.getTotalExecutionSize(coin, signedMasterOrderSize);
+    logger.warn(`[OrderExecutor] Post-only ${coin} ${side} order @ ${price} would cross, not placed (policy: ${policy})`);
+    return null;
+  }
 
-      const isDirectionMatch = (side === 'B' && signedTotalSize > 0) || (side === 'A' && signedTotalSize < 0);
-      const absTotalSize = Math.abs(signedTotalSize);
+  /**
+   * Mirror a new master order: trigger orders as venue trigger orders, the rest as limit orders
+   * @param {object} orderData 
+   * @param {boolean} skipRebalance
+   */
+  async executeOrder(orderData, skipRebalance = false) {
+    if (orderData.isTrigger) {
+      return this.executeTriggerOrder(orderData);
+    }
+    return this.executeLimitOrder(orderData, skipRebalance);
+  }
 
-      if (absTotalSize < 0.0000001 || !isDirectionMatch) {
-        // Skip execution, update delta
-        await consistencyEngine.markOrderProcessed(fillId, { status: 'skipped_net_calc' });
-        await positionTracker.addPendingDelta(coin, signedMasterOrderSize);
+  /**
+   * Apply a change of an already mirrored master order
+   * @param {object} orderData 
+   */
+  async updateOrder(orderData) {
+    if (orderData.isTrigger) {
+      return this.updateTriggerOrder(orderData);
+    }
+    return this.updateLimitOrder(orderData);
+  }
+
+  /**
+   * Execute Trigger Order (master stop loss / take profit)
+   * The venue holds the trigger, so nothing changes position (or pending delta) until it fires.
+   * @param {object} orderData 
+   */
+  async executeTriggerOrder(orderData) {
+    const { coin, side, oid, sz, triggerPx, limitPx, userAddress } = orderData;
+
+    try {
+      if (!await this.consistencyEngine.shouldProcessHyperOrder(oid, { type: 'trigger', coin, side, master: userAddress, masterStatus: 'open' })) {
         return;
       }
 
-      const currentPos = await binanceClient.getPosition(coin);
-      
-      const isClosing = (currentPos > 0 && side === 'A') || (currentPos < 0 && side === 'B');
-      const actionType = isClosing ? 'close' : 'open';
+      const trigger = await this.planTriggerOrder(orderData);
+      if (!trigger) return;
+
+      const venueOrder = await this.venue.createTriggerOrder(coin, side, trigger);
 
-      let quantity = await positionCalculator.calculateQuantity(
+      if (venueOrder && venueOrder.orderId) {
+        const symbol = this.venue.getSymbol(coin);
+
+        dataCollector.recordTrade({
+          symbol,
+          side,
+          size: trigger.quantity || 0,
+          price: triggerPx,
+          latency: Date.now() - (orderData.timestamp || Date.now()),
+          type: 'trigger'
+        });
+
+        await this.orderStore.submitted(oid, venueOrder, {
+          symbol,
+          trigger: triggerDetails(orderData),
+          orderType: trigger.type,
+          masterSize: parseFloat(sz),
+          followerSize: trigger.quantity || null,
+          closePosition: !!trigger.closePosition,
+          triggerPx,
+          price: limitPx
+        });
+      }
+    } catch (error) {
+      logger.error(`Failed to execute trigger order ${oid}`, error);
+      await this.orderStore.fail(oid, error);
+    } finally {
+      await this.orderStore.release(oid);
+    }
+  }
+
+  /**
+   * Venue trigger order for a master trigger order
+   * Position TP/SL close the whole follower position; reduce-only triggers are capped to it.
+   * @param {object} orderData 
+   * @returns {Promise<object|null>} createTriggerOrder argument, or null to skip
+   */
+  async planTriggerOrder(orderData) {
+    const { coin, side, oid, sz, triggerPx, limitPx, userAddress } = orderData;
+    const type = triggerOrderType(orderData);
+    const isMarket = type.endsWith('_MARKET');
+    const trigger = { type, stopPrice: triggerPx, price: isMarket ? undefined : limitPx };
+
+    if (orderData.isPositionTpsl && isMarket) {
+      const risk = await this.riskControl.checkOrder({ source: 'trigger', oid, master: userAddress, coin, side, reduceOnly: true });
+      return risk.allowed ? { ...trigger, closePosition: true } : null;
+    }
+
+    const currentPos = await this.venue.getPosition(coin);
+    const isClosing = (currentPos > 0 && side === 'A') || (currentPos < 0 && side === 'B');
+    const reduceOnly = orderData.reduceOnly || orderData.isPositionTpsl;
+
+    if (reduceOnly && !isClosing) {
+      logger.warn(`[OrderExecutor] Skipping reduce-only ${type} ${oid} for ${coin}: no follower position to reduce`);
+      return null;
+    }
+
+    let quantity = orderData.isPositionTpsl
+      ? Math.abs(currentPos)
+      : await this.positionCalculator.calculateQuantity(
         coin,
-        absTotalSize,
+        parseFloat(sz),
         userAddress,
-        actionType
+        isClosing ? 'close' : 'open',
+        { price: triggerPx, market: isMarket }
       );
 
-      if (!quantity || quantity <= 0) {
-        
-        // Try Enforced Execution (Scheme: Force Min Size if Lagging)
-        const enforcedQuantity = await this.getEnforcedQuantity(coin, quantity, actionType);
-        
-        if (enforcedQuantity && enforcedQuantity > 0) {
-          if (riskControl.checkPositionLimit(coin, currentPos, enforcedQuantity)) {
-            logger.info(`Force executing min size ${enforcedQuantity} for ${coin} to clear delta (Market)`);
-            
-            const binanceOrder = await binanceClient.createMarketOrder(coin, side, enforcedQuantity, false);
-            
-            if (binanceOrder && binanceOrder.orderId) {
-              const symbol = binanceClient.getBinanceSymbol(coin);
-              await orderMapper.saveMapping(fillId, binanceOrder.orderId, symbol);
-            }
-            
-            // Record Trade Stats (Market)
-            dataCollector.recordTrade({
-                 symbol: binanceClient.getBinanceSymbol(coin),
-                 side,
-                 size: enforcedQuantity,
-                 price: px, 
-                 latency: Date.now() - (timestamp || Date.now()),
-                 slippage: 0, 
-                 type: 'market-enforced'
-            });
-
-             await consistencyEngine.markOrderProcessed(fillId, {
-              type: 'market-enforced',
-              coin, side,
-              masterSize: masterOrderSize,
-              totalMasterSize: absTotalSize,
-              followerSize: enforcedQuantity,
-              price: px, 
-              binanceOrderId: binanceOrder.orderId
-            });
-
-            const deltaCleared = signedTotalSize - signedMasterOrderSize;
-            await positionTracker.consumePendingDelta(coin, deltaCleared);
-
-            // Exposure Check & Rebalance
-            exposureManager.checkAndRebalance(coin, userAddress).catch(err => {
-                logger.error(`Failed to run exposure rebalance for ${coin} (Market)`, err);
-            });
-            return;
-          }
-        }
+    if (!quantity || quantity <= 0) {
+      logger.warn(`[OrderExecutor] Trigger order ${oid} for ${coin} sized to 0, skipping`);
+      return null;
+    }
 
-        await positionTracker.addPendingDelta(coin, signedMasterOrderSize);
-        return;
-      }
+    if (reduceOnly) {
+      quantity = Math.min(quantity, Math.abs(currentPos));
+    }
+    const risk = await this.riskControl.checkOrder({
+      source: 'trigger', oid, master: userAddress, coin, side, quantity, price: limitPx || triggerPx, currentPos, reduceOnly
+    });
+    if (!risk.allowed) {
+      return null;
+    }
 
-      if (!riskControl.checkPositionLimit(coin, currentPos, quantity)) {
-        await positionTracker.addPendingDelta(coin, signedMasterOrderSize);
-        return;
-      }
+    return { ...trigger, quantity, reduceOnly };
+  }
+
+  /**
+   * Plan the follower side of a master taker fill without sending anything
+   * Skipped fills (net calc, min size) are folded into the master's pending delta here.
+   * @param {object} fillData 
+   * @param {number} reservedDelta Pending delta already claimed by earlier plans in the same batch
+   * @returns {Promise<object|null>} Execution plan, or null if nothing should be sent
+   */
+  async planMarketOrder(fillData, reservedDelta = 0) {
+    const fillId = fillKey(fillData);
 
-      const binanceOrder = await binanceClient.createMarketOrder(coin, side, quantity, false);
+    if (await this.orderStore.get(fillId) || !await this.orderStore.claimFill(fillId)) {
+      return null;
+    }
 
-      if (binanceOrder && binanceOrder.orderId) {
-        const symbol = binanceClient.getBinanceSymbol(coin);
-        await orderMapper.saveMapping(fillId, binanceOrder.orderId, symbol);
+    try {
+      return await this.buildMarketPlan(fillData, fillId, reservedDelta);
+    } catch (error) {
+      // Nothing is booked for the fill yet, leave it to a redelivery (resync, backup feed)
+      await this.orderStore.releaseFill(fillId);
+      throw error;
+    }
+  }
+
+  /**
+   * planMarketOrder once the fill is claimed
+   * @param {object} fillData 
+   * @param {string} fillId
+   * @param {number} reservedDelta
+   * @returns {Promise<object|null>}
+   */
+  async buildMarketPlan(fillData, fillId, reservedDelta) {
+    const { coin, side, sz, userAddress, px, timestamp } = fillData;
+    const masterFill = masterFillFields(fillData);
+    const fields = { type: 'market', coin, side, master: userAddress, masterStatus: 'filled', masterSize: sz, price: px, ...masterFill };
+
+    // Taker fills of a mirrored order (e.g. a fired stop) are executed by the follower's own copy
+    const mirrored = fillData.oid !== undefined && await this.orderStore.get(fillData.oid);
+    if (mirrored && mirrored.venueOrderId) {
+      logger.info(`[OrderExecutor] Fill of mirrored order ${fillData.oid} (${coin}) left to the follower order`);
+      await this.orderStore.record(fillId, STATES.CANCELED, fields, { type: 'skipped', reason: 'mirrored_order' });
+      return null;
+    }
+
+    const masterOrderSize = parseFloat(sz);
+    const signedMasterOrderSize = side === 'B' ? masterOrderSize : -masterOrderSize;
+    const signedTotalSize = await this.positionTracker.getTotalExecutionSize(userAddress, coin, signedMasterOrderSize) - reservedDelta;
+
+    const isDirectionMatch = (side === 'B' && signedTotalSize > 0) || (side === 'A' && signedTotalSize < 0);
+    const absTotalSize = Math.abs(signedTotalSize);
+
+    if (absTotalSize < 0.0000001 || !isDirectionMatch) {
+      // Skip execution, update delta
+      await this.orderStore.record(fillId, STATES.CANCELED, fields, { type: 'skipped', reason: 'net_calc' });
+      await this.positionTracker.addPendingDelta(userAddress, coin, signedMasterOrderSize);
+      return null;
+    }
+
+    const currentPos = await this.venue.getPosition(coin);
+    
+    const isClosing = (currentPos > 0 && side === 'A') || (currentPos < 0 && side === 'B');
+    const actionType = isClosing ? 'close' : 'open';
+
+    let quantity = await this.positionCalculator.calculateQuantity(
+      coin,
+      absTotalSize,
+      userAddress,
+      actionType,
+      { price: px, market: true }
+    );
+    let type = 'market';
+
+    if (!quantity || quantity <= 0) {
+      // Try Enforced Execution (Scheme: Force Min Size if Lagging)
+      const enforcedQuantity = await this.getEnforcedQuantity(userAddress, coin, quantity, actionType, { price: px, market: true });
+
+      if (!enforcedQuantity || enforcedQuantity <= 0) {
+        await this.positionTracker.addPendingDelta(userAddress, coin, signedMasterOrderSize);
+        return null;
       }
 
-      // Record Trade Stats
-      dataCollector.recordTrade({
-          symbol: binanceClient.getBinanceSymbol(coin),
-          side,
-          size: quantity,
-          price: px,
-          latency: Date.now() - (timestamp || Date.now()),
-          type: 'market'
-      });
+      logger.info(`Force executing min size ${enforcedQuantity} for ${coin} to clear delta (Market)`);
+      quantity = enforcedQuantity;
+      type = 'market-enforced';
+    }
+
+    return {
+      fillId, coin, side, userAddress, px, timestamp, type,
+      masterFill,
+      masterOrderSize,
+      signedMasterOrderSize,
+      signedTotalSize,
+      absTotalSize,
+      currentPos,
+      quantity
+    };
+  }
 
-      await consistencyEngine.markOrderProcessed(fillId, {
-        type: 'market',
-        coin, side,
-        masterSize: masterOrderSize,
-        totalMasterSize: absTotalSize,
-        followerSize: quantity,
-        price: px, 
-        binanceOrderId: binanceOrder.orderId
+  /**
+   * Book an executed market plan: order record, stats, delta and the master's sub-book
+   * @param {object} plan From planMarketOrder
+   * @param {object|null} binanceOrder Order the plan was executed through (null if fully netted)
+   * @param {number} price Execution price attributed to the master's sub-book
+   */
+  async settleMarketPlan(plan, binanceOrder, price) {
+    const { fillId, coin, side, userAddress, quantity, px, timestamp } = plan;
+    const symbol = this.venue.getSymbol(coin);
+    const binanceOrderId = binanceOrder && binanceOrder.orderId ? binanceOrder.orderId : '';
+
+    // Record Trade Stats
+    dataCollector.recordTrade({
+        symbol,
+        side,
+        size: quantity,
+        price: px,
+        latency: Date.now() - (timestamp || Date.now()),
+        type: plan.type,
+        ...plan.masterFill
+    });
+
+    await this.orderStore.create(fillId, {
+      type: plan.type,
+      coin, side, master: userAddress,
+      masterStatus: 'filled',
+      symbol,
+      masterSize: plan.masterOrderSize,
+      totalMasterSize: plan.absTotalSize,
+      followerSize: quantity,
+      price: px,
+      ...plan.masterFill
+    });
+    if (binanceOrderId) {
+      await this.orderStore.submitted(fillId, binanceOrder);
+    } else {
+      await this.orderStore.transition(fillId, STATES.FILLED, { type: 'netted' });
+    }
+
+    const deltaCleared = plan.signedTotalSize - plan.signedMasterOrderSize;
+    await this.positionTracker.consumePendingDelta(userAddress, coin, deltaCleared);
+
+    await this.subBook.applyFill(userAddress, coin, side === 'B' ? quantity : -quantity, price);
+  }
+
+  /**
+   * Execute Market Order (from Fills)
+   * @param {object} fillData 
+   */
+  async executeMarketOrder(fillData) {
+    const { coin } = fillData;
+    let plan = null;
+    let sent = false;
+
+    try {
+      plan = await this.planMarketOrder(fillData);
+      if (!plan) return;
+
+      const risk = await this.riskControl.checkOrder({
+        source: 'market', master: plan.userAddress, coin, side: plan.side, quantity: plan.quantity, price: plan.px, currentPos: plan.currentPos
       });
+      if (!risk.allowed) {
+        await this.positionTracker.addPendingDelta(plan.userAddress, coin, plan.signedMasterOrderSize);
+        return;
+      }
 
-      const deltaCleared = signedTotalSize - signedMasterOrderSize;
-      await positionTracker.consumePendingDelta(coin, deltaCleared);
+      const binanceOrder = await this.venue.createMarketOrder(coin, plan.side, plan.quantity, false);
+      sent = true;
+      const avgPrice = parseFloat(binanceOrder && binanceOrder.avgPrice);
+
+      await this.settleMarketPlan(plan, binanceOrder, avgPrice > 0 ? avgPrice : parseFloat(plan.px));
 
       // Exposure Check & Rebalance (New Risk Control)
-      exposureManager.checkAndRebalance(coin, userAddress).catch(err => {
+      this.exposureManager.checkAndRebalance(coin).catch(err => {
           logger.error(`Failed to run exposure rebalance for ${coin}`, err);
       });
 
     } catch (error) {
       logger.error(`Failed to execute market order for ${coin}`, error);
+      if (plan && !sent) await this.deferPlans(coin, [plan]);
+    }
+  }
+
+  /**
+   * Execute several masters' taker fills on one coin as a single net Binance order
+   * Opposing plans offset each other internally, only the difference is sent.
+   * Every leg is booked at the same price so netting itself moves no PnL between masters.
+   * @param {string} coin 
+   * @param {Array<object>} plans From planMarketOrder
+   */
+  async executeNettedMarketOrders(coin, plans) {
+    let sent = false;
+
+    try {
+      const signedOf = plan => plan.side === 'B' ? plan.quantity : -plan.quantity;
+      const netSigned = plans.reduce((sum, plan) => sum + signedOf(plan), 0);
+      const grossQuantity = plans.reduce((sum, plan) => sum + plan.quantity, 0);
+      const netQuantity = this.positionCalculator.roundToPrecision(Math.abs(netSigned), coin, true);
+      const netSide = netSigned > 0 ? 'B' : 'A';
+
+      // Quantity-weighted master price, used when no order is sent or no fill price is returned
+      let execPrice = plans.reduce((sum, plan) => sum + plan.quantity * parseFloat(plan.px), 0) / grossQuantity;
+      let binanceOrder = null;
+
+      logger.info(`[OrderExecutor] Netting ${plans.length} fills for ${coin}: gross ${grossQuantity}, net ${netSide} ${netQuantity}`);
+
+      if (netQuantity > 0) {
+        const currentPos = await this.venue.getPosition(coin);
+        // The gate checks the order that is actually sent, min size bump included
+        const minSize = this.positionCalculator.getMinOrderSize(coin, 'open', execPrice, true);
+        const orderQuantity = Math.max(netQuantity, minSize);
+
+        const risk = await this.riskControl.checkOrder({ source: 'netted', coin, side: netSide, quantity: orderQuantity, price: execPrice, currentPos });
+        if (!risk.allowed) {
+          await this.deferPlans(coin, plans);
+          return;
+        }
+
+        binanceOrder = await this.venue.createMarketOrder(coin, netSide, orderQuantity, false);
+        sent = true;
+
+        const avgPrice = parseFloat(binanceOrder && binanceOrder.avgPrice);
+        if (avgPrice > 0) execPrice = avgPrice;
+
+        // Rounding and min size bumps are carried by the largest plan on the net side
+        const adjustment = orderQuantity - Math.abs(netSigned);
+        if (Math.abs(adjustment) > 1e-12) {
+          const carrier = plans
+            .filter(plan => plan.side === netSide)
+            .sort((a, b) => b.quantity - a.quantity)[0];
+          carrier.quantity += adjustment;
+        }
+      }
+
+      for (const plan of plans) {
+        await this.settleMarketPlan(plan, binanceOrder, execPrice);
+      }
+
+      this.exposureManager.checkAndRebalance(coin).catch(err => {
+          logger.error(`Failed to run exposure rebalance for ${coin} (Netted)`, err);
+      });
+
+    } catch (error) {
+      logger.error(`Failed to execute netted market orders for ${coin}`, error);
+      if (!sent) await this.deferPlans(coin, plans);
+    }
+  }
+
+  /**
+   * Book planned fills that never reached the venue as pending delta, so the next trade
+   * catches up on them. Their claims stay, a redelivery must not send them again.
+   * @param {string} coin 
+   * @param {Array<object>} plans From planMarketOrder
+   */
+  async deferPlans(coin, plans) {
+    for (const plan of plans) {
+      await this.positionTracker.addPendingDelta(plan.userAddress, coin, plan.signedMasterOrderSize).catch(err => {
+        logger.error(`Failed to book pending delta for ${plan.fillId}`, err);
+      });
     }
   }
 
@@ -369,32 +688,39 @@ class OrderExecutor {
     const { coin, side, limitPx, oid, sz, userAddress } = orderData;
     
     // Acquire lock to prevent race conditions
-    const lockKey = `orderLock:${oid}`;
-    const acquired = await require('../utils/redis').set(lockKey, 'true', 'NX', 'EX', 10);
-    
-    if (!acquired) {
+    if (!await this.orderStore.lock(oid)) {
       logger.debug(`[OrderExecutor] Order update for ${oid} locked, skipping.`);
       return;
     }
 
     try {
-      const mapping = await orderMapper.getBinanceOrder(oid);
-      if (!mapping) {
-        logger.warn(`[OrderExecutor] Cannot update order ${oid}: No mapping found.`);
+      const order = await this.orderStore.get(oid);
+      if (!order || !order.venueOrderId || !isActive(order.state)) {
+        logger.warn(`[OrderExecutor] Cannot update order ${oid}: No open follower order.`);
+        return;
+      }
+
+      // Partial fills of the master only shrink the follower order, its fills stay where they are
+      const progress = await this.orderLifecycle.recordMasterUpdate(oid, orderData);
+      if (progress && !progress.modified) {
+        if (progress.filled > 0) {
+          await this.reduceFollowerOrder(orderData, order, progress.state);
+        }
         return;
       }
 
-      logger.info(`[OrderExecutor] Updating order ${oid} (Binance ID: ${mapping.orderId})...`);
+      logger.info(`[OrderExecutor] Updating order ${oid} (Binance ID: ${order.venueOrderId})...`);
 
       // 1. Calculate New Quantity
       const masterOrderSize = parseFloat(sz);
       const signedMasterOrderSize = side === 'B' ? masterOrderSize : -masterOrderSize;
       
-      let quantity = await positionCalculator.calculateQuantity(
+      let quantity = await this.positionCalculator.calculateQuantity(
         coin,
         Math.abs(signedMasterOrderSize), 
         userAddress,
-        'open' 
+        'open',
+        { price: limitPx }
       );
       
       if (!quantity || quantity <= 0) {
@@ -402,34 +728,41 @@ class OrderExecutor {
         return;
       }
 
+      // A rejected replace leaves the current follower order as it is
+      const currentPos = await this.venue.getPosition(coin);
+      const risk = await this.riskControl.checkOrder({
+        source: 'replace', oid, master: userAddress, coin, side, quantity, price: limitPx, currentPos, reduceOnly: orderData.reduceOnly
+      });
+      if (!risk.allowed) return;
+
       // 2. Perform Atomic Cancel/Replace
       try {
-        const newBinanceOrder = await binanceClient.cancelReplaceOrder(
-          coin,
-          mapping.orderId,
-          side,
-          limitPx,
-          quantity,
-          orderData.reduceOnly || false
+        const reduceOnly = orderData.reduceOnly || false;
+        const timeInForce = this.getTimeInForce(orderData);
+        const newBinanceOrder = await this.placeLimitOrder(
+          coin, side, limitPx, quantity, reduceOnly, timeInForce,
+          () => this.venue.cancelReplaceOrder(coin, order.venueOrderId, side, limitPx, quantity, reduceOnly, timeInForce)
         );
 
-        // 3. Update Mapping (Only if successful)
+        if (!newBinanceOrder) {
+          // The old order is already canceled, nothing mirrors the master order anymore
+          await this.orderStore.transition(oid, STATES.CANCELED, { type: 'replace_not_placed' });
+          return;
+        }
+
+        // 3. Update Order Record (Only if successful)
         if (newBinanceOrder && newBinanceOrder.orderId) {
-          // Cleanup old mapping
-          await orderMapper.deleteMapping(oid);
-          // Save new mapping
-          await orderMapper.saveMapping(oid, newBinanceOrder.orderId, mapping.symbol);
+          await this.orderStore.update(oid, {
+            venueOrderId: newBinanceOrder.orderId,
+            price: limitPx,
+            followerSize: quantity
+          }, { type: 'replaced', venueOrderId: newBinanceOrder.orderId, previousVenueOrderId: order.venueOrderId, price: limitPx, followerSize: quantity });
+          if (progress) {
+            await this.orderLifecycle.replace(oid, { price: limitPx, followerQty: quantity });
+          }
+          await this.orderSync.handleUpdate(snapshotUpdate(newBinanceOrder));
           
           logger.info(`[OrderExecutor] Order updated (Atomic): HL ${oid} -> Binance ${newBinanceOrder.orderId}`);
-          
-          // Log update in history
-          await consistencyEngine.markOrderProcessed(oid, {
-             type: 'limit-update',
-             coin, side,
-             price: limitPx,
-             followerSize: quantity,
-             binanceOrderId: newBinanceOrder.orderId
-          });
         }
       } catch (err) {
         logger.error(`[OrderExecutor] Atomic update failed for ${oid}`, err);
@@ -440,9 +773,145 @@ class OrderExecutor {
     } catch (error) {
       logger.error(`[OrderExecutor] Failed to update order ${oid}`, error);
     } finally {
-      await consistencyEngine.releaseOrderLock(oid);
+      await this.orderStore.unlock(oid);
     }
   }
+
+  /**
+   * Shrink the follower order after a master partial fill, keeping its remaining quantity
+   * proportional to the master's remaining size (never below the venue minimum).
+   * The part taken off is already in the pending delta through the master fill.
+   * @param {object} orderData 
+   * @param {object} record OrderStore record
+   * @param {object} state OrderLifecycle record
+   */
+  async reduceFollowerOrder(orderData, record, state) {
+    const { coin, side, oid } = orderData;
+    const order = await this.venue.getOrder(record.symbol, record.venueOrderId);
+    if (order.status !== 'NEW' && order.status !== 'PARTIALLY_FILLED') return;
+
+    const remaining = order.origQty - order.executedQty;
+    const proportional = this.venue.roundQuantity(coin, state.ratio * state.masterRemaining, { floor: true });
+    const target = Math.max(proportional, this.venue.getMinQuantity(coin, order.price));
+    if (target >= remaining) return;
+
+    const quantity = this.venue.roundQuantity(coin, order.executedQty + target);
+    await this.venue.amendOrder(coin, record.venueOrderId, side, order.price, quantity);
+    await this.orderLifecycle.resize(oid, quantity);
+    logger.info(`[OrderExecutor] Master partially filled ${oid}: follower order ${record.venueOrderId} remaining ${remaining} -> ${target}`);
+  }
+
+  /**
+   * Update (Move) Trigger Order
+   * Venues cannot amend trigger orders, so the old one is canceled and a new one placed.
+   * @param {object} orderData 
+   */
+  async updateTriggerOrder(orderData) {
+    const { coin, side, oid, triggerPx, limitPx } = orderData;
+
+    if (!await this.orderStore.lock(oid)) {
+      logger.debug(`[OrderExecutor] Trigger update for ${oid} locked, skipping.`);
+      return;
+    }
+
+    try {
+      const order = await this.orderStore.get(oid);
+      if (!order || !order.venueOrderId || !isActive(order.state)) {
+        logger.warn(`[OrderExecutor] Cannot update trigger order ${oid}: No open follower order.`);
+        return;
+      }
+
+      const previous = order.trigger || {};
+      const next = triggerDetails(orderData);
+      if (previous.type === next.type && previous.triggerPx === next.triggerPx
+        && previous.limitPx === next.limitPx && previous.sz === next.sz) {
+        logger.debug(`[OrderExecutor] Trigger order ${oid} unchanged, skipping update.`);
+        return;
+      }
+
+      logger.info(`[OrderExecutor] Moving trigger order ${oid} (Binance ID: ${order.venueOrderId}): ${previous.triggerPx} -> ${triggerPx}`);
+
+      try {
+        await this.venue.cancelOrder(order.symbol, order.venueOrderId);
+      } catch (err) {
+        if (this.venue.isUnknownOrderError(err)) {
+          // Already fired or canceled on the venue, there is nothing left to move
+          logger.warn(`[OrderExecutor] Trigger order ${order.venueOrderId} no longer open, closing order ${oid}`);
+          await this.orderStore.transition(oid, STATES.CANCELED, { type: 'move_not_open' });
+          return;
+        }
+        throw err;
+      }
+
+      const trigger = await this.planTriggerOrder(orderData);
+      if (!trigger) {
+        await this.orderStore.transition(oid, STATES.CANCELED, { type: 'move_skipped' });
+        return;
+      }
+
+      const venueOrder = await this.venue.createTriggerOrder(coin, side, trigger);
+      if (venueOrder && venueOrder.orderId) {
+        await this.orderStore.update(oid, {
+          venueOrderId: venueOrder.orderId,
+          trigger: next,
+          orderType: trigger.type,
+          followerSize: trigger.quantity || null,
+          closePosition: !!trigger.closePosition,
+          triggerPx,
+          price: limitPx
+        }, { type: 'replaced', venueOrderId: venueOrder.orderId, previousVenueOrderId: order.venueOrderId, triggerPx });
+        logger.info(`[OrderExecutor] Trigger order moved: HL ${oid} -> Binance ${venueOrder.orderId}`);
+      }
+    } catch (error) {
+      logger.error(`[OrderExecutor] Failed to update trigger order ${oid}`, error);
+    } finally {
+      await this.orderStore.unlock(oid);
+    }
+  }
+
+  /**
+   * Cancel the follower order of a canceled master order
+   * A failed cancel leaves the order CANCEL_PENDING, OrderValidator retries it.
+   * @param {object} orderData 
+   */
+  async cancelOrder(orderData) {
+    const { oid } = orderData;
+    const order = await this.orderStore.update(oid, { masterStatus: 'canceled' }, { type: 'master_canceled' });
+    if (!order || !order.venueOrderId || !isActive(order.state)) return;
+
+    await this.orderStore.transition(oid, STATES.CANCEL_PENDING, { type: 'cancel_requested' });
+    await this.venue.cancelOrder(order.symbol, order.venueOrderId);
+    // Fills of both sides are already in the pending delta, the unfilled rest just goes away
+    await this.orderStore.transition(oid, STATES.CANCELED, { type: 'canceled' });
+  }
+}
+
+/**
+ * Idempotency key of a master taker fill. Fills with a trade id are keyed on it, so fills of
+ * the same size in the same millisecond stay apart; sources without one fall back to time and size.
+ * @param {object} fill Normalized 'fill' event
+ * @returns {string}
+ */
+function fillKey(fill) {
+  const { userAddress, coin, tid, timestamp, sz } = fill;
+  if (tid !== undefined && tid !== null) {
+    return `fill:${userAddress}:${coin}:${tid}`;
+  }
+  return `fill:${userAddress}:${coin}:${timestamp}:${sz}`;
+}
+
+/**
+ * Identity of the master fill kept on the follower record and in the trade history
+ * @param {object} fill Normalized 'fill' event
+ * @returns {object} { masterTid?, masterHash?, masterOid? }
+ */
+function masterFillFields(fill) {
+  const fields = {};
+  if (fill.tid !== undefined && fill.tid !== null) fields.masterTid = fill.tid;
+  if (fill.hash) fields.masterHash = fill.hash;
+  if (fill.oid !== undefined && fill.oid !== null) fields.masterOid = fill.oid;
+  return fields;
 }
 
-module.exports = new OrderExecutor();
+module.exports = OrderExecutor;
+module.exports.fillKey = fillKey;
@@ -0,0 +1,174 @@
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+
+const EXPIRY = 60 * 60 * 24 * 7; // Same retention as the order record
+
+const NUMBER_FIELDS = ['price', 'origSz', 'masterRemaining', 'masterFilled', 'followerQty', 'followerFilled', 'ratio'];
+
+/**
+ * Filled vs remaining quantity of both sides of a mirrored limit order.
+ * Kept on the order's OrderStore record, across follower cancel/replaces:
+ * - master side: origSz, masterRemaining (the master's open `sz`), masterFilled
+ * - follower side: followerQty (current venue order size), followerFilled (all venue fills)
+ * - ratio: follower units per master unit of the current venue order
+ * Fills of either side are booked to the master's pending delta as they happen, so at any
+ * time the order contributes `masterFilled - followerFilled / ratio` (signed by side).
+ * Orders without these fields (trigger orders, recovered or legacy orders) keep using
+ * the orphan fill handling of ConsistencyEngine.
+ */
+class OrderLifecycle {
+  /**
+   * @param {object} account FollowerAccount (uses orderStore and positionTracker)
+   * @param {object} store Redis client (tests pass an in-memory store with the same commands)
+   */
+  constructor(account, store = redis) {
+    this.orderStore = account.orderStore;
+    this.positionTracker = account.positionTracker;
+    this.store = store;
+    this.queues = new Map(); // oid -> tail of the update chain
+  }
+
+  key(oid) {
+    return this.orderStore.key(oid);
+  }
+
+  /**
+   * @param {string} oid
+   * @returns {Promise<object|null>}
+   */
+  async get(oid) {
+    const data = await this.store.hgetall(this.key(oid));
+    if (!data || !data.ratio) return null;
+
+    const state = { ...data };
+    for (const field of NUMBER_FIELDS) {
+      state[field] = parseFloat(data[field]) || 0;
+    }
+    return state;
+  }
+
+  async save(oid, state) {
+    const key = this.key(oid);
+    await this.store.pipeline()
+      .hset(key, state)
+      .expire(key, EXPIRY)
+      .exec();
+  }
+
+  /**
+   * Run updates of one order one at a time (events of the same order can arrive back to back)
+   */
+  serialize(oid, task) {
+    const previous = this.queues.get(oid) || Promise.resolve();
+    const run = previous.then(task, task);
+    const tail = run.catch(() => {});
+    this.queues.set(oid, tail);
+    tail.then(() => {
+      if (this.queues.get(oid) === tail) this.queues.delete(oid);
+    });
+    return run;
+  }
+
+  /**
+   * Start tracking a newly mirrored order
+   * @param {string} oid
+   * @param {object} order { coin, side, master, price, sz, origSz?, followerQty }
+   */
+  async open(oid, { coin, side, master, price, sz, origSz, followerQty }) {
+    const masterRemaining = parseFloat(sz);
+    await this.save(oid, {
+      coin,
+      side,
+      master,
+      price: parseFloat(price),
+      origSz: parseFloat(origSz) || masterRemaining,
+      masterRemaining,
+      masterFilled: 0,
+      followerQty,
+      followerFilled: 0,
+      ratio: followerQty / masterRemaining
+    });
+  }
+
+  /**
+   * Apply a master order update (open with a new `sz`/price, or filled).
+   * A smaller `sz` at the same price and origSz is a partial fill, anything else a modification.
+   * @param {string} oid
+   * @param {object} orderData Standardized master order
+   * @returns {Promise<{state: object, filled: number, modified: boolean}|null>} null when untracked
+   */
+  recordMasterUpdate(oid, orderData) {
+    return this.serialize(oid, async () => {
+      const state = await this.get(oid);
+      if (!state) return null;
+
+      const sz = orderData.status === 'filled' ? 0 : parseFloat(orderData.sz);
+      const origSz = parseFloat(orderData.origSz) || state.origSz;
+      const priceChanged = orderData.status !== 'filled' && parseFloat(orderData.limitPx) !== state.price;
+      const modified = priceChanged || origSz !== state.origSz || sz > state.masterRemaining;
+
+      const filled = modified ? 0 : state.masterRemaining - sz;
+      if (filled > 0) {
+        state.masterFilled += filled;
+        const signed = state.side === 'B' ? filled : -filled;
+        await this.positionTracker.addPendingDelta(state.master, state.coin, signed);
+        logger.info(`[OrderLifecycle] Master filled ${filled} of ${oid} (${state.coin}), ${sz} left`);
+      }
+
+      state.masterRemaining = sz;
+      state.origSz = origSz;
+      await this.save(oid, { masterRemaining: sz, origSz, masterFilled: state.masterFilled });
+      return { state, filled, modified };
+    });
+  }
+
+  /**
+   * Book a fill of the follower's venue order
+   * @param {string} oid
+   * @param {number} qty Filled quantity (coin units)
+   * @returns {Promise<boolean>} false when the order is untracked
+   */
+  recordFollowerFill(oid, qty) {
+    return this.serialize(oid, async () => {
+      const state = await this.get(oid);
+      if (!state) return false;
+
+      const followerFilled = state.followerFilled + qty;
+      await this.save(oid, { followerFilled });
+
+      const masterSize = qty / state.ratio;
+      const signed = state.side === 'B' ? -masterSize : masterSize;
+      await this.positionTracker.addPendingDelta(state.master, state.coin, signed);
+      logger.info(`[OrderLifecycle] Follower filled ${qty} of ${oid} (${state.coin}), ${followerFilled} in total`);
+      return true;
+    });
+  }
+
+  /**
+   * The follower order was replaced (new price and/or size) for the master's remaining size
+   * @param {string} oid
+   * @param {object} order { price, followerQty }
+   */
+  replace(oid, { price, followerQty }) {
+    return this.serialize(oid, async () => {
+      const state = await this.get(oid);
+      if (!state) return;
+      await this.save(oid, {
+        price: parseFloat(price),
+        followerQty,
+        ratio: state.masterRemaining > 0 ? followerQty / state.masterRemaining : state.ratio
+      });
+    });
+  }
+
+  /**
+   * The follower order was resized in place (ratio unchanged)
+   * @param {string} oid
+   * @param {number} followerQty
+   */
+  resize(oid, followerQty) {
+    return this.serialize(oid, () => this.save(oid, { followerQty }));
+  }
+}
+
+module.exports = OrderLifecycle;
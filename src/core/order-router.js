@@ -0,0 +1,52 @@
+const logger = require('../utils/logger');
+const { triggerOrderType } = require('../hyperliquid/parsers');
+const { STATES, isActive } = require('./order-store');
+
+/**
+ * Mirror a Hyperliquid order event on one follower account
+ * Live trading and backtests both route master order updates through here.
+ * @param {FollowerAccount} account
+ * @param {object} orderData
+ */
+async function handleOrderEvent(account, orderData) {
+  try {
+    const order = await account.orderStore.get(orderData.oid);
+
+    if (orderData.status === 'triggered' && orderData.isTrigger) {
+      // The follower's own trigger order fires on the venue; a master stop market becomes a
+      // taker fill that is skipped as a mirrored order (or netted when it was never mirrored)
+      if (!order && !triggerOrderType(orderData).endsWith('_MARKET')) {
+        // Unmirrored stop limit now resting on the master's book: follow it as a limit order
+        await account.orderExecutor.executeLimitOrder({ ...orderData, isTrigger: false });
+      }
+
+    } else if (orderData.status === 'open' || orderData.status === 'triggered') {
+      if (order && order.trigger && !orderData.isTrigger) {
+        // Master trigger already fired into a resting order: the follower's trigger order fires on its own
+        return;
+      } else if (order && isActive(order.state) && order.venueOrderId) {
+        await account.orderExecutor.updateOrder(orderData);
+      } else if (order && order.state !== STATES.FAILED) {
+        // Follower side already settled (or still being submitted): only book master partial fills
+        await account.orderLifecycle.recordMasterUpdate(orderData.oid, orderData);
+      } else {
+        // Handle New Order (limit or trigger), or retry a failed one
+        await account.orderExecutor.executeOrder(orderData);
+      }
+    
+    } else if (orderData.status === 'canceled') {
+      await account.orderExecutor.cancelOrder(orderData);
+
+    } else if (orderData.status === 'filled') {
+      // Book the rest of the master order as filled (tracked orders) and resolve orphan fills
+      // (untracked orders). The follower order settles through its own venue updates.
+      await account.orderLifecycle.recordMasterUpdate(orderData.oid, orderData);
+      await account.consistencyEngine.handleHyperliquidFill(orderData.oid);
+    }
+
+  } catch (error) {
+    logger.error(`[${account.id}] Failed to process order event`, error);
+  }
+}
+
+module.exports = { handleOrderEvent };
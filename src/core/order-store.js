@@ -0,0 +1,500 @@
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+
+// Key prefixes
+const ORDER = 'order:';
+const EVENTS = 'orderEvents:';
+const BY_VENUE = 'orderByVenue:';
+const ACTIVE = 'orders:active';
+const LOCK = 'orderLock:';
+const FILL_CLAIM = 'fillClaim:';
+const EXPIRY = 60 * 60 * 24 * 7; // 7 days retention
+const SUBMIT_TIMEOUT = 30000; // A submit still pending after this was abandoned (e.g. restart mid-order)
+const FILLED = 'filled:'; // Record field prefix: booked cumulative fill per venue order
+const FILL_EPSILON = 1e-12;
+
+const STATES = {
+  PENDING_SUBMIT: 'PENDING_SUBMIT',
+  OPEN: 'OPEN',
+  PARTIALLY_FILLED: 'PARTIALLY_FILLED',
+  CANCEL_PENDING: 'CANCEL_PENDING',
+  FILLED: 'FILLED',
+  CANCELED: 'CANCELED',
+  ORPHANED: 'ORPHANED', // Follower order filled, master order not (yet)
+  FAILED: 'FAILED'
+};
+
+const TRANSITIONS = {
+  PENDING_SUBMIT: ['OPEN', 'PARTIALLY_FILLED', 'FILLED', 'CANCELED', 'ORPHANED', 'FAILED'],
+  OPEN: ['PARTIALLY_FILLED', 'CANCEL_PENDING', 'FILLED', 'CANCELED', 'ORPHANED', 'FAILED'],
+  PARTIALLY_FILLED: ['CANCEL_PENDING', 'FILLED', 'CANCELED', 'ORPHANED', 'FAILED'],
+  CANCEL_PENDING: ['OPEN', 'PARTIALLY_FILLED', 'FILLED', 'CANCELED', 'ORPHANED', 'FAILED'],
+  ORPHANED: ['FILLED'],
+  FILLED: [],
+  CANCELED: [],
+  FAILED: []
+};
+
+// States with (possibly) a live venue order, reconciled by OrderValidator
+const ACTIVE_STATES = ['PENDING_SUBMIT', 'OPEN', 'PARTIALLY_FILLED', 'CANCEL_PENDING'];
+
+const VENUE_STATUS_STATES = {
+  NEW: 'OPEN',
+  PARTIALLY_FILLED: 'PARTIALLY_FILLED',
+  CANCELED: 'CANCELED',
+  EXPIRED: 'CANCELED',
+  REJECTED: 'FAILED'
+};
+
+const JSON_FIELDS = ['trigger'];
+const INT_FIELDS = ['createdAt', 'updatedAt'];
+
+/**
+ * State of every follower order, keyed by the master OID (or fill id for market follows,
+ * built from the master trade id, see OrderExecutor fillKey).
+ * Each record is a Redis hash with the order's state, its venue order, the master's status
+ * and bookkeeping fields of other services (OrderLifecycle, orphan fills, validation).
+ * Every change is appended to a per-order event log, and only the transitions in
+ * TRANSITIONS are accepted. Records expire 7 days after their last change.
+ */
+class OrderStore {
+  /**
+   * @param {string} namespace Redis key prefix of the follower account ('' for the default account)
+   * @param {object} store Redis client (tests pass an in-memory store with the same commands)
+   */
+  constructor(namespace = '', store = redis) {
+    this.namespace = namespace;
+    this.store = store;
+    this.activeKey = `${namespace}${ACTIVE}`;
+    this.queues = new Map(); // oid -> tail of the update chain
+  }
+
+  key(oid) {
+    return `${this.namespace}${ORDER}${oid}`;
+  }
+
+  eventsKey(oid) {
+    return `${this.namespace}${EVENTS}${oid}`;
+  }
+
+  venueKey(venueOrderId) {
+    return `${this.namespace}${BY_VENUE}${venueOrderId}`;
+  }
+
+  /**
+   * Run changes of one order one at a time (events of the same order can arrive back to back)
+   */
+  serialize(oid, task) {
+    const previous = this.queues.get(oid) || Promise.resolve();
+    const run = previous.then(task, task);
+    const tail = run.catch(() => {});
+    this.queues.set(oid, tail);
+    tail.then(() => {
+      if (this.queues.get(oid) === tail) this.queues.delete(oid);
+    });
+    return run;
+  }
+
+  /**
+   * @param {string} oid
+   * @returns {Promise<object|null>}
+   */
+  async get(oid) {
+    const data = await this.store.hgetall(this.key(oid));
+    if (!data || !data.state) return null;
+
+    const order = { ...data, oid: String(oid) };
+    for (const field of JSON_FIELDS) {
+      if (data[field]) order[field] = JSON.parse(data[field]);
+    }
+    for (const field of INT_FIELDS) {
+      order[field] = parseInt(data[field]) || 0;
+    }
+    return order;
+  }
+
+  /**
+   * @param {string} oid
+   * @returns {Promise<Array<object>>} Oldest first
+   */
+  async getEvents(oid) {
+    const events = await this.store.lrange(this.eventsKey(oid), 0, -1);
+    return events.map(event => JSON.parse(event));
+  }
+
+  /**
+   * @param {string|number} venueOrderId
+   * @returns {Promise<object|null>}
+   */
+  async findByVenueOrder(venueOrderId) {
+    const oid = await this.store.get(this.venueKey(venueOrderId));
+    return oid ? this.get(oid) : null;
+  }
+
+  /**
+   * Orders in one of the ACTIVE_STATES
+   * @returns {Promise<Array<object>>}
+   */
+  async getActive() {
+    const oids = await this.store.smembers(this.activeKey);
+    const orders = [];
+    for (const oid of oids) {
+      const order = await this.get(oid);
+      if (order && ACTIVE_STATES.includes(order.state)) {
+        orders.push(order);
+      } else {
+        await this.store.srem(this.activeKey, oid); // Expired record
+      }
+    }
+    return orders;
+  }
+
+  /**
+   * @param {object} [filter] { states, coin, master }
+   * @returns {Promise<Array<object>>}
+   */
+  async query({ states = null, coin = null, master = null } = {}) {
+    const onlyActive = states && states.every(state => ACTIVE_STATES.includes(state));
+    const orders = onlyActive ? await this.getActive() : await this.getAll();
+    return orders.filter(order => (!states || states.includes(order.state))
+      && (!coin || order.coin === coin)
+      && (!master || order.master === master));
+  }
+
+  async getAll() {
+    const orders = [];
+    const prefix = `${this.namespace}${ORDER}`;
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.store.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+      cursor = next;
+      for (const key of keys) {
+        const order = await this.get(key.slice(prefix.length));
+        if (order) orders.push(order);
+      }
+    } while (cursor !== '0');
+    return orders;
+  }
+
+  /**
+   * Claim a master order for submission (PENDING_SUBMIT). Exactly one caller wins per OID.
+   * A FAILED order, or a submit abandoned for over SUBMIT_TIMEOUT, can be claimed again.
+   * @param {string} oid
+   * @param {object} fields Initial record fields (type, coin, side, master, ...)
+   * @returns {Promise<boolean>} false when the order is already handled
+   */
+  create(oid, fields = {}) {
+    return this.serialize(oid, async () => {
+      const now = Date.now();
+      const claimed = await this.store.hsetnx(this.key(oid), 'state', STATES.PENDING_SUBMIT);
+
+      if (!claimed) {
+        const order = await this.get(oid);
+        const abandoned = order && order.state === STATES.PENDING_SUBMIT && now - (order.updatedAt || now) > SUBMIT_TIMEOUT;
+        if (!order || (order.state !== STATES.FAILED && !abandoned)) {
+          logger.debug(`[OrderStore] Order ${oid} already ${order ? order.state : 'claimed'}, skipping`);
+          return false;
+        }
+        logger.info(`[OrderStore] Resubmitting ${order.state} order ${oid}`);
+      }
+
+      await this.write(oid, { venueOrderId: null, reason: null, ...fields, state: STATES.PENDING_SUBMIT, createdAt: now, updatedAt: now }, {
+        type: claimed ? 'created' : 'resubmitted', to: STATES.PENDING_SUBMIT
+      });
+      await this.store.sadd(this.activeKey, String(oid));
+      return true;
+    });
+  }
+
+  /**
+   * Claim and settle an order in one go (orders that are never submitted, e.g. skipped fills)
+   * @returns {Promise<object|null>}
+   */
+  async record(oid, state, fields = {}, event = {}) {
+    if (!await this.create(oid, fields)) return null;
+    return this.transition(oid, state, event);
+  }
+
+  /**
+   * Move an order to a new state. Invalid transitions are logged and ignored.
+   * Moving to the current state only records the event.
+   * @param {string} oid
+   * @param {string} state One of STATES
+   * @param {object} [event] Logged with the transition, { type, ...details }
+   * @param {object} [fields] Record fields changed with the transition
+   * @returns {Promise<object|null>} Updated record, null if unknown or rejected
+   */
+  transition(oid, state, event = {}, fields = {}) {
+    return this.serialize(oid, async () => this.move(oid, await this.get(oid), state, event, fields));
+  }
+
+  /**
+   * Move an order to the state matching a venue order status.
+   * A filled follower order is ORPHANED until the master's order fills too; the status of a
+   * live order does not end a pending cancel.
+   * @param {string} oid
+   * @param {string} status Venue order status
+   */
+  applyVenueStatus(oid, status, event = {}, fields = {}) {
+    return this.serialize(oid, async () => {
+      const order = await this.get(oid);
+      return this.move(oid, order, order && venueState(order, status), { status, ...event }, fields);
+    });
+  }
+
+  /**
+   * The follower order was sent to the venue
+   * @param {string} oid
+   * @param {object} venueOrder VenueOrder
+   * @param {object} [fields] Record fields (symbol, sizes, price, ...)
+   */
+  submitted(oid, venueOrder, fields = {}) {
+    return this.applyVenueStatus(oid, venueOrder.status || 'NEW', {
+      type: 'submitted', venueOrderId: venueOrder.orderId
+    }, { ...fields, venueOrderId: venueOrder.orderId });
+  }
+
+  /**
+   * Give up on a submit that never reached the venue
+   * @param {string} oid
+   * @param {Error} error
+   */
+  fail(oid, error) {
+    return this.serialize(oid, async () => {
+      const order = await this.get(oid);
+      if (!order || order.state !== STATES.PENDING_SUBMIT) return null;
+      return this.move(oid, order, STATES.FAILED, { type: 'submit_failed', message: error.message }, { reason: error.message });
+    });
+  }
+
+  /**
+   * Drop a claim that ended without sending anything (skipped by sizing or risk), so a later
+   * event of the same master order is handled as new again. Settled orders are kept.
+   * @param {string} oid
+   */
+  release(oid) {
+    return this.serialize(oid, async () => {
+      const order = await this.get(oid);
+      if (!order || order.state !== STATES.PENDING_SUBMIT) return;
+
+      await this.store.pipeline()
+        .del(this.key(oid))
+        .del(this.eventsKey(oid))
+        .srem(this.activeKey, String(oid))
+        .exec();
+    });
+  }
+
+  /**
+   * Claim a master fill before it is planned, so a fill delivered twice (redundant feeds, a
+   * resync replay) is executed once even before its record exists
+   * @param {string} fillId
+   * @returns {Promise<boolean>} false when the fill was already claimed
+   */
+  async claimFill(fillId) {
+    return !!await this.store.set(`${this.namespace}${FILL_CLAIM}${fillId}`, 'true', 'NX', 'EX', EXPIRY);
+  }
+
+  /**
+   * Drop the claim of a master fill that failed before it was planned, so a redelivery
+   * (resync, backup feed) can execute it
+   * @param {string} fillId
+   */
+  async releaseFill(fillId) {
+    await this.store.del(`${this.namespace}${FILL_CLAIM}${fillId}`);
+  }
+
+  /**
+   * Change record fields without a state change (e.g. a replaced venue order)
+   * @param {string} oid
+   * @param {object} fields
+   * @param {object|null} [event] Logged when given, { type, ...details }
+   * @returns {Promise<object|null>} Updated record, null if unknown
+   */
+  update(oid, fields, event = null) {
+    return this.serialize(oid, async () => {
+      const order = await this.get(oid);
+      if (!order) return null;
+
+      await this.write(oid, { ...fields, updatedAt: Date.now() }, event);
+      if (fields.venueOrderId) await this.index(oid, fields.venueOrderId);
+      return { ...order, ...fields };
+    });
+  }
+
+  /**
+   * Book the cumulative filled quantity of one of the order's venue orders.
+   * Venue updates carry the running total, so replayed and polled updates only return
+   * what was not booked before.
+   * @param {string} oid
+   * @param {string|number} venueOrderId Current or earlier (replaced) venue order
+   * @param {number} cumulativeQty
+   * @param {object} [event] Logged with the fill, { price, ... }
+   * @returns {Promise<number>} Newly filled quantity, 0 for duplicates
+   */
+  bookFill(oid, venueOrderId, cumulativeQty, event = {}) {
+    return this.serialize(oid, async () => {
+      const order = await this.get(oid);
+      if (!order) return 0;
+
+      const field = `${FILLED}${venueOrderId}`;
+      const qty = cumulativeQty - (parseFloat(order[field]) || 0);
+      if (qty <= FILL_EPSILON) return 0;
+
+      await this.write(oid, { [field]: cumulativeQty, updatedAt: Date.now() }, {
+        type: 'follower_fill', venueOrderId, qty, ...event
+      });
+      return qty;
+    });
+  }
+
+  async move(oid, order, state, event, fields) {
+    if (!order) {
+      logger.warn(`[OrderStore] Cannot move unknown order ${oid} to ${state}`);
+      return null;
+    }
+    if (!state) return order;
+
+    const from = order.state;
+    if (from !== state && !TRANSITIONS[from].includes(state)) {
+      logger.warn(`[OrderStore] Invalid transition ${from} -> ${state} for order ${oid} (${event.type || 'no event'})`);
+      return null;
+    }
+
+    await this.write(oid, { ...fields, state, updatedAt: Date.now() }, {
+      type: state.toLowerCase(), ...event, from, to: state
+    });
+    if (fields.venueOrderId) await this.index(oid, fields.venueOrderId);
+
+    if (from !== state) {
+      if (ACTIVE_STATES.includes(state)) {
+        await this.store.sadd(this.activeKey, String(oid));
+      } else {
+        await this.store.srem(this.activeKey, String(oid));
+      }
+      logger.debug(`[OrderStore] Order ${oid}: ${from} -> ${state}`);
+    }
+    return { ...order, ...fields, state };
+  }
+
+  async write(oid, fields, event) {
+    const key = this.key(oid);
+    const values = {};
+    for (const [field, value] of Object.entries(fields)) {
+      if (value === undefined) continue;
+      values[field] = JSON_FIELDS.includes(field) ? JSON.stringify(value) : (value === null ? '' : value);
+    }
+
+    const pipeline = this.store.pipeline()
+      .hset(key, values)
+      .expire(key, EXPIRY);
+    if (event) {
+      const eventsKey = this.eventsKey(oid);
+      pipeline.rpush(eventsKey, JSON.stringify({ at: Date.now(), ...event }))
+        .expire(eventsKey, EXPIRY);
+    }
+    await pipeline.exec();
+  }
+
+  async index(oid, venueOrderId) {
+    // Earlier venue orders of a replaced order keep pointing at it, for their late fills
+    await this.store.set(this.venueKey(venueOrderId), String(oid), 'EX', EXPIRY);
+  }
+
+  /**
+   * Short mutex for changing an order's venue side (replace, move)
+   * @param {string} oid
+   * @param {number} seconds
+   * @returns {Promise<boolean>}
+   */
+  async lock(oid, seconds = 10) {
+    return !!await this.store.set(`${this.namespace}${LOCK}${oid}`, 'true', 'NX', 'EX', seconds);
+  }
+
+  async unlock(oid) {
+    await this.store.del(`${this.namespace}${LOCK}${oid}`);
+  }
+
+  async isLocked(oid) {
+    return !!await this.store.get(`${this.namespace}${LOCK}${oid}`);
+  }
+
+  /**
+   * Import order mappings written before order records existed (map:h2b:*), with their
+   * unresolved orphan fills. Legacy keys are removed once imported.
+   * @returns {Promise<number>} Imported orders
+   */
+  async migrateLegacy() {
+    const prefix = `${this.namespace}map:h2b:`;
+    let cursor = '0';
+    let imported = 0;
+
+    do {
+      const [next, keys] = await this.store.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+      cursor = next;
+
+      for (const key of keys) {
+        const oid = key.slice(prefix.length);
+        const raw = await this.store.get(key);
+        if (!raw) continue;
+
+        const mapping = JSON.parse(raw);
+        const orphan = (await this.store.hgetall(`${this.namespace}orphanFill:${oid}`)) || {};
+        // Market follows (fill:*) were settled when executed, only resting orders are carried over
+        const created = !oid.startsWith('fill:') && await this.create(oid, {
+          type: mapping.trigger ? 'trigger' : 'limit',
+          coin: orphan.coin,
+          side: orphan.side,
+          master: mapping.master || orphan.master,
+          symbol: mapping.symbol,
+          trigger: mapping.trigger,
+          masterStatus: 'open',
+          orphanMasterSize: orphan.masterSize
+        });
+        if (created) {
+          await this.submitted(oid, { orderId: mapping.orderId, status: 'NEW' });
+          imported++;
+        }
+
+        await this.store.pipeline()
+          .del(key)
+          .del(`${this.namespace}map:b2h:${mapping.orderId}`)
+          .del(`${this.namespace}timestamp:order:${oid}`)
+          .del(`${this.namespace}orphanFill:${oid}`)
+          .exec();
+      }
+    } while (cursor !== '0');
+
+    if (imported > 0) {
+      logger.info(`[OrderStore] Imported ${imported} legacy order mappings`);
+    }
+    return imported;
+  }
+}
+
+/**
+ * @param {object} order Record
+ * @param {string} status Venue order status
+ * @returns {string|null} Order state, null if the status means no change
+ */
+function venueState(order, status) {
+  const live = status === 'NEW' || status === 'PARTIALLY_FILLED';
+  if (order.state === STATES.CANCEL_PENDING && live) return STATES.CANCEL_PENDING;
+  if (status === 'FILLED') return order.masterStatus === 'filled' ? STATES.FILLED : STATES.ORPHANED;
+  return VENUE_STATUS_STATES[status] || null;
+}
+
+/**
+ * @param {string} state
+ * @returns {boolean} Whether the order may still have a live venue order
+ */
+function isActive(state) {
+  return ACTIVE_STATES.includes(state);
+}
+
+module.exports = OrderStore;
+module.exports.STATES = STATES;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.SUBMIT_TIMEOUT = SUBMIT_TIMEOUT;
+module.exports.isActive = isActive;
+module.exports.venueState = venueState;
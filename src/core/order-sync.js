@@ -0,0 +1,180 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const masterRegistry = require('./master-registry');
+const { TRANSITIONS, venueState } = require('./order-store');
+
+/**
+ * Follower order status and fills, driven by the venue user stream.
+ * Every order update is applied to the order record, and fills are booked to the order's
+ * lifecycle (or as orphan fills) and the master's sub-book. Updates are booked by their
+ * cumulative filled quantity, so an update seen twice (stream replay, REST snapshot) is
+ * never counted twice.
+ *
+ * Emits 'connected' every time the stream (re)opens, with { downSince }: updates of the
+ * time before may be missing and have to be reconciled over REST (see OrderValidator),
+ * and 'disconnected' with { reason }.
+ */
+class OrderSync extends EventEmitter {
+  /**
+   * @param {object} account FollowerAccount
+   */
+  constructor(account) {
+    super();
+    this.accountId = account.id;
+    this.venue = account.venue;
+    this.orderStore = account.orderStore;
+    this.orderLifecycle = account.orderLifecycle;
+    this.consistencyEngine = account.consistencyEngine;
+    this.subBook = account.subBook;
+
+    this.connected = false;
+    this.downSince = null; // Start of the current outage, null while connected
+    this.unsubscribe = null;
+    this.queue = Promise.resolve(); // Updates are applied in stream order
+  }
+
+  start() {
+    if (this.unsubscribe) return;
+    this.downSince = Date.now();
+    this.unsubscribe = this.venue.subscribeUserStream(
+      update => this.handleUpdate(update).catch(error => {
+        logger.error(`[${this.accountId}] Failed to process user stream event`, error);
+      }),
+      status => this.handleStatus(status)
+    );
+    logger.info(`[${this.accountId}] Subscribed to venue User Data Stream`);
+  }
+
+  stop() {
+    if (!this.unsubscribe) return;
+    this.unsubscribe();
+    this.unsubscribe = null;
+    this.connected = false;
+  }
+
+  /**
+   * @param {object} status { connected, reason? } from the venue
+   */
+  handleStatus({ connected, reason }) {
+    if (connected) {
+      // An open without a reported drop still means the socket was reconnected
+      const downSince = this.downSince || Date.now();
+      this.connected = true;
+      this.downSince = null;
+      logger.info(`[${this.accountId}] User stream connected (down for ${((Date.now() - downSince) / 1000).toFixed(1)}s)`);
+      this.emit('connected', { downSince });
+    } else if (this.connected) {
+      this.connected = false;
+      this.downSince = Date.now();
+      logger.warn(`[${this.accountId}] User stream down: ${reason || 'unknown reason'}`);
+      this.emit('disconnected', { reason });
+    }
+  }
+
+  /**
+   * User stream health for monitoring
+   * @returns {object} { connected, downSince, ...venue stream details }
+   */
+  getStatus() {
+    return {
+      ...this.venue.getUserStreamStatus(),
+      connected: this.connected,
+      downSince: this.downSince
+    };
+  }
+
+  /**
+   * Queue a venue order update (stream event or REST snapshot)
+   * @param {object} update VenueOrderUpdate
+   * @param {object} [event] Extra fields of the logged order event (e.g. { type: 'validated' })
+   * @returns {Promise<void>}
+   */
+  handleUpdate(update, event = {}) {
+    const run = this.queue.then(() => this.apply(update, event));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async apply(update, event) {
+    const order = await this.orderStore.findByVenueOrder(update.orderId);
+    if (!order) return;
+
+    const qty = await this.orderStore.bookFill(order.oid, update.orderId, update.cumulativeFilledQty, {
+      price: update.lastFilledPrice, ...event
+    });
+    if (qty > 0) await this.bookFill(order, update, qty);
+
+    // Earlier venue orders of a replaced order only report late fills, and while the order
+    // is being replaced its old venue order is about to be canceled
+    if (String(order.venueOrderId) !== String(update.orderId)) return;
+    if (await this.orderStore.isLocked(order.oid)) return;
+
+    // Snapshots can be older than the last stream update, never move an order back
+    const current = await this.orderStore.get(order.oid);
+    const state = current && venueState(current, update.status);
+    if (state && TRANSITIONS[current.state].includes(state)) {
+      await this.orderStore.applyVenueStatus(order.oid, update.status, { type: 'venue_update', ...event });
+    }
+  }
+
+  /**
+   * Book a follower fill of a mirrored order
+   * @param {object} order Record
+   * @param {object} update VenueOrderUpdate
+   * @param {number} qty Newly filled quantity
+   */
+  async bookFill(order, update, qty) {
+    // Market follow orders (fill:*) are booked when executed and have no resting HL order
+    if (String(order.oid).startsWith('fill:')) return;
+
+    // Legacy mappings without a master are attributed to the first followed master.
+    const masterAddress = order.master || masterRegistry.getAddresses()[0];
+    const coin = this.venue.getCoin(update.symbol);
+    const side = update.side === 'BUY' ? 'B' : 'A';
+
+    // Tracked limit orders book every partial fill; others are recorded as Orphan (initially),
+    // assuming Hype hasn't filled yet.
+    const booked = await this.orderLifecycle.recordFollowerFill(order.oid, qty);
+    if (!booked) {
+      await this.consistencyEngine.recordOrphanFill(order.oid, {
+        coin,
+        side,
+        size: qty,
+        price: update.lastFilledPrice,
+        binanceOrderId: update.orderId,
+        masterAddress
+      });
+    }
+
+    // Attribute the follower fill to the master's virtual sub-book
+    const signedSize = side === 'B' ? qty : -qty;
+    await this.subBook.applyFill(masterAddress, coin, signedSize, update.lastFilledPrice);
+  }
+}
+
+/**
+ * A REST order as a user stream update, with its whole fill as the last one
+ * @param {object} venueOrder VenueOrder
+ * @returns {object} VenueOrderUpdate
+ */
+function snapshotUpdate(venueOrder) {
+  return {
+    symbol: venueOrder.symbol,
+    orderId: venueOrder.orderId,
+    side: venueOrder.side,
+    orderType: venueOrder.type,
+    price: venueOrder.price,
+    quantity: venueOrder.origQty,
+    reduceOnly: venueOrder.reduceOnly,
+    isMaker: false,
+    status: venueOrder.status,
+    executionType: 'SNAPSHOT',
+    lastFilledQty: venueOrder.executedQty,
+    lastFilledPrice: venueOrder.avgPrice,
+    cumulativeFilledQty: venueOrder.executedQty,
+    eventTime: Date.now()
+  };
+}
+
+module.exports = OrderSync;
+module.exports.snapshotUpdate = snapshotUpdate;
@@ -1,181 +1,167 @@
-const binanceClient = require('../binance/api-client');
-const orderMapper = require('./order-mapper');
-const redis = require('../utils/redis');
 const logger = require('../utils/logger');
-
+const { STATES, SUBMIT_TIMEOUT, venueState } = require('./order-store');
+const { snapshotUpdate } = require('./order-sync');
+
+const STUCK_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * REST reconciliation of active orders.
+ * While the venue user stream is up, OrderSync keeps orders in step and only abandoned
+ * submits and unfinished cancels are handled here. Every time the stream (re)connects all
+ * active orders are reconciled once, covering updates missed while it was down (or while
+ * the bot was stopped), and while it stays down they are polled every minute.
+ */
 class OrderValidator {
-  constructor() {
+  /**
+   * @param {object} account FollowerAccount
+   */
+  constructor(account) {
+    this.accountId = account.id;
+    this.namespace = account.namespace;
+    this.venue = account.venue;
+    this.orderStore = account.orderStore;
+    this.orderSync = account.orderSync;
     this.checkInterval = 60000; // 1 minute
     this.timer = null;
     this.isChecking = false;
+    this.pendingReconcile = false;
+    this.onConnected = () => this.validateAll(true).catch(err => logger.error('Reconciliation failed', err));
   }
 
   start() {
     if (this.timer) return;
-    this.cleanupStaleMappings().catch(err => logger.error('Startup cleanup failed', err));
-    this.timer = setInterval(() => this.validateAll(), this.checkInterval);
-    logger.info('Order status validator started');
+    this.orderSync.on('connected', this.onConnected);
+    this.timer = setInterval(() => this.validateAll(!this.orderSync.connected), this.checkInterval);
+    logger.info(`Order status validator started (${this.accountId})`);
   }
 
   stop() {
     if (this.timer) {
       clearInterval(this.timer);
       this.timer = null;
+      this.orderSync.off('connected', this.onConnected);
     }
   }
 
-  async cleanupStaleMappings() {
-    logger.info('Running startup cleanup for stale order mappings...');
-    try {
-      let cursor = '0';
-      let cleaned = 0;
-      
-      do {
-        const result = await redis.scan(cursor, 'MATCH', 'map:h2b:*', 'COUNT', 100);
-        cursor = result[0];
-        const keys = result[1];
-        
-        for (const key of keys) {
-          const hyperOid = key.replace('map:h2b:', '');
-          const mapping = await orderMapper.getBinanceOrder(hyperOid);
-          if (!mapping) continue;
-
-          try {
-            await binanceClient.client.futuresGetOrder({
-              symbol: mapping.symbol,
-              orderId: mapping.orderId.toString()
-            });
-          } catch (error) {
-            // -2011: Unknown order
-            if (error.code === -2011) {
-              await orderMapper.deleteMapping(hyperOid);
-              cleaned++;
-            }
-          }
-        }
-      } while (cursor !== '0');
-
-      if (cleaned > 0) {
-        logger.info(`Startup cleanup removed ${cleaned} stale mappings`);
-      }
-    } catch (error) {
-      logger.error('Error during startup cleanup', error);
+  /**
+   * @param {boolean} [reconcile] Query the venue for every order, not only stuck submits/cancels
+   */
+  async validateAll(reconcile = true) {
+    if (this.isChecking) {
+      // A reconnect during a pass still needs its own full pass afterwards
+      if (reconcile) this.pendingReconcile = true;
+      return;
     }
-  }
-
-  async validateAll() {
-    if (this.isChecking) return;
     this.isChecking = true;
 
     try {
-      let cursor = '0';
-      let totalChecked = 0;
-
-      do {
-        // Use SCAN instead of KEYS to avoid blocking Redis
-        const result = await redis.scan(cursor, 'MATCH', 'map:h2b:*', 'COUNT', 100);
-        cursor = result[0];
-        const keys = result[1];
-
-        if (keys.length > 0) {
-          logger.debug(`Validating batch of ${keys.length} active order mappings...`);
-          
-          for (const key of keys) {
-            const hyperOid = key.replace('map:h2b:', '');
-            await this.validateOrder(hyperOid);
-          }
-          totalChecked += keys.length;
-        }
-      } while (cursor !== '0');
-
-      if (totalChecked === 0) {
-         // idle loop
+      const orders = await this.orderStore.getActive();
+      if (orders.length > 0 && reconcile) {
+        logger.debug(`Reconciling ${orders.length} active orders...`);
       }
 
+      for (const order of orders) {
+        await this.validateOrder(order.oid, reconcile);
+      }
     } catch (error) {
       logger.error('Error in order validation loop', error);
     } finally {
       this.isChecking = false;
     }
+
+    if (this.pendingReconcile) {
+      this.pendingReconcile = false;
+      await this.validateAll(true);
+    }
   }
 
-  async validateOrder(hyperOid) {
-    const mapping = await orderMapper.getBinanceOrder(hyperOid);
-    if (!mapping) return;
+  /**
+   * Bring an active order's state and fills in line with its venue order
+   * @param {string} hyperOid
+   * @param {boolean} [reconcile] false only handles abandoned submits and unfinished cancels
+   */
+  async validateOrder(hyperOid, reconcile = true) {
+    const order = await this.orderStore.get(hyperOid);
+    if (!order) return;
+
+    if (!order.venueOrderId) {
+      if (order.state === STATES.PENDING_SUBMIT && Date.now() - order.updatedAt > SUBMIT_TIMEOUT) {
+        await this.orderStore.fail(hyperOid, new Error('Submit timed out'));
+      }
+      return;
+    }
+    if (!reconcile && order.state !== STATES.CANCEL_PENDING) return;
 
     try {
-      // Query Binance for real-time status
-      const binanceOrder = await binanceClient.client.futuresGetOrder({
-        symbol: mapping.symbol,
-        orderId: mapping.orderId.toString()
-      });
+      // Query the venue for real-time status
+      const venueOrder = await this.venue.getOrder(order.symbol, order.venueOrderId);
+      const status = venueOrder.status;
+      const live = status === 'NEW' || status === 'PARTIALLY_FILLED';
+
+      if (order.state === STATES.CANCEL_PENDING && live) {
+        logger.info(`Retrying cancel of ${order.symbol} ${order.venueOrderId} (HL OID ${hyperOid})`);
+        await this.venue.cancelOrder(order.symbol, order.venueOrderId);
+        await this.orderStore.transition(hyperOid, STATES.CANCELED, { type: 'canceled' });
+        return;
+      }
 
-      const finalStatuses = ['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED'];
-      
-      if (finalStatuses.includes(binanceOrder.status)) {
-        logger.info(`Cleaning up finished order: ${mapping.symbol} ${mapping.orderId} (Status: ${binanceOrder.status})`);
-        await orderMapper.deleteMapping(hyperOid);
-      } else {
-        await redis.del(`validate:fail:${hyperOid}`);
+      // Fills and status changes the user stream did not deliver
+      if (venueState(order, status) !== order.state) {
+        logger.info(`Order ${hyperOid} (${order.symbol} ${order.venueOrderId}) is ${status} on the venue, was ${order.state}`);
       }
-      
-      // Additional check: Timeout for stuck open orders (e.g., 24h)
-      const timestamp = await orderMapper.getOrderTimestamp(hyperOid);
-      const oneDay = 24 * 60 * 60 * 1000;
-      if (timestamp && (Date.now() - timestamp > oneDay)) {
-        logger.warn(`Stuck order detected (over 24h): ${mapping.symbol} ${mapping.orderId}. Cleaning up mapping.`);
-        await orderMapper.deleteMapping(hyperOid);
+      await this.orderSync.handleUpdate(snapshotUpdate(venueOrder), { type: 'validated' });
+      if (parseInt(order.validateFailures) > 0) {
+        await this.orderStore.update(hyperOid, { validateFailures: 0 });
+      }
+
+      // Additional check: flag stuck open orders (e.g., 24h), they stay managed
+      if (live && !order.stuckAt && Date.now() - order.createdAt > STUCK_AGE) {
+        logger.warn(`Stuck order detected (over 24h): ${order.symbol} ${order.venueOrderId} (HL OID ${hyperOid})`);
+        await this.orderStore.update(hyperOid, { stuckAt: Date.now() }, { type: 'stuck' });
       }
 
     } catch (error) {
-      const failKey = `validate:fail:${hyperOid}`;
-      const fails = await redis.incr(failKey);
-      await redis.expire(failKey, 3600);
-
-      if (error.code === -2011) { // Unknown order
-        logger.warn(`Binance order ${mapping.orderId} not found for HL OID ${hyperOid}. Cleaning up mapping.`);
-        await orderMapper.deleteMapping(hyperOid);
-        await redis.del(failKey);
-      } else {
-        // Only log network/other errors, do not force delete mapping to avoid losing valid orders
-        logger.error(`Failed to validate order ${hyperOid} (Attempt ${fails})`, {
-          message: error.message,
-          code: error.code,
-          fullError: error
-        });
+      if (this.venue.isUnknownOrderError(error)) {
+        logger.warn(`Venue order ${order.venueOrderId} not found for HL OID ${hyperOid}. Marking it failed.`);
+        await this.orderStore.transition(hyperOid, STATES.FAILED, { type: 'unknown_order' }, { reason: 'unknown_order' });
+        return;
       }
+
+      // Only log network/other errors, the order stays as it is until the venue answers
+      const fails = (parseInt(order.validateFailures) || 0) + 1;
+      await this.orderStore.update(hyperOid, { validateFailures: fails });
+      logger.error(`Failed to validate order ${hyperOid} (Attempt ${fails})`, {
+        message: error.message,
+        code: error.code,
+        fullError: error
+      });
     }
   }
 
   async getReport() {
     const details = [];
-    let cursor = '0';
-    let totalActive = 0;
 
     try {
-      do {
-        const result = await redis.scan(cursor, 'MATCH', 'map:h2b:*', 'COUNT', 100);
-        cursor = result[0];
-        const keys = result[1];
-        
-        for (const key of keys) {
-          const hyperOid = key.replace('map:h2b:', '');
-          const mapping = await orderMapper.getBinanceOrder(hyperOid);
-          if (mapping) {
-            details.push({ hyperOid, ...mapping });
-          }
-        }
-        totalActive += keys.length;
-      } while (cursor !== '0');
+      for (const order of await this.orderStore.getActive()) {
+        details.push({
+          account: this.accountId,
+          hyperOid: order.oid,
+          state: order.state,
+          orderId: order.venueOrderId,
+          symbol: order.symbol,
+          master: order.master,
+          trigger: order.trigger
+        });
+      }
     } catch (err) {
       logger.error('Error generating report', err);
     }
 
     return {
-      activeCount: totalActive,
+      activeCount: details.length,
       orders: details
     };
   }
 }
 
-module.exports = new OrderValidator();
+module.exports = OrderValidator;
@@ -1,13 +1,18 @@
-const config = require('config');
-const accountManager = require('./account-manager');
+const masterRegistry = require('./master-registry');
 const logger = require('../utils/logger');
 
 class PositionCalculator {
-  constructor() {
-    this.mode = config.get('trading.mode');
-    this.equalRatio = config.get('trading.equalRatio');
-    this.fixedRatio = config.get('trading.fixedRatio');
-    this.minOrderSizes = config.get('trading.minOrderSize');
+  /**
+   * @param {object} account FollowerAccount (uses settings.trading, accountManager and venue)
+   */
+  constructor(account) {
+    const trading = account.settings.trading;
+    this.accountManager = account.accountManager;
+    this.venue = account.venue;
+    this.mode = trading.mode;
+    this.equalRatio = trading.equalRatio;
+    this.fixedRatio = trading.fixedRatio;
+    this.minOrderSizes = trading.minOrderSize;
   }
 
   /**
@@ -16,28 +21,15 @@ class PositionCalculator {
    * @param {number} originalQuantity 
    * @param {string} hlAddress 
    * @param {string} actionType 'open' or 'close'
+   * @param {object} [order] { price, market } Order price (for min notional) and type
    * @returns {Promise<number|null>} Calculated quantity or null if invalid/too small
    */
-  async calculateQuantity(coin, originalQuantity, hlAddress, actionType = 'open') {
-    let calculatedQuantity;
-
+  async calculateQuantity(coin, originalQuantity, hlAddress, actionType = 'open', { price, market = false } = {}) {
     try {
-      if (this.mode === 'equal') {
-        // Equal ratio follow
-        calculatedQuantity = await this.calculateEqualRatio(
-          coin,
-          originalQuantity,
-          hlAddress
-        );
-      } else if (this.mode === 'fixed') {
-        // Fixed ratio follow
-        calculatedQuantity = originalQuantity * this.fixedRatio;
-      } else {
-        throw new Error(`Unknown trading mode: ${this.mode}`);
-      }
+      let calculatedQuantity = await this.calculateRawQuantity(coin, originalQuantity, hlAddress);
 
       // Check min order size
-      const minSize = this.minOrderSizes[coin] || 0;
+      const minSize = this.getMinOrderSize(coin, actionType, price, market);
 
       if (calculatedQuantity < minSize) {
         logger.warn(`Calculated quantity ${calculatedQuantity} for ${coin} (${actionType}) below minimum ${minSize}, forcing minimum size`);
@@ -45,7 +37,7 @@ class PositionCalculator {
       }
 
       // Round to precision
-      const roundedQuantity = this.roundToPrecision(calculatedQuantity, coin);
+      const roundedQuantity = this.roundToPrecision(calculatedQuantity, coin, market);
 
       // Final sanity check after rounding (rounding might make it 0)
       if (roundedQuantity <= 0) {
@@ -62,8 +54,28 @@ class PositionCalculator {
     }
   }
 
+  /**
+   * Follower quantity for the configured mode, before min size and rounding
+   * @param {string} coin
+   * @param {number} originalQuantity
+   * @param {string} hlAddress
+   * @returns {Promise<number>}
+   */
+  async calculateRawQuantity(coin, originalQuantity, hlAddress) {
+    if (this.mode === 'equal') {
+      // Equal ratio follow
+      return this.calculateEqualRatio(coin, originalQuantity, hlAddress);
+    }
+    if (this.mode === 'fixed') {
+      // Fixed ratio follow, scaled by the master's capital allocation
+      return originalQuantity * this.fixedRatio * masterRegistry.getAllocation(hlAddress);
+    }
+    throw new Error(`Unknown trading mode: ${this.mode}`);
+  }
+
   /**
    * Calculate quantity based on equity ratio
+   * Only the master's allocated share of follower equity is used.
    * @param {string} coin
    * @param {number} originalQuantity 
    * @param {string} hlAddress
@@ -74,18 +86,19 @@ class PositionCalculator {
       return 0;
     }
 
-    const hlEquity = await accountManager.getHyperliquidTotalEquity(hlAddress);
-    const binanceEquity = await accountManager.getBinanceTotalEquity();
+    const hlEquity = await this.accountManager.getMasterTotalEquity(hlAddress);
+    const binanceEquity = await this.accountManager.getBinanceTotalEquity();
 
     if (hlEquity === 0) {
       logger.warn('Hyperliquid equity is 0, cannot calculate ratio');
       return 0;
     }
 
-    const ratio = (binanceEquity / hlEquity) * this.equalRatio;
+    const allocation = masterRegistry.getAllocation(hlAddress);
+    const ratio = (binanceEquity * allocation / hlEquity) * this.equalRatio;
     const calculatedQuantity = originalQuantity * ratio;
     
-    logger.debug(`Equal Calc: HL_Eq=${hlEquity}, BN_Eq=${binanceEquity}, Ratio=${ratio}, Res=${calculatedQuantity}`);
+    logger.debug(`Equal Calc: HL_Eq=${hlEquity}, BN_Eq=${binanceEquity}, Alloc=${allocation}, Ratio=${ratio}, Res=${calculatedQuantity}`);
 
     return calculatedQuantity;
   }
@@ -101,16 +114,18 @@ class PositionCalculator {
     let ratio = 1.0;
 
     try {
+      const allocation = masterRegistry.getAllocation(hlAddress);
+
       if (this.mode === 'fixed') {
-        ratio = this.fixedRatio;
+        ratio = this.fixedRatio * allocation;
       } else if (this.mode === 'equal') {
         if (!hlAddress) return followerQuantity; // Fallback
         
-        const hlEquity = await accountManager.getHyperliquidTotalEquity(hlAddress);
-        const binanceEquity = await accountManager.getBinanceTotalEquity();
+        const hlEquity = await this.accountManager.getMasterTotalEquity(hlAddress);
+        const binanceEquity = await this.accountManager.getBinanceTotalEquity();
         
         if (hlEquity > 0) {
-           ratio = (binanceEquity / hlEquity) * this.equalRatio;
+           ratio = (binanceEquity * allocation / hlEquity) * this.equalRatio;
         }
       }
     } catch (err) {
@@ -122,26 +137,29 @@ class PositionCalculator {
   }
 
   /**
-   * Round quantity to specific precision for Binance
+   * Smallest follower order: the venue minimum (min qty / min notional at `price`),
+   * raised by the configured trading.minOrderSize when that is larger
+   * @param {string} coin
+   * @param {string} actionType 'open' or 'close'
+   * @param {number} [price]
+   * @param {boolean} [market]
+   * @returns {number}
+   */
+  getMinOrderSize(coin, actionType = 'open', price, market = false) {
+    const configSize = this.minOrderSizes[coin];
+    const configured = typeof configSize === 'object' ? (configSize[actionType] || 0) : (configSize || 0);
+    return Math.max(configured, this.venue.getMinQuantity(coin, price, market));
+  }
+
+  /**
+   * Round quantity to the venue step size
    * @param {number} quantity 
    * @param {string} coin 
+   * @param {boolean} [market] Market orders can have a different step
    */
-  roundToPrecision(quantity, coin) {
-    // Binance precision configuration (simplified map)
-    // In production, this should ideally come from exchangeInfo
-    const decimals = {
-      BTC: 3,
-      ETH: 3,
-      SOL: 1,
-      // Default fallback
-      DEFAULT: 3
-    };
-
-    const precision = decimals[coin] || decimals.DEFAULT;
-    const factor = Math.pow(10, precision);
-    
-    return Math.round(quantity * factor) / factor;
+  roundToPrecision(quantity, coin, market = false) {
+    return this.venue.roundQuantity(coin, quantity, { market });
   }
 }
 
-module.exports = new PositionCalculator();
+module.exports = PositionCalculator;
@@ -1,8 +1,27 @@
 const redis = require('../utils/redis');
 const logger = require('../utils/logger');
-const hyperApiClient = require('../hyperliquid/api-client');
+const signalHub = require('../signals');
 
 class PositionTracker {
+  /**
+   * @param {string} namespace Redis key prefix of the follower account ('' for the default account)
+   * @param {object} store Redis client (replays pass an in-memory store with the same commands)
+   */
+  constructor(namespace = '', store = redis) {
+    this.namespace = namespace;
+    this.store = store;
+  }
+
+  /**
+   * Build a Redis key scoped to the follower account and a master
+   * @param {string} prefix 
+   * @param {string} masterAddress 
+   * @param {string} coin 
+   */
+  key(prefix, masterAddress, coin) {
+    return `${this.namespace}${prefix}:${masterAddress}:${coin}`;
+  }
+
   /**
    * Initialize positions from Smart Money target
    * @param {string} targetAddress 
@@ -10,7 +29,7 @@ class PositionTracker {
   async init(targetAddress) {
     try {
       logger.info(`Initializing Position Tracker for ${targetAddress}...`);
-      const positions = await hyperApiClient.getUserPositions(targetAddress);
+      const positions = await signalHub.getPositions(targetAddress);
       
       for (const pos of positions) {
         // szi is signed size (positive = long, negative = short)
@@ -28,51 +47,66 @@ class PositionTracker {
         // User Requirement 1: "Available positions... wait for next add... add them together"
         // So yes, PendingDelta = 0.5. 
         // Next SM Buy 0.1. Total = 0.6. Follower buys 0.6. Synced. Correct.
+        // Each master keeps its own delta (in its own units), so masters never net against each other here.
         
-        const pipeline = redis.pipeline()
-          .hset(`targetPosition:${pos.coin}`, {
+        const targetKey = this.key('targetPosition', targetAddress, pos.coin);
+        const deltaKey = this.key('pendingDelta', targetAddress, pos.coin);
+        const pipeline = this.store.pipeline()
+          .hset(targetKey, {
             amount: size,
             lastUpdate: Date.now()
           })
-          .expire(`targetPosition:${pos.coin}`, 2592000) // 30 days
-          .set(`pendingDelta:${pos.coin}`, size) // Simple string key for signed float
-          .expire(`pendingDelta:${pos.coin}`, 2592000); // 30 days
+          .expire(targetKey, 2592000) // 30 days
+          .set(deltaKey, size) // Simple string key for signed float
+          .expire(deltaKey, 2592000); // 30 days
           
         await pipeline.exec();
           
-        logger.info(`Tracked initial position for ${pos.coin}: ${size} (Pending Sync)`);
+        logger.info(`Tracked initial position for ${pos.coin} (${targetAddress}): ${size} (Pending Sync)`);
       }
     } catch (error) {
-      logger.error('Failed to initialize PositionTracker', error);
+      logger.error(`Failed to initialize PositionTracker for ${targetAddress}`, error);
     }
   }
 
+  /**
+   * Get pending delta for a master (Signed, master units)
+   * @param {string} masterAddress 
+   * @param {string} coin 
+   * @returns {Promise<number>}
+   */
+  async getPendingDelta(masterAddress, coin) {
+    const deltaStr = await this.store.get(this.key('pendingDelta', masterAddress, coin));
+    return parseFloat(deltaStr) || 0;
+  }
+
   /**
    * Add to pending delta (Signed)
+   * @param {string} masterAddress 
    * @param {string} coin 
    * @param {number} signedAmount Change in delta (Positive or Negative)
    */
-  async addPendingDelta(coin, signedAmount) {
-    const key = `pendingDelta:${coin}`;
+  async addPendingDelta(masterAddress, coin, signedAmount) {
+    const key = this.key('pendingDelta', masterAddress, coin);
     
     // Redis INCRBYFLOAT is perfect for this
     // It handles the existence check (treating non-existent as 0) and float addition
-    const newDelta = await redis.incrbyfloat(key, signedAmount);
-    await redis.expire(key, 2592000); // Refresh TTL (30 days)
+    const newDelta = await this.store.incrbyfloat(key, signedAmount);
+    await this.store.expire(key, 2592000); // Refresh TTL (30 days)
     
-    logger.info(`Updated pending delta for ${coin}: added ${signedAmount}, new total: ${newDelta}`);
+    logger.info(`Updated pending delta for ${coin} (${masterAddress}): added ${signedAmount}, new total: ${newDelta}`);
     return parseFloat(newDelta);
   }
 
   /**
    * Get total execution size including pending delta
    * Returns Signed Total Size
+   * @param {string} masterAddress 
    * @param {string} coin 
    * @param {number} signedOrderSize Smart Money's Order Size (Signed: + for Buy, - for Sell)
    */
-  async getTotalExecutionSize(coin, signedOrderSize) {
-    const deltaStr = await redis.get(`pendingDelta:${coin}`);
-    const pending = parseFloat(deltaStr) || 0;
+  async getTotalExecutionSize(masterAddress, coin, signedOrderSize) {
+    const pending = await this.getPendingDelta(masterAddress, coin);
     
     // Logic: We want to execute (SM_Action + Catch_Up)
     return signedOrderSize + pending;
@@ -80,11 +114,12 @@ class PositionTracker {
 
   /**
    * Consume pending delta after execution
+   * @param {string} masterAddress 
    * @param {string} coin 
    * @param {number} signedAmountConsumed The amount of *delta* that was consumed.
    * Note: This is usually (TotalExecuted - OriginalOrder).
    */
-  async consumePendingDelta(coin, signedAmountConsumed) {
+  async consumePendingDelta(masterAddress, coin, signedAmountConsumed) {
     // We subtract the consumed amount from delta
     // If we consumed positive delta (bought more), we subtract positive.
     // If we consumed negative delta (sold more), we subtract negative (add).
@@ -92,12 +127,12 @@ class PositionTracker {
     
     if (signedAmountConsumed === 0) return;
     
-    const key = `pendingDelta:${coin}`;
-    const newDelta = await redis.incrbyfloat(key, -signedAmountConsumed);
-    await redis.expire(key, 2592000); // Refresh TTL (30 days)
+    const key = this.key('pendingDelta', masterAddress, coin);
+    const newDelta = await this.store.incrbyfloat(key, -signedAmountConsumed);
+    await this.store.expire(key, 2592000); // Refresh TTL (30 days)
     
-    logger.info(`Consumed pending delta for ${coin}: consumed ${signedAmountConsumed}, remaining: ${newDelta}`);
+    logger.info(`Consumed pending delta for ${coin} (${masterAddress}): consumed ${signedAmountConsumed}, remaining: ${newDelta}`);
   }
 }
 
-module.exports = new PositionTracker();
+module.exports = PositionTracker;
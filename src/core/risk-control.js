@@ -1,27 +1,58 @@
-const config = require('config');
 const logger = require('../utils/logger');
+const redis = require('../utils/redis');
+const sharedKillSwitch = require('./kill-switch');
 
-class RiskControl {
-  constructor() {
-    this.supportedCoins = new Set(config.get('riskControl.supportedCoins'));
-    this.maxPositionSizes = config.get('riskControl.maxPositionSize');
-    this.emergencyStop = config.get('app.emergencyStop');
-  }
+// Why the pre-trade gate refused an order
+const REJECT_REASONS = {
+  EMERGENCY_STOP: 'EMERGENCY_STOP',
+  CIRCUIT_BREAKER: 'CIRCUIT_BREAKER',
+  COIN_NOT_SUPPORTED: 'COIN_NOT_SUPPORTED',
+  SYMBOL_NOTIONAL: 'SYMBOL_NOTIONAL',
+  GROSS_NOTIONAL: 'GROSS_NOTIONAL',
+  NET_EXPOSURE: 'NET_EXPOSURE',
+  LEVERAGE: 'LEVERAGE',
+  EXPOSURE_UNAVAILABLE: 'EXPOSURE_UNAVAILABLE'
+};
 
+// Rejection history (Redis list, newest first)
+const REJECTIONS = 'risk:rejections';
+const MAX_HISTORY = 1000;
+const MAX_RECENT = 50;
+
+class RiskControl {
   /**
-   * Check if the system is in emergency stop mode
+   * @param {object} riskSettings Follower account riskControl settings
+   *   { supportedCoins, maxSymbolNotional, maxGrossNotional, maxNetNotional, maxLeverage, exposureCacheMs }
+   * @param {object} [options] { accountId, namespace, venue, circuitBreaker, store, killSwitch } of the follower account
    */
-  isEmergencyStopActive() {
-    return this.emergencyStop;
+  constructor(riskSettings, {
+    accountId = 'default', namespace = '', venue = null, circuitBreaker = null, store = redis, killSwitch = sharedKillSwitch
+  } = {}) {
+    this.supportedCoins = new Set(riskSettings.supportedCoins);
+    this.killSwitch = killSwitch;
+    this.circuitBreaker = circuitBreaker;
+
+    // Exposure limits in USDT at mark prices (null = no limit)
+    this.maxSymbolNotional = riskSettings.maxSymbolNotional;
+    this.maxGrossNotional = riskSettings.maxGrossNotional;
+    this.maxNetNotional = riskSettings.maxNetNotional;
+    this.maxLeverage = riskSettings.maxLeverage;
+    this.venue = venue;
+    this.exposureCacheMs = riskSettings.exposureCacheMs || 0;
+    this.exposure = null; // { at, positions, equity } last read from the venue
+
+    this.accountId = accountId;
+    this.rejectionsKey = `${namespace}${REJECTIONS}`;
+    this.store = store;
+    this.recentRejections = []; // Newest first
+    this.rejectionCounts = {}; // reason -> count since start
   }
 
   /**
-   * Set emergency stop status
-   * @param {boolean} status 
+   * Check if the system is in emergency stop mode (kill switch at any level)
    */
-  setEmergencyStop(status) {
-    this.emergencyStop = status;
-    logger.warn(`Emergency stop set to: ${status}`);
+  isEmergencyStopActive() {
+    return this.killSwitch.getLevel() !== 'off';
   }
 
   /**
@@ -33,44 +64,207 @@ class RiskControl {
   }
 
   /**
-   * Validate if an order should be processed
-   * @param {object} orderDetails 
+   * Pre-trade risk gate: every path that sends an order to the venue asks here first.
+   * Rejections are logged, counted and kept in the account's rejection history.
+   * @param {object} order { coin, side, quantity?, price?, currentPos?, reduceOnly?, source, oid?, master? }
+   *   source names the asking path ('limit', 'market', 'netted', 'replace', 'trigger', 'exposure')
+   * @returns {Promise<{allowed: boolean, reason?: string, message?: string}>}
    */
-  validateOrder(orderDetails) {
-    if (this.isEmergencyStopActive()) {
-      throw new Error('Emergency stop is active');
+  async checkOrder(order) {
+    let reason = null;
+    let message = null;
+
+    // A paused kill switch still lets positions be reduced, higher levels stop everything
+    const stop = this.killSwitch.getLevel();
+    if (stop !== 'off' && (stop !== 'pause' || !isReducing(order))) {
+      reason = REJECT_REASONS.EMERGENCY_STOP;
+      message = stop === 'pause' ? 'Kill switch paused new entries' : `Kill switch is at ${stop}`;
+    } else if (this.circuitBreaker && this.circuitBreaker.isTripped() && !isReducing(order)) {
+      reason = REJECT_REASONS.CIRCUIT_BREAKER;
+      message = `Circuit breaker tripped: ${this.circuitBreaker.state.reason}`;
+    } else if (!this.isCoinSupported(order.coin)) {
+      reason = REJECT_REASONS.COIN_NOT_SUPPORTED;
+      message = `Coin ${order.coin} is not in whitelist`;
+    } else if (!order.reduceOnly && order.quantity > 0) {
+      const breach = await this.checkPositionLimit(order);
+      if (breach) {
+        reason = breach.reason;
+        message = breach.message;
+      }
     }
 
-    if (!this.isCoinSupported(orderDetails.coin)) {
-      throw new Error(`Coin ${orderDetails.coin} is not in whitelist`);
+    if (!reason) return { allowed: true };
+
+    this.recordRejection(order, reason, message);
+    return { allowed: false, reason, message };
+  }
+
+  /**
+   * @param {object} order checkOrder argument
+   * @param {string} reason One of REJECT_REASONS
+   * @param {string} message
+   */
+  recordRejection(order, reason, message) {
+    const rejection = {
+      at: Date.now(),
+      account: this.accountId,
+      reason,
+      message,
+      source: order.source,
+      coin: order.coin,
+      side: order.side,
+      quantity: order.quantity,
+      oid: order.oid,
+      master: order.master
+    };
+    logger.warn(`[${this.accountId}] Risk gate rejected ${order.source || 'order'} order for ${order.coin}: ${message}`, {
+      reason, side: order.side, quantity: order.quantity, oid: order.oid, master: order.master
+    });
+
+    this.rejectionCounts[reason] = (this.rejectionCounts[reason] || 0) + 1;
+    this.recentRejections.unshift(rejection);
+    if (this.recentRejections.length > MAX_RECENT) {
+      this.recentRejections.pop();
     }
 
-    return true;
+    this.store.pipeline()
+      .lpush(this.rejectionsKey, JSON.stringify(rejection))
+      .ltrim(this.rejectionsKey, 0, MAX_HISTORY - 1)
+      .exec()
+      .catch(err => logger.warn(`[${this.accountId}] Failed to save risk rejection`, { error: err.message }));
   }
 
   /**
-   * Check if adding quantity would exceed max position size
-   * @param {string} coin 
-   * @param {number} currentPositionSize (Signed)
-   * @param {number} newQuantity (Positive)
-   * @returns {boolean} True if safe, False if exceeded
+   * Persisted rejection history
+   * @param {number} [limit]
+   * @returns {Promise<Array<object>>} Newest first
+   */
+  async getRejections(limit = 100) {
+    const entries = await this.store.lrange(this.rejectionsKey, 0, limit - 1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  /**
+   * Gate state for monitoring
+   * @returns {object} { emergencyStop, rejectionCounts, recentRejections }
+   */
+  getStatus() {
+    return {
+      emergencyStop: this.isEmergencyStopActive(),
+      rejectionCounts: { ...this.rejectionCounts },
+      recentRejections: this.recentRejections
+    };
+  }
+
+  /**
+   * Exposure limits of an order that grows a position, as if it filled: notional of the coin,
+   * gross and net notional of the account and its leverage (gross notional / equity)
+   * @param {object} order checkOrder argument, priced at the coin's mark price when price is omitted
+   * @returns {Promise<{reason: string, message: string}|null>} First limit exceeded, null if within limits
    */
-  checkPositionLimit(coin, currentPositionSize, newQuantity) {
-    const maxLimit = this.maxPositionSizes[coin];
-    
-    // If no limit defined, assume unlimited or safe
-    if (maxLimit === undefined) return true;
-
-    const currentAbs = Math.abs(currentPositionSize);
-    const projectedSize = currentAbs + newQuantity;
-
-    if (projectedSize > maxLimit) {
-      logger.warn(`Risk Control: Position limit exceeded for ${coin}. Current: ${currentAbs}, New: ${newQuantity}, Limit: ${maxLimit}`);
-      return false;
+  async checkPositionLimit(order) {
+    const { coin, side, quantity } = order;
+    const symbolLimit = this.getSymbolNotionalLimit(coin);
+    const limited = [symbolLimit, this.maxGrossNotional, this.maxNetNotional, this.maxLeverage].some(limit => limit != null);
+    if (!this.venue || !limited) return null;
+    if (typeof order.currentPos === 'number' && !grows(order.currentPos, side, quantity)) return null;
+
+    let exposure;
+    try {
+      exposure = await this.getExposure();
+    } catch (error) {
+      return { reason: REJECT_REASONS.EXPOSURE_UNAVAILABLE, message: `Positions or equity unavailable: ${error.message}` };
     }
 
-    return true;
+    const held = exposure.positions.find(p => p.coin === coin);
+    const currentPos = typeof order.currentPos === 'number' ? order.currentPos : (held ? held.amount : 0);
+    if (!grows(currentPos, side, quantity)) return null;
+    const nextPos = currentPos + (side === 'B' ? quantity : -quantity);
+
+    const price = parseFloat(order.price) || (held && held.markPrice);
+    if (!price) {
+      logger.warn(`[${this.accountId}] No price for ${coin}, exposure limits not checked`);
+      return null;
+    }
+
+    const others = exposure.positions.filter(p => p.coin !== coin);
+    const symbolNotional = Math.abs(nextPos) * price;
+    const gross = others.reduce((sum, p) => sum + Math.abs(p.amount) * p.markPrice, 0) + symbolNotional;
+    const otherNet = others.reduce((sum, p) => sum + p.amount * p.markPrice, 0);
+    const net = otherNet + nextPos * price;
+    const leverage = exposure.equity > 0 ? gross / exposure.equity : Infinity;
+
+    if (symbolLimit != null && symbolNotional > symbolLimit) {
+      return { reason: REJECT_REASONS.SYMBOL_NOTIONAL, message: `${coin} notional ${usd(symbolNotional)} would exceed ${usd(symbolLimit)}` };
+    }
+    if (this.maxGrossNotional != null && gross > this.maxGrossNotional) {
+      return { reason: REJECT_REASONS.GROSS_NOTIONAL, message: `Gross notional ${usd(gross)} would exceed ${usd(this.maxGrossNotional)}` };
+    }
+    // Orders that bring the account closer to flat are always fine
+    if (this.maxNetNotional != null && Math.abs(net) > this.maxNetNotional && Math.abs(net) > Math.abs(otherNet + currentPos * price)) {
+      return { reason: REJECT_REASONS.NET_EXPOSURE, message: `Net exposure ${usd(net)} would exceed ${usd(this.maxNetNotional)}` };
+    }
+    if (this.maxLeverage != null && leverage > this.maxLeverage) {
+      return { reason: REJECT_REASONS.LEVERAGE, message: `Leverage ${leverage.toFixed(2)}x would exceed ${this.maxLeverage}x` };
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} coin
+   * @returns {number|null} maxSymbolNotional is one limit for every coin or { default, [coin]: limit }
+   */
+  getSymbolNotionalLimit(coin) {
+    const limit = this.maxSymbolNotional;
+    if (limit == null || typeof limit !== 'object') return limit;
+    return limit[coin] !== undefined ? limit[coin] : limit.default;
   }
+
+  /**
+   * Follower positions at mark prices (futuresPositionRisk) and equity (futuresAccountInfo),
+   * reused for exposureCacheMs
+   * @returns {Promise<object>} { at, positions: [{ coin, amount, markPrice }], equity }
+   */
+  async getExposure() {
+    if (this.exposure && Date.now() - this.exposure.at < this.exposureCacheMs) {
+      return this.exposure;
+    }
+
+    const [positions, summary] = await Promise.all([
+      this.venue.getPositions(),
+      this.maxLeverage != null ? this.venue.getAccountSummary() : null
+    ]);
+    this.exposure = {
+      at: Date.now(),
+      positions: positions.map(p => ({ coin: this.venue.getCoin(p.symbol), amount: p.amount, markPrice: p.markPrice })),
+      equity: summary ? summary.totalEquity : null
+    };
+    return this.exposure;
+  }
+}
+
+/**
+ * Whether an order can only shrink the follower position
+ * @param {object} order checkOrder argument
+ * @returns {boolean}
+ */
+function isReducing({ side, quantity, currentPos, reduceOnly }) {
+  if (reduceOnly) return true;
+  if (typeof currentPos !== 'number' || !(quantity > 0)) return false;
+  const closing = (currentPos > 0 && side === 'A') || (currentPos < 0 && side === 'B');
+  return closing && quantity <= Math.abs(currentPos);
+}
+
+/**
+ * @returns {boolean} Whether the order leaves a larger position than currentPos
+ */
+function grows(currentPos, side, quantity) {
+  return Math.abs(currentPos + (side === 'B' ? quantity : -quantity)) > Math.abs(currentPos);
+}
+
+function usd(value) {
+  return `${value.toFixed(2)} USDT`;
 }
 
-module.exports = new RiskControl();
+module.exports = RiskControl;
+module.exports.REJECT_REASONS = REJECT_REASONS;
@@ -0,0 +1,127 @@
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+
+// Key prefix: <namespace>subBook:<master>:<coin>
+const SUB_BOOK = 'subBook:';
+const EXPIRY = 2592000; // 30 days
+
+/**
+ * Virtual per-master sub-books.
+ * The Binance account holds one net position per coin; each master's share of it
+ * (in follower units) is tracked here so PnL can be attributed back to the master.
+ */
+class SubBook {
+  /**
+   * @param {string} namespace Redis key prefix of the follower account ('' for the default account)
+   * @param {object} store Redis client (backtests pass an in-memory store with the same commands)
+   */
+  constructor(namespace = '', store = redis) {
+    this.prefix = `${namespace}${SUB_BOOK}`;
+    this.store = store;
+  }
+
+  key(masterAddress, coin) {
+    return `${this.prefix}${masterAddress}:${coin}`;
+  }
+
+  /**
+   * Get a master's virtual position for a coin
+   * @param {string} masterAddress
+   * @param {string} coin
+   * @returns {Promise<{position: number, entryPrice: number, realizedPnl: number}>}
+   */
+  async getBook(masterAddress, coin) {
+    const data = await this.store.hgetall(this.key(masterAddress, coin));
+    return {
+      position: parseFloat(data.position) || 0,
+      entryPrice: parseFloat(data.entryPrice) || 0,
+      realizedPnl: parseFloat(data.realizedPnl) || 0
+    };
+  }
+
+  /**
+   * Apply a follower-side fill to a master's virtual position (average cost)
+   * @param {string} masterAddress
+   * @param {string} coin
+   * @param {number} signedQuantity Follower units (+ Buy, - Sell)
+   * @param {number} price Execution price
+   */
+  async applyFill(masterAddress, coin, signedQuantity, price) {
+    if (!masterAddress || !signedQuantity || !(price > 0)) return;
+
+    try {
+      const book = await this.getBook(masterAddress, coin);
+      const next = this.applyToBook(book, signedQuantity, price);
+
+      const key = this.key(masterAddress, coin);
+      await this.store.pipeline()
+        .hset(key, {
+          position: next.position,
+          entryPrice: next.entryPrice,
+          realizedPnl: next.realizedPnl,
+          updatedAt: Date.now()
+        })
+        .expire(key, EXPIRY)
+        .exec();
+
+      logger.debug(`[SubBook] ${masterAddress} ${coin}: ${book.position} -> ${next.position} @ ${price} (Realized: ${next.realizedPnl})`);
+    } catch (error) {
+      logger.error(`[SubBook] Failed to apply fill for ${masterAddress} ${coin}`, error);
+    }
+  }
+
+  /**
+   * Pure average-cost update
+   * @param {{position: number, entryPrice: number, realizedPnl: number}} book
+   * @param {number} signedQuantity
+   * @param {number} price
+   */
+  applyToBook(book, signedQuantity, price) {
+    const { position, entryPrice } = book;
+    let realizedPnl = book.realizedPnl;
+    const newPosition = position + signedQuantity;
+
+    // Opening or adding in the same direction
+    if (position === 0 || Math.sign(position) === Math.sign(signedQuantity)) {
+      const totalQty = Math.abs(position) + Math.abs(signedQuantity);
+      const avgEntry = (Math.abs(position) * entryPrice + Math.abs(signedQuantity) * price) / totalQty;
+      return { position: newPosition, entryPrice: avgEntry, realizedPnl };
+    }
+
+    // Reducing, closing or flipping
+    const closedQty = Math.min(Math.abs(position), Math.abs(signedQuantity));
+    realizedPnl += closedQty * (price - entryPrice) * Math.sign(position);
+
+    if (Math.abs(newPosition) < 1e-12) {
+      return { position: 0, entryPrice: 0, realizedPnl };
+    }
+
+    // Flipped: the remainder is opened at this price
+    const newEntry = Math.sign(newPosition) !== Math.sign(position) ? price : entryPrice;
+    return { position: newPosition, entryPrice: newEntry, realizedPnl };
+  }
+
+  /**
+   * Get all sub-books grouped by master
+   * @returns {Promise<object>} { [master]: { [coin]: book } }
+   */
+  async getAllBooks() {
+    const books = {};
+    let cursor = '0';
+
+    do {
+      const result = await this.store.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 100);
+      cursor = result[0];
+
+      for (const key of result[1]) {
+        const [masterAddress, coin] = key.slice(this.prefix.length).split(':');
+        if (!books[masterAddress]) books[masterAddress] = {};
+        books[masterAddress][coin] = await this.getBook(masterAddress, coin);
+      }
+    } while (cursor !== '0');
+
+    return books;
+  }
+}
+
+module.exports = SubBook;
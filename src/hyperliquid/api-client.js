@@ -24,6 +24,71 @@ class HyperliquidAPIClient {
       throw error;
     }
   }
+
+  /**
+   * Get current funding rates and mark prices for all perps
+   * @returns {Promise<object>} { [coin]: { funding: number (hourly rate), markPx: number } }
+   */
+  async getAssetContexts() {
+    try {
+      const response = await axios.post(this.baseUrl, { type: 'metaAndAssetCtxs' });
+      const [meta, ctxs] = response.data;
+      const result = {};
+      meta.universe.forEach((asset, i) => {
+        if (!ctxs[i]) return;
+        result[asset.name] = {
+          funding: parseFloat(ctxs[i].funding) || 0,
+          markPx: parseFloat(ctxs[i].markPx) || 0
+        };
+      });
+      return result;
+    } catch (error) {
+      logger.error('Failed to get Hyperliquid asset contexts', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's fills in a time range, oldest first
+   * The API returns at most 2000 fills per call and only the 10000 most recent fills overall.
+   * @param {string} address User address
+   * @param {number} startTime ms
+   * @param {number} [endTime] ms, defaults to now
+   * @returns {Promise<Array>} Raw fills ({ coin, px, sz, side, time, crossed, closedPnl, fee, oid, tid, ... })
+   */
+  async getUserFillsByTime(address, startTime, endTime = Date.now()) {
+    const fills = [];
+    const seen = new Set(); // tids, pages overlap on the boundary millisecond
+    let from = startTime;
+
+    try {
+      while (from <= endTime) {
+        const response = await axios.post(this.baseUrl, {
+          type: 'userFillsByTime',
+          user: address,
+          startTime: from,
+          endTime,
+          aggregateByTime: false
+        });
+
+        const page = Array.isArray(response.data) ? response.data : [];
+        if (page.length === 0) break;
+
+        page.sort((a, b) => a.time - b.time);
+        const fresh = page.filter(f => !seen.has(f.tid));
+        fresh.forEach(f => seen.add(f.tid));
+        fills.push(...fresh);
+        if (page.length < 2000 || fresh.length === 0) break;
+        from = page[page.length - 1].time;
+      }
+    } catch (error) {
+      logger.error('Failed to get Hyperliquid user fills', error);
+      throw error;
+    }
+
+    return fills;
+  }
+
   /**
    * Get User Positions
    * @param {string} address User address
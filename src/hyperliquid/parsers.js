@@ -23,7 +23,9 @@ function parseOrderUpdate(data) {
     }
 
     const order = orderEvent.order;
-    const status = order.status ? order.status.toLowerCase() : '';
+    // WsOrder carries the status next to the order ({ order, status, statusTimestamp })
+    const rawStatus = orderEvent.status || order.status;
+    const status = rawStatus ? rawStatus.toLowerCase() : '';
 
     // We are interested in 'open', 'canceled', 'filled', and 'triggered'
     if (status !== 'open' && status !== 'canceled' && status !== 'filled' && status !== 'triggered') {
@@ -31,23 +33,75 @@ function parseOrderUpdate(data) {
       continue;
     }
 
-    orders.push({
-      type: 'order',
-      status: status, // 'open', 'canceled', 'filled', or 'triggered'
-      coin: order.coin,
-      side: order.side, // 'B' or 'A'
-      limitPx: order.limitPx,
-      sz: order.sz,
-      oid: order.oid,
-      timestamp: order.timestamp,
-      reduceOnly: order.reduceOnly || false,
-      userAddress: orderEvent.user || null 
-    });
+    orders.push(parseOrder(order, status, orderEvent.user || null, orderEvent.statusTimestamp));
   }
 
   return orders;
 }
 
+/**
+ * Standardize one Hyperliquid order (orderUpdates entry or frontendOpenOrders item)
+ * Trigger orders (stop loss / take profit) carry isTrigger, triggerPx, orderType
+ * ('Stop Market', 'Stop Limit', 'Take Profit Market', 'Take Profit Limit'), tpsl ('tp' / 'sl')
+ * and isPositionTpsl for TP/SL attached to the whole position.
+ * `tif` is null when the message does not include it (GTC is assumed then).
+ * @param {object} order
+ * @param {string} status
+ * @param {string|null} userAddress
+ * @param {number} [statusTimestamp] Time of this status update (order updates only)
+ * @returns {object}
+ */
+function parseOrder(order, status, userAddress = null, statusTimestamp = null) {
+  return {
+    type: 'order',
+    status: status, // 'open', 'canceled', 'filled', or 'triggered'
+    coin: order.coin,
+    side: order.side, // 'B' or 'A'
+    limitPx: order.limitPx,
+    sz: order.sz, // Remaining size
+    origSz: order.origSz || null, // Size when placed (or last modified)
+    oid: order.oid,
+    timestamp: order.timestamp,
+    reduceOnly: order.reduceOnly || false,
+    tif: order.tif || null, // 'Gtc', 'Alo' (post-only) or 'Ioc' when Hyperliquid sends it
+    isTrigger: order.isTrigger === true || !!(order.triggerPx && parseFloat(order.triggerPx) > 0),
+    triggerPx: order.triggerPx || null,
+    orderType: order.orderType || null,
+    tpsl: order.tpsl || null,
+    isPositionTpsl: order.isPositionTpsl === true,
+    statusTimestamp,
+    userAddress
+  };
+}
+
+/**
+ * Venue order type for a Hyperliquid trigger order
+ * @param {object} order Standardized order with isTrigger
+ * @returns {string} STOP_MARKET, TAKE_PROFIT_MARKET, STOP or TAKE_PROFIT
+ */
+function triggerOrderType(order) {
+  const name = (order.orderType || '').toLowerCase();
+  const isTakeProfit = name ? name.startsWith('take profit') : order.tpsl === 'tp';
+  const isLimit = name.endsWith('limit');
+  if (isTakeProfit) {
+    return isLimit ? 'TAKE_PROFIT' : 'TAKE_PROFIT_MARKET';
+  }
+  return isLimit ? 'STOP' : 'STOP_MARKET';
+}
+
+/**
+ * Trigger fields kept on the order mapping, to tell whether the master moved the order
+ * @param {object} order
+ */
+function triggerDetails(order) {
+  return {
+    type: triggerOrderType(order),
+    triggerPx: order.triggerPx,
+    limitPx: order.limitPx,
+    sz: order.sz
+  };
+}
+
 /**
  * Parse User Fills Event (Market Trades)
  * @param {object} data 
@@ -80,6 +134,11 @@ function parseUserFills(data) {
         px: fill.px,
         sz: fill.sz,
         timestamp: fill.time,
+        crossed: true,
+        oid: fill.oid, // Order that produced the fill (trigger orders fill as taker)
+        tid: fill.tid, // Unique trade id, identifies the fill
+        hash: fill.hash, // Transaction hash (shared by the fills of one order)
+        startPosition: fill.startPosition, // Master position on the coin before the fill
         userAddress: data.user || null // UserFills event structure: { isSnapshot: false, user: "0x...", fills: [...] } - Wait, check HL docs. 
         // HL docs: { "type": "userFills", "data": { "isSnapshot": false, "user": "0x...", "fills": [...] } }
         // Yes, 'user' is often at the top level of the data object for userFills.
@@ -92,5 +151,8 @@ function parseUserFills(data) {
 
 module.exports = {
   parseOrderUpdate,
+  parseOrder,
+  triggerOrderType,
+  triggerDetails,
   parseUserFills
 };
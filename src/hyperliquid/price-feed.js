@@ -0,0 +1,111 @@
+const WebSocket = require('ws');
+const config = require('config');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Hyperliquid mid prices ('allMids' channel).
+ * Used as the market for simulated (paper) execution. The socket is only opened once
+ * something calls start(), so requiring this module has no side effects.
+ */
+class HyperliquidPriceFeed extends EventEmitter {
+  constructor() {
+    super();
+    this.wsUrl = config.get('hyperliquid.wsUrl');
+    this.ws = null;
+    this.prices = {}; // coin -> mid price
+    this.started = false;
+    this.pingInterval = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.baseReconnectDelay = 1000;
+    this.maxReconnectDelay = 30000;
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.connect();
+  }
+
+  connect() {
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.terminate();
+    }
+
+    this.ws = new WebSocket(this.wsUrl);
+
+    this.ws.on('open', () => {
+      logger.info('Connected to Hyperliquid price feed (allMids)');
+      this.reconnectAttempts = 0;
+      this.ws.send(JSON.stringify({ method: 'subscribe', subscription: { type: 'allMids' } }));
+      this.pingInterval = setInterval(() => {
+        if (this.ws.readyState === WebSocket.OPEN) {
+          this.ws.send(JSON.stringify({ method: 'ping' }));
+        }
+      }, 30000);
+    });
+
+    this.ws.on('message', (data) => {
+      try {
+        const message = JSON.parse(data);
+        if (message.channel === 'allMids' && message.data && message.data.mids) {
+          this.update(message.data.mids);
+        }
+      } catch (error) {
+        logger.error('Error parsing price feed message', error);
+      }
+    });
+
+    this.ws.on('close', () => {
+      clearInterval(this.pingInterval);
+      if (!this.started) return;
+
+      const delay = Math.min(this.baseReconnectDelay * Math.pow(2, this.reconnectAttempts), this.maxReconnectDelay);
+      logger.warn(`Hyperliquid price feed disconnected, reconnecting in ${delay}ms`);
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectAttempts++;
+        this.connect();
+      }, delay);
+    });
+
+    this.ws.on('error', (error) => {
+      logger.error('Hyperliquid price feed error', error);
+    });
+  }
+
+  /**
+   * @param {object} mids { coin: price string }
+   */
+  update(mids) {
+    const prices = {};
+    for (const [coin, px] of Object.entries(mids)) {
+      const price = parseFloat(px);
+      if (price > 0) {
+        prices[coin] = price;
+        this.prices[coin] = price;
+      }
+    }
+    this.emit('prices', prices);
+  }
+
+  /**
+   * @param {string} coin
+   * @returns {number|undefined}
+   */
+  getPrice(coin) {
+    return this.prices[coin];
+  }
+
+  stop() {
+    this.started = false;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.pingInterval);
+    if (this.ws) {
+      this.ws.close();
+    }
+  }
+}
+
+module.exports = new HyperliquidPriceFeed();
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const logger = require('../utils/logger');
+
+const RECORDING_FILE = /\.jsonl(\.gz)?$/;
+
+/**
+ * Recording files at a path: the file itself, or every .jsonl / .jsonl.gz file in a
+ * directory sorted by name (recorder file names sort chronologically)
+ * @param {string} target
+ * @returns {Array<string>}
+ */
+function listRecordingFiles(target) {
+  if (!fs.statSync(target).isDirectory()) {
+    return [target];
+  }
+  return fs.readdirSync(target)
+    .filter(name => RECORDING_FILE.test(name))
+    .sort()
+    .map(name => path.join(target, name));
+}
+
+/**
+ * Normalize a recorded line.
+ * Recorder lines are { receivedAt, user, raw } / { receivedAt, user, event }; lines that are a
+ * bare WebSocket message ({ channel, data }) are accepted too, without timestamps.
+ * @param {object} line
+ * @returns {{receivedAt: number|null, user: string|null, event: string|null, message: object|null, raw: string|null}}
+ */
+function toEntry(line) {
+  if (line.raw === undefined && line.event === undefined) {
+    return { receivedAt: null, user: null, event: null, message: line, raw: null };
+  }
+
+  let message = null;
+  if (line.raw !== undefined) {
+    try {
+      message = JSON.parse(line.raw);
+    } catch (error) {
+      // Kept as-is: malformed frames are part of what a recording reproduces
+    }
+  }
+  return {
+    receivedAt: line.receivedAt || null,
+    user: line.user || null,
+    event: line.event || null,
+    message,
+    raw: line.raw !== undefined ? line.raw : null
+  };
+}
+
+/**
+ * Read recorded entries in order. Files cut short by a crash are read up to the last complete line.
+ * @param {string} target File or directory
+ * @returns {AsyncGenerator<object>} Entries from toEntry()
+ */
+async function* readRecording(target) {
+  for (const file of listRecordingFiles(target)) {
+    let input = fs.createReadStream(file);
+    if (file.endsWith('.gz')) {
+      input = input.pipe(zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH }));
+    }
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    let lineNumber = 0;
+    try {
+      for await (const text of lines) {
+        lineNumber++;
+        if (!text.trim()) continue;
+
+        let line;
+        try {
+          line = JSON.parse(text);
+        } catch (error) {
+          logger.warn(`Skipping unreadable recording line ${file}:${lineNumber}`);
+          continue;
+        }
+        yield toEntry(line);
+      }
+    } catch (error) {
+      logger.warn(`Recording ${file} ended early after line ${lineNumber}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  listRecordingFiles,
+  readRecording
+};
@@ -1,317 +1,158 @@
-const WebSocket = require('ws');
 const config = require('config');
-const EventEmitter = require('events');
 const logger = require('../utils/logger');
 const parsers = require('./parsers');
 const axios = require('axios');
-const binanceClient = require('../binance/api-client');
-const orderMapper = require('../core/order-mapper');
-const orderExecutor = require('../core/order-executor');
-const exposureManager = require('../core/exposure-manager');
+const redis = require('../utils/redis');
+const hyperApiClient = require('./api-client');
+const HyperliquidConnection = require('./ws-connection');
+const { latencyStats } = HyperliquidConnection;
+const SignalSource = require('../signals/signal-source');
+const followerRegistry = require('../core/follower-registry');
+
+/**
+ * Hyperliquid signal source: WebSocket connection(s) for a single followed master
+ * (a trader or a vault address).
+ * Hyperliquid 'orderUpdates' payloads do not carry the user address, so each master
+ * gets its own socket to keep every event attributable.
+ */
+class HyperliquidWS extends SignalSource {
+  /**
+   * @param {object} master Normalized master from MasterRegistry
+   */
+  constructor(master) {
+    super(master);
+
+    // Redundant feed: a second connection (to the backup endpoint, if set) subscribes to the
+    // same channels, and every order update / fill is emitted once by whichever arrives first
+    const redundancy = config.get('hyperliquid.redundancy');
+    const wsUrl = config.get('hyperliquid.wsUrl');
+    this.connections = [];
+    this.addConnection(wsUrl, 'primary');
+    if (redundancy.enabled) {
+      this.addConnection(redundancy.backupWsUrl || wsUrl, 'backup');
+    }
+    this.seenOrders = new Set(); // Keys of the order updates emitted, when redundant
+    this.duplicates = 0;
+
+    // Missed fill recovery: the last processed fill (time and the tids at that millisecond)
+    // is kept in Redis, fills after it are fetched on every (re)connect
+    const resync = config.get('hyperliquid.resync');
+    this.resyncEnabled = resync.enabled;
+    this.maxFillAgeMs = resync.maxFillAgeMs;
+    this.lastFill = null; // { time, tids }
+    this.seenTids = new Set(); // Recently processed fills, live and replayed ones overlap
+  }
 
-class HyperliquidWS extends EventEmitter {
-  constructor() {
-    super();
-    this.wsUrl = config.get('hyperliquid.wsUrl');
-    this.followedUsers = config.get('hyperliquid.followedUsers'); // Array of UIDs
-    this.ws = null;
-    this.pingInterval = null;
-    
-    // Reconnection settings
-    this.reconnectAttempts = 0;
-    this.baseReconnectDelay = 1000; // 1 second
-    this.maxReconnectDelay = 30000; // 30 seconds
-    this.isExplicitClose = false;
-    this.reconnectTimer = null;
+  /**
+   * @param {string} url WebSocket endpoint
+   * @param {string} label
+   * @returns {HyperliquidConnection}
+   */
+  addConnection(url, label) {
+    const connection = new HyperliquidConnection(this.user, url, label);
+    connection.on('open', () => this.handleOpen(connection));
+    connection.on('message', message => this.handleMessage(message));
+    this.connections.push(connection);
+    return connection;
   }
 
   connect() {
-    if (this.ws) {
-      this.ws.removeAllListeners();
-      this.ws.terminate();
-    }
-
-    this.ws = new WebSocket(this.wsUrl);
-
-    this.ws.on('open', () => {
-      logger.info('Connected to Hyperliquid WebSocket');
-      this.reconnectAttempts = 0; // Reset attempts on successful connection
-      this.isExplicitClose = false;
-      this.subscribe();
-      this.startHeartbeat();
-      
-      // Perform Initial Sync of Open Orders
-      this.syncInitialOrders();
-    });
-
-
-    this.ws.on('message', (data) => {
-      try {
-        const message = JSON.parse(data);
-        this.handleMessage(message);
-      } catch (error) {
-        logger.error('Error parsing WebSocket message', error);
-      }
-    });
-
-    this.ws.on('close', () => {
-      this.stopHeartbeat();
-      if (this.isExplicitClose) {
-         logger.info('Hyperliquid WebSocket closed explicitly.');
-         return;
-      }
-
-      logger.warn('Hyperliquid WebSocket disconnected');
-      this.scheduleReconnect();
-    });
-
-    this.ws.on('error', (error) => {
-      logger.error('Hyperliquid WebSocket error', error);
-      // 'close' event usually follows 'error', so we handle reconnect there
-    });
+    this.connections.forEach(connection => connection.connect());
   }
 
-  scheduleReconnect() {
-    if (this.reconnectTimer) {
-      clearTimeout(this.reconnectTimer);
-    }
+  close() {
+    this.connections.forEach(connection => connection.close());
+  }
 
-    // Exponential backoff: base * 2^attempts
-    const delay = Math.min(
-      this.baseReconnectDelay * Math.pow(2, this.reconnectAttempts),
-      this.maxReconnectDelay
-    );
+  /**
+   * A connection (re)opened: subscribe it, and recover what the feed missed while no
+   * connection was up. While another connection stayed open nothing was missed.
+   * @param {HyperliquidConnection} connection
+   */
+  handleOpen(connection) {
+    this.subscribe(connection);
+    if (this.connections.some(other => other !== connection && other.isOpen())) return;
 
-    logger.info(`Reconnecting in ${delay}ms (Attempt ${this.reconnectAttempts + 1})...`);
+    // Perform Initial Sync of Open Orders
+    this.syncInitialOrders();
 
-    this.reconnectTimer = setTimeout(() => {
-      this.reconnectAttempts++;
-      this.connect();
-    }, delay);
+    // Follow taker fills the master made while we were not connected
+    this.resyncFills().catch(err => logger.error(`Failed to recover missed fills of ${this.user}`, err));
   }
 
-  close() {
-    this.isExplicitClose = true;
-    if (this.reconnectTimer) {
-      clearTimeout(this.reconnectTimer);
-      this.reconnectTimer = null;
-    }
-    this.stopHeartbeat();
-    if (this.ws) {
-      this.ws.close();
-    }
+  /**
+   * Connection health and feed latency for monitoring
+   * @returns {object}
+   */
+  getFeedStatus() {
+    const connections = this.connections.map(connection => connection.getStatus());
+    const lastOf = field => Math.max(0, ...connections.map(c => c[field] || 0)) || null;
+    return {
+      source: this.type,
+      connected: connections.some(c => c.connected),
+      lastMessageAt: lastOf('lastMessageAt'),
+      lastPongAt: lastOf('lastPongAt'),
+      reconnects: connections.reduce((sum, c) => sum + c.reconnects, 0),
+      watchdogRestarts: connections.reduce((sum, c) => sum + c.watchdogRestarts, 0),
+      duplicates: this.duplicates,
+      latency: latencyStats(this.connections.flatMap(connection => connection.latencies)),
+      connections
+    };
   }
 
-  subscribe() {
-    if (this.followedUsers.length === 0) {
-      logger.warn('No users to follow configured');
-      return;
-    }
-
-    this.followedUsers.forEach(user => {
-      // 1. Subscribe to Order Updates (Limit Orders)
-      const orderMsg = {
-        method: "subscribe",
-        subscription: {
-          type: "orderUpdates",
-          user: user
-        }
-      };
-      this.ws.send(JSON.stringify(orderMsg));
-      logger.info(`Subscribed to orderUpdates for user: ${user}`);
+  /**
+   * @param {HyperliquidConnection} connection
+   */
+  subscribe(connection) {
+    const user = this.user;
+
+    // 1. Subscribe to Order Updates (Limit Orders)
+    const orderMsg = {
+      method: "subscribe",
+      subscription: {
+        type: "orderUpdates",
+        user: user
+      }
+    };
+    connection.send(orderMsg);
+    logger.info(`Subscribed to orderUpdates for user: ${user}`);
+
+    // 2. Subscribe to User Fills (Market Trades)
+    const fillMsg = {
+      method: "subscribe",
+      subscription: {
+        type: "userFills",
+        user: user
+      }
+    };
+    connection.send(fillMsg);
+    logger.info(`Subscribed to userFills for user: ${user}`);
+  }
 
-      // 2. Subscribe to User Fills (Market Trades)
-      const fillMsg = {
-        method: "subscribe",
-        subscription: {
-          type: "userFills",
-          user: user
-        }
-      };
-      this.ws.send(JSON.stringify(fillMsg));
-      logger.info(`Subscribed to userFills for user: ${user}`);
+  /**
+   * frontendOpenOrders includes trigger orders with their trigger details
+   * @returns {Promise<Array>} Master open orders from the info API, standardized
+   */
+  async getOpenOrders() {
+    const response = await axios.post('https://api.hyperliquid.xyz/info', {
+      type: "frontendOpenOrders",
+      user: this.user
     });
+    return (response.data || []).map(order => parsers.parseOrder(order, 'open', this.user));
   }
 
-  async syncInitialOrders() {
-    if (this.followedUsers.length === 0) return;
-
-    logger.info('Starting initial sync of open orders...');
-
-    // 1. Fetch Binance Open Orders (Snapshot)
-    let binanceOpenOrders = [];
-    const binanceOrdersMap = new Map(); // Symbol -> Array of Orders
-    const binanceOrderIdMap = new Set(); // Set of OrderIDs for quick existence check
-
-    try {
-      binanceOpenOrders = await binanceClient.client.futuresOpenOrders();
-      
-      binanceOpenOrders.forEach(bo => {
-        // Index by Symbol for Recovery matching
-        if (!binanceOrdersMap.has(bo.symbol)) {
-          binanceOrdersMap.set(bo.symbol, []);
-        }
-        binanceOrdersMap.get(bo.symbol).push(bo);
-        
-        // Index by ID for Sync verification
-        binanceOrderIdMap.add(bo.orderId.toString());
-      });
-      
-      logger.info(`Fetched ${binanceOpenOrders.length} active Binance orders for sync reconciliation.`);
-    } catch (err) {
-      logger.warn('Failed to fetch Binance open orders. Sync/Pruning will be limited.', err);
-    }
-
-    for (const user of this.followedUsers) {
-      try {
-        const response = await axios.post('https://api.hyperliquid.xyz/info', {
-          type: "openOrders",
-          user: user
-        });
-
-        const hlOpenOrders = response.data;
-        const hlOrderIds = new Set();
-
-        if (Array.isArray(hlOpenOrders)) {
-          logger.info(`Found ${hlOpenOrders.length} existing open orders for ${user}. Syncing...`);
-          
-          // --- Phase 0: Pre-Sync Risk Check ---
-          // Run ExposureManager BEFORE syncing HL orders to ensure the "Reduce Half" safety net
-          // gets priority on the Binance position quota.
-          logger.info(`[Sync] Running pre-sync risk check for ${user}...`);
-          await Promise.all([
-            exposureManager.checkAndRebalance('BTC', user).catch(err => logger.error(`[Sync] Pre-sync rebalance failed for BTC`, err)),
-            exposureManager.checkAndRebalance('ETH', user).catch(err => {}),
-            exposureManager.checkAndRebalance('SOL', user).catch(err => {})
-          ]);
-
-          // --- Phase 1: Sync HL -> Binance (Create / Verify) ---
-          for (const order of hlOpenOrders) {
-            hlOrderIds.add(order.oid.toString()); // Track for Pruning Phase
-
-            // Standardize
-            const standardizedOrder = {
-              type: 'order',
-              status: 'open',
-              coin: order.coin,
-              side: order.side,
-              limitPx: order.limitPx,
-              sz: order.sz,
-              oid: order.oid,
-              timestamp: order.timestamp,
-              userAddress: user
-            };
-
-            // A. Check Existing Mapping
-            const existingMapping = await orderMapper.getBinanceOrder(order.oid);
-            
-            if (existingMapping) {
-              // We have a mapping. Check if the Binance Order is ACTUALLY active.
-              if (binanceOrderIdMap.has(existingMapping.orderId.toString())) {
-                // Perfect Sync: Mapped AND Active on Binance.
-                // DO NOT EMIT. This prevents duplicates definitively.
-                logger.debug(`[Sync] Order ${order.oid} already synced and active on Binance (${existingMapping.orderId}). Skipping.`);
-                continue;
-              } else {
-                // Mapping exists, but Binance Order is MISSING from OpenOrders.
-                // This means it was Filled or Canceled on Binance, but HL still has it Open.
-                // We should probably allow re-creation (Emit), or treat as Orphan drift.
-                // Given the user wants "Copy", if HL has it open, we should probably have it open.
-                // So we fall through to Emit.
-                logger.info(`[Sync] Order ${order.oid} mapped but not found in Binance OpenOrders. Retrying sync (creating new)...`);
-                // Clean old mapping to allow new creation logic to run cleanly if needed
-                await orderMapper.deleteMapping(order.oid); 
-              }
-            }
-
-            // B. Recovery Check (If no valid mapping)
-            const symbol = binanceClient.getBinanceSymbol(order.coin);
-            const candidates = binanceOrdersMap.get(symbol) || [];
-
-            if (candidates.length > 0) {
-              const hlPriceFormatted = binanceClient.roundPrice(order.coin, order.limitPx);
-              const binanceSide = order.side === 'B' ? 'BUY' : 'SELL';
-
-              const matchIndex = candidates.findIndex(bo => {
-                const priceDiff = Math.abs(parseFloat(bo.price) - parseFloat(hlPriceFormatted));
-                // Allow small tolerance for floating point or rounding differences
-                // e.g. 0.0001 or 0.1% of price? 
-                // Using 0.0001 absolute tolerance for now, assuming similar precision.
-                // Or better: check if priceDiff / price < 0.0001 (0.01%)
-                const isPriceMatch = priceDiff < 0.0001 || (parseFloat(bo.price) > 0 && priceDiff / parseFloat(bo.price) < 0.0001);
-                
-                return bo.side === binanceSide && isPriceMatch;
-              });
-
-              if (matchIndex !== -1) {
-                const matchedOrder = candidates[matchIndex];
-                candidates.splice(matchIndex, 1); // Consume candidate
-
-                logger.info(`[Sync] Recovered mapping: HL ${order.oid} <-> Binance ${matchedOrder.orderId}`);
-
-                await orderMapper.saveMapping(order.oid, matchedOrder.orderId, symbol);
-                await consistencyEngine.markOrderProcessed(order.oid, {
-                  type: 'limit-recovered',
-                  coin: order.coin,
-                  restored: true,
-                  binanceOrderId: matchedOrder.orderId,
-                  recoveredAt: Date.now()
-                });
-
-                // Remove from map to prevent Pruning later (though Pruning checks Redis, so it's fine)
-                continue; // Skip Emit
-              } else {
-                 logger.debug(`[Sync] No match found for HL ${order.oid} (${order.coin} ${order.side} ${hlPriceFormatted}). Candidates: ${candidates.length}`);
-              }
-            }
-            
-            // C. Create New
-            logger.info(`[Sync] Processing NEW order for HL ${order.oid}`);
-            try {
-              await orderExecutor.executeLimitOrder(standardizedOrder, true); // Skip rebalance during sync
-            } catch (err) {
-              logger.error(`[Sync] Failed to process initial order ${order.oid}`, err);
-            }
-          } // End Phase 1 Loop
-
-          // --- Phase 2: Prune Binance -> HL (Cancel Zombie Orders) ---
-          // Iterate all Binance Open Orders. If they map to an HL Order that is NOT in hlOrderIds, Cancel them.
-          
-          const pruneBatchSize = 5;
-          for (let i = 0; i < binanceOpenOrders.length; i += pruneBatchSize) {
-            const batch = binanceOpenOrders.slice(i, i + pruneBatchSize);
-            await Promise.all(batch.map(async (bOrder) => {
-              try {
-                // Check if this Binance Order is a "Follow" order (has mapping)
-                const mappedHlOid = await orderMapper.getHyperliquidOrder(bOrder.orderId);
-                
-                if (mappedHlOid) {
-                  // It is a Follow order.
-                  // Check if the Master Order still exists
-                  if (!hlOrderIds.has(mappedHlOid.toString())) {
-                    logger.info(`[Sync] Pruning Zombie Binance Order ${bOrder.orderId} (HL ${mappedHlOid} no longer open).`);
-                    
-                    try {
-                      await binanceClient.cancelOrder(bOrder.symbol, bOrder.orderId);
-                      await orderMapper.deleteMapping(mappedHlOid);
-                    } catch (err) {
-                      logger.warn(`[Sync] Failed to prune order ${bOrder.orderId}`, err);
-                    }
-                  }
-                }
-              } catch (err) {
-                logger.error(`[Sync] Error processing prune for ${bOrder.orderId}`, err);
-              }
-            }));
-          }
+  async getPositions() {
+    return hyperApiClient.getUserPositions(this.user);
+  }
 
-        } else {
-          logger.info(`No existing open orders found for ${user}.`);
-        }
-      } catch (error) {
-        logger.error(`Failed to fetch initial orders for ${user}`, error);
-      }
+  async getEquity() {
+    const accountData = await hyperApiClient.getClearinghouseState(this.user);
+    
+    // accountValue is usually in marginSummary
+    if (!accountData || !accountData.marginSummary) {
+      throw new Error(`Invalid Hyperliquid account data for ${this.user}`);
     }
+    return parseFloat(accountData.marginSummary.accountValue);
   }
 
   handleMessage(message) {
@@ -323,41 +164,136 @@ class HyperliquidWS extends EventEmitter {
       
       if (orders && orders.length > 0) {
         orders.forEach(order => {
-          // Fallback for userAddress if missing (MVP assumption: single user)
-          if (!order.userAddress && this.followedUsers.length > 0) {
-            order.userAddress = this.followedUsers[0];
-          }
-          
+          // orderUpdates carry no user, emitOrder attributes it to this connection's master
+          if (this.isDuplicateOrder(order)) return;
           logger.info(`WS: Parsed order event: ${order.status} ${order.coin} ${order.oid}`);
-          this.emit('order', order);
+          this.emitOrder(order);
         });
       } else {
         logger.debug('WS: parseOrderUpdate returned no valid orders');
       }
     } else if (channel === 'userFills') {
-      const fills = parsers.parseUserFills(data);
+      // Snapshots repeat history (missed fills are recovered by resyncFills)
+      const fresh = data.isSnapshot ? [] : this.trackFills(data.fills || []);
+      const fills = parsers.parseUserFills({ ...data, fills: fresh });
       if (fills && fills.length > 0) {
-        fills.forEach(fill => {
-          this.emit('fill', fill);
-        });
+        fills.forEach(fill => this.emitFill(fill));
       }
     }
   }
 
-  startHeartbeat() {
-    this.pingInterval = setInterval(() => {
-      if (this.ws.readyState === WebSocket.OPEN) {
-        this.ws.send(JSON.stringify({ method: "ping" }));
+  /**
+   * With redundant connections every order update arrives twice; the first one is emitted.
+   * An order sends several 'open' updates (partial fills, modifications), so the key holds
+   * everything that changes between them: only copies of the same update are dropped.
+   * @param {object} order Parsed order event
+   * @returns {boolean}
+   */
+  isDuplicateOrder(order) {
+    if (this.connections.length < 2) return false;
+
+    const key = [order.oid, order.status, order.statusTimestamp, order.sz, order.limitPx, order.triggerPx].join(':');
+    if (this.seenOrders.has(key)) {
+      this.duplicates++;
+      return true;
+    }
+    this.seenOrders.add(key);
+    // Keep the most recent updates only
+    for (const seen of this.seenOrders) {
+      if (this.seenOrders.size <= 1000) break;
+      this.seenOrders.delete(seen);
+    }
+    return false;
+  }
+
+  /**
+   * Drop fills that were already processed and move the fill cursor past the rest
+   * @param {Array} fills Raw Hyperliquid fills
+   * @returns {Array} Fills not seen before
+   */
+  trackFills(fills) {
+    const fresh = fills.filter(fill => fill.tid === undefined || !this.seenTids.has(fill.tid));
+    if (fresh.length === 0) return fresh;
+
+    for (const fill of fresh) {
+      if (fill.tid === undefined) continue;
+      this.seenTids.add(fill.tid);
+      if (!this.lastFill || fill.time > this.lastFill.time) {
+        this.lastFill = { time: fill.time, tids: [fill.tid] };
+      } else if (fill.time === this.lastFill.time) {
+        this.lastFill.tids.push(fill.tid);
       }
-    }, 30000);
+    }
+    // Keep the most recent tids only
+    for (const tid of this.seenTids) {
+      if (this.seenTids.size <= 1000) break;
+      this.seenTids.delete(tid);
+    }
+
+    if (this.resyncEnabled && this.lastFill) {
+      redis.set(this.fillCursorKey(), JSON.stringify(this.lastFill))
+        .catch(err => logger.warn(`Failed to save fill cursor of ${this.user}`, { error: err.message }));
+    }
+    return fresh;
+  }
+
+  fillCursorKey() {
+    return `hlFillCursor:${this.user}`;
   }
 
-  stopHeartbeat() {
-    if (this.pingInterval) {
-      clearInterval(this.pingInterval);
-      this.pingInterval = null;
+  /**
+   * Fetch the master's fills since the last processed one and follow the missed taker fills.
+   * Taker fills older than maxFillAgeMs are not followed at the prices they had: they are
+   * booked as pending delta, so the next trade of the master on the coin catches up.
+   * Without a saved cursor (first run) there is nothing to recover.
+   */
+  async resyncFills() {
+    if (!this.resyncEnabled) return;
+
+    let from = this.lastFill;
+    if (!from) {
+      const saved = await redis.get(this.fillCursorKey());
+      from = saved ? JSON.parse(saved) : null;
+    }
+    if (!from) return;
+
+    const fills = await hyperApiClient.getUserFillsByTime(this.user, from.time);
+    const missed = fills.filter(fill => fill.time > from.time || !from.tids.includes(fill.tid));
+    const fresh = this.trackFills(missed);
+    if (fresh.length === 0) return;
+
+    const now = Date.now();
+    const recent = fresh.filter(fill => now - fill.time <= this.maxFillAgeMs);
+    const stale = fresh.filter(fill => now - fill.time > this.maxFillAgeMs && fill.crossed);
+    if (stale.length > 0) {
+      logger.warn(`${stale.length} missed taker fills of ${this.user} are older than ${this.maxFillAgeMs}ms, booked as pending delta for the next trade`, {
+        fills: stale.map(f => ({ coin: f.coin, side: f.side, sz: f.sz, px: f.px, time: f.time, tid: f.tid }))
+      });
+      await this.bookMissedFills(stale);
+    }
+
+    const replayed = parsers.parseUserFills({ user: this.user, fills: recent });
+    if (replayed.length > 0) {
+      logger.warn(`Replaying ${replayed.length} taker fills of ${this.user} missed since ${new Date(from.time).toISOString()}`);
+    }
+    replayed.forEach(fill => this.emitFill({ ...fill, replayed: true }));
+  }
+
+  /**
+   * Add missed fills to the pending delta of this master on the follower accounts that follow it
+   * @param {Array} fills Raw Hyperliquid fills
+   */
+  async bookMissedFills(fills) {
+    for (const account of followerRegistry.getAll()) {
+      if (!account.follows(this.user)) continue;
+      for (const fill of fills) {
+        const size = parseFloat(fill.sz);
+        await account.positionTracker.addPendingDelta(this.user, fill.coin, fill.side === 'B' ? size : -size).catch(err => {
+          logger.error(`[${account.id}] Failed to book missed ${fill.coin} fill ${fill.tid} of ${this.user}`, err);
+        });
+      }
     }
   }
 }
 
-module.exports = new HyperliquidWS();
+module.exports = HyperliquidWS;
@@ -0,0 +1,257 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const config = require('config');
+const logger = require('../utils/logger');
+const wsRecorder = require('./ws-recorder');
+
+/**
+ * One Hyperliquid WebSocket connection of a master's feed: reconnects with backoff, pings
+ * every 30s, reopens the socket when it goes silent and samples the feed latency.
+ * Subscriptions and message handling belong to the owning HyperliquidWS.
+ *
+ * Emits 'open' and 'message' (parsed message).
+ */
+class HyperliquidConnection extends EventEmitter {
+  /**
+   * @param {string} user Master address
+   * @param {string} url WebSocket endpoint
+   * @param {string} [label] Name in logs and status, e.g. 'primary'
+   */
+  constructor(user, url, label = 'primary') {
+    super();
+    this.user = user;
+    this.url = url;
+    this.label = label;
+    this.WebSocket = WebSocket;
+    this.ws = null;
+    this.pingInterval = null;
+
+    // Reconnection settings
+    this.reconnectAttempts = 0;
+    this.baseReconnectDelay = 1000; // 1 second
+    this.maxReconnectDelay = 30000; // 30 seconds
+    this.isExplicitClose = false;
+    this.reconnectTimer = null;
+
+    // Stale connection watchdog and feed latency (local receive time - server event time)
+    const watchdog = config.get('hyperliquid.watchdog');
+    this.silenceMs = watchdog.silenceMs;
+    this.watchdogInterval = watchdog.checkIntervalMs;
+    this.watchdogTimer = null;
+    this.lastMessageAt = null;
+    this.lastPongAt = null;
+    this.reconnects = 0;
+    this.watchdogRestarts = 0;
+    this.latencies = []; // Most recent samples (ms)
+    this.maxLatencySamples = 200;
+  }
+
+  connect() {
+    this.isExplicitClose = false;
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {}); // A socket still connecting errors when terminated
+      this.ws.terminate();
+    }
+
+    this.ws = new this.WebSocket(this.url);
+    // Silence is counted from the connection attempt, a connect that hangs is retried too
+    this.lastMessageAt = Date.now();
+    this.startWatchdog();
+
+    this.ws.on('open', () => {
+      logger.info(`Connected to Hyperliquid WebSocket (${this.user}, ${this.label})`);
+      wsRecorder.recordEvent(this.user, 'open');
+      this.reconnectAttempts = 0; // Reset attempts on successful connection
+      this.startHeartbeat();
+      this.emit('open');
+    });
+
+    this.ws.on('message', (data) => {
+      const receivedAt = Date.now();
+      this.lastMessageAt = receivedAt;
+      wsRecorder.recordMessage(this.user, data);
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        logger.error('Error parsing WebSocket message', error);
+        return;
+      }
+      if (message.channel === 'pong') this.lastPongAt = receivedAt;
+      this.recordLatency(message, receivedAt);
+      this.emit('message', message);
+    });
+
+    this.ws.on('close', () => {
+      wsRecorder.recordEvent(this.user, 'close');
+      this.stopHeartbeat();
+      if (this.isExplicitClose) {
+        logger.info(`Hyperliquid WebSocket closed explicitly (${this.user}, ${this.label}).`);
+        return;
+      }
+
+      logger.warn(`Hyperliquid WebSocket disconnected (${this.user}, ${this.label})`);
+      this.scheduleReconnect();
+    });
+
+    this.ws.on('error', (error) => {
+      logger.error(`Hyperliquid WebSocket error (${this.label})`, error);
+      // 'close' event usually follows 'error', so we handle reconnect there
+    });
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !!this.ws && this.ws.readyState === this.WebSocket.OPEN;
+  }
+
+  /**
+   * @param {object} message
+   */
+  send(message) {
+    this.ws.send(JSON.stringify(message));
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+    }
+
+    // Exponential backoff: base * 2^attempts
+    const delay = Math.min(
+      this.baseReconnectDelay * Math.pow(2, this.reconnectAttempts),
+      this.maxReconnectDelay
+    );
+
+    logger.info(`Reconnecting ${this.user} (${this.label}) in ${delay}ms (Attempt ${this.reconnectAttempts + 1})...`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnectAttempts++;
+      this.reconnects++;
+      this.connect();
+    }, delay);
+  }
+
+  startWatchdog() {
+    if (this.watchdogTimer) return;
+    this.watchdogTimer = setInterval(() => this.checkSilence(), this.watchdogInterval);
+  }
+
+  stopWatchdog() {
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer);
+      this.watchdogTimer = null;
+    }
+  }
+
+  /**
+   * Reopen a connection that went silent: a half-open TCP connection never closes on its own,
+   * and the 30s pings keep a healthy one from ever being quiet that long
+   */
+  checkSilence() {
+    if (this.isExplicitClose || this.reconnectTimer) return;
+
+    const silence = Date.now() - this.lastMessageAt;
+    if (silence <= this.silenceMs) return;
+
+    logger.warn(`Hyperliquid WebSocket silent for ${silence}ms (${this.user}, ${this.label}), reconnecting`, {
+      lastMessageAt: this.lastMessageAt,
+      lastPongAt: this.lastPongAt
+    });
+    wsRecorder.recordEvent(this.user, 'stale');
+    this.stopHeartbeat();
+    this.watchdogRestarts++;
+    this.reconnects++;
+    this.connect();
+  }
+
+  /**
+   * Sample the feed latency from the server timestamps of order updates and fills
+   * @param {object} message
+   * @param {number} receivedAt
+   */
+  recordLatency(message, receivedAt) {
+    let serverTime = null;
+    if (message.channel === 'orderUpdates' && Array.isArray(message.data)) {
+      serverTime = Math.max(...message.data.map(update => update.statusTimestamp || 0));
+    } else if (message.channel === 'userFills' && message.data && !message.data.isSnapshot && Array.isArray(message.data.fills)) {
+      serverTime = Math.max(...message.data.fills.map(fill => fill.time || 0));
+    }
+    if (!serverTime || serverTime <= 0) return;
+
+    this.latencies.push(receivedAt - serverTime);
+    if (this.latencies.length > this.maxLatencySamples) {
+      this.latencies.shift();
+    }
+  }
+
+  /**
+   * Connection health and feed latency for monitoring
+   * @returns {object}
+   */
+  getStatus() {
+    return {
+      label: this.label,
+      url: this.url,
+      connected: this.isOpen(),
+      lastMessageAt: this.lastMessageAt,
+      lastPongAt: this.lastPongAt,
+      reconnects: this.reconnects,
+      watchdogRestarts: this.watchdogRestarts,
+      latency: latencyStats(this.latencies)
+    };
+  }
+
+  close() {
+    this.isExplicitClose = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.stopHeartbeat();
+    this.stopWatchdog();
+    if (this.ws) {
+      this.ws.close();
+    }
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.pingInterval = setInterval(() => {
+      if (this.isOpen()) {
+        this.send({ method: "ping" });
+      }
+    }, 30000);
+  }
+
+  stopHeartbeat() {
+    if (this.pingInterval) {
+      clearInterval(this.pingInterval);
+      this.pingInterval = null;
+    }
+  }
+}
+
+/**
+ * @param {Array<number>} samples Latencies (ms), oldest first
+ * @returns {object} { samples, last, avg, p50, p95, max }
+ */
+function latencyStats(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const percentile = p => sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : null;
+  return {
+    samples: sorted.length,
+    last: samples.length ? samples[samples.length - 1] : null,
+    avg: sorted.length ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null,
+    p50: percentile(0.5),
+    p95: percentile(0.95),
+    max: sorted.length ? sorted[sorted.length - 1] : null
+  };
+}
+
+module.exports = HyperliquidConnection;
+module.exports.latencyStats = latencyStats;
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const config = require('config');
+const logger = require('../utils/logger');
+
+/**
+ * Records raw Hyperliquid WebSocket traffic for offline reproduction.
+ * Each line is JSON: { receivedAt, user, raw } for messages (raw = the exact frame text)
+ * or { receivedAt, user, event } for connection events ('open' / 'close').
+ * Lines go to gzip-compressed JSONL files that rotate by age and size:
+ *   <dir>/hl-<YYYYMMDD-HHmmss>-<pid>-<sequence>.jsonl.gz
+ * Nothing is written until start() is called.
+ */
+class WsRecorder {
+  constructor() {
+    this.settings = null;
+    this.gzip = null;
+    this.output = null;
+    this.file = null;
+    this.fileOpenedAt = 0;
+    this.fileBytes = 0;
+    this.sequence = 0; // Keeps names unique when files rotate within the same second
+    this.flushTimer = null;
+  }
+
+  get enabled() {
+    return this.settings !== null;
+  }
+
+  /**
+   * @param {object} [settings] Defaults to config hyperliquid.recording { dir, rotateIntervalMs, maxFileBytes, flushIntervalMs }
+   */
+  start(settings = config.get('hyperliquid.recording')) {
+    if (this.enabled) return;
+
+    this.settings = { ...settings };
+    fs.mkdirSync(this.settings.dir, { recursive: true });
+
+    // Sync-flush regularly so a crash loses at most one interval of traffic
+    this.flushTimer = setInterval(() => {
+      if (this.gzip) this.gzip.flush();
+    }, this.settings.flushIntervalMs);
+
+    logger.info(`Recording Hyperliquid WebSocket traffic to ${this.settings.dir}`);
+  }
+
+  /**
+   * Close the current file. Resolves once it is fully written.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.enabled) return;
+    clearInterval(this.flushTimer);
+    this.settings = null;
+    await this.closeFile();
+  }
+
+  /**
+   * @param {string} user Master the connection belongs to
+   * @param {Buffer|string} data Raw frame
+   */
+  recordMessage(user, data) {
+    this.write({ receivedAt: Date.now(), user, raw: data.toString() });
+  }
+
+  /**
+   * @param {string} user
+   * @param {string} event 'open' or 'close'
+   */
+  recordEvent(user, event) {
+    this.write({ receivedAt: Date.now(), user, event });
+  }
+
+  write(entry) {
+    if (!this.enabled) return;
+
+    try {
+      const line = `${JSON.stringify(entry)}\n`;
+      if (this.shouldRotate(entry.receivedAt)) {
+        this.closeFile().catch(err => logger.error('Failed to close recording file', err));
+        this.openFile(entry.receivedAt);
+      }
+      this.gzip.write(line);
+      this.fileBytes += Buffer.byteLength(line);
+    } catch (error) {
+      logger.error('Failed to record WebSocket message', error);
+    }
+  }
+
+  shouldRotate(now) {
+    return !this.gzip
+      || now - this.fileOpenedAt >= this.settings.rotateIntervalMs
+      || this.fileBytes >= this.settings.maxFileBytes;
+  }
+
+  openFile(now) {
+    const stamp = new Date(now).toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const sequence = String(this.sequence++).padStart(4, '0');
+    this.file = path.join(this.settings.dir, `hl-${stamp}-${process.pid}-${sequence}.jsonl.gz`);
+    this.gzip = zlib.createGzip();
+    this.output = fs.createWriteStream(this.file);
+    this.gzip.pipe(this.output);
+    this.fileOpenedAt = now;
+    this.fileBytes = 0;
+    logger.info(`Recording to ${this.file}`);
+  }
+
+  closeFile() {
+    const { gzip, output } = this;
+    this.gzip = null;
+    this.output = null;
+    if (!gzip) return Promise.resolve();
+
+    return new Promise(resolve => {
+      output.once('close', resolve);
+      output.once('error', resolve);
+      gzip.end();
+    });
+  }
+}
+
+module.exports = new WsRecorder();
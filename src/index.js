@@ -1,18 +1,16 @@
 const config = require('config');
 const logger = require('./utils/logger');
 const redis = require('./utils/redis');
-const hyperWs = require('./hyperliquid/ws-client');
-const binanceClient = require('./binance/api-client');
-const orderMapper = require('./core/order-mapper');
-const orderValidator = require('./core/order-validator');
+const signalHub = require('./signals');
+const wsRecorder = require('./hyperliquid/ws-recorder');
 const apiValidator = require('./utils/api-validator');
 const { startServer } = require('./monitoring/api-server');
 const dataCollector = require('./monitoring/data-collector');
-
-// New Core Modules
-const positionTracker = require('./core/position-tracker');
-const consistencyEngine = require('./core/consistency-engine');
-const orderExecutor = require('./core/order-executor');
+const masterRegistry = require('./core/master-registry');
+const followerRegistry = require('./core/follower-registry');
+const killSwitch = require('./core/kill-switch');
+const anomalyDetector = require('./core/anomaly-detector');
+const { handleOrderEvent } = require('./core/order-router');
 
 // Global Error Handlers (Critical for stability)
 process.on('uncaughtException', (error) => {
@@ -27,20 +25,33 @@ process.on('unhandledRejection', (reason, promise) => {
 async function main() {
   logger.info('Starting HypeFollow System (Enhanced)...');
 
-  // 1. API Security Validation
+  // 1. API Security Validation (every follower account must pass)
+  let accounts;
   try {
-    apiValidator.validateAPIConfig();
+    accounts = followerRegistry.getAll();
     apiValidator.checkIPWhitelist();
-    await apiValidator.validateAPIPermissions(binanceClient);
-    
-    // Ensure One-Way Mode (Best effort - warn if fails but don't crash if user manually set it)
-    try {
-      await binanceClient.ensureOneWayMode();
-    } catch (modeError) {
-      logger.warn('Failed to automatically verify/set One-Way Mode. Please ensure your Binance Futures account is in "One-Way Mode" manually.', { error: modeError.message });
+
+    for (const account of accounts) {
+      await account.venue.start();
+
+      // Simulated accounts have no keys to check
+      if (account.venue.isSimulated) {
+        logger.warn(`[${account.id}] PAPER TRADING - orders are simulated against Hyperliquid prices`);
+        continue;
+      }
+
+      apiValidator.validateAPIConfig(account.settings.venue);
+      await apiValidator.validateAPIPermissions(account.venue);
+      
+      // Ensure One-Way Mode (Best effort - warn if fails but don't crash if user manually set it)
+      try {
+        await account.venue.ensureOneWayMode();
+      } catch (modeError) {
+        logger.warn(`[${account.id}] Failed to automatically verify/set One-Way Mode. Please ensure your Binance Futures account is in "One-Way Mode" manually.`, { error: modeError.message });
+      }
     }
     
-    logger.info('🚀 API security validation passed');
+    logger.info(`🚀 API security validation passed for ${accounts.length} follower account(s)`);
   } catch (error) {
     logger.error('❌ API security validation failed - CANNOT START', { error: error.message });
     process.exit(1);
@@ -51,145 +62,86 @@ async function main() {
     startServer();
   }
 
-  // 2. Initialize Position Tracker
-  // We initialize based on the first followed user (MVP limitation: single user tracking mostly)
-  const followedUsers = config.get('hyperliquid.followedUsers');
-  if (followedUsers && followedUsers.length > 0) {
-    await positionTracker.init(followedUsers[0]);
+  // 2. Initialize Position Tracker (one pending-delta book per account and master)
+  for (const master of masterRegistry.getMasters()) {
+    logger.info(`Following ${master.address} with ${(master.allocation * 100).toFixed(2)}% allocation`);
+    for (const account of accounts) {
+      await account.positionTracker.init(master.address);
+    }
   }
 
-  // 3. Start Order Validator (Cleanups)
-  orderValidator.start();
-
-  // 4. Connect Hyperliquid WS
-  hyperWs.connect();
+  // Persisted kill switch: a cancel / flatten level is applied again before anything is followed
+  await killSwitch.start(accounts);
 
-  // 5. Handle Hyperliquid Order Events (Limit Orders)
-  hyperWs.on('order', async (orderData) => {
-    dataCollector.stats.totalOrders++;
-    
+  // 3. Import order mappings of older versions, then follow each account's venue User Data
+  // Stream. The Order Validator reconciles orders over REST whenever the stream (re)connects.
+  for (const account of accounts) {
+    await account.orderStore.migrateLegacy().catch(err => logger.error(`[${account.id}] Failed to import legacy order mappings`, err));
+    account.orderValidator.start();
+    await account.circuitBreaker.start().catch(err => logger.error(`[${account.id}] Failed to start circuit breaker`, err));
     try {
-      if (orderData.status === 'open' || orderData.status === 'triggered') {
-        // Check if this is an Update (Mapping exists)
-        const existingMapping = await orderMapper.getBinanceOrder(orderData.oid);
-        
-        if (existingMapping) {
-           await orderExecutor.updateLimitOrder(orderData);
-        } else {
-           // Handle New Limit Order
-           await orderExecutor.executeLimitOrder(orderData);
-        }
-      
-      } else if (orderData.status === 'canceled') {
-        // Handle Cancel
-        const mappedOrder = await orderMapper.getBinanceOrder(orderData.oid);
-        if (mappedOrder) {
-          await binanceClient.cancelOrder(mappedOrder.symbol, mappedOrder.orderId);
-          await orderMapper.deleteMapping(orderData.oid);
-        }
-
-      } else if (orderData.status === 'filled') {
-        // Handle Fill (Cleanup)
-        // Check if this resolves any orphan state (e.g. Binance filled first)
-        await consistencyEngine.handleHyperliquidFill(orderData.oid);
-        
-        // Only delete mapping if Binance order is also finished.
-        // Otherwise keep mapping to prevent duplicates (consistencyEngine checks mapping)
-        const mapping = await orderMapper.getBinanceOrder(orderData.oid);
-        if (mapping) {
-          try {
-             // We check Binance status briefly
-             // Note: This adds latency to event loop, but necessary for safety
-             // Optimization: We could just rely on OrderValidator to clean up later?
-             // But if we want to place next order fast, we might want to clean up.
-             // Actually, if Binance is NOT filled, we WANT to block next order (prevent duplicate).
-             // So leaving mapping is Correct.
-             
-             // If Binance IS filled, we want to delete.
-             // OrderValidator runs every 60s. Might be too slow.
-             // So checking here is good.
-             const bOrder = await binanceClient.client.futuresOrder({
-               symbol: mapping.symbol,
-               orderId: mapping.orderId
-             });
-             
-             if (['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED'].includes(bOrder.status)) {
-               await orderMapper.deleteMapping(orderData.oid);
-             }
-          } catch (err) {
-            // If check fails, leave mapping to be safe
-            logger.warn(`Failed to check Binance status for cleanup ${orderData.oid}`, err);
-          }
-        }
-      }
-
+      account.orderSync.start();
     } catch (error) {
-      logger.error('Failed to process order event', error);
+      logger.warn(`[${account.id}] Failed to subscribe to venue User Data Stream - orders are polled instead`, error);
     }
+  }
+
+  // Rolling profiles of each master's entries, screened before anything is followed
+  await anomalyDetector.start(masterRegistry.getAddresses());
+
+  // 4. Connect signal sources (Hyperliquid WS, webhooks, mirrored accounts, replays)
+  if (config.get('hyperliquid.recording.enabled')) {
+    wsRecorder.start();
+  }
+  signalHub.connect();
+
+  // 5. Handle master Order Events (Limit Orders), mirrored on every follower account
+  const followers = master => accounts.filter(account => account.follows(master));
+  const followOrder = orderData => Promise.all(followers(orderData.userAddress).map(account => handleOrderEvent(account, orderData)));
+  const followFill = fillData => Promise.all(followers(fillData.userAddress).map(account => account.nettingEngine.submitFill(fillData).catch(error => {
+    logger.error(`[${account.id}] Failed to process fill event`, error);
+  })));
+
+  signalHub.on('order', async (orderData) => {
+    dataCollector.stats.totalOrders++;
+    if (!anomalyDetector.screen('order', orderData)) return;
+    await followOrder(orderData);
   });
 
-  // 6. Handle Hyperliquid Fill Events (Market Trades)
-  hyperWs.on('fill', async (fillData) => {
+  // 6. Handle master Fill Events (Market Trades)
+  signalHub.on('fill', async (fillData) => {
     dataCollector.stats.totalFills++;
     
-    try {
-      if (fillData.isSnapshot) return;
+    if (fillData.isSnapshot) return;
 
-      // Only follow Taker trades (active moves)
-      if (fillData.crossed) {
-        await orderExecutor.executeMarketOrder(fillData);
-      }
-    } catch (error) {
-      logger.error('Failed to process fill event', error);
-    }
+    // Only follow Taker trades (active moves), netted across masters per account
+    if (!fillData.crossed) return;
+
+    if (!anomalyDetector.screen('fill', fillData)) return;
+    await followFill(fillData);
   });
 
-  // 7. Subscribe to Binance User Data Stream (For Orphan Fill Detection)
-  try {
-    binanceClient.subscribeUserStream(async (data) => {
-      // data event type: 'ORDER_TRADE_UPDATE' usually implies execution
-      // We look for Execution Report with status FILLED or PARTIALLY_FILLED
-      // binance-api-node unifies this, but let's check the raw event or unified struct.
-      // Usually: data.eventType === 'ORDER_TRADE_UPDATE' or 'executionReport'
-      
-      if (data.eventType === 'ORDER_TRADE_UPDATE' || data.e === 'ORDER_TRADE_UPDATE') {
-        const order = data.order || data.o;
-        if (!order) return;
-
-        const status = order.orderStatus || order.X;
-        const executionType = order.executionType || order.x;
-
-        if (status === 'FILLED' || status === 'PARTIALLY_FILLED') {
-           // We have a fill on Binance.
-           // Check if it corresponds to a mapped Hype order.
-           const binanceOrderId = order.orderId || order.i;
-           const hyperOid = await orderMapper.getHyperliquidOrder(binanceOrderId);
-           
-           if (hyperOid) {
-             // It is a mapped order.
-             // Record it as Orphan (initially) - assuming Hype hasn't filled yet.
-             
-             await consistencyEngine.recordOrphanFill(hyperOid, {
-               coin: order.symbol.replace('USDT', ''), // Remove USDT suffix
-               side: (order.side || order.S) === 'BUY' ? 'B' : 'A',
-               sz: order.lastTradeQuantity || order.l,
-               price: order.lastTradePrice || order.L,
-               binanceOrderId: binanceOrderId
-             });
-           }
-        }
-      }
+  // Held signals approved on the dashboard / API
+  anomalyDetector.on('release', ({ kind, event }) => {
+    (kind === 'order' ? followOrder(event) : followFill(event)).catch(error => {
+      logger.error(`Failed to follow approved ${kind}`, error);
     });
-    logger.info('Subscribed to Binance User Data Stream');
-  } catch (error) {
-    logger.warn('Failed to subscribe to Binance User Data Stream - Orphan detection disabled', error);
-  }
+  });
 
   // Handle graceful shutdown
-  process.on('SIGINT', () => {
+  process.on('SIGINT', async () => {
     logger.info('Shutting down...');
-    orderValidator.stop();
-    hyperWs.close();
+    killSwitch.stop();
+    anomalyDetector.stop();
+    for (const account of accounts) {
+      await account.nettingEngine.flushAll().catch(err => logger.error(`[${account.id}] Failed to flush netting engine`, err));
+      account.orderValidator.stop();
+      account.circuitBreaker.stop();
+      account.orderSync.stop();
+      account.venue.stop();
+    }
+    signalHub.close();
+    await wsRecorder.stop().catch(err => logger.error('Failed to close recording', err));
     redis.disconnect();
     process.exit(0);
   });
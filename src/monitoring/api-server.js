@@ -7,7 +7,10 @@ const config = require('config');
 const path = require('path');
 const logger = require('../utils/logger');
 const dataCollector = require('./data-collector');
-const orderValidator = require('../core/order-validator');
+const followerRegistry = require('../core/follower-registry');
+const signalHub = require('../signals');
+const killSwitch = require('../core/kill-switch');
+const anomalyDetector = require('../core/anomaly-detector');
 
 const PORT = process.env.MONITORING_PORT || 49618;
 
@@ -34,13 +37,100 @@ function startServer() {
 
   app.get('/api/orders/validate', async (req, res) => {
     try {
-      const report = await orderValidator.getReport();
-      res.json(report);
+      const reports = await Promise.all(followerRegistry.getAll().map(account => account.orderValidator.getReport()));
+      res.json({
+        activeCount: reports.reduce((sum, r) => sum + r.activeCount, 0),
+        orders: reports.flatMap(r => r.orders)
+      });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
+  // Pre-trade risk gate rejections, newest first
+  app.get('/api/risk/rejections', async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      const history = await Promise.all(followerRegistry.getAll().map(account => account.riskControl.getRejections(limit)));
+      res.json(history.flat().sort((a, b) => b.at - a.at).slice(0, limit));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Kill switch: off, pause (no new entries), cancel (all follower orders) or flatten (all positions)
+  app.get('/api/kill-switch', async (req, res) => {
+    try {
+      res.json(await killSwitch.load());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/kill-switch', requireAdmin, async (req, res) => {
+    try {
+      const { level, reason } = req.body || {};
+      const state = await killSwitch.set(level, { reason, source: 'api' });
+      dataCollector.emit('update', dataCollector.getSnapshot());
+      res.json(state);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // Clear a tripped circuit breaker, the account's period restarts from its current equity
+  app.post('/api/circuit-breaker/:accountId/reset', requireAdmin, async (req, res) => {
+    const account = followerRegistry.get(req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Unknown follower account' });
+    }
+    if (!account.circuitBreaker.enabled) {
+      return res.status(400).json({ error: 'Circuit breaker is not enabled for this account' });
+    }
+
+    try {
+      res.json(await account.circuitBreaker.manualReset());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Master signals flagged by anomaly detection, and the ones held for approval
+  app.get('/api/anomalies', (req, res) => {
+    res.json(anomalyDetector.getStatus());
+  });
+
+  app.post('/api/anomalies/:id/:action', requireAdmin, (req, res) => {
+    const { id, action } = req.params;
+    if (action !== 'approve' && action !== 'reject') {
+      return res.status(404).json({ error: 'Not Found' });
+    }
+
+    try {
+      const flag = action === 'approve' ? anomalyDetector.approve(id) : anomalyDetector.reject(id);
+      dataCollector.emit('update', dataCollector.getSnapshot());
+      res.json(flag);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // Webhook signal sources (e.g. TradingView alerts)
+  app.post('/api/signals/:sourceId', async (req, res) => {
+    const source = signalHub.get(req.params.sourceId);
+    if (!source || typeof source.handleSignal !== 'function') {
+      return res.status(404).json({ error: 'Unknown signal source' });
+    }
+
+    try {
+      const fill = await source.handleSignal(req.body, req.get('x-signal-secret'));
+      res.json({ accepted: true, fill });
+    } catch (error) {
+      logger.warn(`Rejected signal for ${req.params.sourceId}: ${error.message}`);
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  });
+
   // Serve static files from dashboard build (if exists)
   const dashboardPath = path.join(__dirname, '../../dashboard/dist');
   app.use(express.static(dashboardPath));
@@ -93,12 +183,34 @@ function startServer() {
   server.listen(PORT, '0.0.0.0', () => {
     logger.info(`Monitoring API Server running on http://0.0.0.0:${PORT}`);
   });
+  if (!config.get('monitoring.adminToken')) {
+    logger.warn('MONITORING_ADMIN_TOKEN is not set: kill switch, circuit breaker reset and anomaly approvals are disabled on the API (use `npm run kill-switch`)');
+  }
 
   dataCollector.start();
 }
 
+/**
+ * Guard for actions on the bot: the request must carry monitoring.adminToken, and without a
+ * configured token every action is refused (the server is reachable from the network)
+ */
+function requireAdmin(req, res, next) {
+  const token = config.get('monitoring.adminToken');
+  if (!token) {
+    logger.warn(`Rejected ${req.method} ${req.path}: admin actions are disabled until MONITORING_ADMIN_TOKEN is set`);
+    return res.status(403).json({ error: 'Admin actions are disabled, set MONITORING_ADMIN_TOKEN to enable them' });
+  }
+  if (req.get('x-admin-token') !== token) {
+    logger.warn(`Rejected ${req.method} ${req.path}: missing or wrong admin token`);
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
+}
+
 if (require.main === module) {
   startServer();
+  // Standalone monitor: show (and set) the kill switch, the bot applies it
+  killSwitch.start([]).catch(err => logger.error('Failed to load kill switch', err));
 }
 
 module.exports = { startServer };
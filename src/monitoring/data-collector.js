@@ -1,8 +1,10 @@
 const config = require('config');
 const redis = require('../utils/redis');
 const logger = require('../utils/logger');
-const accountManager = require('../core/account-manager');
-const binanceClient = require('../binance/api-client');
+const masterRegistry = require('../core/master-registry');
+const followerRegistry = require('../core/follower-registry');
+const killSwitch = require('../core/kill-switch');
+const anomalyDetector = require('../core/anomaly-detector');
 const EventEmitter = require('events');
 
 class DataCollector extends EventEmitter {
@@ -16,16 +18,20 @@ class DataCollector extends EventEmitter {
     };
     this.recentLogs = [];
     this.maxLogs = 100;
-    this.followedUsers = config.get('hyperliquid.followedUsers');
+    this.followedUsers = masterRegistry.getAddresses();
     this.refreshInterval = config.get('monitoring.refreshInterval') || 5000;
     this.timer = null;
     
     this.cache = {
       accounts: {
         hyperliquid: {},
-        binance: { equity: 0, positions: [] }
+        binance: { equity: 0, positions: [] }, // Aggregate over all follower accounts
+        followers: {} // { [accountId]: { equity, positions } }
       },
       orderMappings: [],
+      userStreams: {}, // { [accountId]: { state, connected, since, lastMessageAt, reconnects, ... } }
+      risk: {}, // { [accountId]: { emergencyStop, rejectionCounts, recentRejections, circuitBreaker } }
+      subBooks: {}, // { [master]: { realizedPnl, unrealizedPnl, accounts: { [accountId]: { [coin]: book } } } }
       history: {
         equity: [], // [{ timestamp, hlEquity, bnEquity }]
         trades: [], // [{ timestamp, symbol, side, size, price, latency, slippage }]
@@ -128,6 +134,13 @@ class DataCollector extends EventEmitter {
       // 2. Collect Order Mappings from Redis
       await this.collectOrderMappings();
 
+      // 3. Collect per-master virtual sub-books
+      await this.collectSubBooks();
+
+      // 4. Venue user stream health and risk gate rejections per account
+      this.collectUserStreams();
+      this.collectRisk();
+
       this.emit('update', this.getSnapshot());
     } catch (error) {
       logger.error('Data collection failed', error);
@@ -136,50 +149,54 @@ class DataCollector extends EventEmitter {
   }
 
   async collectAccountData() {
-    // Hyperliquid Equity
+    const accounts = followerRegistry.getAll();
+
+    // Master Equity (same for every account, read through the first one's cache)
     for (const address of this.followedUsers) {
       try {
-        const equity = await accountManager.getHyperliquidTotalEquity(address);
+        const equity = await accounts[0].accountManager.getMasterTotalEquity(address);
         this.cache.accounts.hyperliquid[address] = equity;
       } catch (e) {
         logger.warn(`Failed to fetch HL equity for ${address} in collector`);
       }
     }
 
-    // Binance Equity & Positions
-    try {
-      const equity = await accountManager.getBinanceTotalEquity();
-      const positionsRaw = await binanceClient.futuresPositionRisk();
-      
-      this.cache.accounts.binance = {
-        equity,
-        positions: positionsRaw.filter(p => parseFloat(p.positionAmt) !== 0).map(p => ({
-          symbol: p.symbol,
-          amount: p.positionAmt,
-          entryPrice: p.entryPrice,
-          markPrice: p.markPrice,
-          unrealizedProfit: p.unrealizedProfit,
-          leverage: p.leverage,
-          liquidationPrice: p.liquidationPrice // Added Liquidation Price
-        }))
-      };
-    } catch (e) {
-      logger.warn('Failed to fetch Binance data in collector', e);
+    // Binance Equity & Positions per follower account
+    for (const account of accounts) {
+      try {
+        const equity = await account.accountManager.getBinanceTotalEquity();
+        const positions = await account.venue.getPositions();
+        
+        this.cache.accounts.followers[account.id] = {
+          equity,
+          venue: account.venue.name,
+          positions: positions.map(p => ({ account: account.id, ...p })),
+          // Simulated fees / funding / realized PnL for paper accounts
+          paper: account.venue.isSimulated ? account.venue.getStats() : undefined
+        };
+      } catch (e) {
+        logger.warn(`Failed to fetch venue data for account ${account.id} in collector`, e);
+      }
     }
+
+    const followers = Object.values(this.cache.accounts.followers);
+    this.cache.accounts.binance = {
+      equity: followers.reduce((sum, f) => sum + f.equity, 0),
+      positions: followers.flatMap(f => f.positions)
+    };
   }
 
   async collectOrderMappings() {
     try {
-      const keys = await redis.keys('map:h2b:*');
       const mappings = [];
-      for (const key of keys) {
-        const val = await redis.get(key);
-        if (val) {
-          const parsed = JSON.parse(val);
+      for (const account of followerRegistry.getAll()) {
+        for (const order of await account.orderStore.getActive()) {
           mappings.push({
-            hyperOid: key.replace('map:h2b:', ''),
-            binanceOrderId: parsed.orderId,
-            symbol: parsed.symbol
+            account: account.id,
+            hyperOid: order.oid,
+            binanceOrderId: order.venueOrderId,
+            symbol: order.symbol,
+            state: order.state
           });
         }
       }
@@ -189,7 +206,59 @@ class DataCollector extends EventEmitter {
     }
   }
 
+  collectUserStreams() {
+    const streams = {};
+    for (const account of followerRegistry.getAll()) {
+      streams[account.id] = account.orderSync.getStatus();
+    }
+    this.cache.userStreams = streams;
+  }
+
+  collectRisk() {
+    const risk = {};
+    for (const account of followerRegistry.getAll()) {
+      risk[account.id] = { ...account.riskControl.getStatus(), circuitBreaker: account.circuitBreaker.getStatus() };
+    }
+    this.cache.risk = risk;
+  }
+
+  async collectSubBooks() {
+    try {
+      const summary = {};
+
+      for (const account of followerRegistry.getAll()) {
+        const books = await account.subBook.getAllBooks();
+        const markPrices = {};
+        const follower = this.cache.accounts.followers[account.id];
+        (follower ? follower.positions : []).forEach(p => {
+          markPrices[p.symbol] = parseFloat(p.markPrice);
+        });
+
+        for (const [master, coins] of Object.entries(books)) {
+          if (!summary[master]) {
+            summary[master] = { realizedPnl: 0, unrealizedPnl: 0, accounts: {} };
+          }
+
+          for (const [coin, book] of Object.entries(coins)) {
+            summary[master].realizedPnl += book.realizedPnl;
+            const mark = markPrices[account.venue.getSymbol(coin)];
+            if (mark && book.position !== 0) {
+              summary[master].unrealizedPnl += book.position * (mark - book.entryPrice);
+            }
+          }
+
+          summary[master].accounts[account.id] = coins;
+        }
+      }
+      this.cache.subBooks = summary;
+    } catch (e) {
+      logger.error('Failed to collect sub-books', e);
+    }
+  }
+
   getSnapshot() {
+    // Required here: the hub's sources load the follower accounts, which load this collector
+    const signalHub = require('../signals');
     return {
       stats: {
         ...this.stats,
@@ -197,11 +266,20 @@ class DataCollector extends EventEmitter {
       },
       accounts: this.cache.accounts,
       mappings: this.cache.orderMappings,
+      userStreams: this.cache.userStreams,
+      risk: this.cache.risk,
+      feeds: signalHub.getFeedStatus(),
+      anomalies: anomalyDetector.getStatus(),
+      subBooks: this.cache.subBooks,
       history: this.cache.history, // Expose history
       config: {
         mode: config.get('trading.mode'),
-        followedUsers: this.followedUsers,
-        emergencyStop: config.get('app.emergencyStop')
+        execution: config.get('trading.execution'),
+        // Source options can hold secrets and API keys, only expose the public fields
+        followedUsers: masterRegistry.getMasters().map(({ address, allocation, source }) => ({ address, allocation, source })),
+        followerAccounts: followerRegistry.getAll().map(a => ({ id: a.id, mode: a.settings.trading.mode, execution: a.settings.trading.execution })),
+        emergencyStop: killSwitch.getLevel() !== 'off',
+        killSwitch: killSwitch.getState()
       }
     };
   }
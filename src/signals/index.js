@@ -0,0 +1,94 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const masterRegistry = require('../core/master-registry');
+const HyperliquidWS = require('../hyperliquid/ws-client');
+const WebhookSource = require('./webhook-source');
+const VenueMirrorSource = require('./venue-mirror-source');
+const ReplaySource = require('./replay-source');
+
+// Registered signal sources, selected per master with `source`
+const SOURCES = {
+  hyperliquid: HyperliquidWS,
+  webhook: WebhookSource,
+  binance: VenueMirrorSource,
+  replay: ReplaySource
+};
+
+/**
+ * Fans in normalized 'order' / 'fill' events from one signal source per followed master
+ * and answers master position / equity lookups from the matching source.
+ */
+class SignalHub extends EventEmitter {
+  constructor() {
+    super();
+    this.sources = new Map(); // address -> SignalSource
+
+    for (const master of masterRegistry.getMasters()) {
+      const Source = SOURCES[master.source];
+      if (!Source) {
+        throw new Error(`Unknown signal source "${master.source}" for master ${master.address}. Available: ${Object.keys(SOURCES).join(', ')}`);
+      }
+
+      const source = new Source(master);
+      source.on('order', order => this.emit('order', order));
+      source.on('fill', fill => this.emit('fill', fill));
+      this.sources.set(master.address, source);
+    }
+  }
+
+  connect() {
+    if (this.sources.size === 0) {
+      logger.warn('No users to follow configured');
+      return;
+    }
+    this.sources.forEach(source => source.connect());
+  }
+
+  close() {
+    this.sources.forEach(source => source.close());
+  }
+
+  /**
+   * Feed health of the sources that have one
+   * @returns {Object<string, object>} address -> feed status
+   */
+  getFeedStatus() {
+    const feeds = {};
+    this.sources.forEach((source, address) => {
+      const status = source.getFeedStatus();
+      if (status) feeds[address] = status;
+    });
+    return feeds;
+  }
+
+  /**
+   * @param {string} address Master address / source id
+   * @returns {SignalSource|undefined}
+   */
+  get(address) {
+    return address ? this.sources.get(address.toLowerCase()) : undefined;
+  }
+
+  /**
+   * Master positions. Addresses outside the registry (ad-hoc callers) are read from Hyperliquid.
+   * @param {string} address
+   * @returns {Promise<Array<{coin: string, szi: number, entryPx: number}>>}
+   */
+  async getPositions(address) {
+    return this.resolve(address).getPositions();
+  }
+
+  /**
+   * @param {string} address
+   * @returns {Promise<number>}
+   */
+  async getEquity(address) {
+    return this.resolve(address).getEquity();
+  }
+
+  resolve(address) {
+    return this.get(address) || new HyperliquidWS({ address, source: 'hyperliquid' });
+  }
+}
+
+module.exports = new SignalHub();
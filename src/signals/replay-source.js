@@ -0,0 +1,90 @@
+const logger = require('../utils/logger');
+const HyperliquidWS = require('../hyperliquid/ws-client');
+const { readRecording } = require('../hyperliquid/recording-reader');
+
+/**
+ * Replays recorded Hyperliquid WebSocket traffic (see ws-recorder) instead of a live socket.
+ * Messages go through the same HyperliquidWS.handleMessage as production, so duplicate
+ * orders, missed cancels and similar incidents can be reproduced offline.
+ * Options:
+ *   path   recording file or directory (required)
+ *   speed  1 = original timing (default), 10 = ten times faster, 0 = as fast as possible
+ *   recordedUser  master whose traffic to replay (default: this master's address)
+ *   equity  fixed master equity, so equal-ratio sizing needs no Hyperliquid API
+ */
+class ReplaySource extends HyperliquidWS {
+  constructor(master) {
+    super(master);
+    this.recordedUser = (this.options.recordedUser || this.user).toLowerCase();
+    this.speed = this.options.speed !== undefined ? parseFloat(this.options.speed) : 1;
+    this.stopped = false;
+    this.done = null;
+    // Recorded traffic has no gaps to recover, and must not move the live fill cursor
+    this.resyncEnabled = false;
+  }
+
+  connect() {
+    if (!this.options.path) {
+      logger.error(`Replay source ${this.user} has no 'path' option`);
+      return;
+    }
+    this.stopped = false;
+    this.done = this.replay().catch(err => logger.error(`Replay of ${this.options.path} failed`, err));
+  }
+
+  close() {
+    this.stopped = true;
+  }
+
+  getFeedStatus() {
+    return null;
+  }
+
+  /**
+   * Feed the recording into handleMessage, keeping the recorded gaps divided by `speed`
+   * @returns {Promise<number>} Messages replayed
+   */
+  async replay() {
+    logger.info(`Replaying ${this.options.path} for ${this.recordedUser} (speed ${this.speed || 'max'})`);
+    let previousAt = null;
+    let count = 0;
+
+    for await (const entry of readRecording(this.options.path)) {
+      if (this.stopped) break;
+      if (entry.user && entry.user.toLowerCase() !== this.recordedUser) continue;
+
+      if (this.speed > 0 && entry.receivedAt && previousAt) {
+        const wait = (entry.receivedAt - previousAt) / this.speed;
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+      }
+      previousAt = entry.receivedAt || previousAt;
+
+      if (entry.event) {
+        logger.info(`[Replay] Recorded connection ${entry.event} (${this.recordedUser})`);
+        continue;
+      }
+      if (!entry.message) {
+        logger.warn('[Replay] Skipping recorded frame that is not valid JSON', { raw: entry.raw });
+        continue;
+      }
+
+      this.handleMessage(entry.message);
+      count++;
+    }
+
+    logger.info(`Replay finished for ${this.recordedUser}: ${count} messages`);
+    this.emit('replayEnd', count);
+    return count;
+  }
+
+  async getEquity() {
+    if (this.options.equity !== undefined) {
+      return parseFloat(this.options.equity);
+    }
+    return super.getEquity();
+  }
+}
+
+module.exports = ReplaySource;
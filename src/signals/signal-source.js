@@ -0,0 +1,291 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const masterRegistry = require('../core/master-registry');
+const followerRegistry = require('../core/follower-registry');
+const { triggerDetails } = require('../hyperliquid/parsers');
+const { STATES, isActive } = require('../core/order-store');
+const anomalyDetector = require('../core/anomaly-detector');
+
+/**
+ * Signal source interface.
+ * A source represents one followed master and emits the same normalized events as
+ * `parsers.parseOrderUpdate` / `parsers.parseUserFills`:
+ * - 'order': { type: 'order', status, coin, side, limitPx, sz, oid, timestamp, reduceOnly, userAddress }
+ *   plus isTrigger, triggerPx, orderType, tpsl, isPositionTpsl for stop loss / take profit orders
+ * - 'fill':  { type: 'fill', coin, side, px, sz, timestamp, crossed, userAddress, oid?, tid?, hash? }
+ *   tid identifies the fill when the source has trade ids (followed once per tid)
+ * Sizing and the follower pipeline also read the master's positions and equity through it,
+ * so the executor never needs to know where a master comes from.
+ */
+class SignalSource extends EventEmitter {
+  /**
+   * @param {object} master Normalized master from MasterRegistry { address, allocation, source, options }
+   */
+  constructor(master) {
+    super();
+    this.user = master.address;
+    this.type = master.source;
+    this.options = master.options || {};
+    // Sources that mirror resting limit orders reconcile them into follower accounts on connect
+    this.supportsOrders = true;
+  }
+
+  connect() {
+    throw new Error(`connect is not implemented by signal source ${this.type}`);
+  }
+
+  close() {}
+
+  /**
+   * Current master positions
+   * @returns {Promise<Array<{coin: string, szi: number, entryPx: number}>>} Signed sizes, non-zero only
+   */
+  async getPositions() {
+    throw new Error(`getPositions is not implemented by signal source ${this.type}`);
+  }
+
+  /**
+   * Master account equity (used by equal-ratio sizing)
+   * @returns {Promise<number>}
+   */
+  async getEquity() {
+    throw new Error(`getEquity is not implemented by signal source ${this.type}`);
+  }
+
+  /**
+   * Connection health and feed latency of streaming sources
+   * @returns {object|null} null when the source has no live feed
+   */
+  getFeedStatus() {
+    return null;
+  }
+
+  /**
+   * Master resting orders, shaped like normalized 'order' events
+   * @returns {Promise<Array<{coin, side, limitPx, sz, oid, timestamp}>|null>} null when unavailable
+   */
+  async getOpenOrders() {
+    return null;
+  }
+
+  /**
+   * Emit a normalized order event, attributed to this master
+   * @param {object} order
+   */
+  emitOrder(order) {
+    if (!order.userAddress) {
+      order.userAddress = this.user;
+    }
+    this.emit('order', order);
+  }
+
+  /**
+   * Emit a normalized fill event, attributed to this master
+   * @param {object} fill
+   */
+  emitFill(fill) {
+    if (!fill.userAddress) {
+      fill.userAddress = this.user;
+    }
+    this.emit('fill', fill);
+  }
+
+  /**
+   * Reconcile this master's open orders into every follower account that follows it.
+   * Sources without resting orders (getOpenOrders() returns null) have nothing to sync.
+   */
+  async syncInitialOrders() {
+    if (!this.supportsOrders) return;
+
+    for (const account of followerRegistry.getAll()) {
+      if (!account.follows(this.user)) continue;
+      await this.syncAccount(account);
+    }
+  }
+
+  /**
+   * Reconcile this master's open orders into one follower account
+   * @param {object} account FollowerAccount
+   */
+  async syncAccount(account) {
+    const { venue, orderStore, orderExecutor, exposureManager, orderValidator, riskControl } = account;
+    logger.info(`Starting initial sync of open orders for ${this.user} -> ${account.id}...`);
+
+    // 1. Fetch Binance Open Orders (Snapshot)
+    let binanceOpenOrders = [];
+    const binanceOrdersMap = new Map(); // Symbol -> Array of Orders
+    const binanceOrderIdMap = new Set(); // Set of OrderIDs for quick existence check
+
+    try {
+      binanceOpenOrders = await venue.getOpenOrders();
+      
+      binanceOpenOrders.forEach(bo => {
+        // Index by Symbol for Recovery matching
+        if (!binanceOrdersMap.has(bo.symbol)) {
+          binanceOrdersMap.set(bo.symbol, []);
+        }
+        binanceOrdersMap.get(bo.symbol).push(bo);
+        
+        // Index by ID for Sync verification
+        binanceOrderIdMap.add(bo.orderId.toString());
+      });
+      
+      logger.info(`Fetched ${binanceOpenOrders.length} active Binance orders for sync reconciliation.`);
+    } catch (err) {
+      logger.warn('Failed to fetch Binance open orders. Sync/Pruning will be limited.', err);
+    }
+
+    const user = this.user;
+    try {
+      const masterOpenOrders = await this.getOpenOrders();
+      const masterOrderIds = new Set();
+
+      if (Array.isArray(masterOpenOrders)) {
+        logger.info(`Found ${masterOpenOrders.length} existing open orders for ${user}. Syncing...`);
+        
+        // --- Phase 0: Pre-Sync Risk Check ---
+        // Run ExposureManager BEFORE syncing HL orders to ensure the "Reduce Half" safety net
+        // gets priority on the Binance position quota.
+        logger.info(`[Sync] Running pre-sync risk check for ${user}...`);
+        await Promise.all(Array.from(riskControl.supportedCoins, coin => (
+          exposureManager.checkAndRebalance(coin, user).catch(err => logger.error(`[Sync] Pre-sync rebalance failed for ${coin}`, err))
+        )));
+
+        // --- Phase 1: Sync HL -> Binance (Create / Verify) ---
+        for (const order of masterOpenOrders) {
+          masterOrderIds.add(order.oid.toString()); // Track for Pruning Phase
+
+          // Standardize
+          const standardizedOrder = {
+            ...order,
+            type: 'order',
+            status: 'open',
+            userAddress: user
+          };
+
+          // A. Check Existing Order Record
+          const existing = await orderStore.get(order.oid);
+          
+          if (existing && existing.state !== STATES.FAILED) {
+            if (existing.venueOrderId && binanceOrderIdMap.has(existing.venueOrderId.toString())) {
+              // Perfect Sync: Recorded AND Active on Binance.
+              // DO NOT EMIT. This prevents duplicates definitively.
+              logger.debug(`[Sync] Order ${order.oid} already synced and active on Binance (${existing.venueOrderId}). Skipping.`);
+            } else if (isActive(existing.state)) {
+              // Recorded as open, but Binance Order is MISSING from OpenOrders:
+              // it was Filled or Canceled on Binance while HL still has it Open. Settle its state.
+              logger.info(`[Sync] Order ${order.oid} is ${existing.state} but not found in Binance OpenOrders. Validating...`);
+              await orderValidator.validateOrder(order.oid);
+            } else {
+              // The follower side already finished (e.g. ORPHANED), mirroring it again would double it
+              logger.debug(`[Sync] Order ${order.oid} already ${existing.state} on the follower. Skipping.`);
+            }
+            continue;
+          }
+
+          // B. Recovery Check (If no valid mapping)
+          const symbol = venue.getSymbol(order.coin);
+          const candidates = binanceOrdersMap.get(symbol) || [];
+
+          if (candidates.length > 0) {
+            // Trigger orders are matched on their trigger price
+            const hlPriceFormatted = venue.roundPrice(order.coin, order.isTrigger ? order.triggerPx : order.limitPx);
+            const binanceSide = order.side === 'B' ? 'BUY' : 'SELL';
+
+            const matchIndex = candidates.findIndex(bo => {
+              if (!!order.isTrigger !== bo.stopPrice > 0) return false;
+              const boPrice = order.isTrigger ? bo.stopPrice : bo.price;
+              const priceDiff = Math.abs(parseFloat(boPrice) - parseFloat(hlPriceFormatted));
+              // Allow small tolerance for floating point or rounding differences
+              // e.g. 0.0001 or 0.1% of price? 
+              // Using 0.0001 absolute tolerance for now, assuming similar precision.
+              // Or better: check if priceDiff / price < 0.0001 (0.01%)
+              const isPriceMatch = priceDiff < 0.0001 || (parseFloat(boPrice) > 0 && priceDiff / parseFloat(boPrice) < 0.0001);
+              
+              return bo.side === binanceSide && isPriceMatch;
+            });
+
+            if (matchIndex !== -1) {
+              const matchedOrder = candidates[matchIndex];
+              candidates.splice(matchIndex, 1); // Consume candidate
+
+              logger.info(`[Sync] Recovered mapping: HL ${order.oid} <-> Binance ${matchedOrder.orderId}`);
+
+              const recovered = await orderStore.create(order.oid, {
+                type: order.isTrigger ? 'trigger-recovered' : 'limit-recovered',
+                coin: order.coin,
+                side: order.side,
+                master: user,
+                masterStatus: 'open',
+                symbol,
+                trigger: order.isTrigger ? triggerDetails(order) : undefined
+              });
+              if (recovered) {
+                await orderStore.submitted(order.oid, matchedOrder);
+              }
+
+              // Remove from map to prevent Pruning later (though Pruning checks Redis, so it's fine)
+              continue; // Skip Emit
+            } else {
+               logger.debug(`[Sync] No match found for HL ${order.oid} (${order.coin} ${order.side} ${hlPriceFormatted}). Candidates: ${candidates.length}`);
+            }
+          }
+          
+          // C. Create New, unless anomaly detection holds or skips it (as for live order events)
+          if (!anomalyDetector.screen('order', standardizedOrder)) {
+            logger.info(`[Sync] HL ${order.oid} is held or skipped by anomaly detection. Not mirrored.`);
+            continue;
+          }
+          logger.info(`[Sync] Processing NEW order for HL ${order.oid}`);
+          try {
+            await orderExecutor.executeOrder(standardizedOrder, true); // Skip rebalance during sync
+          } catch (err) {
+            logger.error(`[Sync] Failed to process initial order ${order.oid}`, err);
+          }
+        } // End Phase 1 Loop
+
+        // --- Phase 2: Prune Binance -> HL (Cancel Zombie Orders) ---
+        // Iterate all Binance Open Orders. If they map to an HL Order that is NOT in masterOrderIds, Cancel them.
+        
+        const pruneBatchSize = 5;
+        for (let i = 0; i < binanceOpenOrders.length; i += pruneBatchSize) {
+          const batch = binanceOpenOrders.slice(i, i + pruneBatchSize);
+          await Promise.all(batch.map(async (bOrder) => {
+            try {
+              // Check if this Binance Order is a "Follow" order (has an order record)
+              const mapped = await orderStore.findByVenueOrder(bOrder.orderId);
+              const mappedHlOid = mapped ? mapped.oid : null;
+
+              // Other masters prune their own orders. Legacy mappings without a master belong to the first one.
+              const owner = mapped && (mapped.master || masterRegistry.getAddresses()[0]);
+              
+              if (mappedHlOid && owner === user) {
+                // It is a Follow order.
+                // Check if the Master Order still exists
+                if (!masterOrderIds.has(mappedHlOid.toString())) {
+                  logger.info(`[Sync] Pruning Zombie Binance Order ${bOrder.orderId} (HL ${mappedHlOid} no longer open).`);
+                  
+                  try {
+                    await venue.cancelOrder(bOrder.symbol, bOrder.orderId);
+                    await orderStore.transition(mappedHlOid, STATES.CANCELED, { type: 'pruned' });
+                  } catch (err) {
+                    logger.warn(`[Sync] Failed to prune order ${bOrder.orderId}`, err);
+                  }
+                }
+              }
+            } catch (err) {
+              logger.error(`[Sync] Error processing prune for ${bOrder.orderId}`, err);
+            }
+          }));
+        }
+
+      } else {
+        logger.info(`No existing open orders found for ${user}.`);
+      }
+    } catch (error) {
+      logger.error(`Failed to fetch initial orders for ${user}`, error);
+    }
+  }
+}
+
+module.exports = SignalSource;
@@ -0,0 +1,119 @@
+const logger = require('../utils/logger');
+const { createVenue } = require('../venues');
+const SignalSource = require('./signal-source');
+
+/**
+ * Mirror another exchange account (e.g. a Binance Futures lead account) as a master.
+ * The account's private order stream is read through an execution venue adapter and
+ * translated into the normalized order/fill events:
+ * - resting LIMIT orders -> 'order' events (open / canceled / filled)
+ * - taker executions     -> 'fill' events (crossed)
+ * Options: { venue: 'binance', apiKey, apiSecret, useTestnet } — read-only keys are enough.
+ */
+class VenueMirrorSource extends SignalSource {
+  constructor(master) {
+    super(master);
+    this.venue = createVenue({ type: this.options.venue || 'binance', ...this.options }, `mirror:${this.user}`);
+    this.unsubscribe = null;
+  }
+
+  connect() {
+    try {
+      this.unsubscribe = this.venue.subscribeUserStream(update => this.handleOrderUpdate(update));
+      logger.info(`Mirroring ${this.venue.name} account ${this.user}`);
+    } catch (error) {
+      logger.error(`Failed to subscribe to mirrored account ${this.user}`, error);
+      return;
+    }
+
+    this.syncInitialOrders().catch(err => logger.error(`[Sync] Initial sync failed for ${this.user}`, err));
+  }
+
+  close() {
+    if (typeof this.unsubscribe === 'function') {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Venue order ids are namespaced by master so they never collide with Hyperliquid oids in mappings
+   * @param {string|number} orderId
+   */
+  toOid(orderId) {
+    return `${this.user}:${orderId}`;
+  }
+
+  /**
+   * Translate a venue order update into normalized events
+   * @param {object} update Normalized venue order update
+   */
+  handleOrderUpdate(update) {
+    const coin = this.venue.getCoin(update.symbol);
+    const side = update.side === 'BUY' ? 'B' : 'A';
+
+    // Taker executions are active moves, like crossed fills on Hyperliquid
+    if (update.executionType === 'TRADE' && update.lastFilledQty > 0 && !update.isMaker) {
+      this.emitFill({
+        type: 'fill',
+        coin,
+        side,
+        px: String(update.lastFilledPrice),
+        sz: String(update.lastFilledQty),
+        timestamp: update.eventTime,
+        crossed: true,
+        tid: update.tradeId
+      });
+    }
+
+    if (update.orderType !== 'LIMIT') return;
+
+    let status = null;
+    if (update.executionType === 'NEW' || update.executionType === 'AMENDMENT') {
+      status = 'open';
+    } else if (update.executionType === 'CANCELED' || update.executionType === 'EXPIRED') {
+      status = 'canceled';
+    } else if (update.status === 'FILLED') {
+      status = 'filled';
+    }
+    if (!status) return;
+
+    this.emitOrder({
+      type: 'order',
+      status,
+      coin,
+      side,
+      limitPx: String(update.price),
+      sz: String(update.quantity - update.cumulativeFilledQty),
+      oid: this.toOid(update.orderId),
+      timestamp: update.eventTime,
+      reduceOnly: update.reduceOnly
+    });
+  }
+
+  async getOpenOrders() {
+    const orders = await this.venue.getOpenOrders();
+    return orders
+      .filter(o => o.type === 'LIMIT')
+      .map(o => ({
+        coin: this.venue.getCoin(o.symbol),
+        side: o.side === 'BUY' ? 'B' : 'A',
+        limitPx: String(o.price),
+        sz: String(o.origQty - o.executedQty),
+        oid: this.toOid(o.orderId),
+        timestamp: Date.now()
+      }));
+  }
+
+  async getPositions() {
+    const positions = await this.venue.getPositions();
+    return positions.map(p => ({ coin: this.venue.getCoin(p.symbol), szi: p.amount, entryPx: p.entryPrice }));
+  }
+
+  async getEquity() {
+    const summary = await this.venue.getAccountSummary();
+    return summary.totalEquity;
+  }
+}
+
+module.exports = VenueMirrorSource;
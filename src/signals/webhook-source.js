@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+const SignalSource = require('./signal-source');
+
+// Virtual master position built from received signals: <prefix><id> hash coin -> signed size
+const POSITION_PREFIX = 'signal:position:';
+
+/**
+ * Webhook signal source (e.g. TradingView alerts).
+ * Alerts are POSTed to /api/signals/<address> and executed as taker fills of this master.
+ * Options: { secret, equity } — `equity` is the notional master capital used by equal-ratio sizing.
+ *
+ * Payload: { secret, coin | ticker, side | action ('buy'/'sell'/'B'/'A'), size | contracts, price }
+ * The price is the execution price of the virtual fill (sub-books, netting and risk limits).
+ * TradingView example: {"secret": "...", "ticker": "{{ticker}}", "action": "{{strategy.order.action}}",
+ * "contracts": "{{strategy.order.contracts}}", "price": "{{close}}"}
+ */
+class WebhookSource extends SignalSource {
+  constructor(master) {
+    super(master);
+    // Alerts are one-shot market signals, there are no resting orders to mirror
+    this.supportsOrders = false;
+    this.positionKey = `${POSITION_PREFIX}${this.user}`;
+  }
+
+  connect() {
+    if (!this.options.secret) {
+      logger.warn(`Webhook source ${this.user} has no secret configured, alerts will be rejected`);
+    }
+    logger.info(`Webhook signal source ready: POST /api/signals/${this.user}`);
+  }
+
+  /**
+   * Check the shared secret in constant time
+   * @param {string} secret
+   */
+  isAuthorized(secret) {
+    if (!this.options.secret || typeof secret !== 'string') return false;
+    const expected = Buffer.from(String(this.options.secret));
+    const received = Buffer.from(secret);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Convert an alert payload into a normalized fill
+   * @param {object} payload
+   * @returns {object} fill
+   */
+  parseSignal(payload) {
+    const coin = payload.coin || this.tickerToCoin(payload.ticker);
+    const rawSide = String(payload.side || payload.action || '').toLowerCase();
+    const side = rawSide === 'buy' || rawSide === 'b' ? 'B' : rawSide === 'sell' || rawSide === 'a' ? 'A' : null;
+    const sz = parseFloat(payload.size !== undefined ? payload.size : payload.contracts);
+    const px = parseFloat(payload.price);
+
+    if (!coin || !side || !(sz > 0) || !(px > 0)) {
+      throw new Error('Invalid signal: coin/ticker, side/action, a positive size/contracts and a positive price are required');
+    }
+
+    return {
+      type: 'fill',
+      coin,
+      side,
+      px: String(px),
+      sz: String(sz),
+      timestamp: Date.now(),
+      crossed: true,
+      userAddress: this.user
+    };
+  }
+
+  /**
+   * "BINANCE:BTCUSDT.P" -> "BTC"
+   * @param {string} ticker
+   */
+  tickerToCoin(ticker) {
+    if (!ticker) return null;
+    const symbol = String(ticker).split(':').pop().replace(/\.P$/i, '').toUpperCase();
+    return symbol.replace(/(USDT|USDC|USD|PERP)$/, '') || null;
+  }
+
+  /**
+   * Handle an incoming alert
+   * @param {object} payload Request body
+   * @param {string} [headerSecret] Secret sent as a header instead of in the body
+   * @returns {Promise<object>} The emitted fill
+   */
+  async handleSignal(payload, headerSecret) {
+    if (!this.isAuthorized(headerSecret || (payload && payload.secret))) {
+      const error = new Error('Unauthorized signal');
+      error.status = 401;
+      throw error;
+    }
+
+    const fill = this.parseSignal(payload || {});
+    const signedSize = fill.side === 'B' ? parseFloat(fill.sz) : -parseFloat(fill.sz);
+    await redis.hincrbyfloat(this.positionKey, fill.coin, signedSize);
+
+    logger.info(`[Webhook] Signal ${this.user}: ${fill.side} ${fill.sz} ${fill.coin}`);
+    this.emitFill(fill);
+    return fill;
+  }
+
+  async getPositions() {
+    const positions = await redis.hgetall(this.positionKey);
+    return Object.entries(positions)
+      .map(([coin, size]) => ({ coin, szi: parseFloat(size), entryPx: 0 }))
+      .filter(p => p.szi !== 0);
+  }
+
+  async getEquity() {
+    const equity = parseFloat(this.options.equity);
+    if (!(equity > 0)) {
+      throw new Error(`Webhook source ${this.user} needs an 'equity' option for equal-ratio sizing`);
+    }
+    return equity;
+  }
+}
+
+module.exports = WebhookSource;
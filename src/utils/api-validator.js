@@ -8,20 +8,20 @@ class APIValidator {
 
   /**
    * 验证 API 密钥配置是否存在且格式基本正确
+   * @param {object} venueConfig { type, apiKey, apiSecret, useTestnet }，默认读取 binance 配置
    */
-  validateAPIConfig() {
-    const apiKey = config.get('binance.apiKey');
-    const apiSecret = config.get('binance.apiSecret');
+  validateAPIConfig(venueConfig = config.get('binance')) {
+    const { apiKey, apiSecret } = venueConfig;
 
     if (!apiKey || !apiSecret) {
-      throw new Error('Binance API key or secret not configured');
+      throw new Error(`${venueConfig.type || 'Binance'} API key or secret not configured`);
     }
 
     if (apiKey.length < 32 || apiSecret.length < 32) {
       throw new Error('API key or secret format invalid (too short)');
     }
 
-    const isTestnet = config.get('binance.useTestnet');
+    const isTestnet = venueConfig.useTestnet;
     if (!isTestnet && process.env.NODE_ENV === 'production') {
       logger.warn('⚠️  PRODUCTION MODE DETECTED - Real funds will be used!');
     }
@@ -31,13 +31,13 @@ class APIValidator {
   }
 
   /**
-   * 验证 API 权限（通过调用 futuresAccountInfo）
-   * @param {object} binanceClient 
+   * 验证 API 权限（通过读取账户余额）
+   * @param {ExecutionVenue} venue 
    */
-  async validateAPIPermissions(binanceClient) {
+  async validateAPIPermissions(venue) {
     try {
-      logger.info('Verifying API read permissions...');
-      await binanceClient.futuresAccountInfo();
+      logger.info(`Verifying API read permissions (${venue.name})...`);
+      await venue.getAccountSummary();
       logger.info('✅ API read permission verified');
     } catch (error) {
       const errorMsg = error.message || 'Unknown error';
@@ -51,8 +51,7 @@ class APIValidator {
       throw new Error(`API permission check failed: ${errorMsg}`);
     }
 
-    const isTestnet = config.get('binance.useTestnet');
-    if (!isTestnet) {
+    if (!venue.isTestnet) {
       logger.warn('🛑 MAINNET DETECTED: Ensure API key has ONLY "Futures" trading permission. "Withdrawal" MUST be disabled.');
     }
   }
@@ -2,8 +2,13 @@ const config = require('config');
 
 const getTimestamp = () => new Date().toISOString();
 
+// LOG_LEVEL threshold (debug < info < warn < error), read on every call so CLIs can change it
+const LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+const isEnabled = (level) => LEVELS[level] >= (LEVELS[process.env.LOG_LEVEL] !== undefined ? LEVELS[process.env.LOG_LEVEL] : LEVELS.info);
+
 const logger = {
   info: (message, meta = {}) => {
+    if (!isEnabled('info')) return;
     const entry = {
       level: 'INFO',
       timestamp: getTimestamp(),
@@ -39,6 +44,7 @@ const logger = {
     notifyCollector('error', message, { ...meta, error: errorDetails.errorMessage });
   },
   warn: (message, meta = {}) => {
+    if (!isEnabled('warn')) return;
     const entry = {
       level: 'WARN',
       timestamp: getTimestamp(),
@@ -49,7 +55,7 @@ const logger = {
     notifyCollector('warn', message, meta);
   },
   debug: (message, meta = {}) => {
-    if (process.env.LOG_LEVEL === 'debug') {
+    if (isEnabled('debug')) {
       const entry = {
         level: 'DEBUG',
         timestamp: getTimestamp(),
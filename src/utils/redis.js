@@ -8,6 +8,8 @@ const redis = new Redis({
   host: redisConfig.host,
   port: redisConfig.port,
   password: redisConfig.password,
+  // Connect on the first command, so tools that never touch Redis (backtests) can load core modules
+  lazyConnect: true,
   retryStrategy: (times) => {
     const delay = Math.min(times * 50, 2000);
     return delay;
@@ -0,0 +1,355 @@
+const logger = require('../utils/logger');
+
+/**
+ * Execution venue interface.
+ * A venue is one USDT-margined perpetual futures account that follower orders are sent to.
+ * Core modules (OrderExecutor, ExposureManager, sync, validators) only talk to this
+ * interface; each exchange implements it as an adapter (see src/venues/index.js).
+ *
+ * Conventions shared by every adapter:
+ * - `coin` is the Hyperliquid coin name (e.g. "BTC"), `symbol` is the venue's symbol.
+ * - Quantities and prices are in Hyperliquid coin units; adapters convert contracts quoted
+ *   per bundle of units (e.g. kPEPE <-> 1000PEPEUSDT) at their boundary.
+ * - `side` arguments are Hyperliquid sides ('B' buy / 'A' sell); returned orders use 'BUY' / 'SELL'.
+ * - Order statuses use NEW, PARTIALLY_FILLED, FILLED, CANCELED, EXPIRED, REJECTED.
+ * - Order types use LIMIT, MARKET and the trigger types STOP_MARKET, TAKE_PROFIT_MARKET,
+ *   STOP (stop limit) and TAKE_PROFIT (take profit limit).
+ *
+ * @typedef {object} VenueOrder
+ * @property {string|number} orderId
+ * @property {string} symbol
+ * @property {string} side 'BUY' or 'SELL'
+ * @property {string} type e.g. 'LIMIT', 'MARKET'
+ * @property {string} status
+ * @property {number} price
+ * @property {number} origQty
+ * @property {number} executedQty
+ * @property {number} avgPrice 0 when nothing filled yet
+ * @property {string} timeInForce 'GTC', 'GTX' (post-only) or 'IOC' for limit orders
+ * @property {number} stopPrice Trigger price of conditional orders, 0 otherwise
+ * @property {boolean} closePosition Conditional order closing the whole position
+ * @property {boolean} reduceOnly
+ *
+ * @typedef {object} VenuePosition
+ * @property {string} symbol
+ * @property {number} amount Signed (+ long, - short)
+ * @property {number} entryPrice
+ * @property {number} markPrice
+ * @property {number} unrealizedProfit
+ * @property {number} leverage
+ * @property {number} liquidationPrice
+ *
+ * @typedef {object} VenueAccountSummary
+ * @property {number} totalEquity Wallet balance + unrealized PnL
+ * @property {number} walletBalance
+ * @property {number} availableBalance
+ *
+ * @typedef {object} VenueOrderUpdate
+ * @property {string} symbol
+ * @property {string|number} orderId
+ * @property {string} side 'BUY' or 'SELL'
+ * @property {string} orderType e.g. 'LIMIT', 'MARKET'
+ * @property {number} price Order limit price
+ * @property {number} quantity Order quantity
+ * @property {boolean} reduceOnly
+ * @property {boolean} isMaker Whether the last fill was on the maker side
+ * @property {string} status
+ * @property {string} executionType e.g. 'NEW', 'TRADE', 'CANCELED', 'AMENDMENT'
+ * @property {number} lastFilledQty
+ * @property {number} lastFilledPrice
+ * @property {number} cumulativeFilledQty
+ * @property {number} [tradeId] Trade of the last fill (0 when there is none)
+ * @property {number} eventTime
+ */
+class ExecutionVenue {
+  /**
+   * @param {string} name Venue type (e.g. 'binance')
+   * @param {string} accountId Follower account this venue trades for (log context)
+   */
+  constructor(name, accountId = 'default') {
+    this.name = name;
+    this.accountId = accountId;
+    this.isTestnet = false;
+    this.isSimulated = false; // True for venues that never reach a real exchange
+  }
+
+  notImplemented(method) {
+    return new Error(`${method} is not implemented by venue ${this.name}`);
+  }
+
+  /**
+   * Start background work the venue needs (market data, timers). No-op by default.
+   */
+  async start() {}
+
+  /**
+   * Stop background work started by start()
+   */
+  stop() {}
+
+  /**
+   * Prepare the account for trading (e.g. one-way position mode)
+   */
+  async ensureOneWayMode() {
+    throw this.notImplemented('ensureOneWayMode');
+  }
+
+  /**
+   * Convert a Hyperliquid coin to the venue symbol
+   * @param {string} coin
+   * @returns {string}
+   */
+  getSymbol(coin) {
+    throw this.notImplemented('getSymbol');
+  }
+
+  /**
+   * Convert a venue symbol back to the Hyperliquid coin
+   * @param {string} symbol
+   * @returns {string}
+   */
+  getCoin(symbol) {
+    throw this.notImplemented('getCoin');
+  }
+
+  /**
+   * Round a price to the venue tick size
+   * @param {string} coin
+   * @param {number|string} price
+   * @returns {string}
+   */
+  roundPrice(coin, price) {
+    throw this.notImplemented('roundPrice');
+  }
+
+  /**
+   * Round an order quantity to the venue step size
+   * @param {string} coin
+   * @param {number} quantity
+   * @param {object} [options] { market: market-order step, floor: round down instead of nearest }
+   * @returns {number}
+   */
+  roundQuantity(coin, quantity, options = {}) {
+    throw this.notImplemented('roundQuantity');
+  }
+
+  /**
+   * Smallest order quantity the venue accepts (min quantity / min notional)
+   * @param {string} coin
+   * @param {number} [price] Order or mark price, min notional is ignored without it
+   * @param {boolean} [market]
+   * @returns {number}
+   */
+  getMinQuantity(coin, price, market = false) {
+    throw this.notImplemented('getMinQuantity');
+  }
+
+  /**
+   * Price tick size in coin units
+   * @param {string} coin
+   * @returns {number}
+   */
+  getTickSize(coin) {
+    throw this.notImplemented('getTickSize');
+  }
+
+  /**
+   * @param {string} coin
+   * @param {string} side 'B' or 'A'
+   * @param {number|string} price
+   * @param {number|string} quantity
+   * @param {boolean} reduceOnly
+   * @param {string} timeInForce 'GTC', 'GTX' (post-only, rejected if it would cross) or 'IOC'
+   * @returns {Promise<VenueOrder>}
+   */
+  async createLimitOrder(coin, side, price, quantity, reduceOnly = false, timeInForce = 'GTC') {
+    throw this.notImplemented('createLimitOrder');
+  }
+
+  /**
+   * @param {string} coin
+   * @param {string} side 'B' or 'A'
+   * @param {number|string} quantity
+   * @param {boolean} reduceOnly
+   * @returns {Promise<VenueOrder>}
+   */
+  async createMarketOrder(coin, side, quantity, reduceOnly = false) {
+    throw this.notImplemented('createMarketOrder');
+  }
+
+  /**
+   * Conditional order that becomes a market/limit order when the mark price reaches stopPrice.
+   * STOP types trigger against the position (price moving away), TAKE_PROFIT types towards it.
+   * @param {string} coin
+   * @param {string} side 'B' or 'A'
+   * @param {object} trigger { type, stopPrice, price?, quantity?, reduceOnly?, closePosition? }
+   * @returns {Promise<VenueOrder>}
+   */
+  async createTriggerOrder(coin, side, trigger) {
+    throw this.notImplemented('createTriggerOrder');
+  }
+
+  /**
+   * Reduce-only limit order (used for take profit)
+   * @returns {Promise<VenueOrder>}
+   */
+  async createReduceOnlyOrder(coin, side, price, quantity) {
+    return this.createLimitOrder(coin, side, price, quantity, true);
+  }
+
+  /**
+   * @param {string} symbol
+   * @param {string|number} orderId
+   */
+  async cancelOrder(symbol, orderId) {
+    throw this.notImplemented('cancelOrder');
+  }
+
+  /**
+   * Replace a resting order with a new price/quantity.
+   * Venues without an atomic endpoint cancel and then place.
+   * @returns {Promise<VenueOrder>} The new order
+   */
+  async cancelReplaceOrder(coin, cancelOrderId, side, price, quantity, reduceOnly = false, timeInForce = 'GTC') {
+    await this.cancelOrder(this.getSymbol(coin), cancelOrderId);
+    return this.createLimitOrder(coin, side, price, quantity, reduceOnly, timeInForce);
+  }
+
+  /**
+   * Change a resting limit order in place, keeping its orderId
+   * @param {string} coin
+   * @param {string|number} orderId
+   * @param {string} side 'B' or 'A'
+   * @param {number|string} price
+   * @param {number|string} quantity New total order quantity, including what already filled
+   * @returns {Promise<VenueOrder>}
+   */
+  async amendOrder(coin, orderId, side, price, quantity) {
+    throw this.notImplemented('amendOrder');
+  }
+
+  /**
+   * @param {string} symbol
+   * @param {string|number} orderId
+   * @returns {Promise<VenueOrder>}
+   */
+  async getOrder(symbol, orderId) {
+    throw this.notImplemented('getOrder');
+  }
+
+  /**
+   * @param {string} symbol
+   * @param {string|number} orderId
+   * @returns {Promise<string>} Order status
+   */
+  async getOrderStatus(symbol, orderId) {
+    const order = await this.getOrder(symbol, orderId);
+    return order.status;
+  }
+
+  /**
+   * Whether an error from getOrder/cancelOrder means the venue does not know the order
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isUnknownOrderError(error) {
+    return false;
+  }
+
+  /**
+   * Whether an error from createLimitOrder/cancelReplaceOrder means a GTX order would have crossed
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isPostOnlyRejectedError(error) {
+    return false;
+  }
+
+  /**
+   * @param {string} [symbol] All symbols when omitted
+   * @returns {Promise<Array<VenueOrder>>}
+   */
+  async getOpenOrders(symbol) {
+    throw this.notImplemented('getOpenOrders');
+  }
+
+  /**
+   * Get total quantity of open orders on a specific side
+   * Trigger orders are left out: they only execute once their stop price is reached.
+   * @param {string} coin
+   * @param {string} side 'BUY' or 'SELL'
+   * @returns {Promise<number>}
+   */
+  async getOpenOrderQuantity(coin, side) {
+    try {
+      const openOrders = await this.getOpenOrders(this.getSymbol(coin));
+      return openOrders
+        .filter(o => o.side === side && !o.stopPrice)
+        .reduce((sum, o) => sum + o.origQty, 0);
+    } catch (error) {
+      logger.error(`Failed to get open order quantity for ${coin}`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * @returns {Promise<Array<VenuePosition>>} Non-zero positions only
+   */
+  async getPositions() {
+    throw this.notImplemented('getPositions');
+  }
+
+  /**
+   * @param {string} coin
+   * @returns {Promise<VenuePosition|null>}
+   */
+  async getPositionDetails(coin) {
+    try {
+      const symbol = this.getSymbol(coin);
+      const positions = await this.getPositions();
+      return positions.find(p => p.symbol === symbol) || null;
+    } catch (error) {
+      logger.error(`Failed to get position details for ${coin}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} coin
+   * @returns {Promise<number>} Signed position amount (Positive=Long, Negative=Short)
+   */
+  async getPosition(coin) {
+    // getPositionDetails already falls back to null (no position) on error
+    const position = await this.getPositionDetails(coin);
+    return position ? position.amount : 0;
+  }
+
+  /**
+   * @returns {Promise<VenueAccountSummary>}
+   */
+  async getAccountSummary() {
+    throw this.notImplemented('getAccountSummary');
+  }
+
+  /**
+   * Subscribe to the account's private order updates.
+   * `onStatus` receives { connected: true } every time the stream (re)opens, updates sent
+   * before may have been missed, and { connected: false, reason } when it fails.
+   * @param {function(VenueOrderUpdate): void} callback
+   * @param {function(object): void} [onStatus]
+   * @returns {function} Unsubscribe function
+   */
+  subscribeUserStream(callback, onStatus) {
+    throw this.notImplemented('subscribeUserStream');
+  }
+
+  /**
+   * Health of the user stream for monitoring
+   * @returns {object|null} { state, connected, since, lastMessageAt, reconnects, lastError }, null if unknown
+   */
+  getUserStreamStatus() {
+    return null;
+  }
+}
+
+module.exports = ExecutionVenue;
@@ -0,0 +1,27 @@
+const BinanceClient = require('../binance/api-client');
+const PaperVenue = require('./paper-venue');
+
+// Registered execution venue adapters, selected per follower account with `venue`
+const VENUES = {
+  binance: BinanceClient,
+  paper: PaperVenue
+};
+
+/**
+ * Create the execution venue adapter for a follower account
+ * @param {object} venueSettings { type, apiKey, apiSecret, useTestnet, ... }
+ * @param {string} accountId
+ * @returns {ExecutionVenue}
+ */
+function createVenue(venueSettings, accountId) {
+  const Venue = VENUES[venueSettings.type];
+  if (!Venue) {
+    throw new Error(`Unknown execution venue "${venueSettings.type}" for account ${accountId}. Available: ${Object.keys(VENUES).join(', ')}`);
+  }
+  return new Venue(venueSettings, accountId);
+}
+
+module.exports = {
+  createVenue,
+  VENUES
+};
@@ -0,0 +1,650 @@
+const logger = require('../utils/logger');
+const hyperApiClient = require('../hyperliquid/api-client');
+const SymbolRules = require('../binance/symbol-rules');
+const SymbolMap = require('../binance/symbol-map');
+const ExecutionVenue = require('./execution-venue');
+
+// Binance error codes, so callers handle simulated rejections like real ones
+const UNKNOWN_ORDER = -2011;
+const INSUFFICIENT_MARGIN = -2019;
+const REDUCE_ONLY_REJECTED = -2022;
+const MIN_NOTIONAL_REJECTED = -4164;
+const POST_ONLY_REJECTED = -5022;
+
+const TRIGGER_LIMIT_TYPES = ['STOP', 'TAKE_PROFIT'];
+
+/**
+ * Simulated USDT-M futures account (TRADING_EXECUTION=paper).
+ * Runs in-process with the same interface as the Binance adapter:
+ * - market orders fill at the current Hyperliquid mid (plus optional slippage) as taker
+ * - limit orders rest until the Hyperliquid mid trades through their price and fill as maker
+ * - positions use average cost, margin is isolated per position at the configured leverage
+ * - maker/taker fees and funding (Hyperliquid hourly rates) are charged to the wallet
+ * State is kept in memory and starts from `initialBalance` on every run.
+ */
+class PaperVenue extends ExecutionVenue {
+  /**
+   * @param {object} settings { initialBalance, makerFee, takerFee, leverage, maintenanceMarginRate,
+   *   fundingIntervalMs, marketSlippageBps, exchangeRules, priceFeed? }
+   * @param {string} accountId
+   */
+  constructor(settings, accountId = 'default') {
+    super('paper', accountId);
+    this.isSimulated = true;
+    this.isTestnet = true; // No real funds involved
+
+    this.makerFee = settings.makerFee;
+    this.takerFee = settings.takerFee;
+    this.leverage = settings.leverage;
+    this.maintenanceMarginRate = settings.maintenanceMarginRate;
+    this.fundingIntervalMs = settings.fundingIntervalMs;
+    this.slippage = (settings.marketSlippageBps || 0) / 10000;
+    this.priceFeed = settings.priceFeed || null;
+    // Binance mainnet precision / min notional, loaded on start when exchangeRules is set
+    this.exchangeRules = !!settings.exchangeRules;
+    this.symbolRules = SymbolRules.forNetwork(false);
+    this.symbolMap = SymbolMap.forRules(this.symbolRules);
+
+    this.walletBalance = settings.initialBalance;
+    this.positions = new Map(); // symbol -> { amount, entryPrice }
+    this.orders = new Map(); // orderId -> order
+    this.marks = {}; // coin -> price
+    this.nextOrderId = 1;
+    this.listeners = new Set();
+    this.fundingTimer = null;
+    this.stats = { fees: 0, funding: 0, realizedPnl: 0, trades: 0, liquidations: 0 };
+
+    // Overridable clock so replays can run on historical time
+    this.now = () => Date.now();
+  }
+
+  /**
+   * Follow Hyperliquid prices and start charging funding
+   */
+  async start() {
+    if (this.exchangeRules) {
+      await this.symbolRules.start();
+    }
+    if (!this.priceFeed) {
+      this.priceFeed = require('../hyperliquid/price-feed');
+    }
+    this.onPricesHandler = prices => this.updatePrices(prices);
+    this.priceFeed.on('prices', this.onPricesHandler);
+    if (typeof this.priceFeed.start === 'function') {
+      this.priceFeed.start();
+    }
+
+    if (this.fundingIntervalMs > 0) {
+      this.fundingTimer = setInterval(() => {
+        this.applyFunding().catch(err => logger.error(`[Paper:${this.accountId}] Funding failed`, err));
+      }, this.fundingIntervalMs);
+    }
+    logger.info(`[Paper:${this.accountId}] Simulated account started with ${this.walletBalance} USDT`);
+  }
+
+  stop() {
+    if (this.priceFeed && this.onPricesHandler) {
+      this.priceFeed.removeListener('prices', this.onPricesHandler);
+    }
+    clearInterval(this.fundingTimer);
+    if (this.exchangeRules) {
+      this.symbolRules.stop();
+    }
+  }
+
+  async ensureOneWayMode() {
+    // The simulated account is always in one-way mode
+  }
+
+  // Binance symbols and rules; the simulated book itself is kept in coin units
+
+  getSymbol(coin) {
+    return this.symbolMap.getSymbol(coin);
+  }
+
+  getCoin(symbol) {
+    return this.symbolMap.getCoin(symbol);
+  }
+
+  roundPrice(coin, price) {
+    return this.symbolMap.roundPrice(coin, price);
+  }
+
+  roundQuantity(coin, quantity, options = {}) {
+    return this.symbolMap.roundQuantity(coin, quantity, options);
+  }
+
+  getMinQuantity(coin, price, market = false) {
+    return this.symbolMap.getMinQuantity(coin, price, market);
+  }
+
+  getTickSize(coin) {
+    return this.symbolMap.getTickSize(coin);
+  }
+
+  rejection(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  // --- Market data ---
+
+  /**
+   * Apply new mid prices: mark positions, match resting orders, check liquidation
+   * @param {object} prices { coin: price }
+   */
+  updatePrices(prices) {
+    for (const [coin, price] of Object.entries(prices)) {
+      if (!(price > 0)) continue;
+      this.marks[coin] = price;
+      this.matchOrders(coin, price);
+    }
+    this.checkLiquidation();
+  }
+
+  /**
+   * @param {string} coin
+   * @param {number} price
+   */
+  setPrice(coin, price) {
+    this.updatePrices({ [coin]: price });
+  }
+
+  getMark(coin) {
+    return this.marks[coin];
+  }
+
+  // --- Orders ---
+
+  /**
+   * GTX orders that would cross the mid are rejected, IOC orders expire unless they cross
+   */
+  async createLimitOrder(coin, side, price, quantity, reduceOnly = false, timeInForce = 'GTC') {
+    const qty = parseFloat(quantity);
+    const limitPrice = parseFloat(this.roundPrice(coin, price));
+    const order = this.newOrder(coin, side, 'LIMIT', qty, limitPrice, reduceOnly);
+    order.timeInForce = timeInForce;
+
+    const mark = this.getMark(coin);
+    const marketable = !!mark && ((order.side === 'BUY' && mark <= limitPrice) || (order.side === 'SELL' && mark >= limitPrice));
+    if (marketable && timeInForce === 'GTX') {
+      throw this.rejection('Due to the order could not be executed as maker, the Post Only order will be rejected.', POST_ONLY_REJECTED);
+    }
+
+    logger.info(`[Paper:${this.accountId}] LIMIT ${timeInForce} ${order.symbol} ${order.side} ${qty} @ ${limitPrice} ${reduceOnly ? '[REDUCE-ONLY]' : ''}`);
+
+    this.orders.set(order.orderId, order);
+    this.notify(order, 'NEW');
+
+    // Marketable limit orders take liquidity immediately at the better of limit and mid
+    if (marketable) {
+      const fillPrice = order.side === 'BUY' ? Math.min(mark, limitPrice) : Math.max(mark, limitPrice);
+      this.fillOrder(order, order.origQty, fillPrice, false);
+    } else if (timeInForce === 'IOC') {
+      order.status = 'EXPIRED';
+      order.updateTime = this.now();
+      this.notify(order, 'EXPIRED');
+    }
+
+    return { ...order };
+  }
+
+  async createMarketOrder(coin, side, quantity, reduceOnly = false) {
+    const mark = this.getMark(coin);
+    if (!mark) {
+      throw this.rejection(`No simulated price for ${coin} yet`, -1121);
+    }
+
+    const qty = parseFloat(quantity);
+    const order = this.newOrder(coin, side, 'MARKET', qty, 0, reduceOnly);
+    const fillPrice = order.side === 'BUY' ? mark * (1 + this.slippage) : mark * (1 - this.slippage);
+
+    logger.info(`[Paper:${this.accountId}] MARKET ${order.symbol} ${order.side} ${qty} @ ~${fillPrice} ${reduceOnly ? '[REDUCE-ONLY]' : ''}`);
+
+    this.orders.set(order.orderId, order);
+    this.notify(order, 'NEW');
+    this.fillOrder(order, order.origQty, fillPrice, false);
+
+    return { ...order };
+  }
+
+  /**
+   * Validate and build a new order
+   */
+  newOrder(coin, side, type, qty, price, reduceOnly) {
+    if (!(qty > 0)) {
+      throw this.rejection(`Invalid quantity ${qty}`, -4003);
+    }
+
+    const symbol = this.getSymbol(coin);
+    const orderSide = side === 'B' || side === 'BUY' ? 'BUY' : 'SELL';
+    const position = this.positions.get(symbol);
+    const positionAmt = position ? position.amount : 0;
+
+    const refPrice = price || this.getMark(coin);
+    const { minNotional } = this.symbolRules.get(symbol, coin);
+    if (!reduceOnly && minNotional && qty * refPrice < minNotional) {
+      throw this.rejection(`Order's notional must be no smaller than ${minNotional}`, MIN_NOTIONAL_REJECTED);
+    }
+
+    if (reduceOnly) {
+      const reduces = (orderSide === 'BUY' && positionAmt < 0) || (orderSide === 'SELL' && positionAmt > 0);
+      if (!reduces) {
+        throw this.rejection('ReduceOnly Order is rejected.', REDUCE_ONLY_REJECTED);
+      }
+    } else {
+      const required = qty * refPrice / this.leverage;
+      if (required > this.getAvailableBalance()) {
+        throw this.rejection('Margin is insufficient.', INSUFFICIENT_MARGIN);
+      }
+    }
+
+    return {
+      orderId: this.nextOrderId++,
+      symbol,
+      side: orderSide,
+      type,
+      status: 'NEW',
+      price,
+      origQty: qty,
+      executedQty: 0,
+      avgPrice: 0,
+      timeInForce: type === 'MARKET' ? null : 'GTC',
+      stopPrice: 0,
+      closePosition: false,
+      reduceOnly: !!reduceOnly,
+      updateTime: this.now()
+    };
+  }
+
+  /**
+   * Conditional order, held until the mid reaches stopPrice
+   * Market types then fill as taker, limit types (STOP / TAKE_PROFIT) rest at their price.
+   */
+  async createTriggerOrder(coin, side, { type, stopPrice, price, quantity, reduceOnly = false, closePosition = false }) {
+    const qty = closePosition ? 0 : parseFloat(quantity);
+    if (!closePosition && !(qty > 0)) {
+      throw this.rejection(`Invalid quantity ${qty}`, -4003);
+    }
+
+    const order = {
+      orderId: this.nextOrderId++,
+      symbol: this.getSymbol(coin),
+      side: side === 'B' || side === 'BUY' ? 'BUY' : 'SELL',
+      type,
+      status: 'NEW',
+      price: TRIGGER_LIMIT_TYPES.includes(type) ? parseFloat(this.roundPrice(coin, price)) : 0,
+      origQty: qty,
+      executedQty: 0,
+      avgPrice: 0,
+      stopPrice: parseFloat(this.roundPrice(coin, stopPrice)),
+      closePosition: !!closePosition,
+      reduceOnly: !!reduceOnly || !!closePosition,
+      triggered: false,
+      updateTime: this.now()
+    };
+
+    logger.info(`[Paper:${this.accountId}] ${type} ${order.symbol} ${order.side} ${closePosition ? 'CLOSE-POSITION' : qty} trigger ${order.stopPrice}`);
+
+    this.orders.set(order.orderId, order);
+    this.notify(order, 'NEW');
+    return { ...order };
+  }
+
+  async cancelOrder(symbol, orderId) {
+    const order = this.orders.get(Number(orderId));
+    if (!order || !this.isOpen(order)) {
+      throw this.rejection('Unknown order sent.', UNKNOWN_ORDER);
+    }
+
+    order.status = 'CANCELED';
+    order.updateTime = this.now();
+    this.notify(order, 'CANCELED');
+    logger.info(`[Paper:${this.accountId}] Order Cancelled: ${orderId}`);
+    return { ...order };
+  }
+
+  async amendOrder(coin, orderId, side, price, quantity) {
+    const order = this.orders.get(Number(orderId));
+    if (!order || !this.isOpen(order)) {
+      throw this.rejection('Unknown order sent.', UNKNOWN_ORDER);
+    }
+    const qty = parseFloat(quantity);
+    if (!(qty > order.executedQty)) {
+      throw this.rejection(`Invalid quantity ${qty}, ${order.executedQty} already executed`, -4003);
+    }
+
+    order.origQty = qty;
+    order.price = parseFloat(this.roundPrice(coin, price));
+    order.updateTime = this.now();
+    this.notify(order, 'AMENDMENT');
+    logger.info(`[Paper:${this.accountId}] Order Amended: ${orderId} ${qty} @ ${order.price}`);
+
+    const mark = this.getMark(coin);
+    if (mark) this.matchOrders(coin, mark);
+    return { ...order };
+  }
+
+  async getOrder(symbol, orderId) {
+    const order = this.orders.get(Number(orderId));
+    if (!order) {
+      throw this.rejection('Order does not exist.', UNKNOWN_ORDER);
+    }
+    return { ...order };
+  }
+
+  isUnknownOrderError(error) {
+    return !!error && error.code === UNKNOWN_ORDER;
+  }
+
+  isPostOnlyRejectedError(error) {
+    return !!error && error.code === POST_ONLY_REJECTED;
+  }
+
+  async getOpenOrders(symbol) {
+    return Array.from(this.orders.values())
+      .filter(o => this.isOpen(o) && (!symbol || o.symbol === symbol))
+      .map(o => ({ ...o }));
+  }
+
+  isOpen(order) {
+    return order.status === 'NEW' || order.status === 'PARTIALLY_FILLED';
+  }
+
+  /**
+   * Fire trigger orders the mid has reached, then fill resting limit orders it has traded through
+   * @param {string} coin
+   * @param {number} mark
+   */
+  matchOrders(coin, mark) {
+    const symbol = this.getSymbol(coin);
+    for (const order of this.orders.values()) {
+      if (order.symbol !== symbol || !order.stopPrice || order.triggered || !this.isOpen(order)) continue;
+      if (this.isTriggeredBy(order, mark)) {
+        this.triggerOrder(order, mark);
+      }
+    }
+
+    for (const order of this.orders.values()) {
+      const resting = order.type === 'LIMIT' || (order.triggered && TRIGGER_LIMIT_TYPES.includes(order.type));
+      if (order.symbol !== symbol || !resting || !this.isOpen(order)) continue;
+
+      const crossed = (order.side === 'BUY' && mark <= order.price) || (order.side === 'SELL' && mark >= order.price);
+      if (crossed) {
+        this.fillOrder(order, order.origQty - order.executedQty, order.price, true);
+      }
+    }
+  }
+
+  /**
+   * Stops trigger when price moves against the side's position (buy stop above, sell stop below),
+   * take profits when it moves in favour
+   */
+  isTriggeredBy(order, mark) {
+    const isStop = order.type === 'STOP' || order.type === 'STOP_MARKET';
+    const above = mark >= order.stopPrice;
+    const below = mark <= order.stopPrice;
+    if (order.side === 'BUY') {
+      return isStop ? above : below;
+    }
+    return isStop ? below : above;
+  }
+
+  /**
+   * @param {object} order Trigger order whose stopPrice was reached
+   * @param {number} mark
+   */
+  triggerOrder(order, mark) {
+    order.triggered = true;
+    order.updateTime = this.now();
+
+    if (order.closePosition) {
+      const position = this.positions.get(order.symbol);
+      const amount = position ? position.amount : 0;
+      const closes = (order.side === 'BUY' && amount < 0) || (order.side === 'SELL' && amount > 0);
+      if (!closes) {
+        order.status = 'EXPIRED';
+        this.notify(order, 'EXPIRED');
+        return;
+      }
+      order.origQty = Math.abs(amount);
+    }
+
+    logger.info(`[Paper:${this.accountId}] ${order.type} ${order.orderId} triggered at ${mark}`);
+    if (!TRIGGER_LIMIT_TYPES.includes(order.type)) {
+      const fillPrice = order.side === 'BUY' ? mark * (1 + this.slippage) : mark * (1 - this.slippage);
+      this.fillOrder(order, order.origQty, fillPrice, false);
+    }
+  }
+
+  /**
+   * Execute (part of) an order against the simulated account
+   * @param {object} order
+   * @param {number} qty
+   * @param {number} price
+   * @param {boolean} isMaker
+   */
+  fillOrder(order, qty, price, isMaker) {
+    const position = this.positions.get(order.symbol) || { amount: 0, entryPrice: 0 };
+
+    if (order.reduceOnly) {
+      // Reduce-only never flips or grows a position; expire what cannot reduce anymore
+      const reducible = (order.side === 'BUY' && position.amount < 0) || (order.side === 'SELL' && position.amount > 0)
+        ? Math.abs(position.amount)
+        : 0;
+      if (reducible <= 0) {
+        order.status = 'EXPIRED';
+        this.notify(order, 'EXPIRED');
+        return;
+      }
+      qty = Math.min(qty, reducible);
+    }
+
+    const signedQty = order.side === 'BUY' ? qty : -qty;
+    const fee = qty * price * (isMaker ? this.makerFee : this.takerFee);
+    const realized = this.applyToPosition(order.symbol, position, signedQty, price);
+
+    this.walletBalance += realized - fee;
+    this.stats.fees += fee;
+    this.stats.realizedPnl += realized;
+    this.stats.trades++;
+
+    const executed = order.executedQty + qty;
+    order.avgPrice = (order.avgPrice * order.executedQty + price * qty) / executed;
+    order.executedQty = executed;
+    order.status = executed >= order.origQty - 1e-12 ? 'FILLED' : 'PARTIALLY_FILLED';
+    order.updateTime = this.now();
+
+    this.notify(order, 'TRADE', { lastFilledQty: qty, lastFilledPrice: price, isMaker, commission: fee, realizedProfit: realized });
+  }
+
+  /**
+   * Average-cost position update
+   * @returns {number} Realized PnL
+   */
+  applyToPosition(symbol, position, signedQty, price) {
+    const { amount, entryPrice } = position;
+    const newAmount = amount + signedQty;
+    let realized = 0;
+    let newEntry = entryPrice;
+
+    if (amount === 0 || Math.sign(amount) === Math.sign(signedQty)) {
+      newEntry = (Math.abs(amount) * entryPrice + Math.abs(signedQty) * price) / Math.abs(newAmount);
+    } else {
+      const closedQty = Math.min(Math.abs(amount), Math.abs(signedQty));
+      realized = closedQty * (price - entryPrice) * Math.sign(amount);
+      if (Math.sign(newAmount) !== Math.sign(amount)) {
+        newEntry = price; // Flipped, the remainder opens at this price
+      }
+    }
+
+    if (Math.abs(newAmount) < 1e-12) {
+      this.positions.delete(symbol);
+    } else {
+      this.positions.set(symbol, { amount: newAmount, entryPrice: newEntry });
+    }
+    return realized;
+  }
+
+  // --- Account ---
+
+  async getPositions() {
+    return Array.from(this.positions.entries()).map(([symbol, p]) => {
+      const mark = this.getMark(this.getCoin(symbol)) || p.entryPrice;
+      // Isolated-style estimate: the position's margin is lost when price moves 1/leverage - mmr against it
+      const liqDistance = 1 / this.leverage - this.maintenanceMarginRate;
+      return {
+        symbol,
+        amount: p.amount,
+        entryPrice: p.entryPrice,
+        markPrice: mark,
+        unrealizedProfit: p.amount * (mark - p.entryPrice),
+        leverage: this.leverage,
+        liquidationPrice: Math.max(0, p.entryPrice * (p.amount > 0 ? 1 - liqDistance : 1 + liqDistance))
+      };
+    });
+  }
+
+  getUnrealizedPnl() {
+    let pnl = 0;
+    for (const [symbol, p] of this.positions.entries()) {
+      const mark = this.getMark(this.getCoin(symbol)) || p.entryPrice;
+      pnl += p.amount * (mark - p.entryPrice);
+    }
+    return pnl;
+  }
+
+  getEquity() {
+    return this.walletBalance + this.getUnrealizedPnl();
+  }
+
+  getAvailableBalance() {
+    let usedMargin = 0;
+    for (const [symbol, p] of this.positions.entries()) {
+      const mark = this.getMark(this.getCoin(symbol)) || p.entryPrice;
+      usedMargin += Math.abs(p.amount) * mark / this.leverage;
+    }
+    for (const o of this.orders.values()) {
+      if (o.type === 'LIMIT' && !o.reduceOnly && this.isOpen(o)) {
+        usedMargin += (o.origQty - o.executedQty) * o.price / this.leverage;
+      }
+    }
+    return this.getEquity() - usedMargin;
+  }
+
+  async getAccountSummary() {
+    return {
+      totalEquity: this.getEquity(),
+      walletBalance: this.walletBalance,
+      availableBalance: this.getAvailableBalance()
+    };
+  }
+
+  /**
+   * Charge funding on open positions using Hyperliquid's current hourly rates
+   * @param {object} [rates] { coin: hourly rate } — fetched from Hyperliquid when omitted
+   */
+  async applyFunding(rates) {
+    if (this.positions.size === 0) return;
+
+    if (!rates) {
+      const contexts = await hyperApiClient.getAssetContexts();
+      rates = {};
+      Object.entries(contexts).forEach(([coin, ctx]) => { rates[coin] = ctx.funding; });
+    }
+
+    // Without a timer (replays), each call settles one hour of funding
+    const hours = (this.fundingIntervalMs || 3600000) / 3600000;
+    for (const [symbol, p] of this.positions.entries()) {
+      const coin = this.getCoin(symbol);
+      const rate = (rates[coin] || 0) * hours;
+      const mark = this.getMark(coin) || p.entryPrice;
+      // Positive rate: longs pay shorts
+      const payment = p.amount * mark * rate;
+      this.walletBalance -= payment;
+      this.stats.funding -= payment;
+      logger.debug(`[Paper:${this.accountId}] Funding ${symbol}: ${-payment.toFixed(4)} USDT (rate ${rate})`);
+    }
+  }
+
+  /**
+   * Close everything at the mark when equity falls below maintenance margin
+   */
+  checkLiquidation() {
+    if (this.positions.size === 0) return;
+
+    let maintenance = 0;
+    for (const [symbol, p] of this.positions.entries()) {
+      const mark = this.getMark(this.getCoin(symbol)) || p.entryPrice;
+      maintenance += Math.abs(p.amount) * mark * this.maintenanceMarginRate;
+    }
+    if (this.getEquity() > maintenance) return;
+
+    logger.error(`[Paper:${this.accountId}] Equity ${this.getEquity().toFixed(2)} below maintenance ${maintenance.toFixed(2)}, liquidating all positions`);
+    this.stats.liquidations++;
+    for (const [symbol, p] of Array.from(this.positions.entries())) {
+      const coin = this.getCoin(symbol);
+      const order = {
+        orderId: this.nextOrderId++, symbol, side: p.amount > 0 ? 'SELL' : 'BUY', type: 'MARKET', status: 'NEW',
+        price: 0, origQty: Math.abs(p.amount), executedQty: 0, avgPrice: 0, reduceOnly: true, updateTime: this.now()
+      };
+      this.orders.set(order.orderId, order);
+      this.fillOrder(order, order.origQty, this.getMark(coin) || p.entryPrice, false);
+    }
+  }
+
+  // --- User stream ---
+
+  subscribeUserStream(callback, onStatus) {
+    this.listeners.add(callback);
+    // Simulated updates are delivered in-process, the stream never drops
+    if (onStatus) onStatus({ connected: true });
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Push a normalized order update to user stream subscribers
+   */
+  notify(order, executionType, fill = {}) {
+    const update = {
+      symbol: order.symbol,
+      orderId: order.orderId,
+      side: order.side,
+      orderType: order.type,
+      price: order.price,
+      quantity: order.origQty,
+      reduceOnly: order.reduceOnly,
+      isMaker: !!fill.isMaker,
+      status: order.status,
+      executionType,
+      lastFilledQty: fill.lastFilledQty || 0,
+      lastFilledPrice: fill.lastFilledPrice || 0,
+      cumulativeFilledQty: order.executedQty,
+      commission: fill.commission || 0,
+      realizedProfit: fill.realizedProfit || 0,
+      eventTime: this.now()
+    };
+    this.listeners.forEach(listener => {
+      try {
+        listener(update);
+      } catch (error) {
+        logger.error(`[Paper:${this.accountId}] User stream listener failed`, error);
+      }
+    });
+  }
+
+  /**
+   * Simulation totals for monitoring
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      walletBalance: this.walletBalance,
+      equity: this.getEquity(),
+      openOrders: Array.from(this.orders.values()).filter(o => this.isOpen(o)).length
+    };
+  }
+}
+
+module.exports = PaperVenue;
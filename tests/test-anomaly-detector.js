@@ -0,0 +1,206 @@
+const assert = require('assert');
+const MemoryStore = require('../src/backtest/memory-store');
+const anomalyDetector = require('../src/core/anomaly-detector');
+const SignalSource = require('../src/signals/signal-source');
+
+const { AnomalyDetector } = anomalyDetector;
+
+const MASTER = '0xmaster';
+const MINUTE = 60000;
+
+const SETTINGS = {
+  enabled: true,
+  policy: 'hold',
+  maxSamples: 500,
+  minSamples: 20,
+  sizeMultiplier: 5,
+  leverageMultiplier: null,
+  frequencyWindowMs: MINUTE,
+  frequencyMultiplier: 5,
+  flipWindowMs: 10 * MINUTE,
+  maxFlips: 3,
+  holdTimeoutMs: 60000
+};
+
+let nextOid = 1;
+function order(fields = {}) {
+  return { status: 'open', coin: 'BTC', side: 'B', limitPx: '50000', sz: '0.02', oid: nextOid++, userAddress: MASTER, ...fields };
+}
+
+function fill(fields = {}) {
+  return { coin: 'BTC', side: 'B', px: '50000', sz: '0.02', crossed: true, tid: nextOid++, userAddress: MASTER, ...fields };
+}
+
+/**
+ * Detector with a profile of 30 BTC / ETH entries of about $1000, one every 10 minutes
+ */
+async function warmDetector(settings = {}, store = new MemoryStore()) {
+  const detector = new AnomalyDetector({ ...SETTINGS, ...settings }, store, async () => 10000);
+  const start = Date.now() - 300 * MINUTE;
+  detector.getCachedEquity(MASTER, start);
+  await new Promise(resolve => setImmediate(resolve));
+  for (let i = 0; i < 30; i++) {
+    const coin = i % 3 === 0 ? 'ETH' : 'BTC';
+    const event = coin === 'ETH' ? order({ coin, limitPx: '2500', sz: '0.4' }) : order();
+    assert.ok(detector.screen('order', event, start + i * 10 * MINUTE));
+  }
+  return detector;
+}
+
+async function runTests() {
+  console.log('=== Starting Anomaly Detector Tests ===\n');
+  const now = Date.now();
+
+  // --- Test 1: Profile checks ---
+  console.log('Test 1: Size, coin and frequency outliers are flagged');
+  const detector = await warmDetector();
+  assert.ok(detector.screen('order', order({ sz: '0.05' }), now));
+  assert.ok(!detector.screen('order', order({ sz: '0.2' }), now));
+  assert.ok(!detector.screen('order', order({ coin: 'DOGE', limitPx: '0.1', sz: '10000' }), now + 1000));
+  const flags = detector.getStatus().held;
+  assert.deepStrictEqual(flags.map(f => f.reasons.map(r => r.code)), [['SIZE'], ['COIN']]);
+  assert.match(flags[0].reasons[0].message, /10\.0x the usual \$1000/);
+
+  const burst = await warmDetector();
+  const results = [];
+  for (let i = 0; i < 6; i++) {
+    results.push(burst.screen('order', order(), now + i * 1000));
+  }
+  assert.deepStrictEqual(results, [true, true, true, true, true, false]);
+  assert.strictEqual(burst.getStatus().held[0].reasons[0].code, 'FREQUENCY');
+  console.log('PASS\n');
+
+  // --- Test 2: Warm-up, updates and reducing signals ---
+  console.log('Test 2: Nothing is flagged before minSamples, only new entries are screened');
+  const fresh = new AnomalyDetector(SETTINGS, new MemoryStore(), async () => 10000);
+  assert.ok(fresh.screen('order', order({ sz: '5' }), now));
+
+  const placed = order();
+  assert.ok(detector.screen('order', placed, now));
+  assert.ok(detector.screen('order', { ...placed, sz: '1' }, now)); // Modified by the master
+  assert.ok(detector.screen('order', order({ sz: '1', reduceOnly: true }), now));
+  // Taker fill closing part of a long
+  assert.ok(detector.screen('fill', fill({ side: 'A', sz: '1', startPosition: '2' }), now));
+  console.log('PASS\n');
+
+  // --- Test 3: Approval ---
+  console.log('Test 3: Held orders follow the master until approved or rejected');
+  const released = [];
+  detector.on('release', release => released.push(release));
+  const [big, doge] = detector.getStatus().held;
+  const bigOrder = order({ oid: parseInt(big.id.split('-')[1]), sz: '0.15' });
+  assert.ok(!detector.screen('order', bigOrder, now)); // Modified while held
+  detector.approve(big.id);
+  assert.deepStrictEqual(released, [{ kind: 'order', event: bigOrder }]);
+  // Approved orders are followed from now on
+  assert.ok(detector.screen('order', { ...bigOrder, status: 'canceled' }, now));
+
+  const dogeOid = parseInt(doge.id.split('-')[1]);
+  assert.strictEqual(detector.reject(doge.id).action, 'rejected');
+  assert.ok(!detector.screen('order', order({ oid: dogeOid, coin: 'DOGE', status: 'filled' }), now));
+  assert.throws(() => detector.approve(doge.id), err => err.status === 404);
+
+  // Canceled by the master while held
+  assert.ok(!detector.screen('order', order({ sz: '0.5' }), now + 1000));
+  const held = detector.getStatus().held[0];
+  assert.ok(!detector.screen('order', order({ oid: parseInt(held.id.split('-')[1]), status: 'canceled' }), now + 2000));
+  assert.strictEqual(detector.getStatus().held.length, 0);
+  assert.strictEqual(detector.getStatus().flagged[0].action, 'canceled');
+  assert.strictEqual(released.length, 1);
+  detector.stop();
+  console.log('PASS\n');
+
+  // --- Test 4: Direction flips and leverage from fills ---
+  console.log('Test 4: Rapid flips and leverage are flagged from taker fills');
+  const flipper = await warmDetector({ policy: 'skip' });
+  assert.ok(flipper.screen('fill', fill({ side: 'A', sz: '0.04', startPosition: '0.02' }), now)); // long -> short
+  assert.ok(flipper.screen('fill', fill({ side: 'B', sz: '0.02', startPosition: '-0.02' }), now + 1000)); // close
+  assert.ok(flipper.screen('fill', fill({ side: 'B', sz: '0.02', startPosition: '0' }), now + MINUTE)); // reopen long
+  assert.ok(!flipper.screen('fill', fill({ side: 'A', sz: '0.04', startPosition: '0.02' }), now + 2 * MINUTE));
+  assert.deepStrictEqual(flipper.getStatus().flagged[0].reasons.map(r => r.code), ['FLIP']);
+  assert.strictEqual(flipper.getStatus().held.length, 0);
+
+  // Profile leverage is 0.1x: (0.02 BTC * 50000) / 10000, the fill leaves a 0.54 BTC long
+  const levered = await warmDetector({ sizeMultiplier: null, leverageMultiplier: 3 });
+  assert.ok(!levered.screen('fill', fill({ sz: '0.04', startPosition: '0.5' }), now));
+  assert.strictEqual(levered.getStatus().held[0].reasons[0].code, 'LEVERAGE');
+  levered.stop();
+  console.log('PASS\n');
+
+  // --- Test 5: Persisted profiles ---
+  console.log('Test 5: Profiles are reloaded from the store');
+  const store = new MemoryStore();
+  const first = new AnomalyDetector(SETTINGS, store, async () => 10000);
+  for (let i = 0; i < 25; i++) first.screen('order', order(), now - (25 - i) * MINUTE);
+  await new Promise(resolve => setImmediate(resolve));
+  const restarted = new AnomalyDetector(SETTINGS, store, async () => 10000);
+  await restarted.start([MASTER]);
+  assert.strictEqual(restarted.getStatus().profiles[MASTER].samples, 25);
+  assert.strictEqual(restarted.getStatus().profiles[MASTER].medianNotional, 1000);
+  assert.ok(!restarted.screen('order', order({ coin: 'SOL', limitPx: '150', sz: '5' }), now));
+  restarted.stop();
+
+  assert.throws(() => new AnomalyDetector({ ...SETTINGS, policy: 'ignore' }), /Invalid anomaly policy/);
+  console.log('PASS\n');
+
+  // --- Test 6: Held and skipped signals survive a restart ---
+  console.log('Test 6: Held signals and skipped orders are restored from the store');
+  const holdStore = new MemoryStore();
+  const before = await warmDetector({}, holdStore);
+  const skippedOrder = order({ sz: '0.3' });
+  const heldOrder = order({ sz: '0.4' });
+  assert.ok(!before.screen('order', skippedOrder, now));
+  assert.ok(!before.screen('order', heldOrder, now));
+  before.reject(`order-${skippedOrder.oid}`);
+  const followed = order();
+  assert.ok(before.screen('order', followed, now));
+  await new Promise(resolve => setImmediate(resolve));
+  before.stop();
+
+  const after = new AnomalyDetector(SETTINGS, holdStore, async () => 10000);
+  await after.start([MASTER]);
+  assert.deepStrictEqual(after.getStatus().held.map(f => f.id), [`order-${heldOrder.oid}`]);
+  // Updates of the skipped order stay dropped, orders already followed are not screened again
+  assert.ok(!after.screen('order', { ...skippedOrder, sz: '0.25' }, now));
+  assert.ok(after.screen('order', { ...followed, sz: '5' }, now));
+  assert.ok(!after.screen('order', order({ sz: '5' }), now));
+  const restored = [];
+  after.on('release', release => restored.push(release));
+  after.approve(`order-${heldOrder.oid}`);
+  assert.deepStrictEqual(restored, [{ kind: 'order', event: heldOrder }]);
+  after.stop();
+  console.log('PASS\n');
+
+  // --- Test 7: Reconnect sync ---
+  console.log('Test 7: The open-order sync rebalances the whitelist and skips held orders');
+  Object.assign(anomalyDetector, { enabled: true, store: new MemoryStore() });
+  anomalyDetector.blocked.set(String(skippedOrder.oid), 'skipped');
+  const executed = [];
+  const rebalanced = [];
+  const account = {
+    id: 'sync',
+    venue: { getOpenOrders: async () => [], getSymbol: coin => `${coin}USDT` },
+    orderStore: { get: async () => null },
+    orderExecutor: { executeOrder: async o => executed.push(o.oid) },
+    exposureManager: { checkAndRebalance: async (coin, master) => rebalanced.push([coin, master]) },
+    riskControl: { supportedCoins: new Set(['BTC', 'HYPE']) },
+    orderValidator: {}
+  };
+  const source = {
+    user: MASTER,
+    getOpenOrders: async () => [skippedOrder, order({ oid: 9001 })].map(({ status, userAddress, ...o }) => o)
+  };
+  await SignalSource.prototype.syncAccount.call(source, account);
+  assert.deepStrictEqual(executed, [9001]);
+  // The account's own whitelist is rebalanced before the sync
+  assert.deepStrictEqual(rebalanced, [['BTC', MASTER], ['HYPE', MASTER]]);
+  console.log('PASS\n');
+
+  console.log('=== All Anomaly Detector Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
@@ -17,7 +17,8 @@ async function runTests() {
   // Test 2: Permission Validation Mock
   console.log('Test 2: Permission Validation (Mock Success)');
   const mockClientSuccess = {
-    futuresAccountInfo: async () => ({ totalWalletBalance: '100' })
+    name: 'binance',
+    getAccountSummary: async () => ({ totalEquity: 100, walletBalance: 100, availableBalance: 100 })
   };
   await apiValidator.validateAPIPermissions(mockClientSuccess);
   console.log('PASS\n');
@@ -25,7 +26,8 @@ async function runTests() {
   // Test 3: Permission Validation Mock (Failure)
   console.log('Test 3: Permission Validation (Mock Failure)');
   const mockClientFail = {
-    futuresAccountInfo: async () => { throw new Error('Invalid API-key, IP, or permissions'); }
+    name: 'binance',
+    getAccountSummary: async () => { throw new Error('Invalid API-key, IP, or permissions'); }
   };
   try {
     await apiValidator.validateAPIPermissions(mockClientFail);
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const config = require('config');
+const BacktestRunner = require('../src/backtest/backtest-runner');
+const { eventsFromMessage } = require('../src/backtest/event-loader');
+
+const MASTER = '0xabc';
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+function settingsFor(trading) {
+  return {
+    trading: { ...config.get('trading'), ...trading },
+    riskControl: { supportedCoins: ['BTC', 'ETH'], maxSymbolNotional: 500000 }
+  };
+}
+
+const paper = { ...config.get('paper'), initialBalance: 10000, marketSlippageBps: 0 };
+
+function fill(time, coin, side, px, sz, crossed, extra = {}) {
+  return { coin, side, px: String(px), sz: String(sz), time, crossed, tid: time, ...extra };
+}
+
+function fillsMessage(fills) {
+  return { channel: 'userFills', data: { user: MASTER, fills } };
+}
+
+function orderMessage(status, order, statusTimestamp) {
+  return { channel: 'orderUpdates', data: [{ order, status, statusTimestamp, user: MASTER }] };
+}
+
+async function runTests() {
+  console.log('=== Starting Backtest Tests ===\n');
+
+  // --- Test 1: Recording messages become replay events ---
+  console.log('Test 1: Event loading');
+  assert.deepStrictEqual(eventsFromMessage({ channel: 'userFills', data: { isSnapshot: true, user: MASTER, fills: [fill(1, 'BTC', 'B', 1, 1, true)] } }), []);
+  const [order] = eventsFromMessage(orderMessage('open', { coin: 'BTC', side: 'A', limitPx: '52000', sz: '1', oid: 7, timestamp: 100 }, 200));
+  assert.strictEqual(order.kind, 'order');
+  assert.strictEqual(order.status, 'open');
+  assert.strictEqual(order.time, 200);
+  const [parsedFill] = eventsFromMessage(fillsMessage([fill(5, 'BTC', 'B', 50000, 1, true, { closedPnl: '3', fee: '1' })]));
+  assert.strictEqual(parsedFill.px, 50000);
+  assert.strictEqual(parsedFill.closedPnl, 3);
+  assert.strictEqual(parsedFill.userAddress, MASTER);
+  console.log('PASS\n');
+
+  // --- Test 2: Taker fills and limit orders in fixed mode ---
+  console.log('Test 2: Fixed mode replay');
+  const events = [
+    ...eventsFromMessage(fillsMessage([fill(1000, 'BTC', 'B', 50000, 1, true, { fee: '25' })])),
+    ...eventsFromMessage(orderMessage('open', { coin: 'BTC', side: 'A', limitPx: '52000', sz: '1', oid: 7, timestamp: 2000 }, 2000)),
+    ...eventsFromMessage(fillsMessage([fill(3000, 'BTC', 'A', 52000, 1, false, { closedPnl: '2000' })])),
+    ...eventsFromMessage(orderMessage('filled', { coin: 'BTC', side: 'A', limitPx: '52000', sz: '0', oid: 7, timestamp: 2000 }, 3000)),
+    // Not whitelisted
+    ...eventsFromMessage(fillsMessage([fill(4000, 'DOGE', 'B', 0.1, 1000, true)]))
+  ];
+
+  const fixed = new BacktestRunner({ settings: settingsFor({ mode: 'fixed', fixedRatio: 0.01 }), paper });
+  const report = await fixed.run(events);
+  assert.strictEqual(report.follower.trades, 2);
+  assert.ok(near(report.follower.realizedPnl, 0.01 * 2000));
+  assert.ok(near(report.follower.fees, 0.01 * 50000 * paper.takerFee + 0.01 * 52000 * paper.makerFee));
+  assert.ok(near(report.follower.pnl, report.follower.realizedPnl - report.follower.fees));
+  assert.strictEqual(report.follower.positions.length, 0);
+  assert.strictEqual(report.master.realizedPnl, 2000);
+  assert.strictEqual(report.skipped.COIN_NOT_SUPPORTED, 1);
+  assert.strictEqual(report.trackingError.maxUsd, 0);
+  console.log('PASS\n');
+
+  // --- Test 3: Orders below minOrderSize are rounded up and show as tracking error ---
+  console.log('Test 3: Min order size accounting');
+  const small = new BacktestRunner({ settings: settingsFor({ mode: 'fixed', fixedRatio: 0.001 }), paper });
+  const smallReport = await small.run(eventsFromMessage(fillsMessage([fill(1000, 'BTC', 'B', 50000, 1, true)])));
+  assert.strictEqual(smallReport.events.minSizeForced, 1);
+  assert.ok(near(smallReport.follower.positions[0].amount, config.get('trading.minOrderSize.BTC')));
+  // Target 0.001 BTC, holding the min size
+  assert.ok(near(smallReport.trackingError.maxUsd, (config.get('trading.minOrderSize.BTC') - 0.001) * 50000));
+  console.log('PASS\n');
+
+  // --- Test 4: Equal mode uses the simulated equity, synthetic orders for maker fills ---
+  console.log('Test 4: Equal mode with fill history');
+  const equal = new BacktestRunner({
+    settings: settingsFor({ mode: 'equal', equalRatio: 1 }),
+    paper,
+    masterEquity: 100000,
+    syntheticOrders: true
+  });
+  const equalReport = await equal.run([
+    ...eventsFromMessage(fillsMessage([fill(1000, 'ETH', 'B', 2000, 10, false)])),
+    ...eventsFromMessage(fillsMessage([fill(2000, 'ETH', 'A', 2100, 10, true)]))
+  ]);
+  // 10000 / 100000 equity ratio -> 1 ETH per 10 ETH
+  assert.strictEqual(equalReport.follower.trades, 2);
+  assert.ok(near(equalReport.follower.realizedPnl, 100));
+  // The close is sized on the grown equity (10100 -> 1.01 ETH), leaving a small short
+  assert.ok(near(equalReport.follower.positions[0].amount, -0.01));
+  assert.ok(equalReport.trackingError.maxUsd > 0);
+  console.log('PASS\n');
+
+  // --- Test 5: Master stops run on the simulated venue ---
+  console.log('Test 5: Trigger orders');
+  const stop = { coin: 'BTC', side: 'A', limitPx: '48000', sz: '1', oid: 9, timestamp: 2000, reduceOnly: true, isTrigger: true, triggerPx: '49000', orderType: 'Stop Market' };
+  const stopped = new BacktestRunner({ settings: settingsFor({ mode: 'fixed', fixedRatio: 0.01 }), paper });
+  const stopReport = await stopped.run([
+    ...eventsFromMessage(fillsMessage([fill(1000, 'BTC', 'B', 50000, 1, true)])),
+    ...eventsFromMessage(orderMessage('open', stop, 2000)),
+    // The fired stop trades as the master's taker fill, the follower's own stop closes it
+    ...eventsFromMessage(fillsMessage([fill(3000, 'BTC', 'A', 48900, 1, true, { oid: 9 })])),
+    ...eventsFromMessage(orderMessage('filled', { ...stop, sz: '0' }, 3000))
+  ]);
+  assert.strictEqual(stopReport.follower.trades, 2);
+  assert.strictEqual(stopReport.follower.positions.length, 0);
+  assert.ok(near(stopReport.follower.realizedPnl, -0.01 * 1100));
+  assert.strictEqual(stopReport.trackingError.maxUsd, 0);
+  assert.strictEqual(await stopped.account.positionTracker.getPendingDelta(MASTER, 'BTC'), 0);
+  console.log('PASS\n');
+
+  console.log('=== All Backtest Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
@@ -1,6 +1,6 @@
 const assert = require('assert');
-const positionCalculator = require('../src/core/position-calculator');
-const accountManager = require('../src/core/account-manager');
+const PositionCalculator = require('../src/core/position-calculator');
+const { createVenue } = require('../src/venues');
 const config = require('config');
 
 // Mock Data
@@ -9,15 +9,22 @@ const MOCK_HL_EQUITY = 100000; // 100k U
 const MOCK_BN_EQUITY = 500;    // 500 U
 
 // Mock AccountManager methods
-accountManager.getHyperliquidTotalEquity = async (address) => {
-  console.log(`[Mock] Getting HL Equity for ${address}`);
-  return MOCK_HL_EQUITY;
+const accountManager = {
+  getMasterTotalEquity: async (address) => {
+    console.log(`[Mock] Getting HL Equity for ${address}`);
+    return MOCK_HL_EQUITY;
+  },
+  getBinanceTotalEquity: async () => {
+    console.log(`[Mock] Getting Binance Equity`);
+    return MOCK_BN_EQUITY;
+  }
 };
 
-accountManager.getBinanceTotalEquity = async () => {
-  console.log(`[Mock] Getting Binance Equity`);
-  return MOCK_BN_EQUITY;
-};
+const positionCalculator = new PositionCalculator({
+  accountManager,
+  venue: createVenue({ type: 'binance', useTestnet: true }, 'test'),
+  settings: { trading: config.get('trading') }
+});
 
 async function runTests() {
   console.log('=== Starting Calculation Tests ===\n');
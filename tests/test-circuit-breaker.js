@@ -0,0 +1,120 @@
+const assert = require('assert');
+const MemoryStore = require('../src/backtest/memory-store');
+const CircuitBreaker = require('../src/core/circuit-breaker');
+const RiskControl = require('../src/core/risk-control');
+const { KillSwitch } = require('../src/core/kill-switch');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function runTests() {
+  console.log('=== Starting Circuit Breaker Tests ===\n');
+
+  const store = new MemoryStore();
+  let equity = 10000;
+  const sent = { canceled: [], market: [] };
+  const account = {
+    id: 'cb',
+    namespace: 'cb:',
+    accountManager: { getBinanceTotalEquity: async () => equity },
+    venue: {
+      getCoin: symbol => symbol.replace(/USDT$/, ''),
+      getOpenOrders: async () => [{ symbol: 'BTCUSDT', orderId: 21 }],
+      cancelOrder: async (symbol, orderId) => sent.canceled.push(orderId),
+      getPositions: async () => [{ symbol: 'BTCUSDT', amount: 0.2 }],
+      createMarketOrder: async (coin, side, quantity, reduceOnly) => sent.market.push({ coin, side, quantity, reduceOnly })
+    },
+    settings: {
+      riskControl: { circuitBreaker: { maxDailyLossPct: 5, maxDrawdownPct: 8, flatten: true, resetTimeUtc: '08:30' } }
+    }
+  };
+  const breaker = new CircuitBreaker(account, store);
+  const gate = new RiskControl({ supportedCoins: ['BTC'] }, {
+    accountId: 'cb', store: new MemoryStore(), circuitBreaker: breaker, killSwitch: new KillSwitch(new MemoryStore())
+  });
+  const entry = { source: 'limit', coin: 'BTC', side: 'B', quantity: 0.1, currentPos: 0.2 };
+  const reduce = { source: 'market', coin: 'BTC', side: 'A', quantity: 0.1, currentPos: 0.2 };
+  const now = Date.now();
+
+  // --- Test 1: Reset schedule ---
+  console.log('Test 1: Periods start at the configured UTC time');
+  assert.strictEqual(breaker.getPeriodStart(Date.UTC(2026, 0, 5, 10, 0)), Date.UTC(2026, 0, 5, 8, 30));
+  assert.strictEqual(breaker.getPeriodStart(Date.UTC(2026, 0, 5, 8, 29)), Date.UTC(2026, 0, 4, 8, 30));
+  assert.throws(() => new CircuitBreaker({ ...account, settings: { riskControl: { circuitBreaker: { maxDailyLossPct: 5, resetTimeUtc: '25:00' } } } }, store));
+  assert.strictEqual(new CircuitBreaker({ ...account, settings: { riskControl: {} } }, store).enabled, false);
+  console.log('PASS\n');
+
+  // --- Test 2: Daily loss ---
+  console.log('Test 2: Daily loss trips the breaker and flattens');
+  await breaker.check(now);
+  equity = 10500;
+  await breaker.check(now);
+  equity = 9700; // 3% below the start, 7.6% below the peak
+  await breaker.check(now);
+  assert.ok(!breaker.isTripped());
+  assert.ok((await gate.checkOrder(entry)).allowed);
+
+  equity = 9450;
+  await breaker.check(now);
+  assert.ok(breaker.isTripped());
+  assert.match(breaker.getStatus().reason, /Daily loss 5\.50%/);
+  assert.deepStrictEqual(sent, { canceled: [21], market: [{ coin: 'BTC', side: 'A', quantity: 0.2, reduceOnly: true }] });
+  assert.strictEqual((await gate.checkOrder(entry)).reason, 'CIRCUIT_BREAKER');
+  assert.ok((await gate.checkOrder(reduce)).allowed);
+  // Tripped once, not again on every check
+  await breaker.check(now);
+  assert.strictEqual(sent.market.length, 1);
+  console.log('PASS\n');
+
+  // --- Test 3: Persistence and the next period ---
+  console.log('Test 3: The trip survives a restart and clears in the next period');
+  const restarted = new CircuitBreaker(account, store);
+  await restarted.start();
+  restarted.stop();
+  assert.ok(restarted.isTripped());
+  assert.strictEqual(restarted.getStatus().startEquity, 10000);
+  assert.strictEqual(restarted.getStatus().peakEquity, 10500);
+
+  equity = 9700; // Back within 8% of the peak
+  await breaker.check(now + DAY_MS);
+  assert.ok(!breaker.isTripped());
+  assert.strictEqual(breaker.getStatus().startEquity, 9700);
+  assert.strictEqual(breaker.getStatus().peakEquity, 10500);
+  assert.ok((await gate.checkOrder(entry)).allowed);
+  console.log('PASS\n');
+
+  // --- Test 4: Drawdown and manual reset ---
+  console.log('Test 4: Drawdown from the peak, manual reset');
+  equity = 11000;
+  await breaker.check(now + DAY_MS);
+  equity = 10100; // 8.2% below the peak, still above the period start
+  await breaker.check(now + DAY_MS);
+  assert.ok(breaker.isTripped());
+  assert.match(breaker.getStatus().reason, /Drawdown 8\.18%/);
+
+  const status = await breaker.manualReset();
+  assert.strictEqual(status.tripped, false);
+  assert.strictEqual(status.peakEquity, 10100);
+  assert.strictEqual(gate.getStatus().rejectionCounts.CIRCUIT_BREAKER, 1);
+  console.log('PASS\n');
+
+  // --- Test 5: Drawdown across periods ---
+  console.log('Test 5: The peak carries over into the next periods');
+  equity = 9800; // 3% below the peak
+  await breaker.check(now + DAY_MS);
+  assert.ok(!breaker.isTripped());
+  equity = 9250; // Another 5.6% lost the next day, 8.4% below the peak
+  await breaker.check(now + 2 * DAY_MS);
+  assert.strictEqual(breaker.getStatus().startEquity, 9250);
+  assert.strictEqual(breaker.getStatus().peakEquity, 10100);
+  assert.ok(breaker.isTripped());
+  assert.match(breaker.getStatus().reason, /Drawdown 8\.42%/);
+  console.log('PASS\n');
+
+  console.log('=== All Circuit Breaker Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+const assert = require('assert');
+const MemoryStore = require('../src/backtest/memory-store');
+const RiskControl = require('../src/core/risk-control');
+const { KillSwitch } = require('../src/core/kill-switch');
+
+/**
+ * Follower venue with resting orders and positions, recording what the kill switch sends
+ */
+function fakeAccount(id) {
+  const sent = { canceled: [], market: [] };
+  const venue = {
+    getCoin: symbol => symbol.replace(/USDT$/, ''),
+    getOpenOrders: async () => [{ symbol: 'BTCUSDT', orderId: 11 }, { symbol: 'ETHUSDT', orderId: 12 }],
+    cancelOrder: async (symbol, orderId) => sent.canceled.push(orderId),
+    getPositions: async () => [{ symbol: 'BTCUSDT', amount: 0.05 }, { symbol: 'ETHUSDT', amount: -2 }],
+    createMarketOrder: async (coin, side, quantity, reduceOnly) => sent.market.push({ coin, side, quantity, reduceOnly })
+  };
+  return { account: { id, venue }, sent };
+}
+
+async function runTests() {
+  console.log('=== Starting Kill Switch Tests ===\n');
+
+  const store = new MemoryStore();
+  const killSwitch = new KillSwitch(store);
+  const gate = new RiskControl({ supportedCoins: ['BTC', 'ETH'] }, { accountId: 'ks', store: new MemoryStore(), killSwitch });
+  const { account, sent } = fakeAccount('main');
+  await killSwitch.start([account]);
+  killSwitch.stop();
+
+  const entry = { source: 'limit', coin: 'BTC', side: 'B', quantity: 0.01, currentPos: 0.05 };
+  const reduce = { source: 'market', coin: 'BTC', side: 'A', quantity: 0.05, currentPos: 0.05 };
+  const flip = { source: 'market', coin: 'BTC', side: 'A', quantity: 0.08, currentPos: 0.05 };
+  const tp = { source: 'exposure', coin: 'BTC', side: 'A', quantity: 0.02, reduceOnly: true };
+
+  // --- Test 1: Pause ---
+  console.log('Test 1: Pause only lets positions shrink');
+  assert.strictEqual(killSwitch.getLevel(), 'off');
+  assert.ok((await gate.checkOrder(entry)).allowed);
+  await killSwitch.set('pause', { reason: 'test', source: 'test' });
+  assert.strictEqual((await gate.checkOrder(entry)).reason, 'EMERGENCY_STOP');
+  assert.ok((await gate.checkOrder(reduce)).allowed);
+  assert.ok((await gate.checkOrder(tp)).allowed);
+  assert.strictEqual((await gate.checkOrder(flip)).reason, 'EMERGENCY_STOP');
+  await killSwitch.applying;
+  assert.deepStrictEqual(sent, { canceled: [], market: [] });
+  console.log('PASS\n');
+
+  // --- Test 2: Cancel, set by another process ---
+  console.log('Test 2: Cancel is picked up from the store and cancels every order');
+  const cli = new KillSwitch(store);
+  await cli.set('cancel', { reason: 'maintenance', source: 'cli' });
+  await killSwitch.load();
+  await killSwitch.applying;
+  assert.deepStrictEqual(killSwitch.getState(), { level: 'cancel', reason: 'maintenance', source: 'cli', updatedAt: cli.getState().updatedAt });
+  assert.deepStrictEqual(sent.canceled, [11, 12]);
+  assert.deepStrictEqual(sent.market, []);
+  assert.strictEqual((await gate.checkOrder(tp)).reason, 'EMERGENCY_STOP');
+  // Reading the same state again does not cancel again
+  await killSwitch.load();
+  await killSwitch.applying;
+  assert.strictEqual(sent.canceled.length, 2);
+  console.log('PASS\n');
+
+  // --- Test 3: Flatten ---
+  console.log('Test 3: Flatten closes positions with reduce-only market orders');
+  await killSwitch.set('flatten', { source: 'api' });
+  await killSwitch.applying;
+  assert.deepStrictEqual(sent.canceled, [11, 12, 11, 12]);
+  assert.deepStrictEqual(sent.market, [
+    { coin: 'BTC', side: 'A', quantity: 0.05, reduceOnly: true },
+    { coin: 'ETH', side: 'B', quantity: 2, reduceOnly: true }
+  ]);
+  console.log('PASS\n');
+
+  // --- Test 4: Restart and resume ---
+  console.log('Test 4: The level survives a restart, off resumes');
+  const restarted = new KillSwitch(store);
+  const { account: restartedAccount, sent: restartedSent } = fakeAccount('main');
+  await restarted.start([restartedAccount]);
+  restarted.stop();
+  await restarted.applying;
+  assert.strictEqual(restarted.getLevel(), 'flatten');
+  assert.strictEqual(restartedSent.market.length, 2);
+
+  await assert.rejects(() => killSwitch.set('panic'), err => err.status === 400);
+  await killSwitch.set('off', { source: 'api' });
+  assert.ok((await gate.checkOrder(entry)).allowed);
+  assert.deepStrictEqual(gate.getStatus().rejectionCounts, { EMERGENCY_STOP: 3 });
+  console.log('PASS\n');
+
+  console.log('=== All Kill Switch Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
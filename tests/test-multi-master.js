@@ -0,0 +1,74 @@
+const assert = require('assert');
+const masterRegistry = require('../src/core/master-registry');
+const config = require('config');
+const PositionCalculator = require('../src/core/position-calculator');
+const { createVenue } = require('../src/venues');
+
+// Mock AccountManager methods
+const accountManager = {
+  getMasterTotalEquity: async () => 100000,
+  getBinanceTotalEquity: async () => 500
+};
+
+const positionCalculator = new PositionCalculator({
+  accountManager,
+  venue: createVenue({ type: 'binance', useTestnet: true }, 'test'),
+  settings: { trading: config.get('trading') }
+});
+
+async function runTests() {
+  console.log('=== Starting Multi-Master Tests ===\n');
+
+  // --- Test 1: Plain addresses split capital equally ---
+  console.log('Test 1: Equal split for plain addresses');
+  const equal = masterRegistry.normalize(['0xAAA', '0xBBB']);
+  assert.deepStrictEqual(equal, [
+    { address: '0xaaa', allocation: 0.5, source: 'hyperliquid', options: {} },
+    { address: '0xbbb', allocation: 0.5, source: 'hyperliquid', options: {} }
+  ]);
+  console.log('PASS\n');
+
+  // --- Test 2: Explicit allocation, remainder shared ---
+  console.log('Test 2: Explicit allocation with remainder');
+  const mixed = masterRegistry.normalize([{ address: '0xAAA', allocation: 60 }, '0xBBB', '0xCCC']);
+  assert.strictEqual(mixed[0].allocation, 0.6);
+  assert.strictEqual(mixed[1].allocation, 0.2);
+  assert.strictEqual(mixed[2].allocation, 0.2);
+  console.log('PASS\n');
+
+  // --- Test 3: Sizing is scaled by allocation ---
+  console.log('Test 3: Fixed mode sizing scaled by allocation');
+  masterRegistry.masters = mixed;
+  positionCalculator.mode = 'fixed';
+  positionCalculator.fixedRatio = 0.1;
+  // 1.0 BTC * 0.1 * 60% = 0.06 BTC
+  const qty1 = await positionCalculator.calculateQuantity('BTC', 1.0, '0xaaa');
+  assert.strictEqual(qty1, 0.06);
+  // 1.0 BTC * 0.1 * 20% = 0.02 BTC
+  const qty2 = await positionCalculator.calculateQuantity('BTC', 1.0, '0xBBB');
+  assert.strictEqual(qty2, 0.02);
+  console.log('PASS\n');
+
+  // --- Test 4: Reverse sizing uses the owning master's allocation ---
+  console.log('Test 4: Reverse calculation per master');
+  const masterSize = await positionCalculator.getReversedMasterSize(0.06, '0xaaa');
+  assert.ok(Math.abs(masterSize - 1.0) < 1e-9);
+  console.log('PASS\n');
+
+  // --- Test 5: Equal mode uses the allocated share of follower equity ---
+  console.log('Test 5: Equal mode sizing scaled by allocation');
+  positionCalculator.mode = 'equal';
+  positionCalculator.equalRatio = 20;
+  // 1.0 BTC * (500 * 60% / 100000) * 20 = 0.06 BTC
+  const qty3 = await positionCalculator.calculateQuantity('BTC', 1.0, '0xaaa');
+  assert.strictEqual(qty3, 0.06);
+  console.log('PASS\n');
+
+  console.log('=== All Multi-Master Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
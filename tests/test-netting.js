@@ -0,0 +1,215 @@
+const assert = require('assert');
+const FollowerAccount = require('../src/core/follower-account');
+const followerRegistry = require('../src/core/follower-registry');
+const MemoryStore = require('../src/backtest/memory-store');
+
+const account = new FollowerAccount(followerRegistry.getSettings()[0]);
+const {
+  venue: binanceClient, orderExecutor, positionTracker,
+  orderStore, exposureManager, subBook, positionCalculator, riskControl
+} = account;
+const { fillKey } = require('../src/core/order-executor');
+const RiskControl = require('../src/core/risk-control');
+const { KillSwitch } = require('../src/core/kill-switch');
+
+// Mock exchange and persistence
+const sentOrders = [];
+const bookedFills = [];
+binanceClient.getPosition = async () => 0;
+binanceClient.getPositions = async () => [];
+binanceClient.getAccountSummary = async () => ({ totalEquity: 100000 });
+binanceClient.createMarketOrder = async (coin, side, quantity) => {
+  sentOrders.push({ coin, side, quantity });
+  return { orderId: 1000 + sentOrders.length, avgPrice: '50000' };
+};
+positionTracker.addPendingDelta = async () => {};
+positionTracker.consumePendingDelta = async () => {};
+orderStore.store = new MemoryStore();
+exposureManager.checkAndRebalance = async () => {};
+subBook.applyFill = async (master, coin, signedQuantity, price) => {
+  bookedFills.push({ master, coin, signedQuantity, price });
+};
+
+const plan = (master, side, quantity, px) => ({
+  fillId: `fill:${master}:BTC:${Date.now()}:${quantity}`,
+  coin: 'BTC', side, userAddress: master, px, timestamp: Date.now(), type: 'market',
+  masterOrderSize: quantity * 10,
+  signedMasterOrderSize: side === 'B' ? quantity * 10 : -quantity * 10,
+  signedTotalSize: side === 'B' ? quantity * 10 : -quantity * 10,
+  absTotalSize: quantity * 10,
+  currentPos: 0,
+  quantity
+});
+
+async function runTests() {
+  console.log('=== Starting Netting Tests ===\n');
+
+  // --- Test 1: Sub-book average cost accounting ---
+  console.log('Test 1: Sub-book average cost and realized PnL');
+  let book = { position: 0, entryPrice: 0, realizedPnl: 0 };
+  book = subBook.applyToBook(book, 0.1, 100);
+  book = subBook.applyToBook(book, 0.1, 200);
+  assert.strictEqual(book.entryPrice, 150);
+  book = subBook.applyToBook(book, -0.3, 250);
+  // Closed 0.2 @ 250 vs 150 entry = +20, flipped short 0.1 @ 250
+  assert.ok(Math.abs(book.realizedPnl - 20) < 1e-9);
+  assert.ok(Math.abs(book.position + 0.1) < 1e-9);
+  assert.strictEqual(book.entryPrice, 250);
+  console.log('PASS\n');
+
+  // --- Test 2: Opposing masters send only the net difference ---
+  console.log('Test 2: Net order for opposing masters');
+  await orderExecutor.executeNettedMarketOrders('BTC', [
+    plan('0xaaa', 'B', 0.05, '49990'),
+    plan('0xbbb', 'A', 0.03, '50010')
+  ]);
+  assert.strictEqual(sentOrders.length, 1);
+  assert.deepStrictEqual(sentOrders[0], { coin: 'BTC', side: 'B', quantity: 0.02 });
+  console.log('PASS\n');
+
+  // --- Test 3: Each master is still booked to its own sub-book at one price ---
+  console.log('Test 3: Sub-book attribution per master');
+  assert.strictEqual(bookedFills.length, 2);
+  assert.deepStrictEqual(bookedFills[0], { master: '0xaaa', coin: 'BTC', signedQuantity: 0.05, price: 50000 });
+  assert.deepStrictEqual(bookedFills[1], { master: '0xbbb', coin: 'BTC', signedQuantity: -0.03, price: 50000 });
+  console.log('PASS\n');
+
+  // --- Test 4: Fully offsetting fills never reach Binance ---
+  console.log('Test 4: Fully netted fills');
+  bookedFills.length = 0;
+  await orderExecutor.executeNettedMarketOrders('BTC', [
+    plan('0xaaa', 'B', 0.03, '100'),
+    plan('0xbbb', 'A', 0.03, '102')
+  ]);
+  assert.strictEqual(sentOrders.length, 1, 'No new Binance order expected');
+  assert.strictEqual(bookedFills.length, 2);
+  assert.ok(Math.abs(bookedFills[0].price - 101) < 1e-9);
+  assert.strictEqual(bookedFills[1].price, bookedFills[0].price);
+  console.log('PASS\n');
+
+  // --- Test 5: Master fills are followed once per trade id ---
+  console.log('Test 5: Fill identity');
+  positionTracker.getTotalExecutionSize = async (master, coin, size) => size;
+  positionCalculator.calculateQuantity = async (coin, size) => size / 10;
+  riskControl.checkPositionLimit = async () => null;
+  const now = Date.now();
+  const fill = (tid, fields = {}) => ({
+    type: 'fill', coin: 'BTC', side: 'B', px: '50000', sz: '0.1', timestamp: now, crossed: true,
+    userAddress: '0xaaa', oid: 77, tid, hash: '0xhash', ...fields
+  });
+  // Two fills of one taker order, same size in the same millisecond
+  await orderExecutor.executeMarketOrder(fill(501));
+  await orderExecutor.executeMarketOrder(fill(502));
+  await orderExecutor.executeMarketOrder(fill(501)); // Delivered again
+  assert.strictEqual(sentOrders.length, 3);
+  const record = await orderStore.get('fill:0xaaa:BTC:501');
+  assert.strictEqual(record.masterTid, '501');
+  assert.strictEqual(record.masterHash, '0xhash');
+  assert.strictEqual(record.masterOid, '77');
+  // The same fill queued twice in one netting window is claimed once
+  assert.ok(await orderExecutor.planMarketOrder(fill(504)));
+  assert.strictEqual(await orderExecutor.planMarketOrder(fill(504)), null);
+
+  // A fill the venue rejected is booked as pending delta, a fill that failed to plan can be retried
+  const deferred = [];
+  const { addPendingDelta, getTotalExecutionSize } = positionTracker;
+  const { createMarketOrder } = binanceClient;
+  positionTracker.addPendingDelta = async (master, coin, signed) => deferred.push([master, coin, signed]);
+  binanceClient.createMarketOrder = async () => { throw new Error('Service unavailable'); };
+  await orderExecutor.executeMarketOrder(fill(505));
+  await orderExecutor.executeNettedMarketOrders('BTC', [plan('0xaaa', 'B', 0.05, '50000'), plan('0xbbb', 'A', 0.02, '50000')]);
+  assert.deepStrictEqual(deferred, [['0xaaa', 'BTC', 0.1], ['0xaaa', 'BTC', 0.5], ['0xbbb', 'BTC', -0.2]]);
+  assert.strictEqual(await orderStore.get('fill:0xaaa:BTC:505'), null);
+  binanceClient.createMarketOrder = createMarketOrder;
+  positionTracker.addPendingDelta = addPendingDelta;
+
+  positionTracker.getTotalExecutionSize = async () => { throw new Error('Redis timeout'); };
+  await orderExecutor.executeMarketOrder(fill(506));
+  positionTracker.getTotalExecutionSize = getTotalExecutionSize;
+  const sentBeforeRetry = sentOrders.length;
+  await orderExecutor.executeMarketOrder(fill(506));
+  assert.strictEqual(sentOrders.length, sentBeforeRetry + 1);
+  // Sources without trade ids keep the time and size key
+  assert.strictEqual(fillKey(fill(undefined)), `fill:0xaaa:BTC:${now}:0.1`);
+  console.log('PASS\n');
+
+  // --- Test 6: Pre-trade risk gate ---
+  console.log('Test 6: Risk gate reason codes');
+  const killSwitch = new KillSwitch(new MemoryStore());
+  const gateVenue = { getCoin: symbol => symbol.replace(/USDT$/, ''), getPositions: async () => [] };
+  const gate = new RiskControl({ supportedCoins: ['BTC'], maxSymbolNotional: 5000 }, { accountId: 'gate', namespace: 'gate:', venue: gateVenue, store: new MemoryStore(), killSwitch });
+  assert.deepStrictEqual(await gate.checkOrder({ source: 'limit', coin: 'BTC', side: 'B', quantity: 0.05, price: '50000', currentPos: 0.02 }), { allowed: true });
+  assert.strictEqual((await gate.checkOrder({ source: 'limit', coin: 'DOGE', side: 'B', quantity: 1 })).reason, 'COIN_NOT_SUPPORTED');
+  assert.strictEqual((await gate.checkOrder({ source: 'market', coin: 'BTC', side: 'B', quantity: 0.05, price: '50000', currentPos: 0.08 })).reason, 'SYMBOL_NOTIONAL');
+  // Reducing orders are not held to the exposure limits
+  assert.ok((await gate.checkOrder({ source: 'exposure', coin: 'BTC', side: 'A', quantity: 0.05, currentPos: 0.08, reduceOnly: true })).allowed);
+  await killSwitch.set('cancel');
+  assert.strictEqual((await gate.checkOrder({ source: 'exposure', coin: 'BTC', side: 'A', quantity: 0.05, reduceOnly: true })).reason, 'EMERGENCY_STOP');
+  await killSwitch.set('off');
+  assert.deepStrictEqual(gate.getStatus().rejectionCounts, { COIN_NOT_SUPPORTED: 1, SYMBOL_NOTIONAL: 1, EMERGENCY_STOP: 1 });
+  assert.deepStrictEqual((await gate.getRejections()).map(r => [r.reason, r.source]), [
+    ['EMERGENCY_STOP', 'exposure'], ['SYMBOL_NOTIONAL', 'market'], ['COIN_NOT_SUPPORTED', 'limit']
+  ]);
+
+  // Every execution path asks the gate: nothing is sent while the emergency stop is on
+  riskControl.store = new MemoryStore();
+  riskControl.killSwitch = killSwitch;
+  await killSwitch.set('pause');
+  const sentBefore = sentOrders.length;
+  await orderExecutor.executeMarketOrder(fill(503));
+  await orderExecutor.executeNettedMarketOrders('BTC', [plan('0xaaa', 'B', 0.05, '50000')]);
+  assert.strictEqual(sentOrders.length, sentBefore);
+  assert.deepStrictEqual(riskControl.getStatus().recentRejections.map(r => r.source), ['netted', 'market']);
+  await killSwitch.set('off');
+
+  // The gate sees the netted order after the min size bump
+  const checked = [];
+  const checkOrder = riskControl.checkOrder;
+  riskControl.checkOrder = async order => (checked.push(order.quantity), { allowed: false, reason: 'TEST' });
+  positionCalculator.getMinOrderSize = () => 0.002;
+  await orderExecutor.executeNettedMarketOrders('BTC', [plan('0xaaa', 'B', 0.001, '50000')]);
+  assert.deepStrictEqual(checked, [0.002]);
+  riskControl.checkOrder = checkOrder;
+  console.log('PASS\n');
+
+  // --- Test 7: Exposure limits at mark prices ---
+  console.log('Test 7: Notional, net exposure and leverage limits');
+  let equity = 5000;
+  let positionsError = null;
+  const exposureVenue = {
+    getCoin: symbol => symbol.replace(/USDT$/, ''),
+    getPositions: async () => {
+      if (positionsError) throw positionsError;
+      return [{ symbol: 'ETHUSDT', amount: 2, markPrice: 3000 }, { symbol: 'SOLUSDT', amount: -50, markPrice: 100 }];
+    },
+    getAccountSummary: async () => ({ totalEquity: equity })
+  };
+  const limits = new RiskControl({
+    supportedCoins: ['BTC', 'ETH', 'SOL'],
+    maxSymbolNotional: { default: 10000, BTC: 20000 },
+    maxGrossNotional: 16000,
+    maxNetNotional: 5000,
+    maxLeverage: 4
+  }, { accountId: 'limits', venue: exposureVenue, store: new MemoryStore(), killSwitch });
+  const btc = (side, quantity) => limits.checkOrder({ source: 'limit', coin: 'BTC', side, quantity, price: '50000', currentPos: 0 });
+  // ETH +6000, SOL -5000: a 5000 long takes the net to 6000, the same short to -4000
+  assert.strictEqual((await btc('B', 0.1)).reason, 'NET_EXPOSURE');
+  assert.ok((await btc('A', 0.1)).allowed);
+  assert.strictEqual((await btc('A', 0.12)).reason, 'GROSS_NOTIONAL');
+  // Priced at the mark and sized from the held position when the caller has neither
+  assert.strictEqual((await limits.checkOrder({ source: 'market', coin: 'ETH', side: 'B', quantity: 2 })).reason, 'SYMBOL_NOTIONAL');
+  assert.ok((await limits.checkOrder({ source: 'market', coin: 'ETH', side: 'A', quantity: 1 })).allowed);
+  equity = 3000;
+  assert.strictEqual((await btc('A', 0.1)).reason, 'LEVERAGE');
+  positionsError = new Error('timeout');
+  assert.strictEqual((await btc('A', 0.01)).reason, 'EXPOSURE_UNAVAILABLE');
+  console.log('PASS\n');
+
+  console.log('=== All Netting Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
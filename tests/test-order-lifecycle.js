@@ -0,0 +1,93 @@
+const assert = require('assert');
+const config = require('config');
+const { createVenue } = require('../src/venues');
+const MemoryStore = require('../src/backtest/memory-store');
+const PositionTracker = require('../src/core/position-tracker');
+const OrderStore = require('../src/core/order-store');
+const OrderLifecycle = require('../src/core/order-lifecycle');
+const OrderExecutor = require('../src/core/order-executor');
+
+const MASTER = '0xmaster';
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+async function runTests() {
+  console.log('=== Starting Order Lifecycle Tests ===\n');
+
+  const store = new MemoryStore();
+  const positionTracker = new PositionTracker('lifecycle:', store);
+  const orderStore = new OrderStore('lifecycle:', store);
+  const lifecycle = new OrderLifecycle({ orderStore, positionTracker }, store);
+  const delta = () => positionTracker.getPendingDelta(MASTER, 'BTC');
+  const master = (fields) => ({ coin: 'BTC', side: 'B', limitPx: '60000', origSz: '1.0', oid: 7, status: 'open', ...fields });
+
+  // Master buys 1.0 @ 60000, the follower mirrors 0.1
+  await lifecycle.open(7, { coin: 'BTC', side: 'B', master: MASTER, price: '60000', sz: '1.0', origSz: '1.0', followerQty: 0.1 });
+
+  // --- Test 1: Partial fills of both sides feed the pending delta ---
+  console.log('Test 1: Partial fills booked in master units');
+  assert.strictEqual(await lifecycle.recordFollowerFill(7, 0.03), true);
+  assert.ok(near(await delta(), -0.3)); // Follower ahead
+  const progress = await lifecycle.recordMasterUpdate(7, master({ sz: '0.6' }));
+  assert.strictEqual(progress.modified, false);
+  assert.ok(near(progress.filled, 0.4));
+  assert.ok(near(await delta(), 0.1)); // Master filled 0.4, follower 0.03 (= 0.3)
+
+  // Repeated updates do not count twice
+  assert.strictEqual((await lifecycle.recordMasterUpdate(7, master({ sz: '0.6' }))).filled, 0);
+  assert.ok(near(await delta(), 0.1));
+  console.log('PASS\n');
+
+  // --- Test 2: Price or size changes are modifications, not fills ---
+  console.log('Test 2: Modifications');
+  const moved = await lifecycle.recordMasterUpdate(7, master({ sz: '0.6', limitPx: '59900' }));
+  assert.strictEqual(moved.modified, true);
+  const resized = await lifecycle.recordMasterUpdate(7, master({ sz: '0.5', origSz: '0.9' }));
+  assert.strictEqual(resized.modified, true);
+  assert.ok(near(await delta(), 0.1));
+  // The replacement follower order is sized for the remaining 0.5
+  await lifecycle.replace(7, { price: '59900', followerQty: 0.05 });
+  assert.ok(near((await lifecycle.get(7)).ratio, 0.1));
+  console.log('PASS\n');
+
+  // --- Test 3: Final fills settle; untracked orders are left to orphan handling ---
+  console.log('Test 3: Completion');
+  await lifecycle.recordMasterUpdate(7, master({ status: 'filled', sz: '0.0', origSz: '0.9', limitPx: '59900' }));
+  await lifecycle.recordFollowerFill(7, 0.05);
+  const state = await lifecycle.get(7);
+  assert.ok(near(state.masterFilled, 0.9));
+  assert.ok(near(state.followerFilled, 0.08));
+  assert.ok(near(await delta(), 0.1)); // Only the fill lag before the replace is left
+  assert.strictEqual(await lifecycle.recordFollowerFill(99, 0.01), false);
+  assert.strictEqual(await lifecycle.recordMasterUpdate(99, master({ oid: 99, sz: '0.1' })), null);
+  console.log('PASS\n');
+
+  // --- Test 4: Follower order shrunk in place after a master partial fill ---
+  console.log('Test 4: Proportional follower reduction');
+  const venue = createVenue({ ...config.get('paper'), type: 'paper', fundingIntervalMs: 0 }, 'lifecycle-paper');
+  venue.setPrice('BTC', 60500);
+  const followerOrder = await venue.createLimitOrder('BTC', 'B', 60000, 0.1);
+  const executor = new OrderExecutor({ id: 'lifecycle', namespace: 'lifecycle:', settings: { trading: config.get('trading') }, venue, orderLifecycle: lifecycle });
+  const record = { venueOrderId: followerOrder.orderId, symbol: 'BTCUSDT' };
+
+  await lifecycle.open(8, { coin: 'BTC', side: 'B', master: MASTER, price: '60000', sz: '1.0', followerQty: 0.1 });
+  const partial = await lifecycle.recordMasterUpdate(8, master({ oid: 8, sz: '0.6' }));
+  await executor.reduceFollowerOrder(master({ oid: 8, sz: '0.6' }), record, partial.state);
+  const amended = await venue.getOrder('BTCUSDT', followerOrder.orderId);
+  assert.strictEqual(amended.orderId, followerOrder.orderId);
+  assert.strictEqual(amended.origQty, 0.06);
+  assert.strictEqual((await lifecycle.get(8)).followerQty, 0.06);
+
+  // Never below the venue minimum
+  const tail = await lifecycle.recordMasterUpdate(8, master({ oid: 8, sz: '0.001' }));
+  await executor.reduceFollowerOrder(master({ oid: 8, sz: '0.001' }), record, tail.state);
+  assert.strictEqual((await venue.getOrder('BTCUSDT', followerOrder.orderId)).origQty, venue.getMinQuantity('BTC', 60000));
+  console.log('PASS\n');
+
+  console.log('=== All Order Lifecycle Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
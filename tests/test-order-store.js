@@ -0,0 +1,116 @@
+const assert = require('assert');
+const MemoryStore = require('../src/backtest/memory-store');
+const PositionTracker = require('../src/core/position-tracker');
+const ConsistencyEngine = require('../src/core/consistency-engine');
+const OrderStore = require('../src/core/order-store');
+
+const { STATES } = OrderStore;
+const MASTER = '0xmaster';
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+async function runTests() {
+  console.log('=== Starting Order Store Tests ===\n');
+
+  const store = new MemoryStore();
+  const orderStore = new OrderStore('store:', store);
+  const positionTracker = new PositionTracker('store:', store);
+  const consistencyEngine = new ConsistencyEngine({
+    namespace: 'store:',
+    orderStore,
+    positionTracker,
+    positionCalculator: { getReversedMasterSize: async size => size * 10 }
+  });
+  const fields = { type: 'limit', coin: 'BTC', side: 'B', master: MASTER, masterStatus: 'open', symbol: 'BTCUSDT' };
+
+  // --- Test 1: Orders are claimed once ---
+  console.log('Test 1: Claiming orders');
+  const claims = await Promise.all([orderStore.create(1, fields), orderStore.create(1, fields)]);
+  assert.deepStrictEqual(claims, [true, false]);
+  assert.strictEqual((await orderStore.get(1)).state, STATES.PENDING_SUBMIT);
+  // Skipped orders release their claim and can be handled again
+  await orderStore.release(1);
+  assert.strictEqual(await orderStore.get(1), null);
+  assert.strictEqual(await orderStore.create(1, fields), true);
+  console.log('PASS\n');
+
+  // --- Test 2: Transitions are validated and logged ---
+  console.log('Test 2: Transitions and event log');
+  await orderStore.submitted(1, { orderId: 501, status: 'NEW' });
+  assert.strictEqual((await orderStore.findByVenueOrder(501)).state, STATES.OPEN);
+  await orderStore.applyVenueStatus(1, 'PARTIALLY_FILLED', { type: 'follower_fill', qty: 0.01 });
+  await orderStore.transition(1, STATES.CANCEL_PENDING);
+  // A fill during the cancel does not end it
+  await orderStore.applyVenueStatus(1, 'PARTIALLY_FILLED', { type: 'follower_fill', qty: 0.01 });
+  assert.strictEqual((await orderStore.get(1)).state, STATES.CANCEL_PENDING);
+  await orderStore.transition(1, STATES.CANCELED);
+  assert.strictEqual(await orderStore.transition(1, STATES.OPEN), null);
+  assert.strictEqual((await orderStore.get(1)).state, STATES.CANCELED);
+  const events = await orderStore.getEvents(1);
+  assert.deepStrictEqual(events.map(e => e.to), [
+    'PENDING_SUBMIT', 'OPEN', 'PARTIALLY_FILLED', 'CANCEL_PENDING', 'CANCEL_PENDING', 'CANCELED'
+  ]);
+  assert.strictEqual(events[2].qty, 0.01);
+  // Settled orders are not claimed again
+  assert.strictEqual(await orderStore.create(1, fields), false);
+  console.log('PASS\n');
+
+  // --- Test 3: Follower filled before the master is orphaned until the master fills ---
+  console.log('Test 3: Orphaned orders');
+  await orderStore.create(2, { ...fields, type: 'trigger' });
+  await orderStore.submitted(2, { orderId: 502, status: 'NEW' });
+  await orderStore.applyVenueStatus(2, 'FILLED');
+  await consistencyEngine.recordOrphanFill(2, { coin: 'BTC', side: 'B', size: 0.01, price: 60000, masterAddress: MASTER });
+  assert.strictEqual((await orderStore.get(2)).state, STATES.ORPHANED);
+  assert.ok(near(await positionTracker.getPendingDelta(MASTER, 'BTC'), -0.1));
+
+  await consistencyEngine.handleHyperliquidFill(2);
+  assert.strictEqual((await orderStore.get(2)).state, STATES.FILLED);
+  assert.ok(near(await positionTracker.getPendingDelta(MASTER, 'BTC'), 0));
+
+  // Master filled first: the follower fill completes the order, nothing is ahead
+  await orderStore.create(3, fields);
+  await orderStore.submitted(3, { orderId: 503, status: 'NEW' });
+  await consistencyEngine.handleHyperliquidFill(3);
+  await orderStore.applyVenueStatus(3, 'FILLED');
+  await consistencyEngine.recordOrphanFill(3, { coin: 'BTC', side: 'B', size: 0.01, price: 60000, masterAddress: MASTER });
+  assert.strictEqual((await orderStore.get(3)).state, STATES.FILLED);
+  assert.ok(near(await positionTracker.getPendingDelta(MASTER, 'BTC'), 0));
+  console.log('PASS\n');
+
+  // --- Test 4: Failed submits can be retried; queries ---
+  console.log('Test 4: Failures and queries');
+  await orderStore.create(4, { ...fields, coin: 'ETH', symbol: 'ETHUSDT' });
+  await orderStore.fail(4, new Error('Timeout'));
+  assert.strictEqual((await orderStore.get(4)).reason, 'Timeout');
+  assert.strictEqual(await orderStore.create(4, { ...fields, coin: 'ETH', symbol: 'ETHUSDT' }), true);
+  await orderStore.submitted(4, { orderId: 504, status: 'NEW' });
+  assert.strictEqual((await orderStore.get(4)).reason, '');
+
+  assert.deepStrictEqual((await orderStore.getActive()).map(o => o.oid), ['4']);
+  assert.deepStrictEqual((await orderStore.query({ states: [STATES.FILLED] })).map(o => o.oid).sort(), ['2', '3']);
+  assert.deepStrictEqual((await orderStore.query({ coin: 'ETH' })).map(o => o.oid), ['4']);
+  console.log('PASS\n');
+
+  // --- Test 5: Mappings of older versions are imported ---
+  console.log('Test 5: Legacy migration');
+  await store.set('store:map:h2b:9', JSON.stringify({ orderId: 509, symbol: 'BTCUSDT', master: MASTER }));
+  await store.set('store:map:b2h:509', JSON.stringify({ oid: '9', symbol: 'BTCUSDT', master: MASTER }));
+  await store.set('store:map:h2b:fill:x', JSON.stringify({ orderId: 510, symbol: 'BTCUSDT' }));
+  assert.strictEqual(await orderStore.migrateLegacy(), 1);
+  const legacy = await orderStore.findByVenueOrder(509);
+  assert.strictEqual(legacy.oid, '9');
+  assert.strictEqual(legacy.state, STATES.OPEN);
+  assert.strictEqual(legacy.master, MASTER);
+  assert.strictEqual(await store.get('store:map:h2b:9'), null);
+  assert.strictEqual(await store.get('store:map:b2h:509'), null);
+  assert.strictEqual(await orderStore.get('fill:x'), null);
+  console.log('PASS\n');
+
+  console.log('=== All Order Store Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
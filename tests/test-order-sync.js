@@ -0,0 +1,137 @@
+const assert = require('assert');
+const MemoryStore = require('../src/backtest/memory-store');
+const PositionTracker = require('../src/core/position-tracker');
+const OrderStore = require('../src/core/order-store');
+const OrderLifecycle = require('../src/core/order-lifecycle');
+const ConsistencyEngine = require('../src/core/consistency-engine');
+const OrderSync = require('../src/core/order-sync');
+const OrderValidator = require('../src/core/order-validator');
+
+const { STATES } = OrderStore;
+const MASTER = '0xmaster';
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+async function runTests() {
+  console.log('=== Starting Order Sync Tests ===\n');
+
+  const store = new MemoryStore();
+  const orderStore = new OrderStore('sync:', store);
+  const positionTracker = new PositionTracker('sync:', store);
+  const orderLifecycle = new OrderLifecycle({ orderStore, positionTracker }, store);
+  const consistencyEngine = new ConsistencyEngine({
+    namespace: 'sync:',
+    orderStore,
+    positionTracker,
+    positionCalculator: { getReversedMasterSize: async size => size * 10 }
+  });
+  const subBookFills = [];
+  const venueOrders = new Map();
+  const queried = [];
+  const venue = {
+    getCoin: () => 'BTC',
+    isUnknownOrderError: () => false,
+    subscribeUserStream(callback, onStatus) {
+      this.push = callback;
+      this.setStatus = onStatus;
+      return () => {};
+    },
+    getOrder: async (symbol, orderId) => {
+      queried.push(orderId);
+      return venueOrders.get(String(orderId));
+    }
+  };
+  const account = {
+    id: 'sync', namespace: 'sync:', venue, orderStore, orderLifecycle, consistencyEngine,
+    subBook: { applyFill: async (...args) => subBookFills.push(args) }
+  };
+  account.orderSync = new OrderSync(account);
+  const orderSync = account.orderSync;
+  const validator = new OrderValidator(account);
+  const delta = () => positionTracker.getPendingDelta(MASTER, 'BTC');
+  const update = (fields) => ({
+    symbol: 'BTCUSDT', orderId: 701, side: 'BUY', status: 'PARTIALLY_FILLED',
+    lastFilledQty: 0.01, lastFilledPrice: 60000, cumulativeFilledQty: 0.01, ...fields
+  });
+
+  // Master buys 1.0 @ 60000, the follower mirrors 0.1
+  const fields = { type: 'limit', coin: 'BTC', side: 'B', master: MASTER, masterStatus: 'open', symbol: 'BTCUSDT' };
+  await orderStore.create(7, fields);
+  await orderLifecycle.open(7, { coin: 'BTC', side: 'B', master: MASTER, price: '60000', sz: '1.0', followerQty: 0.1 });
+  await orderStore.submitted(7, { orderId: 701, status: 'NEW' });
+
+  // --- Test 1: Fills are booked once by their cumulative quantity ---
+  console.log('Test 1: Stream fills and replays');
+  await orderSync.handleUpdate(update());
+  await orderSync.handleUpdate(update()); // Replayed after a reconnect
+  assert.strictEqual((await orderStore.get(7)).state, STATES.PARTIALLY_FILLED);
+  assert.ok(near((await orderLifecycle.get(7)).followerFilled, 0.01));
+  assert.ok(near(await delta(), -0.1));
+  assert.strictEqual(subBookFills.length, 1);
+
+  // Updates older than the order's state change nothing
+  await orderSync.handleUpdate(update({ status: 'NEW', lastFilledQty: 0, cumulativeFilledQty: 0 }));
+  assert.strictEqual((await orderStore.get(7)).state, STATES.PARTIALLY_FILLED);
+  console.log('PASS\n');
+
+  // --- Test 2: Replaced orders ---
+  console.log('Test 2: Late fills of replaced venue orders');
+  await orderStore.update(7, { venueOrderId: 702 }, { type: 'replaced' });
+  // The old order reports its cancel and a fill from just before it
+  await orderSync.handleUpdate(update({ status: 'CANCELED', lastFilledQty: 0, cumulativeFilledQty: 0.015 }));
+  assert.strictEqual((await orderStore.get(7)).state, STATES.PARTIALLY_FILLED);
+  assert.ok(near((await orderLifecycle.get(7)).followerFilled, 0.015));
+
+  // Updates of the order being replaced only book fills
+  await orderStore.lock(7);
+  await orderSync.handleUpdate(update({ orderId: 702, status: 'CANCELED', lastFilledQty: 0, cumulativeFilledQty: 0 }));
+  assert.strictEqual((await orderStore.get(7)).state, STATES.PARTIALLY_FILLED);
+  await orderStore.unlock(7);
+  console.log('PASS\n');
+
+  // --- Test 3: REST reconciliation only after the stream was down ---
+  console.log('Test 3: Reconciliation on reconnect');
+  venueOrders.set('702', {
+    symbol: 'BTCUSDT', orderId: 702, side: 'BUY', type: 'LIMIT', status: 'FILLED',
+    price: 60000, origQty: 0.085, executedQty: 0.085, avgPrice: 59990
+  });
+  validator.start();
+  orderSync.start();
+  venue.setStatus({ connected: true });
+  await waitFor(() => queried.length === 1);
+  await waitFor(async () => (await orderStore.get(7)).state === STATES.ORPHANED);
+  assert.ok(near((await orderLifecycle.get(7)).followerFilled, 0.1));
+  assert.strictEqual(subBookFills[subBookFills.length - 1][3], 59990);
+
+  // While the stream is up only abandoned submits and unfinished cancels are looked at
+  await orderStore.create(8, fields);
+  await orderStore.submitted(8, { orderId: 801, status: 'NEW' });
+  await validator.validateAll(!orderSync.connected);
+  assert.strictEqual(queried.length, 1);
+
+  // The stream drops: orders are polled, and reconciled again once it is back
+  venueOrders.set('801', { symbol: 'BTCUSDT', orderId: 801, side: 'BUY', type: 'LIMIT', status: 'NEW', executedQty: 0 });
+  venue.setStatus({ connected: false, reason: 'socket error' });
+  await validator.validateAll(!orderSync.connected);
+  assert.deepStrictEqual(queried.slice(1), ['801']);
+  venue.setStatus({ connected: true });
+  await waitFor(() => queried.length === 3);
+  validator.stop();
+  orderSync.stop();
+  console.log('PASS\n');
+
+  console.log('=== All Order Sync Tests Passed ===');
+  process.exit(0);
+}
+
+async function waitFor(check, timeout = 2000) {
+  const start = Date.now();
+  while (!await check()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
@@ -1,21 +1,23 @@
 const assert = require('assert');
-const orderValidator = require('../src/core/order-validator');
-const orderMapper = require('../src/core/order-mapper');
-const redis = require('../utils/redis');
+const followerRegistry = require('../src/core/follower-registry');
+const { STATES } = require('../src/core/order-store');
+
+const { orderValidator, orderStore } = followerRegistry.getAll()[0];
 
 async function runTests() {
   console.log('=== Starting Order Validation Tests ===\n');
 
-  // Setup mock mapping
+  // Setup mock order
   const testOid = 'test_hl_oid_999';
   const testBinanceId = '888888';
-  console.log(`Setting up test mapping: ${testOid} -> ${testBinanceId}`);
-  await orderMapper.saveMapping(testOid, testBinanceId, 'BTCUSDT');
+  console.log(`Setting up test order: ${testOid} -> ${testBinanceId}`);
+  await orderStore.create(testOid, { type: 'limit', coin: 'BTC', symbol: 'BTCUSDT' });
+  await orderStore.submitted(testOid, { orderId: testBinanceId, status: 'NEW' });
 
-  // Test 1: Mapper support for timestamps
-  console.log('Test 1: Mapper timestamp support');
-  const ts = await orderMapper.getOrderTimestamp(testOid);
-  assert.notStrictEqual(ts, null);
+  // Test 1: Order records keep timestamps
+  console.log('Test 1: Order record timestamps');
+  const ts = (await orderStore.get(testOid)).createdAt;
+  assert.ok(ts > 0);
   console.log(`Found timestamp: ${ts} - PASS\n`);
 
   // Test 2: Validation logic (Mocking binance check)
@@ -25,7 +27,7 @@ async function runTests() {
   console.log(`Report active count: ${report.activeCount} - PASS\n`);
 
   // Cleanup
-  await orderMapper.deleteMapping(testOid);
+  await orderStore.transition(testOid, STATES.CANCELED, { type: 'test_cleanup' });
   console.log('Cleanup complete.');
 
   console.log('=== All Order Validation Tests Passed ===');
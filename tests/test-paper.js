@@ -0,0 +1,122 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const { createVenue } = require('../src/venues');
+
+const SETTINGS = {
+  type: 'paper',
+  initialBalance: 10000,
+  makerFee: 0.0002,
+  takerFee: 0.0005,
+  leverage: 10,
+  maintenanceMarginRate: 0.005,
+  fundingIntervalMs: 0, // Funding applied manually below
+  marketSlippageBps: 0
+};
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+async function runTests() {
+  console.log('=== Starting Paper Venue Tests ===\n');
+
+  const priceFeed = new EventEmitter();
+  const venue = createVenue({ ...SETTINGS, priceFeed }, 'paper-test');
+  await venue.start();
+  const updates = [];
+  venue.subscribeUserStream(u => updates.push(u));
+
+  // --- Test 1: Market orders fill at the mid as taker ---
+  console.log('Test 1: Market order fill and taker fee');
+  await assert.rejects(venue.createMarketOrder('BTC', 'B', 0.1), /No simulated price/);
+  priceFeed.emit('prices', { BTC: 50000, ETH: 3000 });
+
+  const market = await venue.createMarketOrder('BTC', 'B', 0.1);
+  assert.strictEqual(market.status, 'FILLED');
+  assert.strictEqual(market.avgPrice, 50000);
+  assert.strictEqual(await venue.getPosition('BTC'), 0.1);
+  assert.ok(near(venue.walletBalance, 10000 - 5000 * 0.0005));
+  const trade = updates.find(u => u.executionType === 'TRADE');
+  assert.strictEqual(trade.lastFilledQty, 0.1);
+  assert.strictEqual(trade.isMaker, false);
+  console.log('PASS\n');
+
+  // --- Test 2: Resting limit orders fill when the price trades through ---
+  console.log('Test 2: Limit order matching as maker');
+  const limit = await venue.createLimitOrder('BTC', 'A', 51000, 0.05);
+  assert.strictEqual(limit.status, 'NEW');
+  assert.strictEqual(await venue.getOpenOrderQuantity('BTC', 'SELL'), 0.05);
+
+  venue.setPrice('BTC', 50500);
+  assert.strictEqual((await venue.getOrder('BTCUSDT', limit.orderId)).status, 'NEW');
+
+  const walletBefore = venue.walletBalance;
+  venue.setPrice('BTC', 51200);
+  const filled = await venue.getOrder('BTCUSDT', limit.orderId);
+  assert.strictEqual(filled.status, 'FILLED');
+  assert.strictEqual(filled.avgPrice, 51000); // Maker fills at the limit price
+  assert.ok(near(await venue.getPosition('BTC'), 0.05));
+  // Realized 0.05 * (51000 - 50000) minus maker fee
+  assert.ok(near(venue.walletBalance - walletBefore, 50 - 0.05 * 51000 * 0.0002));
+  console.log('PASS\n');
+
+  // --- Test 3: Cancel and unknown orders ---
+  console.log('Test 3: Cancel / unknown order errors');
+  const resting = await venue.createLimitOrder('ETH', 'B', 2900, 1);
+  await venue.cancelOrder('ETHUSDT', resting.orderId);
+  assert.strictEqual(await venue.getOrderStatus('ETHUSDT', resting.orderId), 'CANCELED');
+  try {
+    await venue.cancelOrder('ETHUSDT', resting.orderId);
+    assert.fail('expected unknown order');
+  } catch (error) {
+    assert.ok(venue.isUnknownOrderError(error));
+  }
+  console.log('PASS\n');
+
+  // --- Test 4: Reduce-only and margin checks ---
+  console.log('Test 4: Reduce-only and margin rejections');
+  await assert.rejects(venue.createMarketOrder('ETH', 'A', 1, true), /ReduceOnly/);
+  await assert.rejects(venue.createMarketOrder('BTC', 'B', 100), /Margin is insufficient/);
+  const reduce = await venue.createMarketOrder('BTC', 'A', 1, true); // Clamped to the position size
+  assert.ok(near(reduce.executedQty, 0.05));
+  assert.strictEqual(await venue.getPosition('BTC'), 0);
+  console.log('PASS\n');
+
+  // --- Test 5: Funding and account summary ---
+  console.log('Test 5: Funding and equity');
+  venue.setPrice('ETH', 3000);
+  await venue.createMarketOrder('ETH', 'B', 2);
+  const beforeFunding = venue.walletBalance;
+  await venue.applyFunding({ ETH: 0.0001 }); // Longs pay on positive funding
+  assert.ok(near(beforeFunding - venue.walletBalance, 2 * 3000 * 0.0001));
+
+  venue.setPrice('ETH', 3100);
+  const summary = await venue.getAccountSummary();
+  assert.ok(near(summary.totalEquity, venue.walletBalance + 200));
+  assert.ok(near(summary.availableBalance, summary.totalEquity - 2 * 3100 / 10));
+  const [position] = await venue.getPositions();
+  assert.strictEqual(position.symbol, 'ETHUSDT');
+  assert.ok(near(position.unrealizedProfit, 200));
+
+  const stats = venue.getStats();
+  assert.strictEqual(stats.trades, 4);
+  assert.ok(stats.funding < 0);
+  console.log('PASS\n');
+
+  // --- Test 6: Liquidation ---
+  console.log('Test 6: Liquidation below maintenance margin');
+  const small = createVenue({ ...SETTINGS, initialBalance: 100, priceFeed }, 'paper-liq');
+  small.setPrice('SOL', 100);
+  await small.createMarketOrder('SOL', 'B', 9);
+  small.setPrice('SOL', 89);
+  assert.strictEqual(await small.getPosition('SOL'), 0);
+  assert.strictEqual(small.getStats().liquidations, 1);
+  console.log('PASS\n');
+
+  venue.stop();
+  console.log('=== All Paper Venue Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
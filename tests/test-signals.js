@@ -0,0 +1,276 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const parsers = require('../src/hyperliquid/parsers');
+const masterRegistry = require('../src/core/master-registry');
+const WebhookSource = require('../src/signals/webhook-source');
+const VenueMirrorSource = require('../src/signals/venue-mirror-source');
+const HyperliquidWS = require('../src/hyperliquid/ws-client');
+const hyperApiClient = require('../src/hyperliquid/api-client');
+const redis = require('../src/utils/redis');
+const followerRegistry = require('../src/core/follower-registry');
+const FollowerAccount = require('../src/core/follower-account');
+
+async function runTests() {
+  console.log('=== Starting Signal Source Tests ===\n');
+
+  // --- Test 1: Source selection and options from config entries ---
+  console.log('Test 1: Master source options');
+  const [hl, hook] = masterRegistry.normalize([
+    '0xAAA',
+    { address: 'TV-BTC', source: 'webhook', secret: 's3cret', equity: 10000, allocation: 10 }
+  ]);
+  assert.strictEqual(hl.source, 'hyperliquid');
+  assert.strictEqual(hook.address, 'tv-btc');
+  assert.strictEqual(hook.source, 'webhook');
+  assert.deepStrictEqual(hook.options, { secret: 's3cret', equity: 10000 });
+  console.log('PASS\n');
+
+  // --- Test 2: Hyperliquid taker fills keep the crossed flag ---
+  console.log('Test 2: Parsed fills are marked as taker fills');
+  const fills = parsers.parseUserFills({
+    isSnapshot: false,
+    fills: [
+      { coin: 'BTC', px: '50000', sz: '0.1', side: 'B', time: 1, crossed: true, oid: 11, tid: 21, hash: '0xabc' },
+      { coin: 'BTC', px: '50000', sz: '0.1', side: 'B', time: 2, crossed: false }
+    ]
+  });
+  assert.strictEqual(fills.length, 1);
+  assert.strictEqual(fills[0].crossed, true);
+  assert.deepStrictEqual([fills[0].oid, fills[0].tid, fills[0].hash], [11, 21, '0xabc']);
+  console.log('PASS\n');
+
+  // --- Test 3: Webhook alerts become normalized fills ---
+  console.log('Test 3: Webhook alert parsing');
+  const webhook = new WebhookSource(hook);
+  assert.strictEqual(webhook.tickerToCoin('BINANCE:BTCUSDT.P'), 'BTC');
+  const fill = webhook.parseSignal({ ticker: 'ETHUSDT', action: 'sell', contracts: '0.5', price: 3000 });
+  assert.strictEqual(fill.type, 'fill');
+  assert.strictEqual(fill.coin, 'ETH');
+  assert.strictEqual(fill.side, 'A');
+  assert.strictEqual(fill.sz, '0.5');
+  assert.strictEqual(fill.crossed, true);
+  assert.strictEqual(fill.userAddress, 'tv-btc');
+  assert.strictEqual(fill.px, '3000');
+  assert.throws(() => webhook.parseSignal({ coin: 'BTC', side: 'hold', size: 1 }), /Invalid signal/);
+  // Without a price the fill has no execution price for sub-books, netting and risk limits
+  assert.throws(() => webhook.parseSignal({ coin: 'BTC', side: 'buy', size: 1 }), /positive price/);
+  assert.strictEqual(webhook.isAuthorized('s3cret'), true);
+  assert.strictEqual(webhook.isAuthorized('wrong!'), false);
+  await assert.rejects(webhook.handleSignal({ secret: 'nope', coin: 'BTC', side: 'buy', size: 1 }), /Unauthorized/);
+  assert.strictEqual(await webhook.getEquity(), 10000);
+  console.log('PASS\n');
+
+  // --- Test 4: Mirrored account order stream ---
+  console.log('Test 4: Mirrored account events');
+  const mirror = new VenueMirrorSource({ address: 'lead', allocation: 1, source: 'binance', options: { apiKey: 'k', apiSecret: 's' } });
+  const orders = [];
+  const mirroredFills = [];
+  mirror.on('order', o => orders.push(o));
+  mirror.on('fill', f => mirroredFills.push(f));
+
+  const base = { symbol: 'BTCUSDT', orderId: 7, side: 'BUY', price: 49000, quantity: 0.01, reduceOnly: false, eventTime: 5 };
+  mirror.handleOrderUpdate({ ...base, orderType: 'LIMIT', executionType: 'NEW', status: 'NEW', lastFilledQty: 0, cumulativeFilledQty: 0, isMaker: false });
+  mirror.handleOrderUpdate({ ...base, orderType: 'LIMIT', executionType: 'CANCELED', status: 'CANCELED', lastFilledQty: 0, cumulativeFilledQty: 0, isMaker: false });
+  mirror.handleOrderUpdate({ ...base, orderId: 8, orderType: 'MARKET', executionType: 'TRADE', status: 'FILLED', lastFilledQty: 0.02, lastFilledPrice: 50000, cumulativeFilledQty: 0.02, isMaker: false });
+
+  assert.deepStrictEqual(orders.map(o => o.status), ['open', 'canceled']);
+  assert.strictEqual(orders[0].oid, 'lead:7');
+  assert.strictEqual(orders[0].coin, 'BTC');
+  assert.strictEqual(orders[0].side, 'B');
+  assert.strictEqual(orders[0].userAddress, 'lead');
+  assert.strictEqual(mirroredFills.length, 1);
+  assert.deepStrictEqual(
+    { coin: mirroredFills[0].coin, side: mirroredFills[0].side, sz: mirroredFills[0].sz, crossed: mirroredFills[0].crossed },
+    { coin: 'BTC', side: 'B', sz: '0.02', crossed: true }
+  );
+  console.log('PASS\n');
+
+  // --- Test 5: Taker fills missed while disconnected are replayed ---
+  console.log('Test 5: Missed fill recovery');
+  const saved = new Map();
+  redis.get = async key => saved.get(key) || null;
+  redis.set = async (key, value) => saved.set(key, value);
+  const now = Date.now();
+  const hlFill = (tid, time, fields = {}) => ({ coin: 'BTC', px: '50000', sz: '0.1', side: 'B', time, crossed: true, tid, ...fields });
+  let requestedFrom = null;
+  hyperApiClient.getUserFillsByTime = async (user, startTime) => {
+    requestedFrom = startTime;
+    return [
+      hlFill(2, now - 5000), // Already processed live
+      hlFill(3, now - 5000, { crossed: false }),
+      hlFill(4, now - 4000),
+      hlFill(5, now - 3000, { side: 'A' })
+    ];
+  };
+
+  const source = new HyperliquidWS({ address: '0xmaster', allocation: 1, source: 'hyperliquid', options: {} });
+  const hlFills = [];
+  source.on('fill', f => hlFills.push(f));
+  source.handleMessage({ channel: 'userFills', data: { isSnapshot: false, user: '0xmaster', fills: [hlFill(1, now - 6000), hlFill(2, now - 5000)] } });
+  // The same fills again (snapshot after a reconnect, or a duplicate frame) are not followed twice
+  source.handleMessage({ channel: 'userFills', data: { isSnapshot: true, user: '0xmaster', fills: [hlFill(2, now - 5000)] } });
+  source.handleMessage({ channel: 'userFills', data: { isSnapshot: false, user: '0xmaster', fills: [hlFill(2, now - 5000)] } });
+  assert.deepStrictEqual(hlFills.map(f => f.tid), [1, 2]);
+  assert.deepStrictEqual(JSON.parse(saved.get('hlFillCursor:0xmaster')), { time: now - 5000, tids: [2] });
+
+  await source.resyncFills();
+  assert.strictEqual(requestedFrom, now - 5000);
+  assert.deepStrictEqual(hlFills.slice(2).map(f => [f.tid, f.side, f.replayed]), [[4, 'B', true], [5, 'A', true]]);
+  assert.strictEqual(JSON.parse(saved.get('hlFillCursor:0xmaster')).time, now - 3000);
+
+  // After a restart the saved cursor is used; fills past the staleness limit are not followed
+  const restarted = new HyperliquidWS({ address: '0xmaster', allocation: 1, source: 'hyperliquid', options: {} });
+  const restartedFills = [];
+  restarted.on('fill', f => restartedFills.push(f));
+  restarted.maxFillAgeMs = 3500;
+  hyperApiClient.getUserFillsByTime = async (user, startTime) => {
+    requestedFrom = startTime;
+    return [hlFill(5, now - 3000), hlFill(6, now - 60000 + 10), hlFill(7, now - 100)]
+      .sort((a, b) => a.time - b.time);
+  };
+  saved.set('hlFillCursor:0xmaster', JSON.stringify({ time: now - 60000, tids: [] }));
+  const booked = [];
+  // Only accounts following this master book its missed fills
+  const { follows } = FollowerAccount.prototype;
+  const tracker = id => ({ addPendingDelta: async (...args) => booked.push([id, ...args]) });
+  followerRegistry.getAll = () => [
+    { id: 'main', masters: null, follows, positionTracker: tracker('main') },
+    { id: 'other', masters: new Set(['0xother']), follows, positionTracker: tracker('other') }
+  ];
+  await restarted.resyncFills();
+  assert.strictEqual(requestedFrom, now - 60000);
+  assert.deepStrictEqual(restartedFills.map(f => f.tid), [5, 7]);
+  // The stale fill is caught up with the next trade instead of being lost
+  assert.deepStrictEqual(booked, [['main', '0xmaster', 'BTC', 0.1]]);
+  console.log('PASS\n');
+
+  // --- Test 6: Silent connections are reopened, feed latency is sampled ---
+  console.log('Test 6: Stale connection watchdog');
+  const sockets = [];
+  class FakeSocket extends EventEmitter {
+    constructor(url) {
+      super();
+      this.url = url;
+      this.readyState = 0;
+      this.sent = [];
+      sockets.push(this);
+    }
+    open() {
+      this.readyState = 1;
+      this.emit('open');
+    }
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    }
+    terminate() {
+      this.readyState = 3;
+      this.terminated = true;
+    }
+    close() {
+      this.readyState = 3;
+    }
+  }
+  FakeSocket.OPEN = 1;
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const watched = new HyperliquidWS({ address: '0xwatched', allocation: 1, source: 'hyperliquid', options: {} });
+  watched.syncInitialOrders = async () => {};
+  const [connection] = watched.connections;
+  connection.WebSocket = FakeSocket;
+  connection.silenceMs = 80;
+  connection.watchdogInterval = 10;
+  watched.connect();
+  sockets[0].open();
+  const frame = message => sockets[sockets.length - 1].emit('message', JSON.stringify(message));
+
+  frame({ channel: 'pong' });
+  frame({ channel: 'orderUpdates', data: [{ order: { coin: 'BTC', side: 'B', limitPx: '50000', sz: '0.1', oid: 9, timestamp: Date.now() - 40 }, status: 'open', statusTimestamp: Date.now() - 40 }] });
+  for (let i = 0; i < 5; i++) {
+    await sleep(30);
+    frame({ channel: 'pong' });
+  }
+  assert.strictEqual(sockets.length, 1);
+  let feed = watched.getFeedStatus();
+  assert.ok(feed.connected && feed.lastPongAt);
+  assert.strictEqual(feed.latency.samples, 1);
+  assert.ok(feed.latency.last >= 40 && feed.latency.p95 === feed.latency.last);
+
+  // No frames at all: the socket is replaced
+  await sleep(150);
+  assert.ok(sockets[0].terminated);
+  assert.ok(sockets.length >= 2);
+  feed = watched.getFeedStatus();
+  assert.ok(feed.watchdogRestarts >= 1 && feed.reconnects === feed.watchdogRestarts);
+
+  watched.close();
+  const count = sockets.length;
+  await sleep(150);
+  assert.strictEqual(sockets.length, count);
+  console.log('PASS\n');
+
+  // --- Test 7: Redundant connections are merged ---
+  console.log('Test 7: Redundant feed deduplication');
+  const redundant = new HyperliquidWS({ address: '0xredundant', allocation: 1, source: 'hyperliquid', options: {} });
+  redundant.addConnection('wss://backup.example/ws', 'backup');
+  redundant.connections.forEach(c => {
+    c.WebSocket = FakeSocket;
+    c.baseReconnectDelay = 10;
+  });
+  let syncs = 0;
+  redundant.syncInitialOrders = async () => { syncs++; };
+  redundant.resyncFills = async () => {};
+  const merged = { order: [], fill: [] };
+  redundant.on('order', o => merged.order.push(o));
+  redundant.on('fill', f => merged.fill.push(f));
+
+  redundant.connect();
+  const [primary, backup] = redundant.connections;
+  assert.strictEqual(backup.ws.url, 'wss://backup.example/ws');
+  primary.ws.open();
+  backup.ws.open();
+  // Both are subscribed, open orders are synced once
+  assert.deepStrictEqual(backup.ws.sent.map(m => m.subscription.type), ['orderUpdates', 'userFills']);
+  assert.strictEqual(syncs, 1);
+
+  const statusTime = Date.now();
+  const orderFrame = (oid, status, sz = '0.1', statusTimestamp = statusTime) => ({ channel: 'orderUpdates', data: [{ order: { coin: 'BTC', side: 'B', limitPx: '50000', sz, oid, timestamp: statusTime }, status, statusTimestamp }] });
+  const fillFrame = { channel: 'userFills', data: { isSnapshot: false, user: '0xredundant', fills: [hlFill(100, Date.now())] } };
+  const both = message => [primary, backup].forEach(c => c.ws.emit('message', JSON.stringify(message)));
+  both(orderFrame(21, 'open'));
+  both(fillFrame);
+  // Partial fill of the master order: a new 'open' update with the remaining size
+  both(orderFrame(21, 'open', '0.04', statusTime + 1));
+  both(orderFrame(21, 'canceled'));
+  assert.deepStrictEqual(merged.order.map(o => [o.oid, o.status, o.sz]), [[21, 'open', '0.1'], [21, 'open', '0.04'], [21, 'canceled', '0.1']]);
+  assert.deepStrictEqual(merged.fill.map(f => f.tid), [100]);
+  assert.strictEqual(redundant.getFeedStatus().duplicates, 3);
+
+  // The primary drops: the backup keeps delivering, nothing is resynced when it is back
+  primary.ws.emit('close');
+  backup.ws.emit('message', JSON.stringify(orderFrame(22, 'open')));
+  assert.deepStrictEqual(merged.order.map(o => o.oid), [21, 21, 21, 22]);
+  await sleep(50);
+  primary.ws.open();
+  primary.ws.emit('message', JSON.stringify(orderFrame(22, 'open')));
+  assert.strictEqual(merged.order.length, 4);
+  assert.strictEqual(syncs, 1);
+
+  // Both down: the first connection back resyncs
+  primary.ws.emit('close');
+  backup.ws.emit('close');
+  await sleep(50);
+  backup.ws.open();
+  assert.strictEqual(syncs, 2);
+  feed = redundant.getFeedStatus();
+  assert.deepStrictEqual(feed.connections.map(c => [c.label, c.connected]), [['primary', false], ['backup', true]]);
+  assert.ok(feed.connected);
+  redundant.close();
+  console.log('PASS\n');
+
+  console.log('=== All Signal Source Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,109 @@
+const assert = require('assert');
+const SymbolRules = require('../src/binance/symbol-rules');
+const SymbolMap = require('../src/binance/symbol-map');
+const { createVenue } = require('../src/venues');
+
+const symbolInfo = (symbol, tickSize, stepSize, notional = '5') => ({
+  symbol,
+  status: 'TRADING',
+  filters: [
+    { filterType: 'PRICE_FILTER', tickSize },
+    { filterType: 'LOT_SIZE', stepSize, minQty: stepSize },
+    { filterType: 'MIN_NOTIONAL', notional }
+  ]
+});
+
+const EXCHANGE_INFO = {
+  symbols: [
+    symbolInfo('BTCUSDT', '0.10', '0.001', '100'),
+    symbolInfo('1000PEPEUSDT', '0.0000001', '1'),
+    symbolInfo('1000000MOGUSDT', '0.0000001', '1'),
+    symbolInfo('BONKUSDT', '0.00000001', '1'),
+    symbolInfo('1000BONKUSDT', '0.000001', '1')
+  ]
+};
+
+async function runTests() {
+  console.log('=== Starting Symbol Map Tests ===\n');
+
+  const rules = new SymbolRules(false, { futuresExchangeInfo: async () => EXCHANGE_INFO });
+  await rules.fetch();
+
+  // --- Test 1: Mappings derived from listed symbols ---
+  console.log('Test 1: Derived mappings');
+  const map = new SymbolMap(rules);
+  assert.deepStrictEqual(map.resolve('BTC'), { coin: 'BTC', symbol: 'BTCUSDT', multiplier: 1 });
+  assert.deepStrictEqual(map.resolve('kPEPE'), { coin: 'kPEPE', symbol: '1000PEPEUSDT', multiplier: 1 });
+  // Same unit size preferred over the plain listing
+  assert.strictEqual(map.getSymbol('kBONK'), '1000BONKUSDT');
+  assert.deepStrictEqual(map.resolve('MOG'), { coin: 'MOG', symbol: '1000000MOGUSDT', multiplier: 1000000 });
+  // Unlisted coins keep the plain symbol
+  assert.strictEqual(map.getSymbol('XYZ'), 'XYZUSDT');
+  console.log('PASS\n');
+
+  // --- Test 2: Reverse lookup ---
+  console.log('Test 2: Venue symbol to coin');
+  assert.strictEqual(map.getCoin('1000PEPEUSDT'), 'kPEPE');
+  assert.strictEqual(map.getCoin('1000000MOGUSDT'), 'MOG');
+  assert.strictEqual(map.getCoin('ETHUSDT'), 'ETH');
+  // Not resolved yet: Hyperliquid's 'k' convention is assumed
+  assert.strictEqual(map.getCoin('1000SHIBUSDT'), 'kSHIB');
+  console.log('PASS\n');
+
+  // --- Test 3: Config overrides ---
+  console.log('Test 3: Overrides');
+  const overridden = new SymbolMap(rules, { kBONK: 'BONKUSDT', FOO: { symbol: 'FOO2USDT', multiplier: 10 } });
+  assert.deepStrictEqual(overridden.resolve('kBONK'), { coin: 'kBONK', symbol: 'BONKUSDT', multiplier: 0.001 });
+  assert.strictEqual(overridden.getCoin('FOO2USDT'), 'FOO');
+  assert.strictEqual(overridden.toVenueQuantity('FOO', 50), 5);
+  console.log('PASS\n');
+
+  // --- Test 4: Rules applied in coin units ---
+  console.log('Test 4: Rounding through the multiplier');
+  // 1,000,000 MOG per contract: 2,500,000 MOG -> 2.5 contracts -> step 1
+  assert.strictEqual(map.roundQuantity('MOG', 2600000), 3000000);
+  assert.strictEqual(map.formatQuantity('MOG', 3000000), '3');
+  assert.strictEqual(map.formatPrice('MOG', 0.00000123456), '1.2345600');
+  assert.strictEqual(map.roundPrice('MOG', 0.00000123456), '0.00000123456');
+  // 5 USDT min notional at 1.2 USDT per contract -> 5 contracts
+  assert.strictEqual(map.getMinQuantity('MOG', 0.0000012), 5000000);
+  console.log('PASS\n');
+
+  // --- Test 5: Binance adapter converts orders, positions and stream updates ---
+  console.log('Test 5: Binance adapter conversion');
+  const venue = createVenue({ type: 'binance', useTestnet: true }, 'map-test');
+  venue.symbolMap = map;
+  const sent = [];
+  venue.client.futuresOrder = async params => {
+    sent.push(params);
+    return { orderId: 1, symbol: params.symbol, side: params.side, type: params.type, status: 'NEW', price: params.price, origQty: params.quantity, executedQty: '0', avgPrice: '0' };
+  };
+  const order = await venue.createLimitOrder('MOG', 'B', 0.0000012, 3000000);
+  assert.strictEqual(sent[0].symbol, '1000000MOGUSDT');
+  assert.strictEqual(sent[0].quantity, '3');
+  assert.strictEqual(sent[0].price, '1.2000000');
+  assert.strictEqual(order.origQty, 3000000);
+  assert.strictEqual(order.price, 0.0000012);
+
+  const update = venue.normalizeOrderUpdate({
+    symbol: '1000000MOGUSDT', orderId: 1, side: 'BUY', orderType: 'LIMIT', price: '1.2', quantity: '3',
+    orderStatus: 'PARTIALLY_FILLED', executionType: 'TRADE', lastTradeQuantity: '1', priceLastTrade: '1.2', totalTradeQuantity: '1'
+  });
+  assert.strictEqual(venue.getCoin(update.symbol), 'MOG');
+  assert.strictEqual(update.lastFilledQty, 1000000);
+  assert.strictEqual(update.lastFilledPrice, 0.0000012);
+
+  venue.client.futuresPositionRisk = async () => [
+    { symbol: '1000000MOGUSDT', positionAmt: '-2', entryPrice: '1.5', markPrice: '1.4', unRealizedProfit: '0.2', leverage: '5', liquidationPrice: '3' }
+  ];
+  assert.strictEqual(await venue.getPosition('MOG'), -2000000);
+  console.log('PASS\n');
+
+  console.log('=== All Symbol Map Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,109 @@
+const assert = require('assert');
+const config = require('config');
+const SymbolRules = require('../src/binance/symbol-rules');
+const SymbolMap = require('../src/binance/symbol-map');
+const PositionCalculator = require('../src/core/position-calculator');
+const { createVenue } = require('../src/venues');
+
+// Trimmed futuresExchangeInfo response
+const EXCHANGE_INFO = {
+  symbols: [
+    {
+      symbol: 'BTCUSDT',
+      status: 'TRADING',
+      filters: [
+        { filterType: 'PRICE_FILTER', minPrice: '556.80', maxPrice: '4529764', tickSize: '0.10' },
+        { filterType: 'LOT_SIZE', stepSize: '0.001', maxQty: '1000', minQty: '0.001' },
+        { filterType: 'MARKET_LOT_SIZE', stepSize: '0.001', maxQty: '120', minQty: '0.001' },
+        { filterType: 'MIN_NOTIONAL', notional: '100' }
+      ]
+    },
+    {
+      symbol: 'DOGEUSDT',
+      status: 'TRADING',
+      filters: [
+        { filterType: 'PRICE_FILTER', minPrice: '0.002440', maxPrice: '30', tickSize: '0.000010' },
+        { filterType: 'LOT_SIZE', stepSize: '1', maxQty: '50000000', minQty: '1' },
+        { filterType: 'MARKET_LOT_SIZE', stepSize: '10', maxQty: '30000000', minQty: '10' },
+        { filterType: 'MIN_NOTIONAL', notional: '5' }
+      ]
+    }
+  ]
+};
+
+async function runTests() {
+  console.log('=== Starting Symbol Rules Tests ===\n');
+
+  const rules = new SymbolRules(false, { futuresExchangeInfo: async () => EXCHANGE_INFO });
+  await rules.fetch();
+
+  // --- Test 1: Filters parsed per symbol ---
+  console.log('Test 1: exchangeInfo parsing');
+  const doge = rules.get('DOGEUSDT', 'DOGE');
+  assert.strictEqual(doge.tickSize, '0.000010');
+  assert.strictEqual(doge.minQty, 1);
+  assert.strictEqual(doge.marketMinQty, 10);
+  assert.strictEqual(doge.minNotional, 5);
+  console.log('PASS\n');
+
+  // --- Test 2: Price and quantity rounding ---
+  console.log('Test 2: Rounding to tick and step');
+  assert.strictEqual(rules.roundPrice('BTCUSDT', 'BTC', 94352.06), '94352.1');
+  assert.strictEqual(rules.roundPrice('DOGEUSDT', 'DOGE', '0.1234567'), '0.12346');
+  assert.strictEqual(rules.roundQuantity('DOGEUSDT', 'DOGE', 1234.6), 1235);
+  assert.strictEqual(rules.roundQuantity('DOGEUSDT', 'DOGE', 1234.6, { market: true }), 1230);
+  assert.strictEqual(rules.roundQuantity('BTCUSDT', 'BTC', 0.0079, { floor: true }), 0.007);
+  assert.strictEqual(rules.formatQuantity('BTCUSDT', 'BTC', 0.1 + 0.2), '0.300');
+  console.log('PASS\n');
+
+  // --- Test 3: Min quantity includes min notional ---
+  console.log('Test 3: Min quantity');
+  assert.strictEqual(rules.getMinQuantity('BTCUSDT', 'BTC'), 0.001);
+  // 100 USDT at 60000 -> 0.00167, rounded up to the step
+  assert.strictEqual(rules.getMinQuantity('BTCUSDT', 'BTC', 60000), 0.002);
+  assert.strictEqual(rules.getMinQuantity('DOGEUSDT', 'DOGE', 0.1, true), 50);
+  console.log('PASS\n');
+
+  // --- Test 4: Symbols without rules use the static fallback ---
+  console.log('Test 4: Fallback precision');
+  assert.strictEqual(rules.roundPrice('SOLUSDT', 'SOL', 187.456), '187.46');
+  assert.strictEqual(rules.roundQuantity('SOLUSDT', 'SOL', 1.26), 1.3);
+  assert.strictEqual(rules.getMinQuantity('XYZUSDT', 'XYZ', 1), 0.001);
+  console.log('PASS\n');
+
+  // --- Test 5: Sizing uses the venue's rules ---
+  console.log('Test 5: Sizing with exchange rules');
+  const venue = createVenue({ type: 'binance', useTestnet: true }, 'rules-test');
+  venue.symbolMap = new SymbolMap(rules);
+  const positionCalculator = new PositionCalculator({
+    accountManager: {},
+    venue,
+    settings: { trading: { ...config.get('trading'), mode: 'fixed', fixedRatio: 1, minOrderSize: {} } }
+  });
+  assert.strictEqual(await positionCalculator.calculateQuantity('DOGE', 12.4, null, 'open', { price: 0.1 }), 50);
+  assert.strictEqual(await positionCalculator.calculateQuantity('DOGE', 1234.6, null, 'open', { price: 0.1, market: true }), 1230);
+  // Configured minimums still raise the exchange minimum
+  positionCalculator.minOrderSizes = { BTC: { open: 0.005, close: 0.001 } };
+  assert.strictEqual(positionCalculator.getMinOrderSize('BTC', 'open', 60000), 0.005);
+  assert.strictEqual(positionCalculator.getMinOrderSize('BTC', 'close', 60000), 0.002);
+  console.log('PASS\n');
+
+  // --- Test 6: Paper venue rejects orders below min notional like Binance ---
+  console.log('Test 6: Paper min notional');
+  const paper = createVenue({ ...config.get('paper'), type: 'paper' }, 'rules-paper');
+  paper.symbolRules = rules;
+  paper.symbolMap = new SymbolMap(rules);
+  paper.setPrice('DOGE', 0.1);
+  await assert.rejects(paper.createMarketOrder('DOGE', 'B', 40), err => err.code === -4164);
+  const order = await paper.createMarketOrder('DOGE', 'B', 60);
+  assert.strictEqual(order.status, 'FILLED');
+  console.log('PASS\n');
+
+  console.log('=== All Symbol Rules Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
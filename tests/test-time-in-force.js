@@ -0,0 +1,88 @@
+const assert = require('assert');
+const config = require('config');
+const { parseOrderUpdate } = require('../src/hyperliquid/parsers');
+const { createVenue } = require('../src/venues');
+const OrderExecutor = require('../src/core/order-executor');
+
+function createExecutor(venue, trading = {}) {
+  return new OrderExecutor({
+    id: 'tif-test',
+    namespace: 'tif-test:',
+    settings: { trading: { ...config.get('trading'), ...trading } },
+    venue
+  });
+}
+
+async function runTests() {
+  console.log('=== Starting Time In Force Tests ===\n');
+
+  // --- Test 1: Master tif parsed and mapped to the venue ---
+  console.log('Test 1: Time in force mapping');
+  const [alo] = parseOrderUpdate([{ order: { coin: 'BTC', side: 'B', limitPx: '60000', sz: '0.1', oid: 1, tif: 'Alo' }, status: 'open' }]);
+  const [plain] = parseOrderUpdate([{ order: { coin: 'BTC', side: 'B', limitPx: '60000', sz: '0.1', oid: 2 }, status: 'open' }]);
+  assert.strictEqual(alo.tif, 'Alo');
+  assert.strictEqual(plain.tif, null);
+
+  const executor = createExecutor(null);
+  assert.strictEqual(executor.getTimeInForce(alo), 'GTX');
+  assert.strictEqual(executor.getTimeInForce({ tif: 'Ioc' }), 'IOC');
+  assert.strictEqual(executor.getTimeInForce(plain), 'GTC');
+  console.log('PASS\n');
+
+  // --- Test 2: Binance params, crossing GTX reported as a post-only rejection ---
+  console.log('Test 2: Binance GTX orders');
+  const binance = createVenue({ type: 'binance', useTestnet: true }, 'tif-binance');
+  const sent = [];
+  binance.client.futuresOrder = async params => {
+    sent.push(params);
+    const status = params.timeInForce === 'GTX' && parseFloat(params.price) >= 60000 ? 'EXPIRED' : 'NEW';
+    return { orderId: sent.length, symbol: params.symbol, side: params.side, type: 'LIMIT', status, timeInForce: params.timeInForce, price: params.price, origQty: params.quantity, executedQty: '0', avgPrice: '0' };
+  };
+  const ioc = await binance.createLimitOrder('BTC', 'B', 59000, 0.1, false, 'IOC');
+  assert.strictEqual(sent[0].timeInForce, 'IOC');
+  assert.strictEqual(ioc.timeInForce, 'IOC');
+  await assert.rejects(binance.createLimitOrder('BTC', 'B', 60000, 0.1, false, 'GTX'), err => binance.isPostOnlyRejectedError(err));
+  console.log('PASS\n');
+
+  // --- Test 3: Paper venue rejects crossing GTX and expires unfilled IOC ---
+  console.log('Test 3: Paper post-only and IOC');
+  const paper = createVenue({ ...config.get('paper'), type: 'paper', fundingIntervalMs: 0 }, 'tif-paper');
+  paper.setPrice('BTC', 60000);
+  await assert.rejects(paper.createLimitOrder('BTC', 'B', 60100, 0.01, false, 'GTX'), err => paper.isPostOnlyRejectedError(err));
+  const resting = await paper.createLimitOrder('BTC', 'B', 59900, 0.01, false, 'GTX');
+  assert.strictEqual(resting.status, 'NEW');
+  const expired = await paper.createLimitOrder('BTC', 'B', 59900, 0.01, false, 'IOC');
+  assert.strictEqual(expired.status, 'EXPIRED');
+  const taken = await paper.createLimitOrder('BTC', 'B', 60100, 0.01, false, 'IOC');
+  assert.strictEqual(taken.status, 'FILLED');
+  console.log('PASS\n');
+
+  // --- Test 4: Reject policies ---
+  console.log('Test 4: Crossing post-only policies');
+  // Binance rejects GTX bids at or above 60000 (the mocked best ask)
+  const repricer = createExecutor(binance, { postOnlyRejectPolicy: 'reprice', postOnlyRepriceAttempts: 3 });
+  sent.length = 0;
+  const repriced = await repricer.placeLimitOrder('BTC', 'B', '60000.1', 0.1, false, 'GTX');
+  assert.strictEqual(repriced.price, 59999.9);
+  assert.deepStrictEqual(sent.map(p => p.price), ['60000.1', '60000.0', '59999.9']);
+
+  sent.length = 0;
+  const gaveUp = createExecutor(binance, { postOnlyRejectPolicy: 'reprice', postOnlyRepriceAttempts: 1 });
+  assert.strictEqual(await gaveUp.placeLimitOrder('BTC', 'B', '60000.5', 0.1, false, 'GTX'), null);
+  assert.strictEqual(sent.length, 2);
+
+  const gtc = await createExecutor(binance, { postOnlyRejectPolicy: 'gtc' }).placeLimitOrder('BTC', 'B', '60000.5', 0.1, false, 'GTX');
+  assert.strictEqual(gtc.timeInForce, 'GTC');
+  assert.strictEqual(gtc.price, 60000.5);
+
+  assert.strictEqual(await createExecutor(binance, { postOnlyRejectPolicy: 'skip' }).placeLimitOrder('BTC', 'B', '60000.5', 0.1, false, 'GTX'), null);
+  console.log('PASS\n');
+
+  console.log('=== All Time In Force Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
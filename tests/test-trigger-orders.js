@@ -0,0 +1,125 @@
+const assert = require('assert');
+const config = require('config');
+const { parseOrderUpdate, triggerOrderType } = require('../src/hyperliquid/parsers');
+const { createVenue } = require('../src/venues');
+const OrderExecutor = require('../src/core/order-executor');
+const PositionCalculator = require('../src/core/position-calculator');
+
+const MASTER = '0xmaster';
+
+// orderUpdates entry of a master stop loss
+const wsTrigger = (fields, status = 'open') => ({
+  order: {
+    coin: 'BTC', side: 'A', limitPx: '58000', sz: '0.2', oid: 77, timestamp: 1,
+    isTrigger: true, triggerPx: '59000', orderType: 'Stop Market', tpsl: 'sl', isPositionTpsl: false,
+    ...fields
+  },
+  status,
+  user: MASTER
+});
+
+async function runTests() {
+  console.log('=== Starting Trigger Order Tests ===\n');
+
+  // --- Test 1: Trigger fields parsed from orderUpdates ---
+  console.log('Test 1: Parsing master trigger orders');
+  const [stop] = parseOrderUpdate([wsTrigger({})]);
+  assert.strictEqual(stop.isTrigger, true);
+  assert.strictEqual(stop.triggerPx, '59000');
+  assert.strictEqual(stop.tpsl, 'sl');
+  const [plain] = parseOrderUpdate([{ order: { coin: 'BTC', side: 'B', limitPx: '1', sz: '1', oid: 1 }, status: 'open' }]);
+  assert.strictEqual(plain.isTrigger, false);
+  console.log('PASS\n');
+
+  // --- Test 2: Hyperliquid order types map to Binance trigger types ---
+  console.log('Test 2: Trigger type mapping');
+  assert.strictEqual(triggerOrderType({ orderType: 'Stop Market' }), 'STOP_MARKET');
+  assert.strictEqual(triggerOrderType({ orderType: 'Stop Limit' }), 'STOP');
+  assert.strictEqual(triggerOrderType({ orderType: 'Take Profit Market' }), 'TAKE_PROFIT_MARKET');
+  assert.strictEqual(triggerOrderType({ orderType: 'Take Profit Limit' }), 'TAKE_PROFIT');
+  assert.strictEqual(triggerOrderType({ tpsl: 'tp' }), 'TAKE_PROFIT_MARKET');
+  console.log('PASS\n');
+
+  // --- Test 3: Binance order parameters ---
+  console.log('Test 3: Binance trigger order params');
+  const binance = createVenue({ type: 'binance', useTestnet: true }, 'trigger-test');
+  const sent = [];
+  binance.client.futuresOrder = async params => {
+    sent.push(params);
+    return { orderId: sent.length, symbol: params.symbol, side: params.side, type: params.type, status: 'NEW', price: params.price || '0', stopPrice: params.stopPrice, origQty: params.quantity || '0', executedQty: '0', avgPrice: '0', closePosition: !!params.closePosition };
+  };
+  const closing = await binance.createTriggerOrder('BTC', 'A', { type: 'STOP_MARKET', stopPrice: '59000.04', closePosition: true });
+  assert.strictEqual(sent[0].type, 'STOP_MARKET');
+  assert.strictEqual(sent[0].stopPrice, '59000.0');
+  assert.strictEqual(sent[0].closePosition, 'true');
+  assert.strictEqual(sent[0].quantity, undefined);
+  assert.strictEqual(closing.stopPrice, 59000);
+  await binance.createTriggerOrder('BTC', 'B', { type: 'TAKE_PROFIT', stopPrice: 50000, price: 49900, quantity: 0.05, reduceOnly: true });
+  assert.strictEqual(sent[1].price, '49900.0');
+  assert.strictEqual(sent[1].timeInForce, 'GTC');
+  assert.strictEqual(sent[1].quantity, '0.050');
+  assert.strictEqual(sent[1].reduceOnly, true);
+  console.log('PASS\n');
+
+  // --- Test 4: Paper venue fires triggers on the mid ---
+  console.log('Test 4: Paper trigger execution');
+  const paper = createVenue({ ...config.get('paper'), type: 'paper', marketSlippageBps: 0, fundingIntervalMs: 0 }, 'trigger-paper');
+  paper.setPrice('BTC', 60000);
+  await paper.createMarketOrder('BTC', 'B', 0.1);
+  const sl = await paper.createTriggerOrder('BTC', 'A', { type: 'STOP_MARKET', stopPrice: 59000, closePosition: true });
+  const tp = await paper.createTriggerOrder('BTC', 'A', { type: 'TAKE_PROFIT', stopPrice: 62000, price: 62100, quantity: 0.05, reduceOnly: true });
+  // Trigger orders do not count as resting quantity
+  assert.strictEqual(await paper.getOpenOrderQuantity('BTC', 'SELL'), 0);
+
+  paper.setPrice('BTC', 62000);
+  assert.strictEqual((await paper.getOrder('BTCUSDT', tp.orderId)).status, 'NEW'); // Triggered, resting at 62100
+  paper.setPrice('BTC', 62150);
+  assert.strictEqual((await paper.getOrder('BTCUSDT', tp.orderId)).status, 'FILLED');
+  assert.strictEqual(await paper.getPosition('BTC'), 0.05);
+
+  paper.setPrice('BTC', 58900);
+  const firedSl = await paper.getOrder('BTCUSDT', sl.orderId);
+  assert.strictEqual(firedSl.status, 'FILLED');
+  assert.strictEqual(firedSl.executedQty, 0.05); // Whatever was left of the position
+  assert.strictEqual(await paper.getPosition('BTC'), 0);
+  console.log('PASS\n');
+
+  // --- Test 5: Follower trigger planned from the master order ---
+  console.log('Test 5: Planning follower trigger orders');
+  const venue = createVenue({ ...config.get('paper'), type: 'paper', fundingIntervalMs: 0 }, 'trigger-plan');
+  venue.setPrice('BTC', 60000);
+  await venue.createMarketOrder('BTC', 'B', 0.03);
+  const settings = { trading: { ...config.get('trading'), mode: 'fixed', fixedRatio: 0.1, minOrderSize: {} } };
+  const executor = new OrderExecutor({
+    id: 'trigger-plan',
+    namespace: 'trigger-plan:',
+    settings,
+    venue,
+    riskControl: { checkOrder: async () => ({ allowed: true }) },
+    positionCalculator: new PositionCalculator({ accountManager: {}, venue, settings })
+  });
+
+  // Position TP/SL market orders close whatever the follower holds
+  const positionSl = await executor.planTriggerOrder({ ...stop, isPositionTpsl: true });
+  assert.deepStrictEqual(positionSl, { type: 'STOP_MARKET', stopPrice: '59000', price: undefined, closePosition: true });
+
+  // Sized like any other master order, reduce-only capped to the position
+  const [tpLimit] = parseOrderUpdate([wsTrigger({ orderType: 'Take Profit Limit', tpsl: 'tp', triggerPx: '65000', limitPx: '64900', sz: '0.5', reduceOnly: true })]);
+  const planned = await executor.planTriggerOrder({ ...tpLimit, reduceOnly: true });
+  assert.strictEqual(planned.type, 'TAKE_PROFIT');
+  assert.strictEqual(planned.price, '64900');
+  assert.strictEqual(planned.quantity, 0.03);
+  assert.strictEqual(planned.reduceOnly, true);
+
+  // Reduce-only trigger on the wrong side of the follower position is skipped
+  assert.strictEqual(await executor.planTriggerOrder({ ...stop, side: 'B', reduceOnly: true }), null);
+  console.log('PASS\n');
+
+  console.log('=== All Trigger Order Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
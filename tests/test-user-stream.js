@@ -0,0 +1,164 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const { createVenue } = require('../src/venues');
+
+/**
+ * Stand-in for a ws socket, opened by the test
+ */
+class FakeSocket extends EventEmitter {
+  constructor(url) {
+    super();
+    this.url = url;
+    this.readyState = 0;
+    this.pings = 0;
+    FakeSocket.sockets.push(this);
+  }
+
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.emit('open');
+  }
+
+  send(message) {
+    this.emit('message', JSON.stringify(message));
+  }
+
+  ping() {
+    this.pings++;
+  }
+
+  terminate() {
+    this.readyState = 3;
+    this.terminated = true;
+  }
+}
+FakeSocket.OPEN = 1;
+FakeSocket.sockets = [];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const last = () => FakeSocket.sockets[FakeSocket.sockets.length - 1];
+
+async function waitFor(check, timeout = 2000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+    await sleep(5);
+  }
+}
+
+async function runTests() {
+  console.log('=== Starting User Stream Tests ===\n');
+
+  const venue = createVenue({ type: 'binance', apiKey: 'k', apiSecret: 's', useTestnet: true }, 'test');
+  const stream = venue.userStream;
+  stream.WebSocket = FakeSocket;
+  stream.baseReconnectDelay = 10;
+  stream.maxReconnectDelay = 40;
+  stream.heartbeatInterval = 20;
+  stream.heartbeatTimeout = 60;
+
+  let keys = 0;
+  const closed = [];
+  let keepAliveError = null;
+  venue.client.futuresGetDataStream = async () => ({ listenKey: `key${++keys}` });
+  venue.client.futuresKeepDataStream = async () => {
+    if (keepAliveError) throw keepAliveError;
+  };
+  venue.client.futuresCloseDataStream = async ({ listenKey }) => closed.push(listenKey);
+
+  const updates = [];
+  const statuses = [];
+  const unsubscribe = venue.subscribeUserStream(u => updates.push(u), s => statuses.push(s));
+
+  // --- Test 1: Listen key, connection and order updates ---
+  console.log('Test 1: Connect and normalize order updates');
+  await waitFor(() => FakeSocket.sockets.length === 1);
+  assert.strictEqual(last().url, 'wss://fstream.binancefuture.com/ws/key1');
+  last().open();
+  assert.deepStrictEqual(statuses, [{ connected: true }]);
+  assert.strictEqual(venue.getUserStreamStatus().state, 'connected');
+
+  last().send({
+    e: 'ORDER_TRADE_UPDATE', E: 1700000000000,
+    o: { s: 'BTCUSDT', i: 42, S: 'BUY', o: 'LIMIT', p: '60000', q: '0.01', R: false, m: true, X: 'PARTIALLY_FILLED', x: 'TRADE', l: '0.004', L: '59990', z: '0.004', t: 9001 }
+  });
+  last().send({ e: 'ACCOUNT_UPDATE', E: 1700000000001 });
+  assert.strictEqual(updates.length, 1);
+  assert.deepStrictEqual(updates[0], {
+    symbol: 'BTCUSDT', orderId: 42, side: 'BUY', orderType: 'LIMIT', price: 60000, quantity: 0.01,
+    reduceOnly: false, isMaker: true, status: 'PARTIALLY_FILLED', executionType: 'TRADE',
+    lastFilledQty: 0.004, lastFilledPrice: 59990, cumulativeFilledQty: 0.004, tradeId: 9001, eventTime: 1700000000000
+  });
+  console.log('PASS\n');
+
+  // --- Test 2: Drops reconnect with backoff, keeping the listen key ---
+  console.log('Test 2: Reconnect with backoff');
+  last().emit('close', 1006);
+  assert.deepStrictEqual(statuses[1], { connected: false, reason: 'socket closed (1006)' });
+  assert.strictEqual(venue.getUserStreamStatus().state, 'reconnecting');
+  await waitFor(() => FakeSocket.sockets.length === 2);
+  // Refused before opening: tried again later with a new listen key
+  last().emit('close', 1006);
+  assert.strictEqual(statuses.length, 2);
+  assert.strictEqual(stream.reconnectAttempts, 1);
+  await waitFor(() => FakeSocket.sockets.length === 3);
+  assert.strictEqual(last().url, 'wss://fstream.binancefuture.com/ws/key2');
+  last().open();
+  assert.strictEqual(stream.reconnectAttempts, 0);
+  assert.strictEqual(venue.getUserStreamStatus().reconnects, 2);
+  console.log('PASS\n');
+
+  // --- Test 3: Listen key expiry ---
+  console.log('Test 3: Listen key renewal');
+  last().send({ e: 'listenKeyExpired', E: 1700000000002 });
+  assert.ok(FakeSocket.sockets[2].terminated);
+  assert.deepStrictEqual(statuses[statuses.length - 1], { connected: false, reason: 'listen key expired' });
+  await waitFor(() => FakeSocket.sockets.length === 4);
+  assert.strictEqual(last().url, 'wss://fstream.binancefuture.com/ws/key3');
+  last().open();
+
+  // Keepalive answered with "listenKey does not exist"
+  keepAliveError = Object.assign(new Error('This listenKey does not exist.'), { code: -1125 });
+  await stream.keepAlive();
+  keepAliveError = null;
+  await waitFor(() => FakeSocket.sockets.length === 5);
+  assert.strictEqual(last().url, 'wss://fstream.binancefuture.com/ws/key4');
+  assert.strictEqual(venue.getUserStreamStatus().listenKeyRenewals, 2);
+  last().open();
+  console.log('PASS\n');
+
+  // --- Test 4: Heartbeat ---
+  console.log('Test 4: Heartbeat monitoring');
+  const socket = last();
+  for (let i = 0; i < 6; i++) {
+    await sleep(20);
+    socket.emit('pong');
+  }
+  assert.ok(socket.pings > 0);
+  assert.ok(!socket.terminated);
+  // Silent socket: dropped and reopened
+  await waitFor(() => socket.terminated);
+  assert.match(statuses[statuses.length - 1].reason, /no heartbeat/);
+  await waitFor(() => FakeSocket.sockets.length === 6);
+  last().open();
+  console.log('PASS\n');
+
+  // --- Test 5: Unsubscribing the last listener stops the stream ---
+  console.log('Test 5: Stop');
+  unsubscribe();
+  assert.strictEqual(venue.getUserStreamStatus().state, 'stopped');
+  assert.ok(last().terminated);
+  await waitFor(() => closed.length === 1);
+  assert.deepStrictEqual(closed, ['key4']);
+  await sleep(100);
+  assert.strictEqual(FakeSocket.sockets.length, 6);
+  console.log('PASS\n');
+
+  console.log('=== All User Stream Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});
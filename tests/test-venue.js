@@ -0,0 +1,67 @@
+const assert = require('assert');
+const { createVenue } = require('../src/venues');
+const ExecutionVenue = require('../src/venues/execution-venue');
+
+async function runTests() {
+  console.log('=== Starting Execution Venue Tests ===\n');
+
+  const venue = createVenue({ type: 'binance', apiKey: 'k', apiSecret: 's', useTestnet: true }, 'test');
+
+  // --- Test 1: Factory ---
+  console.log('Test 1: Venue factory');
+  assert.ok(venue instanceof ExecutionVenue);
+  assert.strictEqual(venue.name, 'binance');
+  assert.throws(() => createVenue({ type: 'nowhere' }, 'test'), /Unknown execution venue/);
+  console.log('PASS\n');
+
+  // --- Test 2: Positions are normalized and drive the shared helpers ---
+  console.log('Test 2: Position normalization');
+  venue.client.futuresPositionRisk = async () => [
+    { symbol: 'BTCUSDT', positionAmt: '-0.010', entryPrice: '50000', markPrice: '49000', unRealizedProfit: '10', leverage: '5', liquidationPrice: '60000' },
+    { symbol: 'ETHUSDT', positionAmt: '0.000', entryPrice: '0', markPrice: '3000', unRealizedProfit: '0', leverage: '5', liquidationPrice: '0' }
+  ];
+  const positions = await venue.getPositions();
+  assert.strictEqual(positions.length, 1);
+  assert.deepStrictEqual(positions[0], {
+    symbol: 'BTCUSDT', amount: -0.01, entryPrice: 50000, markPrice: 49000,
+    unrealizedProfit: 10, leverage: 5, liquidationPrice: 60000
+  });
+  assert.strictEqual(await venue.getPosition('BTC'), -0.01);
+  assert.strictEqual(await venue.getPosition('ETH'), 0);
+  console.log('PASS\n');
+
+  // --- Test 3: Open orders ---
+  console.log('Test 3: Open order quantity by side');
+  venue.client.futuresOpenOrders = async ({ symbol }) => [
+    { orderId: 1, symbol, side: 'SELL', type: 'LIMIT', status: 'NEW', price: '51000', origQty: '0.004', executedQty: '0', avgPrice: '0', reduceOnly: true },
+    { orderId: 2, symbol, side: 'SELL', type: 'LIMIT', status: 'NEW', price: '52000', origQty: '0.006', executedQty: '0', avgPrice: '0', reduceOnly: false },
+    { orderId: 3, symbol, side: 'BUY', type: 'LIMIT', status: 'NEW', price: '48000', origQty: '0.1', executedQty: '0', avgPrice: '0', reduceOnly: false }
+  ];
+  assert.ok(Math.abs(await venue.getOpenOrderQuantity('BTC', 'SELL') - 0.01) < 1e-12);
+  const [first] = await venue.getOpenOrders('BTCUSDT');
+  assert.strictEqual(first.price, 51000);
+  assert.strictEqual(first.reduceOnly, true);
+  console.log('PASS\n');
+
+  // --- Test 4: User stream order updates ---
+  console.log('Test 4: Order update normalization');
+  const update = venue.normalizeOrderUpdate({
+    eventType: 'ORDER_TRADE_UPDATE', eventTime: 1, symbol: 'BTCUSDT', side: 'BUY', orderId: 42,
+    orderStatus: 'PARTIALLY_FILLED', executionType: 'TRADE',
+    lastTradeQuantity: '0.002', priceLastTrade: '50100', totalTradeQuantity: '0.003'
+  });
+  assert.strictEqual(update.status, 'PARTIALLY_FILLED');
+  assert.strictEqual(update.lastFilledQty, 0.002);
+  assert.strictEqual(update.lastFilledPrice, 50100);
+  assert.strictEqual(update.cumulativeFilledQty, 0.003);
+  assert.ok(venue.isUnknownOrderError({ code: -2011 }));
+  console.log('PASS\n');
+
+  console.log('=== All Execution Venue Tests Passed ===');
+  process.exit(0);
+}
+
+runTests().catch(err => {
+  console.error('Test Failed:', err);
+  process.exit(1);
+});